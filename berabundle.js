@@ -20,6 +20,9 @@ const BundleRepository = require('./storage/repositories/bundleRepository');
 
 // Core functionality
 const ProviderAdapter = require('./execution/adapters/providerAdapter');
+const NonceManager = require('./execution/adapters/nonceManager');
+const { FeeOracle } = require('./execution/adapters/feeOracle');
+const GasCostEstimator = require('./execution/adapters/gasCostEstimator');
 const { BundleCreator } = require('./bundles/bundleCreator');
 const EoaExecutor = require('./execution/executors/eoaExecutor');
 const SafeExecutor = require('./execution/executors/safeExecutor');
@@ -28,6 +31,8 @@ const SafeExecutor = require('./execution/executors/safeExecutor');
 const UiHandler = require('./ui/common/uiHandler');
 const ProgressTracker = require('./ui/common/progressTracker');
 const MainMenu = require('./ui/flows/mainMenu');
+const CliCommands = require('./ui/flows/cliCommands');
+const { JsonOutput } = require('./ui/common/jsonOutput');
 
 /**
  * Main BeraBundle application class
@@ -39,6 +44,8 @@ class BeraBundle {
     constructor() {
         // Initialize blockchain provider adapter
         this.providerAdapter = new ProviderAdapter();
+        // Tracks pending EOA transactions across runs (speed-up and cancel)
+        this.nonceManager = new NonceManager(this.providerAdapter);
         
         // Initialize repositories
         this.walletRepository = new WalletRepository();
@@ -92,11 +99,21 @@ class BeraBundle {
             
             // Initialize executors with proper adapter references
             this.eoaExecutor = new EoaExecutor(provider);
-            this.safeExecutor = new SafeExecutor(provider);
+            this.safeExecutor = new SafeExecutor(provider, this.bundleRepository);
             
             // Provide a reference to the safeAdapter in the safeExecutor for compatibility
             this.safeExecutor.adapter = this.safeAdapter;
             
+            // Fees of EOA transactions are estimated from recent blocks when they are sent
+            this.feeOracle = new FeeOracle(provider);
+            // Bundle costs are priced with the swap bundler's token prices
+            this.gasCostEstimator = new GasCostEstimator(provider, {
+                feeOracle: this.feeOracle,
+                tokenService: this.bundleCreator.getSwapBundler().tokenService
+            });
+            this.bundleCreator.getClaimBundler().gasCostEstimator = this.gasCostEstimator;
+            this.safeExecutor.gasCostEstimator = this.gasCostEstimator;
+            
             // Initialize the transaction service
             const TransactionService = require('./execution/executors/eoaExecutor');
             this.transactionService = new TransactionService(this);
@@ -142,6 +159,32 @@ class BeraBundle {
         }
     }
     
+    /**
+     * Initialize only what offline commands need (wallets, bundles, Safe signing)
+     * The provider is created with a fixed network, so nothing is requested until it's used.
+     * @returns {Promise<boolean>} Success status
+     */
+    async initializeOffline() {
+        try {
+            const provider = new ethers.providers.JsonRpcProvider(config.networks.berachain.rpcUrl, {
+                chainId: parseInt(config.networks.berachain.chainId, 16),
+                name: 'berachain'
+            });
+            
+            await this.walletRepository.initialize();
+            await this.bundleRepository.initialize();
+            
+            global.app = this;
+            
+            this.safeExecutor = new SafeExecutor(provider, this.bundleRepository);
+            
+            return true;
+        } catch (error) {
+            ErrorHandler.handle(error, 'BeraBundle.initializeOffline', true);
+            return false;
+        }
+    }
+    
     /**
      * Get the ethers provider
      * @returns {ethers.providers.Provider} The provider
@@ -179,9 +222,11 @@ function handleCommandLineArgs() {
         console.log('BeraBundle - Berachain Bundle Creator');
         console.log('\nUsage:');
         console.log('  node berabundle.js [options]');
+        console.log('  node berabundle.js <command> [flags]');
         console.log('\nOptions:');
         console.log('  --help, -h       Show this help');
         console.log('  --version, -v    Show version');
+        console.log(CliCommands.getUsage());
         return true;
     }
     
@@ -191,6 +236,37 @@ function handleCommandLineArgs() {
         return true;
     }
     
+    // Run a non-interactive subcommand if one was given
+    const parsed = CliCommands.parseArgs(args);
+    if (parsed.command) {
+        if (!CliCommands.isCommand(parsed.command)) {
+            console.error(`Unknown command: ${parsed.command} (see --help)`);
+            process.exitCode = 1;
+            return true;
+        }
+        
+        // Keep stdout clean for JSON reports
+        if (parsed.flags.json) {
+            JsonOutput.redirectConsole();
+        }
+        
+        const app = new BeraBundle();
+        const initialize = CliCommands.isOfflineCommand(parsed) ? app.initializeOffline() : app.initialize();
+        initialize
+            .then(initialized => {
+                if (!initialized) {
+                    return 1;
+                }
+                return new CliCommands(app).run(parsed);
+            })
+            .then(code => process.exit(code))
+            .catch(error => {
+                console.error(`Error running ${parsed.command}: ${error.message}`);
+                process.exit(1);
+            });
+        return true;
+    }
+    
     return false; // No special flags, proceed with normal startup
 }
 
@@ -0,0 +1,342 @@
+/**
+ * allocationStrategies.js - Scores validators and turns scores into allocation percentages
+ *
+ * A strategy weighs each candidate validator (or picks some of them); the
+ * weights become percentages that add up to 100. Strategies that need chain
+ * data get the scores read by ValidatorScorer: commission on incentive tokens
+ * and reward allocation (BeraChef), total boost (BGT) and BGT emitted per block
+ * (BlockRewardController). More strategies can be added with register().
+ */
+
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const MulticallAdapter = require('../../execution/adapters/multicallAdapter');
+
+/**
+ * Built-in allocation strategies
+ */
+const AllocationStrategy = {
+    EQUAL: 'equal',                             // Same share for every validator
+    COMMISSION: 'commission',                   // More to validators keeping less of the incentives
+    REWARD_ALLOCATION: 'reward_allocation',     // More to validators sending emissions to incentivized vaults
+    LOW_CONCENTRATION: 'low_concentration',     // More to validators with little boost
+    TOP_BGT_RETURN: 'top_bgt_return'            // Equal shares for the N validators emitting most BGT per boosted BGT
+};
+
+/**
+ * Reads the on-chain data strategies score validators by
+ */
+class ValidatorScorer {
+    /**
+     * Create a new ValidatorScorer
+     * @param {ethers.providers.Provider} provider - Ethers provider
+     * @param {MulticallAdapter} multicall - Multicall adapter (default: a new one on the provider)
+     */
+    constructor(provider, multicall = null) {
+        this.provider = provider;
+        this.multicall = multicall || new MulticallAdapter(provider);
+    }
+
+    /**
+     * Score validators
+     * @param {Array<Object>} validators - Validators {pubkey, name}
+     * @returns {Promise<Map<string, Object>>} Scores by lowercase pubkey: {commission (percent),
+     *   incentivizedShare (percent of the reward allocation going to vaults with incentives left),
+     *   boostees (BGT), bgtPerBlock, bgtReturn (BGT emitted per block per boosted BGT)}; a field
+     *   is null when it could not be read
+     */
+    async scoreValidators(validators) {
+        const { berachain } = config.networks;
+        const pubkeys = validators.map(validator => validator.pubkey.startsWith('0x') ? validator.pubkey : `0x${validator.pubkey}`);
+
+        // Per validator reads plus the emission parameters, in one batch
+        const perValidator = ['boostees', 'normalizedBoost', 'getValCommissionOnIncentiveTokens', 'getActiveRewardAllocation'];
+        const calls = [];
+        pubkeys.forEach(pubkey => {
+            calls.push(
+                { target: berachain.validatorBoostAddress, abi: config.abis.validatorBoost, method: 'boostees', args: [pubkey] },
+                { target: berachain.validatorBoostAddress, abi: config.abis.validatorBoost, method: 'normalizedBoost', args: [pubkey] },
+                { target: berachain.beraChefAddress, abi: config.abis.beraChef, method: 'getValCommissionOnIncentiveTokens', args: [pubkey] },
+                { target: berachain.beraChefAddress, abi: config.abis.beraChef, method: 'getActiveRewardAllocation', args: [pubkey] }
+            );
+        });
+        ['rewardRate', 'boostMultiplier', 'rewardConvexity'].forEach(method => {
+            calls.push({ target: berachain.blockRewardControllerAddress, abi: config.abis.blockRewardController, method, args: [] });
+        });
+
+        const results = await this.multicall.aggregate(calls);
+        const [rewardRate, boostMultiplier, rewardConvexity] = results.slice(-3);
+        const reads = pubkeys.map((pubkey, index) => {
+            const [boostees, normalizedBoost, commission, allocation] = results.slice(index * perValidator.length, (index + 1) * perValidator.length);
+            return { pubkey, boostees, normalizedBoost, commission, allocation };
+        });
+
+        const emissions = await this.getEmissions(reads, [rewardRate, boostMultiplier, rewardConvexity]);
+        const incentivized = await this.getIncentivizedVaults(reads
+            .filter(read => read.allocation.success)
+            .flatMap(read => read.allocation.value.weights.map(weight => weight.receiver)));
+
+        const scores = new Map();
+        reads.forEach((read, index) => {
+            const boostees = read.boostees.success ? parseFloat(ethers.utils.formatEther(read.boostees.value)) : null;
+            const bgtPerBlock = emissions[index];
+
+            let incentivizedShare = null;
+            if (read.allocation.success) {
+                incentivizedShare = read.allocation.value.weights
+                    .filter(weight => incentivized.has(weight.receiver.toLowerCase()))
+                    .reduce((sum, weight) => sum + weight.percentageNumerator.toNumber() / 100, 0);
+            }
+
+            scores.set(read.pubkey.toLowerCase(), {
+                commission: read.commission.success ? read.commission.value.toNumber() / 100 : null,
+                incentivizedShare,
+                boostees,
+                bgtPerBlock,
+                // Without boost a validator emits nothing, so there is no return to compare
+                bgtReturn: bgtPerBlock !== null && boostees ? bgtPerBlock / boostees : null
+            });
+        });
+
+        return scores;
+    }
+
+    /**
+     * Compute each validator's BGT emission per block from its share of all boosts
+     * @param {Array<Object>} reads - Per validator reads {normalizedBoost}
+     * @param {Array<Object>} parameters - rewardRate, boostMultiplier and rewardConvexity results
+     * @returns {Promise<Array<number|null>>} BGT per block by validator (null if unknown)
+     */
+    async getEmissions(reads, parameters) {
+        if (parameters.some(parameter => !parameter.success)) {
+            console.warn('Warning: Could not read the BGT emission parameters');
+            return reads.map(() => null);
+        }
+        const [rewardRate, boostMultiplier, rewardConvexity] = parameters.map(parameter => parameter.value);
+
+        const results = await this.multicall.aggregate(reads.map(read => ({
+            target: config.networks.berachain.blockRewardControllerAddress,
+            abi: config.abis.blockRewardController,
+            method: 'computeReward',
+            args: [read.normalizedBoost.success ? read.normalizedBoost.value : 0, rewardRate, boostMultiplier, rewardConvexity]
+        })));
+
+        return results.map((result, index) => (
+            result.success && reads[index].normalizedBoost.success
+                ? parseFloat(ethers.utils.formatEther(result.value))
+                : null
+        ));
+    }
+
+    /**
+     * Find the reward vaults that still have incentive tokens to hand out
+     * @param {Array<string>} vaults - Reward vault addresses (duplicates allowed)
+     * @returns {Promise<Set<string>>} Lowercase addresses of incentivized vaults
+     */
+    async getIncentivizedVaults(vaults) {
+        const unique = [...new Set(vaults.map(vault => vault.toLowerCase()))];
+        const incentivized = new Set();
+        if (unique.length === 0) {
+            return incentivized;
+        }
+
+        const whitelists = await this.multicall.aggregate(unique.map(vault => ({
+            target: vault,
+            abi: config.abis.rewardVault,
+            method: 'getWhitelistedTokens',
+            args: []
+        })));
+
+        const pairs = [];
+        whitelists.forEach((whitelist, index) => {
+            if (whitelist.success) {
+                whitelist.value.forEach(token => pairs.push({ vault: unique[index], token }));
+            }
+        });
+        if (pairs.length === 0) {
+            return incentivized;
+        }
+
+        // incentives(token) returns (minIncentiveRate, incentiveRate, amountRemaining, manager)
+        const incentives = await this.multicall.aggregate(pairs.map(({ vault, token }) => ({
+            target: vault,
+            abi: config.abis.rewardVault,
+            method: 'incentives',
+            args: [token]
+        })));
+        incentives.forEach((incentive, index) => {
+            if (incentive.success && incentive.value[2].gt(0)) {
+                incentivized.add(pairs[index].vault);
+            }
+        });
+
+        return incentivized;
+    }
+}
+
+/**
+ * Registry of allocation strategies
+ *
+ * A strategy is {label, usesScores, picksValidators, weigh(validators, scores, options)};
+ * weigh returns one weight per validator, and validators weighted 0 are left out.
+ * picksValidators strategies choose among all known validators instead of the
+ * wallet's selection.
+ */
+class AllocationStrategies {
+    /**
+     * Add or replace a strategy
+     * @param {string} name - Strategy name
+     * @param {Object} definition - Strategy {label, usesScores, picksValidators, weigh}
+     */
+    static register(name, definition) {
+        if (typeof definition.weigh !== 'function') {
+            throw ErrorHandler.createValidationError(`Allocation strategy "${name}" needs a weigh function`);
+        }
+        strategies.set(name, { usesScores: false, picksValidators: false, ...definition });
+    }
+
+    /**
+     * Get a strategy by name
+     * @param {string} name - Strategy name
+     * @returns {Object} Strategy definition
+     * @throws {Error} If no strategy has this name
+     */
+    static get(name) {
+        const definition = strategies.get(name);
+        if (!definition) {
+            throw ErrorHandler.createValidationError(`Unknown allocation strategy "${name}" (expected ${[...strategies.keys()].join(', ')})`);
+        }
+        return definition;
+    }
+
+    /**
+     * List the registered strategies
+     * @returns {Array<Object>} Strategies {name, label, usesScores, picksValidators}
+     */
+    static list() {
+        return [...strategies.entries()].map(([name, { label, usesScores, picksValidators }]) => ({ name, label, usesScores, picksValidators }));
+    }
+
+    /**
+     * Turn weights into percentages with two decimals that add up to 100
+     * The rounding remainder goes to the largest weight.
+     * @param {Array<Object>} validators - Validators {pubkey}
+     * @param {Array<number>} weights - Weight per validator
+     * @returns {Object} Allocations by pubkey for the validators with a positive weight
+     */
+    static toPercentages(validators, weights) {
+        const total = weights.reduce((sum, weight) => sum + (weight > 0 ? weight : 0), 0);
+        const allocations = {};
+        if (total <= 0) {
+            return allocations;
+        }
+
+        let assigned = 0;
+        let largest = null;
+        validators.forEach((validator, index) => {
+            if (!(weights[index] > 0)) {
+                return;
+            }
+            // Work in basis points to keep the sum exact
+            const basisPoints = Math.floor(weights[index] / total * 10000);
+            allocations[validator.pubkey] = basisPoints;
+            assigned += basisPoints;
+            if (largest === null || weights[index] > weights[largest]) {
+                largest = index;
+            }
+        });
+
+        allocations[validators[largest].pubkey] += 10000 - assigned;
+        Object.keys(allocations).forEach(pubkey => {
+            allocations[pubkey] = allocations[pubkey] / 100;
+        });
+        return allocations;
+    }
+
+    /**
+     * Compute allocations with a strategy
+     * @param {string} name - Strategy name
+     * @param {Array<Object>} validators - Candidate validators {pubkey, name}
+     * @param {Map<string, Object>} scores - Scores from ValidatorScorer (unused by strategies without usesScores)
+     * @param {Object} options - Strategy options
+     * @param {number} options.topN - Validators picked by top_bgt_return (default: config.boosts.topValidators)
+     * @returns {Object} Result {validators, allocations} with only the validators that got a share
+     * @throws {Error} If no validator gets a share
+     */
+    static allocate(name, validators, scores = new Map(), options = {}) {
+        const weights = AllocationStrategies.get(name).weigh(validators, scores, options);
+        const allocations = AllocationStrategies.toPercentages(validators, weights);
+        const chosen = validators.filter(validator => allocations[validator.pubkey] !== undefined);
+
+        if (chosen.length === 0) {
+            throw ErrorHandler.createValidationError(`The ${name} strategy found no validator to allocate to (is the scoring data available?)`);
+        }
+        return { validators: chosen, allocations };
+    }
+}
+
+/**
+ * Look up a validator's score
+ * @param {Map<string, Object>} scores - Scores by lowercase pubkey
+ * @param {Object} validator - Validator {pubkey}
+ * @returns {Object} Score (empty if the validator was not scored)
+ */
+function scoreOf(scores, validator) {
+    const pubkey = validator.pubkey.toLowerCase();
+    return scores.get(pubkey.startsWith('0x') ? pubkey : `0x${pubkey}`) || {};
+}
+
+const strategies = new Map();
+
+AllocationStrategies.register(AllocationStrategy.EQUAL, {
+    label: 'Equal allocation to all validators',
+    weigh: validators => validators.map(() => 1)
+});
+
+AllocationStrategies.register(AllocationStrategy.COMMISSION, {
+    label: 'Weight by commission (lower commission gets more)',
+    usesScores: true,
+    weigh: (validators, scores) => validators.map(validator => {
+        const { commission } = scoreOf(scores, validator);
+        return commission === null || commission === undefined ? 0 : 100 - commission;
+    })
+});
+
+AllocationStrategies.register(AllocationStrategy.REWARD_ALLOCATION, {
+    label: 'Weight by reward allocation to incentivized vaults',
+    usesScores: true,
+    weigh: (validators, scores) => validators.map(validator => scoreOf(scores, validator).incentivizedShare || 0)
+});
+
+AllocationStrategies.register(AllocationStrategy.LOW_CONCENTRATION, {
+    label: 'Prefer validators with little boost (low concentration)',
+    usesScores: true,
+    weigh: (validators, scores) => validators.map(validator => {
+        const { boostees } = scoreOf(scores, validator);
+        // A validator nobody boosts counts as having 1 BGT so it gets the largest weight
+        return boostees === null || boostees === undefined ? 0 : 1 / Math.max(boostees, 1);
+    })
+});
+
+AllocationStrategies.register(AllocationStrategy.TOP_BGT_RETURN, {
+    label: 'Top N validators by BGT return',
+    usesScores: true,
+    picksValidators: true,
+    weigh: (validators, scores, options = {}) => {
+        const topN = options.topN || config.boosts.topValidators;
+        const ranked = validators
+            .map((validator, index) => ({ index, bgtReturn: scoreOf(scores, validator).bgtReturn }))
+            .filter(entry => typeof entry.bgtReturn === 'number' && entry.bgtReturn > 0)
+            .sort((a, b) => b.bgtReturn - a.bgtReturn)
+            .slice(0, topN);
+        const top = new Set(ranked.map(entry => entry.index));
+        return validators.map((validator, index) => (top.has(index) ? 1 : 0));
+    }
+});
+
+module.exports = {
+    AllocationStrategies,
+    AllocationStrategy,
+    ValidatorScorer
+};
@@ -4,6 +4,7 @@ const path = require('path');
 const config = require('../../config');
 const { ethers } = require('ethers');
 const { ErrorHandler } = require('../../utils/errorHandler');
+const { AllocationStrategies, ValidatorScorer } = require('./allocationStrategies');
 
 /**
  * Service for managing validator redelegation preferences
@@ -15,6 +16,7 @@ class RedelegationManager {
         this.preferencesFile = config.paths.boostAllocationFile;
         this.validators = [];
         this.preferences = {};
+        this.validatorScorer = null;
     }
     
     /**
@@ -156,14 +158,58 @@ class RedelegationManager {
         return this.preferences[userAddress.toLowerCase()] || { validators: [] };
     }
 
+    /**
+     * Get the scorer that reads validator data for allocation strategies
+     * @returns {ValidatorScorer} Validator scorer
+     */
+    getValidatorScorer() {
+        if (!this.validatorScorer) {
+            this.validatorScorer = new ValidatorScorer(this.provider);
+        }
+        return this.validatorScorer;
+    }
+
+    /**
+     * Compute allocations with an allocation strategy
+     * @param {Array<Object>} validators - Candidate validators {pubkey, name}
+     * @param {string} strategy - Strategy name from AllocationStrategies
+     * @param {Object} options - Strategy options (e.g. topN)
+     * @returns {Promise<Object>} Result {validators, allocations} with the validators that got a share
+     */
+    async computeAllocations(validators, strategy, options = {}) {
+        const definition = AllocationStrategies.get(strategy);
+        const candidates = validators.filter(validator =>
+            validator && validator.pubkey && this.isValidValidatorPubkey(validator.pubkey)
+        );
+        const scores = definition.usesScores && candidates.length > 0
+            ? await this.getValidatorScorer().scoreValidators(candidates)
+            : new Map();
+
+        return AllocationStrategies.allocate(strategy, candidates, scores, options);
+    }
+
     /**
      * Set user's delegation preferences
+     * With options.strategy the allocations are computed by that strategy (the
+     * allocations argument is ignored) and the strategy is stored, so
+     * recomputeAllocations can apply it again later.
+     * @param {string} userAddress - Wallet address
+     * @param {Array<Object>} selectedValidators - Validators {pubkey, name} (candidates for a strategy)
+     * @param {Object|null} allocations - Percentages by pubkey
+     * @param {Object} options - Options
+     * @param {string} options.strategy - Allocation strategy name
+     * @param {number} options.topN - Validators picked by the top_bgt_return strategy
+     * @returns {Promise<boolean>} True when saved
      */
-    async setUserPreferences(userAddress, selectedValidators, allocations) {
+    async setUserPreferences(userAddress, selectedValidators, allocations, options = {}) {
         if (!userAddress || !ethers.utils.isAddress(userAddress)) {
             throw ErrorHandler.createValidationError('Invalid user address');
         }
 
+        if (options.strategy) {
+            ({ validators: selectedValidators, allocations } = await this.computeAllocations(selectedValidators, options.strategy, options));
+        }
+
         // Filter validators to only include those with pubkeys
         const validValidators = selectedValidators.filter(validator => 
             validator && validator.pubkey && this.isValidValidatorPubkey(validator.pubkey)
@@ -198,11 +244,44 @@ class RedelegationManager {
             allocations: allocations,
             lastUpdated: new Date().toISOString()
         };
+        if (options.strategy) {
+            this.preferences[userAddress.toLowerCase()].strategy = options.topN
+                ? { name: options.strategy, topN: options.topN }
+                : { name: options.strategy };
+        }
 
         await this.savePreferences();
         return true;
     }
 
+    /**
+     * Recompute a wallet's allocations from fresh validator data
+     * Strategies that pick validators choose among all known validators, the
+     * others reweigh the wallet's selected validators.
+     * @param {string} userAddress - Wallet address
+     * @param {Object} options - Options
+     * @param {string} options.strategy - Strategy to switch to (default: the stored strategy)
+     * @param {number} options.topN - Validators picked by the top_bgt_return strategy
+     * @returns {Promise<Object>} Updated preferences {validators, allocations, strategy}
+     */
+    async recomputeAllocations(userAddress, options = {}) {
+        const userPrefs = this.getUserPreferences(userAddress);
+        const stored = userPrefs.strategy || {};
+        const strategy = options.strategy || stored.name;
+        if (!strategy) {
+            throw ErrorHandler.createValidationError('No allocation strategy given or stored for this wallet');
+        }
+
+        const candidates = AllocationStrategies.get(strategy).picksValidators ? this.getValidators() : userPrefs.validators;
+        if (!candidates || candidates.length === 0) {
+            throw ErrorHandler.createValidationError('No validators selected: select validators first');
+        }
+
+        const topN = options.topN || (strategy === stored.name ? stored.topN : undefined);
+        await this.setUserPreferences(userAddress, candidates, null, { strategy, topN });
+        return this.getUserPreferences(userAddress);
+    }
+
     /**
      * Validate if a validator pubkey is properly formatted
      * @param {string} pubkey - The validator pubkey to validate
@@ -331,6 +410,97 @@ class RedelegationManager {
         }
     }
 
+    /**
+     * Split queued boosts into those that can be activated now and those still waiting
+     * A queued boost can be activated once more than activateBoostDelay blocks have
+     * passed since it was (last) queued; activating it earlier is a silent no-op.
+     * @param {Array<Object>} queuedBoosts - Queued boosts from RewardChecker.getUserQueuedBoosts
+     * @returns {Promise<Object>} Result {ready, waiting (with blocksLeft), currentBlock, activationDelay}
+     */
+    async findReadyBoosts(queuedBoosts) {
+        const validatorBoost = new ethers.Contract(
+            config.networks.berachain.validatorBoostAddress,
+            config.abis.validatorBoost,
+            this.provider
+        );
+        const [currentBlock, activationDelay] = await Promise.all([
+            this.provider.getBlockNumber(),
+            validatorBoost.activateBoostDelay()
+        ]);
+
+        const ready = [];
+        const waiting = [];
+        for (const boost of queuedBoosts) {
+            const blocksLeft = boost.queuedAtBlock + activationDelay + 1 - currentBlock;
+            if (blocksLeft <= 0) {
+                ready.push(boost);
+            } else {
+                waiting.push({ ...boost, blocksLeft });
+            }
+        }
+
+        return { ready, waiting, currentBlock, activationDelay };
+    }
+
+    /**
+     * Create activation transactions for queued boosts
+     * activateBoost can be called by anyone, for any user.
+     * @param {string} userAddress - Address whose boosts are activated
+     * @param {Array<Object>} readyBoosts - Queued boosts from findReadyBoosts
+     * @returns {Object} Result {transactions, success, summary} or {transactions: [], success: false, message}
+     */
+    createActivationTransactions(userAddress, readyBoosts) {
+        try {
+            if (!userAddress || !ethers.utils.isAddress(userAddress)) {
+                throw ErrorHandler.createValidationError('Invalid user address');
+            }
+
+            const iface = new ethers.utils.Interface(config.abis.validatorBoost);
+            const transactions = [];
+
+            for (const boost of readyBoosts) {
+                if (!this.isValidValidatorPubkey(boost.pubkey)) {
+                    console.warn(`Warning: Invalid validator pubkey format for ${boost.name || 'Unknown'}: ${boost.pubkey}`);
+                    continue;
+                }
+
+                const formattedPubkey = this.formatValidatorPubkey(boost.pubkey);
+                transactions.push({
+                    to: config.networks.berachain.validatorBoostAddress,
+                    data: iface.encodeFunctionData("activateBoost", [userAddress, formattedPubkey]),
+                    value: "0x0",
+                    metadata: {
+                        type: 'boostActivation',
+                        validatorPubkey: formattedPubkey,
+                        validatorName: boost.name || 'Unknown',
+                        amount: boost.queuedBoostAmount
+                    }
+                });
+            }
+
+            if (transactions.length === 0) {
+                return { transactions: [], success: false, message: "No queued boosts are ready to activate" };
+            }
+
+            const totalAmount = readyBoosts.reduce((sum, boost) => sum + parseFloat(boost.queuedBoostAmount), 0);
+            return {
+                transactions,
+                success: true,
+                summary: {
+                    totalValidators: transactions.length,
+                    totalAmount: totalAmount.toString()
+                }
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'RedelegationManager.createActivationTransactions');
+            return {
+                transactions: [],
+                success: false,
+                message: `Failed to create activation transactions: ${error.message}`
+            };
+        }
+    }
+
     /**
      * Update validators from a network or external source
      * This is a placeholder for an actual implementation that would fetch validators
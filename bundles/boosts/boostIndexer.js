@@ -0,0 +1,297 @@
+/**
+ * boostIndexer.js - Finds the validators a wallet boosts from BGT boost events
+ *
+ * The BGT contract has no way to list a wallet's boosts, so discovering them
+ * used to mean reading every validator. Every boost starts with a QueueBoost
+ * sent by the wallet, so the wallet's QueueBoost, CancelBoost, ActivateBoost
+ * and DropBoost events (matched on their first indexed address, the sender)
+ * name every validator it can have a boost or queued boost on. The events are
+ * scanned once, from the BGT contract's deployment block, and cached with the
+ * last indexed block; later checks only scan the blocks since. Concurrent syncs
+ * of a wallet share one scan, and all writes to the index file are queued.
+ *
+ * Indexed `bytes` event arguments only carry the keccak256 hash of the pubkey.
+ * Hashes are matched against the validator metadata and, for validators missing
+ * there, against the calldata of the transaction that emitted the event.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+
+/**
+ * Boost events that are indexed
+ */
+const BoostEvent = {
+    QUEUE: 'QueueBoost',        // (sender, pubkey, amount)
+    CANCEL: 'CancelBoost',      // (sender, pubkey, amount)
+    ACTIVATE: 'ActivateBoost',  // (sender, user, pubkey, amount)
+    DROP: 'DropBoost'           // (sender, user, pubkey, amount)
+};
+
+/**
+ * Smallest block range tried before an index sync gives up
+ */
+const MIN_BLOCK_RANGE = 1000;
+
+/**
+ * Pending index file writes by file, so writes never overlap
+ */
+const writeQueues = new Map();
+
+/**
+ * Indexes boost events by wallet
+ */
+class BoostIndexer {
+    /**
+     * Create a new BoostIndexer
+     * @param {ethers.providers.Provider} provider - Ethers provider
+     * @param {Object} options - Indexer options
+     * @param {string} options.indexFile - File the index is cached in
+     * @param {number} options.startBlock - First block scanned for a new wallet (null: the BGT deployment block)
+     * @param {number} options.blockRange - Blocks per eth_getLogs request
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.indexFile = options.indexFile || config.paths.boostIndexFile;
+        this.startBlock = options.startBlock !== undefined ? options.startBlock : config.boosts.indexStartBlock;
+        this.blockRange = options.blockRange || config.boosts.indexBlockRange;
+        this.iface = new ethers.utils.Interface(config.abis.validatorBoost);
+        this.topics = new Map(Object.values(BoostEvent).map(name => [this.iface.getEventTopic(name), name]));
+        this.syncs = new Map();
+        this.deploymentBlock = null;
+    }
+
+    /**
+     * Hash a validator pubkey the way indexed event arguments store it
+     * @param {string} pubkey - Validator pubkey (with or without 0x)
+     * @returns {string} keccak256 hash
+     */
+    static hashPubkey(pubkey) {
+        return ethers.utils.keccak256(pubkey.startsWith('0x') ? pubkey : `0x${pubkey}`);
+    }
+
+    /**
+     * Load the cached index
+     * @returns {Promise<Object>} Entries {lastBlock, validators} keyed by lowercase address
+     */
+    async loadIndex() {
+        try {
+            return JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Save a wallet's index entry
+     * Writes are queued per file, so each one reads the index the previous one wrote.
+     * @param {string} userAddress - Wallet address
+     * @param {Object} entry - Entry {lastBlock, validators}
+     * @returns {Promise<void>}
+     */
+    saveEntry(userAddress, entry) {
+        const write = (writeQueues.get(this.indexFile) || Promise.resolve()).then(async () => {
+            const index = await this.loadIndex();
+            index[userAddress.toLowerCase()] = entry;
+            await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+            await fs.writeFile(this.indexFile, JSON.stringify(index, null, 2));
+        });
+        // A failed write is reported to its caller and doesn't block the ones after it
+        writeQueues.set(this.indexFile, write.catch(() => {}));
+        return write;
+    }
+
+    /**
+     * Get the first block scanned for a new wallet
+     * Without a configured start block, the BGT contract's deployment block is
+     * found by binary search over eth_getCode.
+     * @param {number} currentBlock - Current block
+     * @returns {Promise<number>} Start block
+     */
+    async getStartBlock(currentBlock) {
+        if (this.startBlock !== null && this.startBlock !== undefined) {
+            return this.startBlock;
+        }
+
+        if (!this.deploymentBlock) {
+            this.deploymentBlock = this.findDeploymentBlock(config.networks.berachain.validatorBoostAddress, currentBlock)
+                .catch(error => {
+                    this.deploymentBlock = null;
+                    console.warn(`Warning: Could not find the BGT deployment block (${error.message}), scanning from block 0`);
+                    return 0;
+                });
+        }
+        return this.deploymentBlock;
+    }
+
+    /**
+     * Find the block a contract was deployed in
+     * Needs a node that serves historical state.
+     * @param {string} address - Contract address
+     * @param {number} currentBlock - Block the contract is known to exist at
+     * @returns {Promise<number>} First block with code at the address
+     */
+    async findDeploymentBlock(address, currentBlock) {
+        let low = 0;
+        let high = currentBlock;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (await this.provider.getCode(address, middle) !== '0x') {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Fetch the wallet's boost events in a block range
+     * The range is halved while the node rejects it.
+     * @param {string} userAddress - Wallet address
+     * @param {number} fromBlock - First block
+     * @param {number} toBlock - Last block
+     * @returns {Promise<Array<Object>>} Logs
+     * @throws {Error} If even the smallest range fails
+     */
+    async getLogs(userAddress, fromBlock, toBlock) {
+        try {
+            return await this.provider.getLogs({
+                address: config.networks.berachain.validatorBoostAddress,
+                fromBlock,
+                toBlock,
+                topics: [[...this.topics.keys()], ethers.utils.hexZeroPad(userAddress, 32)]
+            });
+        } catch (error) {
+            if (toBlock - fromBlock + 1 <= MIN_BLOCK_RANGE) {
+                throw error;
+            }
+            const middle = fromBlock + Math.floor((toBlock - fromBlock) / 2);
+            this.blockRange = Math.max(MIN_BLOCK_RANGE, Math.ceil((toBlock - fromBlock + 1) / 2));
+            return [
+                ...await this.getLogs(userAddress, fromBlock, middle),
+                ...await this.getLogs(userAddress, middle + 1, toBlock)
+            ];
+        }
+    }
+
+    /**
+     * Bring a wallet's index up to the current block
+     * A sync of a wallet that is already syncing returns the running one.
+     * @param {string} userAddress - Wallet address
+     * @returns {Promise<Object>} Entry {lastBlock, validators: {pubkeyHash: {pubkey, lastEvent, lastEventBlock}}}
+     */
+    sync(userAddress) {
+        const key = userAddress.toLowerCase();
+        if (!this.syncs.has(key)) {
+            this.syncs.set(key, this.syncEntry(userAddress).finally(() => this.syncs.delete(key)));
+        }
+        return this.syncs.get(key);
+    }
+
+    /**
+     * Scan a wallet's boost events since its last indexed block
+     * Progress is saved after every range, so an interrupted sync resumes where it stopped.
+     * @param {string} userAddress - Wallet address
+     * @returns {Promise<Object>} Entry {lastBlock, validators}
+     */
+    async syncEntry(userAddress) {
+        const index = await this.loadIndex();
+        const currentBlock = await this.provider.getBlockNumber();
+        const entry = index[userAddress.toLowerCase()]
+            || { lastBlock: await this.getStartBlock(currentBlock) - 1, validators: {} };
+
+        while (entry.lastBlock < currentBlock) {
+            const fromBlock = entry.lastBlock + 1;
+            const toBlock = Math.min(fromBlock + this.blockRange - 1, currentBlock);
+            const logs = await this.getLogs(userAddress, fromBlock, toBlock);
+
+            logs.forEach(log => {
+                const event = this.topics.get(log.topics[0]);
+                // Activate and drop events carry the user before the pubkey
+                const hash = event === BoostEvent.QUEUE || event === BoostEvent.CANCEL ? log.topics[2] : log.topics[3];
+                entry.validators[hash] = {
+                    pubkey: entry.validators[hash] ? entry.validators[hash].pubkey : null,
+                    lastEvent: event,
+                    lastEventBlock: log.blockNumber,
+                    transactionHash: log.transactionHash
+                };
+            });
+
+            entry.lastBlock = toBlock;
+            await this.saveEntry(userAddress, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Recover a pubkey from the calldata of the transaction that emitted its event
+     * Pubkeys are 48 bytes; every 48-byte window of the calldata is hashed, which
+     * also finds pubkeys inside Safe, MultiSend or BeraBundle calls.
+     * @param {string} hash - keccak256 hash of the pubkey
+     * @param {string} transactionHash - Transaction that emitted the event
+     * @returns {Promise<string|null>} Pubkey or null if it is not in the calldata
+     */
+    async recoverPubkey(hash, transactionHash) {
+        const transaction = await this.provider.getTransaction(transactionHash);
+        if (!transaction) {
+            return null;
+        }
+
+        const data = ethers.utils.arrayify(transaction.data);
+        for (let offset = 0; offset + 48 <= data.length; offset++) {
+            const candidate = data.slice(offset, offset + 48);
+            if (ethers.utils.keccak256(candidate) === hash) {
+                return ethers.utils.hexlify(candidate);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the validators a wallet has sent boost events for
+     * @param {string} userAddress - Wallet address
+     * @param {Array<Object>} validators - Known validators {validatorKey, name}
+     * @returns {Promise<Array<Object>>} Validators {validatorKey, name}; validators missing from
+     *   the known list are named 'Unknown Validator'
+     */
+    async findBoostedValidators(userAddress, validators) {
+        const entry = await this.sync(userAddress);
+        const known = new Map(validators.map(validator => [BoostIndexer.hashPubkey(validator.validatorKey), validator]));
+
+        const found = [];
+        let recovered = false;
+        for (const [hash, indexed] of Object.entries(entry.validators)) {
+            if (known.has(hash)) {
+                found.push(known.get(hash));
+                continue;
+            }
+
+            if (!indexed.pubkey) {
+                indexed.pubkey = await this.recoverPubkey(hash, indexed.transactionHash);
+                recovered = recovered || !!indexed.pubkey;
+            }
+            if (indexed.pubkey) {
+                found.push({ validatorKey: indexed.pubkey, name: 'Unknown Validator' });
+            } else {
+                console.warn(`Warning: Could not identify the validator of boost event ${indexed.transactionHash}`);
+            }
+        }
+
+        if (recovered) {
+            await this.saveEntry(userAddress, entry);
+        }
+        return found;
+    }
+}
+
+module.exports = {
+    BoostIndexer,
+    BoostEvent
+};
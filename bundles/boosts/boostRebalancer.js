@@ -0,0 +1,312 @@
+/**
+ * boostRebalancer.js - Moves existing validator boosts to new allocation percentages
+ *
+ * The wallet's boosted BGT (active plus queued) is redistributed by the target
+ * percentages; BGT already queued to be dropped counts as leaving its
+ * validator. Excess on a validator is taken from its queued boost first
+ * (cancelBoost, freed at once) and then
+ * from its active boost (queueDropBoost, freed only once dropBoostDelay blocks
+ * have passed and dropBoost is called). Shortfalls are queued (queueBoost) from
+ * the BGT that is free within the bundle; what doesn't fit yet is reported as
+ * deferred and picked up by the next rebalance, which also executes the drops
+ * that have become ready.
+ */
+
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+
+/**
+ * Operations of a rebalance plan, in the order they are sent
+ */
+const RebalanceAction = {
+    DROP: 'drop',               // dropBoost(user, pubkey): finish a drop whose delay has passed
+    CANCEL: 'cancel',           // cancelBoost(pubkey, amount): take back queued BGT
+    QUEUE_DROP: 'queue_drop',   // queueDropBoost(pubkey, amount): start removing active BGT
+    QUEUE: 'queue'              // queueBoost(pubkey, amount): add BGT
+};
+
+/**
+ * Plans and builds boost rebalance bundles
+ */
+class BoostRebalancer {
+    /**
+     * Create a new BoostRebalancer
+     * @param {ethers.providers.Provider} provider - Ethers provider
+     * @param {RewardChecker} rewardChecker - Reads active and queued boosts
+     */
+    constructor(provider, rewardChecker) {
+        this.provider = provider;
+        this.rewardChecker = rewardChecker;
+        this.validatorBoost = new ethers.Contract(
+            config.networks.berachain.validatorBoostAddress,
+            config.abis.validatorBoost,
+            provider
+        );
+        this.iface = new ethers.utils.Interface(config.abis.validatorBoost);
+    }
+
+    /**
+     * Read the wallet's boost position on every validator it boosts or queues for
+     * @param {string} userAddress - Wallet (or Safe) address
+     * @returns {Promise<Object>} Result {positions, unboosted, currentBlock}; positions are
+     *   {pubkey, name, active, queued, pendingDrop, dropReady} with raw BigNumber amounts
+     * @throws {Error} If any read fails or the positions don't add up to the wallet's
+     *   on-chain boost totals, so a rebalance is never planned from a partial position
+     */
+    async getPositions(userAddress) {
+        const [activeBoosts, queuedBoosts] = await Promise.all([
+            this.rewardChecker.getUserActiveBoosts(userAddress),
+            this.rewardChecker.getUserQueuedBoosts(userAddress)
+        ]);
+
+        const positions = new Map();
+        const position = (pubkey, name) => {
+            const key = pubkey.toLowerCase();
+            if (!positions.has(key)) {
+                positions.set(key, {
+                    pubkey,
+                    name: name || 'Unknown Validator',
+                    active: ethers.BigNumber.from(0),
+                    queued: ethers.BigNumber.from(0),
+                    pendingDrop: ethers.BigNumber.from(0),
+                    dropReady: false
+                });
+            }
+            return positions.get(key);
+        };
+
+        activeBoosts.forEach(boost => {
+            position(boost.pubkey, boost.name).active = ethers.utils.parseEther(boost.userBoostAmount);
+        });
+        queuedBoosts.forEach(boost => {
+            position(boost.pubkey, boost.name).queued = ethers.utils.parseEther(boost.queuedBoostAmount);
+        });
+
+        const [currentBlock, dropBoostDelay, unboosted, totalActive, totalQueued] = await Promise.all([
+            this.provider.getBlockNumber(),
+            this.validatorBoost.dropBoostDelay(),
+            this.validatorBoost.unboostedBalanceOf(userAddress),
+            this.validatorBoost.boosts(userAddress),
+            this.validatorBoost.queuedBoost(userAddress)
+        ]);
+
+        // A validator missing from the reads would be left out of the redistribution
+        const list = [...positions.values()];
+        const sum = field => list.reduce((total, entry) => total.add(entry[field]), ethers.BigNumber.from(0));
+        [['active', totalActive], ['queued', totalQueued]].forEach(([field, onChain]) => {
+            if (!sum(field).eq(onChain)) {
+                throw new Error(`Could not read every ${field} boost: found ${ethers.utils.formatEther(sum(field))} of ${ethers.utils.formatEther(onChain)} BGT`);
+            }
+        });
+
+        // Drops already queued leave the active boost later and must not be dropped twice
+        if (list.some(entry => entry.active.gt(0))) {
+            const drops = await this.rewardChecker.multicall.aggregate(list.map(entry => ({
+                target: config.networks.berachain.validatorBoostAddress,
+                abi: config.abis.validatorBoost,
+                method: 'dropBoostQueue',
+                args: [userAddress, entry.pubkey]
+            })));
+            drops.forEach((drop, index) => {
+                if (!drop.success) {
+                    throw new Error(`Could not read the drop queue of ${list[index].name}`);
+                }
+                list[index].pendingDrop = ethers.BigNumber.from(drop.value.balance);
+                // Same rule as activation: more than the delay must have passed
+                list[index].dropReady = list[index].pendingDrop.gt(0) && currentBlock - drop.value.blockNumberLast > dropBoostDelay;
+            });
+        }
+
+        return { positions: list, unboosted, currentBlock };
+    }
+
+    /**
+     * Split a total by allocation percentages
+     * Percentages are rounded to basis points; the rounding remainder goes to the
+     * largest allocation so the targets add up to the total.
+     * @param {ethers.BigNumber} total - Raw BGT to distribute
+     * @param {Object} allocations - Percentages by validator pubkey
+     * @returns {Map<string, ethers.BigNumber>} Target amounts by lowercase pubkey
+     */
+    static computeTargets(total, allocations) {
+        const entries = Object.entries(allocations).filter(([, percent]) => percent > 0);
+        const targets = new Map();
+        if (entries.length === 0) {
+            return targets;
+        }
+
+        let assigned = ethers.BigNumber.from(0);
+        entries.forEach(([pubkey, percent]) => {
+            const amount = total.mul(Math.round(percent * 100)).div(10000);
+            targets.set(pubkey.toLowerCase(), amount);
+            assigned = assigned.add(amount);
+        });
+
+        const [largest] = entries.reduce((max, entry) => (entry[1] > max[1] ? entry : max));
+        if (total.gt(assigned)) {
+            targets.set(largest.toLowerCase(), targets.get(largest.toLowerCase()).add(total.sub(assigned)));
+        }
+        return targets;
+    }
+
+    /**
+     * Plan the operations that move the positions to the target allocation
+     * @param {Array<Object>} positions - Positions from getPositions
+     * @param {Object} allocations - Target percentages by validator pubkey (adding up to 100)
+     * @param {ethers.BigNumber} unboosted - BGT the wallet can queue right now
+     * @param {Object} options - Options
+     * @param {Array<Object>} options.validators - Validators {pubkey, name} for names of new positions
+     * @param {string} options.minChange - Smallest difference in BGT worth an operation (default: config.boosts.rebalanceMinChange)
+     * @returns {Object} Plan {steps: [{action, pubkey, name, amount}], deferred: [{pubkey, name, amount}], total, targets}
+     */
+    static planRebalance(positions, allocations, unboosted, options = {}) {
+        const minChange = ethers.utils.parseEther(String(options.minChange || config.boosts.rebalanceMinChange));
+        const byKey = new Map(positions.map(entry => [entry.pubkey.toLowerCase(), entry]));
+
+        // Drops already queued are on their way out and count as moved; their BGT
+        // stays part of the total, so an earlier rebalance is finished, not shrunk
+        const current = new Map(positions.map(entry => [
+            entry.pubkey.toLowerCase(),
+            entry.active.sub(entry.pendingDrop).add(entry.queued)
+        ]));
+        const total = positions.reduce((sum, entry) => sum.add(entry.active).add(entry.queued), ethers.BigNumber.from(0));
+        if (total.isZero()) {
+            throw ErrorHandler.createValidationError("Nothing is boosted or queued: queue a boost instead of rebalancing");
+        }
+        const targets = BoostRebalancer.computeTargets(total, allocations);
+
+        const nameOf = key => {
+            const known = byKey.get(key) || (options.validators || []).find(validator => validator.pubkey && validator.pubkey.toLowerCase() === key);
+            return known ? known.name : 'Unknown Validator';
+        };
+        const pubkeyOf = key => {
+            const known = byKey.get(key) || (options.validators || []).find(validator => validator.pubkey && validator.pubkey.toLowerCase() === key);
+            return known ? known.pubkey : key;
+        };
+        const step = (action, key, amount) => ({ action, pubkey: pubkeyOf(key), name: nameOf(key), amount });
+
+        const drops = [];
+        const reductions = [];
+        const increases = [];
+        let available = unboosted;
+
+        // Finished drops are sent first and free their BGT for the queue steps
+        positions.filter(entry => entry.dropReady).forEach(entry => {
+            drops.push(step(RebalanceAction.DROP, entry.pubkey.toLowerCase(), entry.pendingDrop));
+            available = available.add(entry.pendingDrop);
+        });
+
+        const keys = new Set([...current.keys(), ...targets.keys()]);
+        for (const key of keys) {
+            const have = current.get(key) || ethers.BigNumber.from(0);
+            const want = targets.get(key) || ethers.BigNumber.from(0);
+
+            if (have.gt(want)) {
+                const excess = have.sub(want);
+                // A validator that leaves the allocation is emptied whatever the amount
+                if (excess.lt(minChange) && want.gt(0)) {
+                    continue;
+                }
+                const entry = byKey.get(key);
+                const cancel = excess.lt(entry.queued) ? excess : entry.queued;
+                if (cancel.gt(0)) {
+                    reductions.push(step(RebalanceAction.CANCEL, key, cancel));
+                    available = available.add(cancel);
+                }
+                if (excess.gt(cancel)) {
+                    reductions.push(step(RebalanceAction.QUEUE_DROP, key, excess.sub(cancel)));
+                }
+            } else if (want.sub(have).gte(minChange)) {
+                increases.push({ key, amount: want.sub(have) });
+            }
+        }
+
+        // Queue what the free BGT covers, largest shortfall first
+        const queues = [];
+        const deferred = [];
+        increases.sort((a, b) => (b.amount.gt(a.amount) ? 1 : b.amount.lt(a.amount) ? -1 : 0)).forEach(({ key, amount }) => {
+            const queued = amount.lt(available) ? amount : available;
+            if (queued.gt(0)) {
+                queues.push(step(RebalanceAction.QUEUE, key, queued));
+                available = available.sub(queued);
+            }
+            if (amount.gt(queued)) {
+                deferred.push({ pubkey: pubkeyOf(key), name: nameOf(key), amount: amount.sub(queued) });
+            }
+        });
+
+        return {
+            steps: [...drops, ...reductions, ...queues],
+            deferred,
+            total,
+            targets
+        };
+    }
+
+    /**
+     * Build the transactions of a plan
+     * @param {string} userAddress - Wallet (or Safe) address
+     * @param {Object} plan - Plan from planRebalance
+     * @returns {Array<Object>} Payloads {to, data, value, metadata}
+     */
+    createTransactions(userAddress, plan) {
+        return plan.steps.map(({ action, pubkey, name, amount }) => {
+            const formattedPubkey = pubkey.startsWith('0x') ? pubkey : `0x${pubkey}`;
+            let data;
+            switch (action) {
+                case RebalanceAction.DROP:
+                    data = this.iface.encodeFunctionData("dropBoost", [userAddress, formattedPubkey]);
+                    break;
+                case RebalanceAction.CANCEL:
+                    data = this.iface.encodeFunctionData("cancelBoost", [formattedPubkey, amount]);
+                    break;
+                case RebalanceAction.QUEUE_DROP:
+                    data = this.iface.encodeFunctionData("queueDropBoost", [formattedPubkey, amount]);
+                    break;
+                case RebalanceAction.QUEUE:
+                    data = this.iface.encodeFunctionData("queueBoost", [formattedPubkey, amount]);
+                    break;
+                default:
+                    throw new Error(`Unknown rebalance action: ${action}`);
+            }
+
+            return {
+                to: config.networks.berachain.validatorBoostAddress,
+                data,
+                value: "0x0",
+                metadata: {
+                    type: 'boostRebalance',
+                    action,
+                    validatorPubkey: formattedPubkey,
+                    validatorName: name,
+                    amount: ethers.utils.formatEther(amount)
+                }
+            };
+        });
+    }
+
+    /**
+     * Describe a plan for the console
+     * @param {Object} plan - Plan from planRebalance
+     * @returns {string} One line per operation and deferred amount
+     */
+    static formatPlan(plan) {
+        const verbs = {
+            [RebalanceAction.DROP]: 'Drop (delay passed)',
+            [RebalanceAction.CANCEL]: 'Cancel queued',
+            [RebalanceAction.QUEUE_DROP]: 'Queue drop of',
+            [RebalanceAction.QUEUE]: 'Queue boost of'
+        };
+        const lines = plan.steps.map(({ action, name, amount }) => `- ${verbs[action]} ${ethers.utils.formatEther(amount)} BGT: ${name}`);
+        plan.deferred.forEach(({ name, amount }) => {
+            lines.push(`- Later (after drops complete): queue ${ethers.utils.formatEther(amount)} BGT: ${name}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+module.exports = {
+    BoostRebalancer,
+    RebalanceAction
+};
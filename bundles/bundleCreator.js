@@ -5,6 +5,9 @@
  * - Claim bundles (for claiming rewards)
  * - Boost bundles (for validator boosting operations)
  * - Swap bundles (for token swaps)
+ * - Disperse bundles (for paying many recipients)
+ * - Activation bundles (for activating queued validator boosts)
+ * - Rebalance bundles (for moving existing boosts to new allocations)
  * 
  * It coordinates between the specialized bundlers for each operation type.
  */
@@ -13,6 +16,12 @@
 const { ClaimBundler } = require('./claims/claimBundler');
 const BoostBundler = require('./boosts/boostBundler'); // RedelegationManager is exported directly
 const SwapBundler = require('./swaps/swapBundler'); // TokenSwapper is exported directly
+const { DisperseBundler } = require('./disperse/disperseBundler');
+const { BoostRebalancer } = require('./boosts/boostRebalancer');
+const BundleRepository = require('../storage/repositories/bundleRepository');
+const GasCostEstimator = require('../execution/adapters/gasCostEstimator');
+const config = require('../config');
+const { ethers } = require('ethers');
 
 /**
  * Bundle types
@@ -21,7 +30,10 @@ const BundleType = {
     CLAIM: 'claim',
     BOOST: 'boost',
     SWAP: 'swap',
-    COMPOUND: 'compound' // Combined claim+boost
+    COMPOUND: 'compound', // Combined claim+boost
+    DISPERSE: 'disperse', // Token payments to many recipients
+    ACTIVATION: 'activation', // Activation of queued boosts
+    REBALANCE: 'rebalance'  // Cancel, drop and queue boosts to match the allocations
 };
 
 /**
@@ -33,6 +45,14 @@ const OutputFormat = {
     SAFE_CLI: 'safe_cli'   // Safe CLI format for command line usage
 };
 
+/**
+ * Tokens that claimed rewards can be swapped into inside a compound bundle
+ */
+const SwapTarget = {
+    BERA: { symbol: 'BERA', address: ethers.constants.AddressZero },
+    HONEY: { symbol: 'HONEY', address: config.networks.berachain.honeyTokenAddress }
+};
+
 /**
  * Execution modes
  */
@@ -55,6 +75,8 @@ class BundleCreator {
         this.claimBundler = null;
         this.boostBundler = null;
         this.swapBundler = null;
+        this.disperseBundler = null;
+        this.bundleRepository = new BundleRepository();
         
         // Direct access to the RewardChecker
         const RewardChecker = require('./claims/rewardChecker');
@@ -126,6 +148,17 @@ class BundleCreator {
         return this.swapBundler;
     }
     
+    /**
+     * Get or create the disperse bundler
+     * @returns {DisperseBundler} Disperse bundler
+     */
+    getDisperseBundler() {
+        if (!this.disperseBundler) {
+            this.disperseBundler = new DisperseBundler(this.provider);
+        }
+        return this.disperseBundler;
+    }
+    
     /**
      * Helper method to get a reference to the app object
      * Attempts to find the app by checking common parent-child relationships
@@ -180,6 +213,12 @@ class BundleCreator {
                 return this.createSwapBundle(options);
             case BundleType.COMPOUND:
                 return this.createCompoundBundle(options);
+            case BundleType.DISPERSE:
+                return this.createDisperseBundle(options);
+            case BundleType.ACTIVATION:
+                return this.createActivationBundle(options);
+            case BundleType.REBALANCE:
+                return this.createRebalanceBundle(options);
             default:
                 throw new Error(`Unknown bundle type: ${bundleType}`);
         }
@@ -199,7 +238,9 @@ class BundleCreator {
             options.format,
             options.name,
             { 
-                redelegate: options.redelegate
+                redelegate: options.redelegate,
+                maxGasPercent: options.maxGasPercent,
+                routes: options.routes
             }
         );
     }
@@ -228,62 +269,367 @@ class BundleCreator {
         return swapBundler.createSwapBundle(
             options.walletAddress,
             options.tokens,
-            options.format
+            options.format,
+            options.name
         );
     }
 
     /**
-     * Create a compound bundle for claiming rewards and boosting validators
+     * Create a compound bundle: claim rewards, optionally swap the claimed tokens, then boost BGT
+     *
+     * All steps are built as raw payloads and formatted together, so a Safe executes
+     * the whole pipeline as one atomic MultiSend transaction. An EOA sends the steps
+     * one at a time and stops at the first failure, so the swaps and boost never run
+     * after a claim that reverted.
+     *
      * @param {Object} options - Compound options
+     * @param {Array} options.rewardInfo - Claimable rewards from RewardChecker
+     * @param {string} options.userAddress - Address that owns the stakes (receives the claimed rewards)
+     * @param {string} options.format - Output format
+     * @param {string} options.name - Name identifier for the bundle
+     * @param {string|number} options.bgtAmount - BGT to boost (0 to skip boosting)
+     * @param {string} options.swapTo - Optional swap target from SwapTarget (BERA or HONEY)
+     * @param {number|null} options.maxGasPercent - Gas guard percentage (default: config.gas.maxClaimCostPercent)
      * @returns {Promise<Object>} Compound bundle
      */
     async createCompoundBundle(options) {
-        // First create a claim bundle
-        const claimBundle = await this.createClaimBundle({
-            rewardInfo: options.rewardInfo,
-            userAddress: options.userAddress,
-            recipientAddress: options.userAddress, // Send to self for compounding
-            format: options.format,
-            name: options.name,
-            redelegate: false // We'll handle redelegation separately
-        });
-
-        // Then create a boost bundle
-        const boostBundle = await this.createBoostBundle({
-            userAddress: options.userAddress,
-            bgtAmount: options.bgtAmount,
-            format: options.format
-        });
-
-        // Combine the transactions
-        if (options.format === OutputFormat.EOA) {
+        const { rewardInfo, userAddress, format, name, swapTo = null } = options;
+        let { bgtAmount = 0 } = options;
+
+        if (!Object.values(OutputFormat).includes(format)) {
+            throw new Error(`Unsupported format for compound bundle: ${format}`);
+        }
+
+        if (swapTo && !SwapTarget[swapTo]) {
+            throw new Error(`Unsupported swap target: ${swapTo} (expected ${Object.keys(SwapTarget).join(', ')})`);
+        }
+
+        // Claim to self so the rewards are available to the swap and boost steps
+        const claimBundler = this.getClaimBundler();
+        const allClaimPayloads = claimBundler.createClaimPayloads(rewardInfo, userAddress, userAddress);
+
+        if (allClaimPayloads.length === 0) {
+            return { success: false, message: "No rewards to claim" };
+        }
+
+        // Leave out dust rewards that cost more gas than they are worth
+        const maxGasPercent = options.maxGasPercent === undefined
+            ? GasCostEstimator.parseMaxPercent()
+            : options.maxGasPercent;
+        const { payloads: claimPayloads, skipped } = await claimBundler.applyGasGuard(allClaimPayloads, userAddress, maxGasPercent);
+
+        if (claimPayloads.length === 0) {
+            return {
+                success: false,
+                message: `Refusing to claim: gas would cost more than ${maxGasPercent}% of every reward (${skipped.length} skipped)`
+            };
+        }
+
+        // Rewards that are left unclaimed can't be swapped or boosted
+        const skippedTargets = new Set(skipped.map(({ payload }) => payload.to.toLowerCase()));
+        const claimedRewards = rewardInfo.filter(item =>
+            !skippedTargets.has((item.vaultAddress || item.address || item.contractAddress || '').toLowerCase())
+        );
+        const skippedBgt = skipped
+            .filter(({ payload }) => payload.metadata.rewardToken && payload.metadata.rewardToken.symbol === 'BGT')
+            .reduce((sum, { payload }) => sum + (parseFloat(payload.metadata.rewardAmount) || 0), 0);
+        if (skippedBgt > 0 && parseFloat(bgtAmount) > 0) {
+            bgtAmount = Math.max(parseFloat(bgtAmount) - skippedBgt, 0);
+        }
+
+        // Swap claimed tokens
+        let swapPayloads = [];
+        let swapResult = null;
+        if (swapTo) {
+            swapResult = await this.createCompoundSwapPayloads(claimedRewards, userAddress, SwapTarget[swapTo]);
+            if (!swapResult.success) {
+                return swapResult;
+            }
+            swapPayloads = swapResult.payloads;
+        }
+
+        // Boost claimed BGT
+        let boostPayloads = [];
+        if (parseFloat(bgtAmount) > 0) {
+            // Reload delegation preferences so the latest allocations are used
+            await this.getBoostBundler().initialize();
+
+            const boostBundle = await this.createBoostBundle({ userAddress, bgtAmount, format });
+            if (boostBundle.success) {
+                boostPayloads = boostBundle.transactions;
+            } else {
+                console.warn(`Warning: Skipping boost step: ${boostBundle.message}`);
+            }
+        }
+
+        const allPayloads = [...claimPayloads, ...swapPayloads, ...boostPayloads];
+        const bundleData = await claimBundler.formatTransactions(allPayloads, format, userAddress, name);
+
+        const saveResult = await this.bundleRepository.saveBundle(bundleData, name, 'compound', format);
+        if (!saveResult.success) {
+            return { success: false, message: `Failed to save bundle: ${saveResult.error}` };
+        }
+
+        // Summarize claimed rewards by token
+        const rewardsByType = {};
+        for (const payload of claimPayloads) {
+            const symbol = payload.metadata.rewardToken.symbol;
+            rewardsByType[symbol] = (rewardsByType[symbol] || 0) + (parseFloat(payload.metadata.rewardAmount) || 0);
+        }
+
+        const rewardSummary = Object.entries(rewardsByType)
+            .map(([symbol, amount]) => `${amount.toFixed(2)} ${symbol}`)
+            .join(", ");
+
+        return {
+            success: true,
+            filepath: saveResult.filepath,
+            bundleData,
+            summary: {
+                vaultCount: claimPayloads.filter(payload => payload.metadata.type === 'vault').length,
+                hasBGTStaker: claimPayloads.some(payload => payload.metadata.type === 'bgtStaker'),
+                rewardsByType,
+                rewardSummary,
+                totalSources: claimPayloads.length,
+                skippedSources: skipped.map(({ name, valueUsd, costUsd }) => ({ name, valueUsd, costUsd })),
+                swapTo,
+                swapCount: swapResult ? swapResult.swapCount : 0,
+                approvalCount: swapResult ? swapResult.approvalCount : 0,
+                expectedSwapOutput: swapResult ? swapResult.formattedTotalExpected : null,
+                redelegationCount: boostPayloads.length,
+                totalTransactions: allPayloads.length,
+                format,
+                includesRedelegation: boostPayloads.length > 0
+            }
+        };
+    }
+
+    /**
+     * Create a bundle paying many recipients from one address
+     * @param {Object} options - Disperse options
+     * @param {Array} options.recipients - Rows from DisperseBundler.parseCsv (address and amount or percentage)
+     * @param {string} options.token - BERA, a token symbol or a token address
+     * @param {string} options.fromAddress - Sender (EOA or Safe) address
+     * @param {string} options.format - Output format
+     * @param {string} options.name - Name identifier for the bundle
+     * @returns {Promise<Object>} Disperse bundle
+     */
+    async createDisperseBundle(options) {
+        const { recipients, token, fromAddress, format, name } = options;
+
+        const result = await this.getDisperseBundler().generateDisperseBundle(
+            recipients, token, fromAddress, format, name
+        );
+        if (!result.success) {
+            return result;
+        }
+
+        const saveResult = await this.bundleRepository.saveBundle(result.bundleData, name, BundleType.DISPERSE, format);
+        if (!saveResult.success) {
+            return { success: false, message: `Failed to save bundle: ${saveResult.error}` };
+        }
+
+        return {
+            success: true,
+            filepath: saveResult.filepath,
+            bundleData: result.bundleData,
+            summary: result.summary
+        };
+    }
+
+    /**
+     * Create a bundle activating every queued boost whose activation delay has passed
+     * @param {Object} options - Activation options
+     * @param {string} options.userAddress - Address whose boosts are queued (the wallet or a Safe)
+     * @param {string} options.format - Output format
+     * @param {string} options.name - Name identifier for the bundle
+     * @returns {Promise<Object>} Activation bundle, with the boosts still waiting in the summary
+     */
+    async createActivationBundle(options) {
+        const { userAddress, format, name } = options;
+
+        if (!Object.values(OutputFormat).includes(format)) {
+            throw new Error(`Unsupported format for activation bundle: ${format}`);
+        }
+
+        const queuedBoosts = await this.rewardChecker.getUserQueuedBoosts(userAddress);
+        if (queuedBoosts.length === 0) {
+            return { success: false, message: "No queued boosts" };
+        }
+
+        const boostBundler = this.getBoostBundler();
+        const { ready, waiting, currentBlock } = await boostBundler.findReadyBoosts(queuedBoosts);
+        const waitingSummary = waiting.map(({ name: validatorName, pubkey, queuedBoostAmount, blocksLeft }) => ({
+            name: validatorName, pubkey, amount: queuedBoostAmount, blocksLeft
+        }));
+
+        if (ready.length === 0) {
             return {
-                ...claimBundle,
-                bundleData: [...claimBundle.bundleData, ...boostBundle.transactions],
-                summary: {
-                    ...claimBundle.summary,
-                    redelegationCount: boostBundle.transactions.length,
-                    totalTransactions: claimBundle.bundleData.length + boostBundle.transactions.length,
-                    includesRedelegation: true
-                }
+                success: false,
+                message: `None of the ${waiting.length} queued boosts can be activated yet (next in ${Math.min(...waiting.map(boost => boost.blocksLeft))} blocks)`,
+                summary: { waiting: waitingSummary, currentBlock }
             };
-        } else if (options.format === OutputFormat.SAFE_UI) {
+        }
+
+        const activationResult = boostBundler.createActivationTransactions(userAddress, ready);
+        if (!activationResult.success) {
+            return activationResult;
+        }
+
+        const bundleData = await this.getClaimBundler().formatTransactions(activationResult.transactions, format, userAddress, name);
+
+        const saveResult = await this.bundleRepository.saveBundle(bundleData, name, BundleType.ACTIVATION, format);
+        if (!saveResult.success) {
+            return { success: false, message: `Failed to save bundle: ${saveResult.error}` };
+        }
+
+        return {
+            success: true,
+            filepath: saveResult.filepath,
+            bundleData,
+            summary: {
+                activations: activationResult.transactions.map(({ metadata }) => ({
+                    name: metadata.validatorName, pubkey: metadata.validatorPubkey, amount: metadata.amount
+                })),
+                totalAmount: activationResult.summary.totalAmount,
+                waiting: waitingSummary,
+                currentBlock,
+                totalTransactions: activationResult.transactions.length,
+                format
+            }
+        };
+    }
+
+    /**
+     * Create a bundle moving the existing boosts to the delegation preferences' allocations
+     * @param {Object} options - Rebalance options
+     * @param {string} options.userAddress - Address whose boosts are rebalanced (the wallet or a Safe)
+     * @param {string} options.format - Output format
+     * @param {string} options.name - Name identifier for the bundle
+     * @param {Object} options.allocations - Target percentages by pubkey (default: the address's delegation preferences)
+     * @returns {Promise<Object>} Rebalance bundle, with the plan in the summary
+     */
+    async createRebalanceBundle(options) {
+        const { userAddress, format, name } = options;
+
+        if (!Object.values(OutputFormat).includes(format)) {
+            throw new Error(`Unsupported format for rebalance bundle: ${format}`);
+        }
+
+        // Reload delegation preferences so the latest allocations are used
+        const boostBundler = this.getBoostBundler();
+        await boostBundler.initialize();
+        const userPrefs = boostBundler.getUserPreferences(userAddress);
+        const allocations = options.allocations || userPrefs.allocations || {};
+        if (Object.values(allocations).reduce((sum, percent) => sum + percent, 0) === 0) {
+            return { success: false, message: "No delegation preferences found" };
+        }
+
+        const rebalancer = new BoostRebalancer(this.provider, this.rewardChecker);
+        const { positions, unboosted } = await rebalancer.getPositions(userAddress);
+        const plan = BoostRebalancer.planRebalance(positions, allocations, unboosted, { validators: userPrefs.validators });
+        const summary = {
+            plan: BoostRebalancer.formatPlan(plan),
+            steps: plan.steps.map(({ action, name: validatorName, pubkey, amount }) => ({
+                action, name: validatorName, pubkey, amount: ethers.utils.formatEther(amount)
+            })),
+            deferred: plan.deferred.map(({ name: validatorName, pubkey, amount }) => ({
+                name: validatorName, pubkey, amount: ethers.utils.formatEther(amount)
+            })),
+            totalBoosted: ethers.utils.formatEther(plan.total),
+            totalTransactions: plan.steps.length,
+            format
+        };
+
+        if (plan.steps.length === 0) {
             return {
-                ...claimBundle,
-                bundleData: {
-                    ...claimBundle.bundleData,
-                    transactions: [...claimBundle.bundleData.transactions, ...boostBundle.transactions]
-                },
-                summary: {
-                    ...claimBundle.summary,
-                    redelegationCount: boostBundle.transactions.length,
-                    totalTransactions: claimBundle.bundleData.transactions.length + boostBundle.transactions.length,
-                    includesRedelegation: true
-                }
+                success: false,
+                message: plan.deferred.length > 0
+                    ? "Nothing can be moved yet: wait for the queued drops to pass their delay"
+                    : "Boosts already match the allocations",
+                summary
             };
-        } else {
-            throw new Error(`Unsupported format for compound bundle: ${options.format}`);
         }
+
+        const transactions = rebalancer.createTransactions(userAddress, plan);
+        const bundleData = await this.getClaimBundler().formatTransactions(transactions, format, userAddress, name);
+
+        const saveResult = await this.bundleRepository.saveBundle(bundleData, name, BundleType.REBALANCE, format);
+        if (!saveResult.success) {
+            return { success: false, message: `Failed to save bundle: ${saveResult.error}` };
+        }
+
+        return { success: true, filepath: saveResult.filepath, bundleData, summary };
+    }
+
+    /**
+     * Create approval and swap payloads for the tokens claimed in a compound bundle
+     * BGT is not transferable and the swap target itself is never swapped.
+     * @param {Array} rewardInfo - Claimable rewards from RewardChecker
+     * @param {string} userAddress - Address that receives the claimed rewards
+     * @param {Object} target - Swap target from SwapTarget
+     * @returns {Promise<Object>} Result {success, payloads, swapCount, approvalCount, formattedTotalExpected}
+     */
+    async createCompoundSwapPayloads(rewardInfo, userAddress, target) {
+        // Total claimed amount per token, summed in raw units to keep full precision
+        const tokens = new Map();
+        for (const item of rewardInfo) {
+            const token = item.rewardToken;
+            if (!token || !token.address || !item.rawEarned || token.symbol === 'BGT' ||
+                token.address.toLowerCase() === target.address.toLowerCase()) {
+                continue;
+            }
+
+            const key = token.address.toLowerCase();
+            const existing = tokens.get(key);
+            tokens.set(key, {
+                ...token,
+                rawAmount: existing ? existing.rawAmount.add(item.rawEarned) : ethers.BigNumber.from(item.rawEarned)
+            });
+        }
+
+        const tokensToSwap = [...tokens.values()]
+            .filter(token => !token.rawAmount.isZero())
+            .map(token => ({
+                symbol: token.symbol,
+                address: token.address,
+                decimals: token.decimals || 18,
+                amount: ethers.utils.formatUnits(token.rawAmount, token.decimals || 18)
+            }));
+
+        if (tokensToSwap.length === 0) {
+            console.log(`No claimed tokens to swap into ${target.symbol}`);
+            return { success: true, payloads: [], swapCount: 0, approvalCount: 0, formattedTotalExpected: null };
+        }
+
+        const tokenService = this.getSwapBundler().tokenService;
+        const swapBundle = await tokenService.createSwapBundle(userAddress, tokensToSwap, target);
+
+        if (swapBundle.error) {
+            return { success: false, message: `Failed to create swap transactions: ${swapBundle.error}` };
+        }
+
+        const approvalTxs = await tokenService.getTokenApprovals(userAddress, tokensToSwap);
+
+        // Attach metadata so the formatted bundle can describe each step
+        const payloads = [
+            ...approvalTxs.map(tx => ({
+                ...tx,
+                metadata: { type: 'approval', token: tx.token }
+            })),
+            ...swapBundle.transactions.map(tx => ({
+                ...tx,
+                metadata: { type: 'swap', token: tx.token, tokenOut: target.symbol, quote: tx.quote }
+            }))
+        ];
+
+        return {
+            success: true,
+            payloads,
+            swapCount: swapBundle.transactions.length,
+            approvalCount: approvalTxs.length,
+            formattedTotalExpected: swapBundle.formattedTotalExpectedBera
+        };
     }
 }
 
@@ -291,5 +637,6 @@ module.exports = {
     BundleCreator,
     BundleType,
     OutputFormat,
+    SwapTarget,
     ExecutionMode
 };
\ No newline at end of file
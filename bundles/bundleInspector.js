@@ -0,0 +1,462 @@
+/**
+ * bundleInspector.js - Human-readable bundle decoding and diffs
+ *
+ * Decodes every transaction of a saved bundle (reward claims, boosts, approvals,
+ * router swaps and MultiSend payloads) with the ABIs in config.abis, names the
+ * contracts and tokens involved from the local metadata files and formats
+ * amounts with the right decimals. Two bundles can be diffed call by call so
+ * reviewers of a Safe proposal can see exactly what will run.
+ */
+
+const fs = require('fs').promises;
+const { ethers } = require('ethers');
+const config = require('../config');
+const { ErrorHandler } = require('../utils/errorHandler');
+
+/**
+ * Kind of a line in a bundle diff
+ */
+const DiffType = {
+    UNCHANGED: 'unchanged',
+    ADDED: 'added',
+    REMOVED: 'removed',
+    CHANGED: 'changed'
+};
+
+/**
+ * ABIs tried in order when decoding call data
+ */
+const DECODE_ABIS = ['rewardVault', 'bgtStaker', 'delegationRewards', 'validatorBoost', 'erc20', 'obRouter', 'multiSend'];
+
+/**
+ * Decodes and compares saved bundles
+ */
+class BundleInspector {
+    /**
+     * Create a new BundleInspector
+     */
+    constructor() {
+        this.interfaces = DECODE_ABIS.map(name => new ethers.utils.Interface(config.abis[name]));
+        this.tokens = new Map();
+        this.contracts = new Map();
+        this.validators = new Map();
+        this.metadataLoaded = false;
+    }
+
+    /**
+     * Read a metadata file, returning a fallback if it is missing or invalid
+     * @param {string} filepath - Metadata file path
+     * @param {any} fallback - Value to return when the file can't be read
+     * @returns {Promise<any>} Parsed file content
+     */
+    async readMetadataFile(filepath, fallback) {
+        try {
+            return JSON.parse(await fs.readFile(filepath, 'utf8'));
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Load token, vault and validator names from the local metadata files
+     * Nothing is fetched; run `metadata update` first for complete names.
+     */
+    async loadMetadata() {
+        if (this.metadataLoaded) {
+            return;
+        }
+
+        const network = config.currentNetwork;
+
+        this.tokens.set(ethers.constants.AddressZero, { symbol: 'BERA', decimals: 18 });
+        this.tokens.set(network.validatorBoostAddress.toLowerCase(), { symbol: 'BGT', decimals: 18 });
+        this.tokens.set(network.honeyTokenAddress.toLowerCase(), { symbol: 'HONEY', decimals: 18 });
+
+        const tokens = await this.readMetadataFile(config.paths.tokensFile, {});
+        const tokenList = Array.isArray(tokens) ? tokens : Object.entries(tokens).map(([address, token]) => ({ address, ...token }));
+        for (const token of tokenList) {
+            if (token.address && token.symbol && !this.tokens.has(token.address.toLowerCase())) {
+                this.tokens.set(token.address.toLowerCase(), { symbol: token.symbol, decimals: token.decimals || 18 });
+            }
+        }
+
+        this.contracts.set(network.validatorBoostAddress.toLowerCase(), 'BGT (validator boosts)');
+        this.contracts.set(network.bgtStakerAddress.toLowerCase(), 'BGT Staker');
+        this.contracts.set(network.delegationRewardsAddress.toLowerCase(), 'Delegation Rewards');
+        this.contracts.set(network.safe.multiSendAddress.toLowerCase(), 'Safe MultiSend');
+        this.contracts.set(network.safe.multiSendCallsOnlyAddress.toLowerCase(), 'Safe MultiSendCallsOnly');
+
+        const vaults = await this.readMetadataFile(config.paths.vaultsFile, []);
+        for (const vault of Array.isArray(vaults) ? vaults : []) {
+            const address = vault.vaultAddress || vault.address;
+            if (address) {
+                this.contracts.set(address.toLowerCase(), `${vault.name || 'Reward Vault'} vault`);
+            }
+        }
+
+        const validators = await this.readMetadataFile(config.paths.validatorsFile, []);
+        for (const validator of Array.isArray(validators) ? validators : []) {
+            const pubkey = validator.pubkey || validator.id;
+            if (pubkey) {
+                this.validators.set(pubkey.toLowerCase(), validator.name || 'Unknown Validator');
+            }
+        }
+
+        this.metadataLoaded = true;
+    }
+
+    /**
+     * Get token symbol and decimals for an address
+     * @param {string} address - Token address
+     * @returns {Object} Token {symbol, decimals}; unknown tokens use a short address and 18 decimals
+     */
+    getToken(address) {
+        return this.tokens.get(address.toLowerCase()) || {
+            symbol: `${address.slice(0, 6)}...${address.slice(-4)}`,
+            decimals: 18
+        };
+    }
+
+    /**
+     * Label an address with its known contract or token name
+     * @param {string} address - Address to label
+     * @returns {string} Address followed by its name, if known
+     */
+    labelAddress(address) {
+        const key = address.toLowerCase();
+        const name = this.contracts.get(key) || (this.tokens.has(key) ? this.tokens.get(key).symbol : null);
+        return name ? `${address} (${name})` : address;
+    }
+
+    /**
+     * Format a raw token amount
+     * @param {ethers.BigNumber} amount - Raw amount
+     * @param {string} tokenAddress - Token address
+     * @returns {string} Amount with decimals applied and symbol, or "unlimited" for max approvals
+     */
+    formatAmount(amount, tokenAddress) {
+        const token = this.getToken(tokenAddress);
+        if (amount.eq(ethers.constants.MaxUint256)) {
+            return `unlimited ${token.symbol}`;
+        }
+        return `${ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`;
+    }
+
+    /**
+     * Get the transactions of a parsed bundle file in any of the saved formats
+     * @param {Object|Array} bundleData - Parsed bundle file content
+     * @returns {Array<Object>} Transactions {to, data, value}
+     * @throws {Error} If the file has no transactions
+     */
+    static getTransactions(bundleData) {
+        const transactions = Array.isArray(bundleData) ? bundleData : bundleData && bundleData.transactions;
+
+        if (!Array.isArray(transactions)) {
+            throw ErrorHandler.createValidationError("Bundle file has no transactions array");
+        }
+
+        return transactions;
+    }
+
+    /**
+     * Split a MultiSend payload into its transactions
+     * @param {string} packed - Packed transactions from multiSend(bytes)
+     * @returns {Array<Object>} Transactions {operation, to, value, data}
+     */
+    static unpackMultiSend(packed) {
+        const bytes = ethers.utils.arrayify(packed);
+        const transactions = [];
+        let offset = 0;
+
+        while (offset < bytes.length) {
+            const dataLength = ethers.BigNumber.from(bytes.slice(offset + 53, offset + 85)).toNumber();
+            transactions.push({
+                operation: bytes[offset],
+                to: ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(offset + 1, offset + 21))),
+                value: ethers.BigNumber.from(bytes.slice(offset + 21, offset + 53)).toString(),
+                data: ethers.utils.hexlify(bytes.slice(offset + 85, offset + 85 + dataLength))
+            });
+            offset += 85 + dataLength;
+        }
+
+        return transactions;
+    }
+
+    /**
+     * Decode call data with the first known ABI that matches its selector
+     * @param {string} data - Call data
+     * @returns {ethers.utils.TransactionDescription|null} Parsed call, or null if unknown
+     */
+    parseCallData(data) {
+        for (const iface of this.interfaces) {
+            try {
+                return iface.parseTransaction({ data });
+            } catch (error) {
+                // Not a function of this ABI
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Describe a decoded argument for display
+     * @param {ethers.utils.ParamType} param - ABI parameter
+     * @param {any} value - Decoded value
+     * @param {Object} context - Call context {method, to, args}
+     * @returns {string} Display value
+     */
+    describeArgument(param, value, context) {
+        if (param.type === 'address') {
+            return this.labelAddress(value);
+        }
+
+        if (param.name === 'pubkey') {
+            const name = this.validators.get(value.toLowerCase());
+            return name ? `${value.slice(0, 10)}...${value.slice(-6)} (${name})` : value;
+        }
+
+        if (param.type === 'bytes' && value.length > 66) {
+            return `${value.slice(0, 66)}... (${ethers.utils.hexDataLength(value)} bytes)`;
+        }
+
+        if (ethers.BigNumber.isBigNumber(value)) {
+            // Amounts are formatted in the token the call moves
+            if (['approve', 'transfer', 'transferFrom'].includes(context.method) && param.name === 'amount') {
+                return this.formatAmount(value, context.to);
+            }
+            if (['queueBoost', 'cancelBoost'].includes(context.method) && param.name === 'amount') {
+                return this.formatAmount(value, config.currentNetwork.validatorBoostAddress);
+            }
+            return value.toString();
+        }
+
+        if (param.baseType === 'tuple' && context.method === 'swap') {
+            const info = value;
+            return `${this.formatAmount(info.inputAmount, info.inputToken)} → ` +
+                `~${this.formatAmount(info.outputQuote, info.outputToken)} ` +
+                `(min ${this.formatAmount(info.outputMin, info.outputToken)}) to ${this.labelAddress(info.outputReceiver)}`;
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Decode a single transaction
+     * @param {Object} tx - Transaction {to, data, value}
+     * @param {number} index - Position in the bundle
+     * @returns {Object} Decoded call {index, to, target, value, method, args, calls}
+     */
+    decodeTransaction(tx, index) {
+        const to = ethers.utils.getAddress(tx.to);
+        const data = tx.data || '0x';
+        const value = ethers.BigNumber.from(tx.value || 0);
+
+        const decoded = {
+            index,
+            to,
+            target: this.labelAddress(to),
+            value: value.isZero() ? null : this.formatAmount(value, ethers.constants.AddressZero),
+            selector: data.slice(0, 10),
+            method: null,
+            signature: null,
+            args: []
+        };
+
+        if (data === '0x') {
+            decoded.method = 'transfer';
+            return decoded;
+        }
+
+        const parsed = this.parseCallData(data);
+        if (!parsed) {
+            decoded.method = `unknown ${decoded.selector}`;
+            return decoded;
+        }
+
+        decoded.method = parsed.name;
+        decoded.signature = parsed.signature;
+        decoded.args = parsed.functionFragment.inputs.map((param, i) => ({
+            name: param.name || `arg${i}`,
+            type: param.type,
+            value: this.describeArgument(param, parsed.args[i], { method: parsed.name, to, args: parsed.args })
+        }));
+
+        if (parsed.name === 'multiSend') {
+            decoded.args = [];
+            decoded.calls = BundleInspector.unpackMultiSend(parsed.args[0])
+                .map((inner, i) => ({
+                    ...this.decodeTransaction(inner, i),
+                    delegateCall: inner.operation === 1
+                }));
+        }
+
+        return decoded;
+    }
+
+    /**
+     * Decode every transaction of a parsed bundle file
+     * @param {Object|Array} bundleData - Parsed bundle file content
+     * @returns {Promise<Object>} Inspection {name, description, transactions}
+     */
+    async inspect(bundleData) {
+        await this.loadMetadata();
+
+        const transactions = BundleInspector.getTransactions(bundleData);
+        const meta = (!Array.isArray(bundleData) && bundleData.meta) || {};
+
+        return {
+            name: meta.name || null,
+            description: meta.description || null,
+            transactionCount: transactions.length,
+            transactions: transactions.map((tx, index) => this.decodeTransaction(tx, index))
+        };
+    }
+
+    /**
+     * Format one decoded call as a single line
+     * @param {Object} call - Decoded call
+     * @returns {string} Call summary
+     */
+    static formatCall(call) {
+        const args = call.calls
+            ? `${call.calls.length} calls`
+            : call.args.map(arg => `${arg.name}=${arg.value}`).join(', ');
+        const value = call.value ? ` [value ${call.value}]` : '';
+        return `${call.method}(${args})${value} → ${call.target}`;
+    }
+
+    /**
+     * Format an inspection for the console
+     * @param {Object} inspection - Result from inspect
+     * @returns {string} Report text
+     */
+    static formatInspection(inspection) {
+        const lines = [];
+
+        if (inspection.name) {
+            lines.push(inspection.name);
+        }
+        lines.push(`${inspection.transactionCount} transactions:`);
+        lines.push(...BundleInspector.formatCalls(inspection.transactions, '  '));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format decoded calls as numbered lines, with MultiSend payloads indented below their call
+     * @param {Array<Object>} calls - Decoded calls
+     * @param {string} indent - Indentation of the top-level calls
+     * @returns {Array<string>} Lines
+     */
+    static formatCalls(calls, indent) {
+        return calls.flatMap(call => [
+            `${indent}${call.index + 1}. ${call.delegateCall ? '[delegatecall] ' : ''}${BundleInspector.formatCall(call)}`,
+            ...(call.calls ? BundleInspector.formatCalls(call.calls, indent + '    ') : [])
+        ]);
+    }
+
+    /**
+     * Flatten decoded calls, expanding MultiSend payloads into their inner calls
+     * @param {Array<Object>} calls - Decoded calls
+     * @returns {Array<Object>} Calls with a display line and a comparison key
+     */
+    static flattenCalls(calls) {
+        return calls.flatMap(call => call.calls
+            ? BundleInspector.flattenCalls(call.calls)
+            : [{ ...call, line: BundleInspector.formatCall(call), key: `${call.to}:${call.method}` }]);
+    }
+
+    /**
+     * Compare two bundles call by call
+     *
+     * Calls are aligned with a longest common subsequence on their decoded text,
+     * so inserted or removed calls don't show the rest of the bundle as changed.
+     * A removed and an added call to the same function of the same contract are
+     * reported as one changed call with its argument differences.
+     *
+     * @param {Object|Array} before - Parsed content of the first bundle file
+     * @param {Object|Array} after - Parsed content of the second bundle file
+     * @returns {Promise<Object>} Diff {entries, added, removed, changed, unchanged}
+     */
+    async diff(before, after) {
+        const left = BundleInspector.flattenCalls((await this.inspect(before)).transactions);
+        const right = BundleInspector.flattenCalls((await this.inspect(after)).transactions);
+
+        // Longest common subsequence table on the formatted calls
+        const lcs = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+        for (let i = left.length - 1; i >= 0; i--) {
+            for (let j = right.length - 1; j >= 0; j--) {
+                lcs[i][j] = left[i].line === right[j].line
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const entries = [];
+        let i = 0;
+        let j = 0;
+        while (i < left.length || j < right.length) {
+            if (i < left.length && j < right.length && left[i].line === right[j].line) {
+                entries.push({ type: DiffType.UNCHANGED, before: left[i++], after: right[j++] });
+            } else if (i < left.length && j < right.length && left[i].key === right[j].key &&
+                       lcs[i + 1][j + 1] === lcs[i][j]) {
+                entries.push({ type: DiffType.CHANGED, before: left[i++], after: right[j++] });
+            } else if (j < right.length && (i >= left.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                entries.push({ type: DiffType.ADDED, after: right[j++] });
+            } else {
+                entries.push({ type: DiffType.REMOVED, before: left[i++] });
+            }
+        }
+
+        entries
+            .filter(entry => entry.type === DiffType.CHANGED)
+            .forEach(entry => {
+                entry.changes = entry.after.args
+                    .map((arg, k) => ({ name: arg.name, before: entry.before.args[k] && entry.before.args[k].value, after: arg.value }))
+                    .filter(change => change.before !== change.after);
+                if (entry.before.value !== entry.after.value) {
+                    entry.changes.push({ name: 'value', before: entry.before.value || '0', after: entry.after.value || '0' });
+                }
+            });
+
+        const count = type => entries.filter(entry => entry.type === type).length;
+
+        return {
+            entries,
+            added: count(DiffType.ADDED),
+            removed: count(DiffType.REMOVED),
+            changed: count(DiffType.CHANGED),
+            unchanged: count(DiffType.UNCHANGED)
+        };
+    }
+
+    /**
+     * Format a diff for the console
+     * @param {Object} diff - Result from diff
+     * @returns {string} Diff text with +, -, ~ and = markers
+     */
+    static formatDiff(diff) {
+        const lines = diff.entries.map(entry => {
+            switch (entry.type) {
+                case DiffType.ADDED:
+                    return `+ ${entry.after.line}`;
+                case DiffType.REMOVED:
+                    return `- ${entry.before.line}`;
+                case DiffType.CHANGED:
+                    return [`~ ${entry.after.method} → ${entry.after.target}`]
+                        .concat(entry.changes.map(change => `    ${change.name}: ${change.before} → ${change.after}`))
+                        .join('\n');
+                default:
+                    return `= ${entry.after.line}`;
+            }
+        });
+
+        lines.push(`\n${diff.added} added, ${diff.removed} removed, ${diff.changed} changed, ${diff.unchanged} unchanged`);
+        return lines.join('\n');
+    }
+}
+
+module.exports = {
+    BundleInspector,
+    DiffType
+};
@@ -7,6 +7,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const config = require('../../config');
 const { ErrorHandler } = require('../../utils/errorHandler');
+const { BundleSchema } = require('../../storage/schemas/bundleSchema');
+const { FeeOracle } = require('../../execution/adapters/feeOracle');
+const GasCostEstimator = require('../../execution/adapters/gasCostEstimator');
+const PreferencesRepository = require('../../storage/repositories/preferencesRepository');
+const { RewardRouter, RewardSource } = require('./rewardRouter');
 
 /**
  * Output formats for claim bundles
@@ -29,6 +34,72 @@ class ClaimBundler {
         
         // Flag to indicate if we should set safeTxGas to 0 to avoid GS013 errors
         this.useSafeTxGasWorkaround = true;
+        
+        // Created on first use, since it needs the token price API
+        this.gasCostEstimator = null;
+        
+        // Only needed when no app (and its preferences) is running
+        this.preferencesRepository = null;
+    }
+    
+    /**
+     * Load a wallet's reward routing rules from the preferences
+     * @param {string} userAddress - Wallet address
+     * @returns {Promise<Array<Object>>} Routing rules (empty if none are set)
+     */
+    async loadRewardRoutes(userAddress) {
+        try {
+            if (global.app && global.app.preferencesRepository) {
+                return global.app.preferencesRepository.getRewardRoutes(userAddress);
+            }
+            if (!this.preferencesRepository) {
+                this.preferencesRepository = new PreferencesRepository();
+                await this.preferencesRepository.initialize();
+            }
+            return this.preferencesRepository.getRewardRoutes(userAddress);
+        } catch (error) {
+            ErrorHandler.handle(error, 'ClaimBundler.loadRewardRoutes');
+            return [];
+        }
+    }
+    
+    /**
+     * Get the gas cost estimator used by the claim guard
+     * @returns {GasCostEstimator} Gas cost estimator
+     */
+    getGasCostEstimator() {
+        if (!this.gasCostEstimator) {
+            this.gasCostEstimator = new GasCostEstimator(this.provider);
+        }
+        return this.gasCostEstimator;
+    }
+    
+    /**
+     * Leave out claims that cost more gas than a percentage of their reward value
+     * @param {Array} payloads - Claim payloads
+     * @param {string} fromAddress - Address that sends the claims
+     * @param {number|null} maxPercent - Highest gas cost in percent of the reward value (null turns the guard off)
+     * @returns {Promise<Object>} Result {payloads, skipped}
+     */
+    async applyGasGuard(payloads, fromAddress, maxPercent) {
+        if (maxPercent === null || payloads.length === 0) {
+            return { payloads, skipped: [] };
+        }
+        
+        try {
+            // Forwards are judged with their claim, and dropped with it
+            const claims = payloads.filter(payload => payload.metadata.type !== 'rewardForward');
+            const result = await this.getGasCostEstimator().filterUneconomicClaims(claims, fromAddress, maxPercent);
+            const kept = payloads.filter(payload => payload.metadata.type === 'rewardForward'
+                ? result.payloads.some(claim => claim.to === payload.metadata.claimContract)
+                : result.payloads.includes(payload));
+            return { payloads: kept, skipped: result.skipped };
+        } catch (error) {
+            // The guard only saves gas - claiming must still work without prices or fees
+            ErrorHandler.handle(error, 'ClaimBundler.applyGasGuard');
+            console.log(`⚠️ Claims were not checked against their gas cost: ${error.message}`);
+            return { payloads, skipped: [] };
+        }
     }
 
     /**
@@ -42,14 +113,59 @@ class ClaimBundler {
         }
     }
 
+    /**
+     * Create a transfer that forwards a claimed reward to the recipient its routing rule names
+     * BGT Staker and delegation rewards can only be claimed to the wallet itself,
+     * so they are routed by sending the claimed amount on right after the claim.
+     * @param {Object} item - Reward item from RewardChecker
+     * @param {string} source - Reward source from RewardSource
+     * @param {Array<Object>} routes - Wallet's routing rules
+     * @param {string} userAddress - Wallet that claims the reward
+     * @returns {Object|null} Transfer payload, or null if the reward stays with the wallet
+     */
+    createForwardPayload(item, source, routes, userAddress) {
+        const rule = RewardRouter.findRule(routes, source, item.rewardToken);
+        if (!rule || rule.recipient.toLowerCase() === userAddress.toLowerCase()) {
+            return null;
+        }
+
+        const name = item.name || source;
+        if (!item.rawEarned || !item.rewardToken || !item.rewardToken.address) {
+            console.warn(`Warning: ${name} rewards stay with ${userAddress}: the claimable amount is unknown, so they can't be forwarded to ${rule.recipient}`);
+            return null;
+        }
+
+        const iface = new ethers.utils.Interface(config.abis.erc20);
+
+        return {
+            to: item.rewardToken.address,
+            data: iface.encodeFunctionData("transfer", [rule.recipient, item.rawEarned]),
+            value: "0x0",
+            metadata: {
+                type: 'rewardForward',
+                source,
+                name,
+                claimContract: item.contractAddress,
+                token: item.rewardToken,
+                amount: item.earned,
+                recipient: rule.recipient,
+                routedBy: RewardRouter.describe(rule)
+            }
+        };
+    }
+
     /**
      * Create claim payloads from reward information
+     * Routing rules pick the recipient per reward source and token; rewards
+     * without a matching rule go to recipientAddress (vaults) or stay with the
+     * wallet (BGT Staker, delegation rewards).
      * @param {Array} rewardInfo - Reward information from RewardChecker
      * @param {string} userAddress - User address
      * @param {string} recipientAddress - Recipient address for rewards
-     * @returns {Array} Claim payloads
+     * @param {Array<Object>} routes - Reward routing rules from the preferences (default: none)
+     * @returns {Array} Claim payloads, each routed BGT Staker or delegation claim followed by its forward
      */
-    createClaimPayloads(rewardInfo, userAddress, recipientAddress) {
+    createClaimPayloads(rewardInfo, userAddress, recipientAddress, routes = []) {
         try {
             const claimPayloads = [];
 
@@ -75,11 +191,20 @@ class ClaimBundler {
                                 name: item.name || 'Honey Pool',
                                 contractAddress: item.contractAddress,
                                 rewardToken: item.rewardToken,
-                                rewardAmount: item.earned
+                                rewardAmount: item.earned,
+                                recipient: userAddress,
+                                routedBy: null
                             }
                         };
 
                         claimPayloads.push(payload);
+
+                        const forward = this.createForwardPayload(item, RewardSource.BGT_STAKER, routes, userAddress);
+                        if (forward) {
+                            payload.metadata.recipient = forward.metadata.recipient;
+                            payload.metadata.routedBy = forward.metadata.routedBy;
+                            claimPayloads.push(forward);
+                        }
                     } else if (item.type === 'delegationRewards') {
                         // Handle Delegation Rewards claim
                         const iface = new ethers.utils.Interface([
@@ -98,21 +223,34 @@ class ClaimBundler {
                                 name: item.name || 'Bera Chain Validators',
                                 contractAddress: item.contractAddress,
                                 rewardToken: item.rewardToken,
-                                rewardAmount: item.earned
+                                rewardAmount: item.earned,
+                                recipient: userAddress,
+                                routedBy: null
                             }
                         };
 
                         claimPayloads.push(payload);
+
+                        const forward = this.createForwardPayload(item, RewardSource.DELEGATION, routes, userAddress);
+                        if (forward) {
+                            payload.metadata.recipient = forward.metadata.recipient;
+                            payload.metadata.routedBy = forward.metadata.routedBy;
+                            claimPayloads.push(forward);
+                        }
                     } else {
                         // Handle vault claim
                         const iface = new ethers.utils.Interface([
                             "function getReward(address account, address recipient) external returns (uint256)"
                         ]);
 
+                        // Vaults pay out to any recipient, so routed rewards go there directly
+                        const rule = RewardRouter.findRule(routes, RewardSource.VAULT, item.rewardToken);
+                        const vaultRecipient = rule ? rule.recipient : recipientAddress;
+
                         // Encode function call for vault
                         const data = iface.encodeFunctionData("getReward", [
                             userAddress,
-                            recipientAddress
+                            vaultRecipient
                         ]);
 
                         // Get the vault address, supporting both field names
@@ -132,7 +270,9 @@ class ClaimBundler {
                                 vaultAddress: vaultAddress,
                                 stakingToken: item.stakeToken,
                                 rewardToken: item.rewardToken,
-                                rewardAmount: item.earned
+                                rewardAmount: item.earned,
+                                recipient: vaultRecipient,
+                                routedBy: rule ? RewardRouter.describe(rule) : null
                             }
                         };
 
@@ -249,9 +389,7 @@ class ClaimBundler {
                             data: payload.data,
                             value: payload.value || "0x0",
                             gasLimit: payload.gasLimit,
-                            maxFeePerGas: config.gas.maxFeePerGas,
-                            maxPriorityFeePerGas: config.gas.maxPriorityFeePerGas,
-                            type: "0x2", // EIP-1559 transaction
+                            type: "0x2", // EIP-1559 transaction, fees are set when it is sent
                             chainId
                         };
                     });
@@ -267,6 +405,9 @@ class ClaimBundler {
                     let vaultCount = 0;
                     let bgtStakerCount = 0;
                     let validatorBoosts = [];
+                    let activations = [];
+                    let rebalanceSteps = [];
+                    let swaps = [];
                     
                     for (const payload of payloads) {
                         if (payload.metadata) {
@@ -274,12 +415,18 @@ class ClaimBundler {
                                 vaultCount++;
                             } else if (payload.metadata.type === 'bgtStaker') {
                                 bgtStakerCount++;
+                            } else if (payload.metadata.type === 'swap') {
+                                swaps.push(payload.metadata);
                             } else if (payload.metadata.type === 'validatorBoost') {
                                 validatorBoosts.push({
                                     name: payload.metadata.validatorName,
                                     amount: payload.metadata.amount,
                                     allocation: payload.metadata.allocation
                                 });
+                            } else if (payload.metadata.type === 'boostActivation') {
+                                activations.push(payload.metadata);
+                            } else if (payload.metadata.type === 'boostRebalance') {
+                                rebalanceSteps.push(payload.metadata);
                             }
                         }
                     }
@@ -315,6 +462,14 @@ class ClaimBundler {
                         description += `\n- ${delegationRewardsCount} Delegation Rewards claim(s) from ${delegationRewardsName}`;
                     }
                     
+                    // Add swap details if present
+                    if (swaps.length > 0) {
+                        description += `\n- ${swaps.length} swap(s) of claimed tokens:`;
+                        swaps.forEach(swap => {
+                            description += `\n  • ${swap.token.amount} ${swap.token.symbol} → ~${swap.quote.formattedAmountOut} ${swap.tokenOut}`;
+                        });
+                    }
+                    
                     // Add validator boost details if present
                     if (validatorBoosts.length > 0) {
                         description += `\n- ${validatorBoosts.length} validator boost(s):`;
@@ -323,6 +478,22 @@ class ClaimBundler {
                         });
                     }
                     
+                    // Add activated boosts if present
+                    if (activations.length > 0) {
+                        description += `\n- ${activations.length} queued boost activation(s):`;
+                        activations.forEach(activation => {
+                            description += `\n  • ${activation.validatorName}: ${activation.amount} BGT`;
+                        });
+                    }
+                    
+                    // Add rebalance operations if present
+                    if (rebalanceSteps.length > 0) {
+                        description += `\n- ${rebalanceSteps.length} boost rebalance operation(s):`;
+                        rebalanceSteps.forEach(step => {
+                            description += `\n  • ${step.action} ${step.amount} BGT: ${step.validatorName}`;
+                        });
+                    }
+                    
                     // Add information about direct on-chain transaction support and troubleshooting tips
                     description += `\n\nThis transaction can be sent directly to the Safe contract using BeraBundle's "Send directly to Safe contract (on-chain)" option. This ensures the transaction appears in the Safe UI without manual importing.`;
                     description += `\n\nTROUBLESHOOTING:`;
@@ -337,7 +508,11 @@ class ClaimBundler {
                         chainId: config.networks.berachain.chainId,
                         createdAt: Date.now(),
                         meta: {
-                            name: `Claim rewards from ${vaultCount + bgtStakerCount} sources ${validatorBoosts.length > 0 ? '+ delegate to ' + validatorBoosts.length + ' validators' : ''} for ${name}`,
+                            name: activations.length === payloads.length
+                                ? `Activate ${activations.length} queued boosts for ${name}`
+                                : rebalanceSteps.length === payloads.length
+                                ? `Rebalance boosts for ${name}`
+                                : `Claim rewards from ${vaultCount + bgtStakerCount} sources ${validatorBoosts.length > 0 ? '+ delegate to ' + validatorBoosts.length + ' validators' : ''} for ${name}`,
                             description: `Berabundle: ${description}`
                         },
                         transactions: uiPayloadsWithGas.map(payload => ({
@@ -476,7 +651,9 @@ class ClaimBundler {
             const filename = `claims_${dateStr}_${name.toLowerCase()}_${formatString}.json`;
             const filepath = path.join(config.paths.outputDir, filename);
 
-            await fs.writeFile(filepath, JSON.stringify(bundle, null, 2));
+            // EOA bundles are sent with the fee strategy preferred now
+            const meta = formatString === 'eoa' ? { feeStrategy: await FeeOracle.loadPreferredStrategy() } : {};
+            await fs.writeFile(filepath, JSON.stringify(BundleSchema.createFile(bundle, formatString, meta), null, 2));
             
             // Create result object
             const result = {
@@ -507,29 +684,61 @@ class ClaimBundler {
      * @param {string} format - Output format
      * @param {string} name - Name identifier for the bundle
      * @param {Object} options - Additional options for claim bundle
+     * @param {boolean} options.redelegate - Whether to boost the claimed BGT
+     * @param {number|null} options.maxGasPercent - Gas guard percentage (default: config.gas.maxClaimCostPercent)
+     * @param {Array<Object>} options.routes - Reward routing rules (default: the wallet's rules from the preferences)
      * @returns {Promise<Object>} Bundle information
      */
     async generateClaimBundle(rewardInfo, userAddress, recipientAddress, format, name, options = {}) {
         try {
-            // Create basic claim payloads
-            const payloads = this.createClaimPayloads(rewardInfo, userAddress, recipientAddress);
+            // Create basic claim payloads, routed by the wallet's rules
+            const routes = options.routes === undefined ? await this.loadRewardRoutes(userAddress) : options.routes;
+            const claimPayloads = this.createClaimPayloads(rewardInfo, userAddress, recipientAddress, routes);
 
-            if (payloads.length === 0) {
+            if (claimPayloads.length === 0) {
                 return {
                     success: false,
                     message: "No rewards to claim"
                 };
             }
+            
+            // Leave out dust rewards that cost more gas than they are worth
+            const maxGasPercent = options.maxGasPercent === undefined
+                ? GasCostEstimator.parseMaxPercent()
+                : options.maxGasPercent;
+            const { payloads, skipped } = await this.applyGasGuard(claimPayloads, userAddress, maxGasPercent);
+            
+            if (payloads.length === 0) {
+                return {
+                    success: false,
+                    message: `Refusing to claim: gas would cost more than ${maxGasPercent}% of every reward (${skipped.length} skipped)`
+                };
+            }
 
             // Calculate stats for summary
             let vaultCount = 0;
             let hasBGTStaker = false;
             let hasDelegationRewards = false;
             let totalBGT = 0;
+            let walletBGT = 0; // BGT claimed to the wallet itself, the only BGT it can boost
             let totalHONEY = 0;
             let rewardsByType = {}; // Track rewards by token symbol
+            const routing = []; // Where each claimed reward goes
             
             for (const payload of payloads) {
+                if (payload.metadata.type === 'rewardForward') {
+                    continue;
+                }
+                
+                routing.push({
+                    source: payload.metadata.type,
+                    name: payload.metadata.name || payload.metadata.vaultAddress,
+                    token: payload.metadata.rewardToken.symbol,
+                    amount: payload.metadata.rewardAmount,
+                    recipient: payload.metadata.recipient,
+                    routedBy: payload.metadata.routedBy
+                });
+                
                 if (payload.metadata.type === 'bgtStaker') {
                     hasBGTStaker = true;
                     const symbol = payload.metadata.rewardToken.symbol;
@@ -559,13 +768,16 @@ class ClaimBundler {
                     rewardsByType[symbol] += parseFloat(payload.metadata.rewardAmount);
                     if (symbol === "BGT") {
                         totalBGT += parseFloat(payload.metadata.rewardAmount);
+                        if (payload.metadata.recipient.toLowerCase() === userAddress.toLowerCase()) {
+                            walletBGT += parseFloat(payload.metadata.rewardAmount);
+                        }
                     }
                 }
             }
 
             // Check if redelegation is requested
             let redelegationPayloads = [];
-            if (options.redelegate && totalBGT > 0) {
+            if (options.redelegate && walletBGT > 0) {
                 // Import BoostBundler (which is the RedelegationManager) from the correct path
                 // and use the right variable name for clarity
                 const BoostBundler = require('../boosts/boostBundler');
@@ -575,7 +787,7 @@ class ClaimBundler {
                 // Create redelegation transactions
                 const redelegationResult = boostBundler.createRedelegationTransactions(
                     userAddress, 
-                    totalBGT
+                    walletBGT
                 );
                 
                 if (redelegationResult.success && redelegationResult.transactions.length > 0) {
@@ -601,6 +813,13 @@ class ClaimBundler {
                 formattedBundle.meta.description += `\n\nRewards: ${Object.entries(rewardsByType)
                     .map(([symbol, amount]) => `${amount.toFixed(2)} ${symbol}`)
                     .join(", ")}`;
+                
+                const routed = routing.filter(route => route.routedBy);
+                if (routed.length > 0) {
+                    formattedBundle.meta.description += `\n\nRouting:${routed
+                        .map(route => `\n- ${route.name} (${route.token}) → ${route.recipient}`)
+                        .join("")}`;
+                }
             }
             
             // Save the bundle to a file and generate Transaction Builder URL if appropriate
@@ -629,7 +848,10 @@ class ClaimBundler {
                     totalHONEY: totalHONEY.toFixed(2),
                     rewardsByType,
                     rewardSummary,
-                    totalSources: payloads.length,
+                    totalSources: routing.length,
+                    routing,
+                    forwardCount: payloads.length - routing.length,
+                    skippedSources: skipped.map(({ name, valueUsd, costUsd }) => ({ name, valueUsd, costUsd })),
                     redelegationCount: redelegationPayloads.length,
                     totalTransactions: allPayloads.length,
                     format,
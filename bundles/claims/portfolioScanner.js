@@ -0,0 +1,234 @@
+/**
+ * portfolioScanner.js - Multi-wallet reward scanning and claim bundling
+ *
+ * Scans every stored wallet in parallel, totals claimable rewards per wallet and
+ * across the portfolio (grouped by reward token), and generates one claim bundle
+ * per wallet in a single pass together with a combined summary file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+
+/**
+ * Scans and claims rewards for a portfolio of wallets
+ */
+class PortfolioScanner {
+    /**
+     * Create a new PortfolioScanner
+     * @param {RewardChecker} rewardChecker - Reward checker used to scan each wallet
+     * @param {ClaimBundler} claimBundler - Claim bundler used to generate each wallet's bundle
+     */
+    constructor(rewardChecker, claimBundler) {
+        this.rewardChecker = rewardChecker;
+        this.claimBundler = claimBundler;
+    }
+
+    /**
+     * Total claimable reward amounts by reward token symbol
+     * @param {Array<Object>} rewards - Claimable rewards
+     * @returns {Object} Map of token symbol to total amount
+     */
+    static totalByToken(rewards) {
+        const totals = {};
+
+        for (const item of rewards) {
+            const symbol = item.rewardToken ? item.rewardToken.symbol : 'UNKNOWN';
+            totals[symbol] = (totals[symbol] || 0) + parseFloat(item.earned);
+        }
+
+        return totals;
+    }
+
+    /**
+     * Add one set of token totals into another
+     * @param {Object} target - Totals to add into
+     * @param {Object} totals - Totals to add
+     * @returns {Object} The target totals
+     */
+    static addTotals(target, totals) {
+        for (const [symbol, amount] of Object.entries(totals)) {
+            target[symbol] = (target[symbol] || 0) + amount;
+        }
+        return target;
+    }
+
+    /**
+     * Scan every wallet for claimable rewards in parallel
+     * @param {Array<Object>} wallets - Wallets [{name, address}]
+     * @param {Function} progressCallback - Optional callback(completed, total, status) as wallets finish
+     * Wallets that could not be scanned keep their error and have no totals; they are
+     * listed in failedWallets and left out of the portfolio totals rather than counted as 0.
+     * @returns {Promise<Object>} Portfolio scan {wallets, totalsByToken, failedWallets, scannedAt}
+     */
+    async scanWallets(wallets, progressCallback = null) {
+        let completed = 0;
+
+        const results = await Promise.all(wallets.map(async ({ name, address }) => {
+            let result;
+            try {
+                const rewardInfo = await this.rewardChecker.checkAllRewards(address, true, true, null, false);
+                const rewards = rewardInfo.rewards || rewardInfo;
+                const claimableRewards = rewards.filter(item => item.earned && parseFloat(item.earned) > 0);
+
+                result = {
+                    name,
+                    address,
+                    claimableRewards,
+                    totalsByToken: PortfolioScanner.totalByToken(claimableRewards)
+                };
+            } catch (error) {
+                ErrorHandler.handle(error, `PortfolioScanner.scanWallets - ${name}`);
+                result = { name, address, claimableRewards: [], totalsByToken: null, error: error.message };
+            }
+
+            completed++;
+            if (progressCallback) {
+                progressCallback(completed, wallets.length, `Scanned ${completed}/${wallets.length} wallets`);
+            }
+
+            return result;
+        }));
+
+        const totalsByToken = {};
+        results
+            .filter(wallet => !wallet.error)
+            .forEach(wallet => PortfolioScanner.addTotals(totalsByToken, wallet.totalsByToken));
+
+        return {
+            wallets: results,
+            totalsByToken,
+            failedWallets: results
+                .filter(wallet => wallet.error)
+                .map(({ name, address, error }) => ({ name, address, error })),
+            scannedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Generate one claim bundle per wallet with claimable rewards and save a combined summary
+     *
+     * Each wallet can only claim its own rewards, so every bundle is built for the
+     * wallet's own address. Rewards follow each wallet's routing rules, then go to
+     * the wallet itself unless a recipient is given.
+     *
+     * @param {Object} scan - Portfolio scan from scanWallets
+     * @param {string} format - Output format
+     * @param {Object} options - Bundle options
+     * @param {string} options.recipient - Optional recipient for all claimed rewards
+     * @param {boolean} options.redelegate - Whether to redelegate claimed BGT
+     * @param {number|null} options.maxGasPercent - Gas guard percentage (default: config.gas.maxClaimCostPercent)
+     * @param {Array<Object>} options.routes - Routing rules for every wallet (default: each wallet's own rules)
+     * @returns {Promise<Object>} Result {success, bundles, summary, summaryFilepath, message}
+     */
+    async createClaimBundles(scan, format, options = {}) {
+        const { recipient = null, redelegate = false, maxGasPercent, routes } = options;
+        const bundles = [];
+
+        for (const wallet of scan.wallets) {
+            if (wallet.error || wallet.claimableRewards.length === 0) {
+                continue;
+            }
+
+            try {
+                const bundle = await this.claimBundler.generateClaimBundle(
+                    wallet.claimableRewards,
+                    wallet.address,
+                    recipient || wallet.address,
+                    format,
+                    wallet.name,
+                    { redelegate, maxGasPercent, routes }
+                );
+
+                if (!bundle.success) {
+                    console.log(`❌ ${wallet.name}: ${bundle.message}`);
+                    bundles.push({ name: wallet.name, address: wallet.address, success: false, message: bundle.message });
+                    continue;
+                }
+
+                console.log(`✅ ${wallet.name}: ${bundle.summary.rewardSummary} (${bundle.summary.totalTransactions} transactions)`);
+                bundles.push({ name: wallet.name, address: wallet.address, ...bundle });
+            } catch (error) {
+                ErrorHandler.handle(error, `PortfolioScanner.createClaimBundles - ${wallet.name}`);
+                bundles.push({ name: wallet.name, address: wallet.address, success: false, message: error.message });
+            }
+        }
+
+        if (bundles.length === 0) {
+            return { success: false, message: "No rewards to claim in any wallet" };
+        }
+
+        const summary = this.createSummary(scan, bundles, format);
+        const summaryFilepath = await this.saveSummary(summary);
+        const failed = bundles.filter(bundle => !bundle.success).length;
+
+        return {
+            success: failed < bundles.length,
+            bundles,
+            summary,
+            summaryFilepath,
+            message: failed > 0
+                ? `Created ${bundles.length - failed} of ${bundles.length} claim bundles`
+                : `Created ${bundles.length} claim bundles`
+        };
+    }
+
+    /**
+     * Build the combined summary for a portfolio claim
+     * @param {Object} scan - Portfolio scan from scanWallets
+     * @param {Array<Object>} bundles - Per-wallet bundle results
+     * @param {string} format - Output format
+     * @returns {Object} Combined summary
+     */
+    createSummary(scan, bundles, format) {
+        const claimedTotals = {};
+        bundles
+            .filter(bundle => bundle.success)
+            .forEach(bundle => PortfolioScanner.addTotals(claimedTotals, bundle.summary.rewardsByType));
+
+        return {
+            createdAt: new Date().toISOString(),
+            scannedAt: scan.scannedAt,
+            format,
+            walletCount: scan.wallets.length,
+            failedWalletCount: scan.failedWallets.length,
+            bundleCount: bundles.filter(bundle => bundle.success).length,
+            totalsByToken: claimedTotals,
+            wallets: scan.wallets.map(wallet => {
+                const bundle = bundles.find(b => b.address === wallet.address);
+                return {
+                    name: wallet.name,
+                    address: wallet.address,
+                    totalsByToken: wallet.totalsByToken,
+                    error: wallet.error || (bundle && !bundle.success ? bundle.message : undefined),
+                    bundle: bundle && bundle.success ? {
+                        filepath: bundle.filepath,
+                        rewardSummary: bundle.summary.rewardSummary,
+                        totalTransactions: bundle.summary.totalTransactions,
+                        redelegationCount: bundle.summary.redelegationCount,
+                        routing: bundle.summary.routing
+                    } : null
+                };
+            })
+        };
+    }
+
+    /**
+     * Save a portfolio summary file
+     * Summaries are kept out of the bundle directory so they never show up as sendable bundles.
+     * @param {Object} summary - Combined summary
+     * @returns {Promise<string>} Summary file path
+     */
+    async saveSummary(summary) {
+        const dateStr = summary.createdAt.replace(/[:.]/g, '-').replace('T', '_').slice(0, 19); // Format: YYYY-MM-DD_HH-MM-SS
+        const filepath = path.join(config.paths.portfolioDir, `portfolio_${dateStr}_summary.json`);
+
+        await fs.mkdir(config.paths.portfolioDir, { recursive: true });
+        await fs.writeFile(filepath, JSON.stringify(summary, null, 2));
+
+        return filepath;
+    }
+}
+
+module.exports = PortfolioScanner;
@@ -5,6 +5,9 @@ const path = require('path');
 const https = require('https');
 const config = require('../../config');
 const { ErrorHandler } = require('../../utils/errorHandler');
+const MulticallAdapter = require('../../execution/adapters/multicallAdapter');
+const BoostHistoryRepository = require('../../storage/repositories/boostHistoryRepository');
+const { BoostIndexer } = require('../boosts/boostIndexer');
 
 class RewardChecker {
     constructor(provider) {
@@ -30,6 +33,15 @@ class RewardChecker {
             this.provider
         );
 
+        // Batched reads through Multicall3
+        this.multicall = new MulticallAdapter(this.provider);
+
+        // Boost snapshots taken by every validator boost check
+        this.boostHistory = new BoostHistoryRepository();
+
+        // Validators each wallet boosts, from the BGT boost events
+        this.boostIndexer = new BoostIndexer(this.provider);
+
         // Caching
         this.tokenInfoCache = new Map();
         this.vaultCache = new Map();
@@ -104,50 +116,81 @@ class RewardChecker {
             return { symbol: "UNKNOWN", decimals: 18 };
         }
         
-        // Check in-memory cache first
-        if (this.tokenInfoCache.has(tokenAddress)) {
-            return this.tokenInfoCache.get(tokenAddress);
-        }
+        const infos = await this.getTokenInfos([tokenAddress]);
+        return infos.get(tokenAddress);
+    }
 
+    /**
+     * Get token information for several tokens at once
+     * Tokens missing from the in-memory and metadata caches are queried in a single multicall.
+     * @param {Array<string>} tokenAddresses - Token contract addresses
+     * @returns {Promise<Map<string, Object>>} Map of token address to {symbol, decimals}
+     */
+    async getTokenInfos(tokenAddresses) {
+        const infos = new Map();
+        const missing = [];
+        
+        // Try to load from cached tokens file first
+        let cachedTokens = null;
         try {
-            // Try to load from cached tokens file first
-            try {
-                const cachedTokens = await this.loadTokensMetadata();
-                const normalizedAddress = tokenAddress.toLowerCase();
+            cachedTokens = await this.loadTokensMetadata();
+        } catch (error) {
+            console.warn('Could not load token info from cache:', error.message);
+        }
+        
+        for (const tokenAddress of new Set(tokenAddresses)) {
+            // Check in-memory cache first
+            if (this.tokenInfoCache.has(tokenAddress)) {
+                infos.set(tokenAddress, this.tokenInfoCache.get(tokenAddress));
+                continue;
+            }
+            
+            const cached = cachedTokens && cachedTokens[tokenAddress.toLowerCase()];
+            if (cached) {
+                const tokenInfo = {
+                    symbol: cached.symbol || "UNKNOWN",
+                    decimals: cached.decimals || 18
+                };
                 
-                if (cachedTokens && cachedTokens[normalizedAddress]) {
-                    const tokenInfo = {
-                        symbol: cachedTokens[normalizedAddress].symbol || "UNKNOWN",
-                        decimals: cachedTokens[normalizedAddress].decimals || 18
-                    };
-                    
-                    // Update in-memory cache
-                    this.tokenInfoCache.set(tokenAddress, tokenInfo);
-                    return tokenInfo;
-                }
-            } catch (error) {
-                console.warn(`Could not load token info from cache for ${tokenAddress}:`, error.message);
+                // Update in-memory cache
+                this.tokenInfoCache.set(tokenAddress, tokenInfo);
+                infos.set(tokenAddress, tokenInfo);
+                continue;
             }
-
-            // If not in cache, query on-chain
-            const token = new ethers.Contract(
-                tokenAddress,
-                config.abis.erc20,
-                this.provider
-            );
-
-            const [symbol, decimals] = await Promise.all([
-                token.symbol().catch(() => "UNKNOWN"),
-                token.decimals().catch(() => 18)
-            ]);
-
-            const info = { symbol, decimals };
-            this.tokenInfoCache.set(tokenAddress, info);
-            return info;
+            
+            missing.push(tokenAddress);
+        }
+        
+        if (missing.length === 0) {
+            return infos;
+        }
+        
+        // If not in cache, query on-chain (symbol and decimals for every token in one batch)
+        try {
+            const results = await this.retry(() => this.multicall.aggregate(
+                missing.flatMap(tokenAddress => [
+                    { target: tokenAddress, abi: config.abis.erc20, method: 'symbol' },
+                    { target: tokenAddress, abi: config.abis.erc20, method: 'decimals' }
+                ])
+            ));
+            
+            missing.forEach((tokenAddress, index) => {
+                const symbol = results[index * 2];
+                const decimals = results[index * 2 + 1];
+                const info = {
+                    symbol: symbol.success ? symbol.value : "UNKNOWN",
+                    decimals: decimals.success ? decimals.value : 18
+                };
+                
+                this.tokenInfoCache.set(tokenAddress, info);
+                infos.set(tokenAddress, info);
+            });
         } catch (error) {
-            console.warn(`Warning: Could not get token info for ${tokenAddress}:`, error.message);
-            return { symbol: "UNKNOWN", decimals: 18 };
+            console.warn(`Warning: Could not get token info for ${missing.length} token(s):`, error.message);
+            missing.forEach(tokenAddress => infos.set(tokenAddress, { symbol: "UNKNOWN", decimals: 18 }));
         }
+        
+        return infos;
     }
 
     /**
@@ -210,37 +253,29 @@ class RewardChecker {
             // ONLY if we couldn't load from file, query on-chain
             console.log('No valid metadata found. Scanning for vault contracts on-chain...');
             const count = await this.rewardVaultFactory.allVaultsLength();
+            
+            // Read every vault address in batched multicalls
+            const results = await this.retry(() => this.multicall.aggregate(
+                Array.from({ length: count.toNumber() }, (_, index) => ({
+                    target: config.networks.berachain.factoryAddress,
+                    abi: config.abis.rewardVaultFactory,
+                    method: 'allVaults',
+                    args: [index]
+                }))
+            ));
+            
             const vaults = [];
-
-            // Process vaults in batches
-            const batches = this.chunkArray(Array.from({ length: count }, (_, i) => i), this.batchSize);
-
-            for (const batch of batches) {
-                const batchPromises = batch.map(index =>
-                this.retry(() => this.rewardVaultFactory.allVaults(index))
-                .catch(error => {
-                    console.warn(`Warning: Could not get vault at index ${index}:`, error.message);
-                    return null;
-                })
-                );
-
-                const batchResults = await Promise.all(batchPromises);
-                const validResults = batchResults.filter(vault => vault !== null);
-
-                // Update cache for each valid vault
-                validResults.forEach(vaultAddress => {
-                    if (!this.vaultCache.has(vaultAddress)) {
-                        this.vaultCache.set(vaultAddress, { lastCheck: 0 });
-                    }
-                });
-
-                vaults.push(...validResults);
-
-                // Add delay between batches
-                if (batches.indexOf(batch) < batches.length - 1) {
-                    await this.delay(this.delayBetweenBatches);
+            results.forEach((result, index) => {
+                if (!result.success) {
+                    console.warn(`Warning: Could not get vault at index ${index}`);
+                    return;
                 }
-            }
+                
+                if (!this.vaultCache.has(result.value)) {
+                    this.vaultCache.set(result.value, { lastCheck: 0 });
+                }
+                vaults.push(result.value);
+            });
 
             this.lastVaultScan = Date.now();
             console.log(`Found ${vaults.length} vaults on-chain`);
@@ -266,104 +301,186 @@ class RewardChecker {
             return null;
         }
         
+        const results = await this.checkVaults([vaultAddress], userAddress, includeIncentives);
+        return results[0] || null;
+    }
+
+    /**
+     * Check many vaults for rewards using batched multicall reads
+     *
+     * Reads happen in rounds: stake balances for every vault first, then vault
+     * details only for vaults where the user has a stake, then token info and
+     * incentives. Each round is a handful of aggregate3 requests regardless of
+     * how many vaults are scanned.
+     *
+     * @param {Array<string>} vaultAddresses - Vault contract addresses
+     * @param {string} userAddress - User wallet address
+     * @param {boolean} includeIncentives - Whether to include incentive details
+     * @param {Function} progressCallback - Optional callback(current, total) while reading balances
+     * @returns {Promise<Array<Object>>} Reward information for vaults with an active stake
+     * @throws {Error} If a round of reads fails, so a failed check is never taken for no stakes
+     */
+    async checkVaults(vaultAddresses, userAddress, includeIncentives = false, progressCallback = null) {
         if (!userAddress || typeof userAddress !== 'string' || !userAddress.startsWith('0x')) {
             console.warn(`Warning: Invalid user address: ${userAddress}`);
-            return null;
+            return [];
         }
         
-        // Check if we have a cached instance for this vault
-        let vaultInfo = this.vaultCache.get(vaultAddress);
-        if (!vaultInfo) {
-            vaultInfo = { lastCheck: 0 };
-            this.vaultCache.set(vaultAddress, vaultInfo);
-        }
-
+        const abi = config.abis.rewardVault;
+        
+        // Round 1: stake balance for every vault - this is the fastest filter
+        let balances;
         try {
-            // Create contract instance to interact with the vault
-            const vault = new ethers.Contract(
-                vaultAddress,
-                config.abis.rewardVault,
-                this.provider
-            );
-
-            // First check if user has any stake - this is the fastest check
-            const userBalance = await this.retry(() => vault.balanceOf(userAddress));
-            if (userBalance.eq(0)) {
-                return null;
+            balances = await this.retry(() => this.multicall.aggregate(
+                vaultAddresses.map(vaultAddress => ({
+                    target: vaultAddress,
+                    abi,
+                    method: 'balanceOf',
+                    args: [userAddress]
+                })),
+                progressCallback
+            ));
+        } catch (error) {
+            throw new Error(`Could not check vault balances for ${userAddress}: ${error.message}`);
+        }
+        
+        const stakedVaults = [];
+        balances.forEach((balance, index) => {
+            if (balance.success && !balance.value.eq(0)) {
+                stakedVaults.push({ vaultAddress: vaultAddresses[index], userBalance: balance.value });
             }
-
-            // Get all other data in parallel
+        });
+        
+        if (stakedVaults.length === 0) {
+            return [];
+        }
+        
+        // Round 2: vault details for staked vaults only
+        const detailMethods = [
+            ['stakeToken'],
+            ['rewardToken'],
+            ['totalSupply'],
+            ['earned', [userAddress]],
+            ['rewardRate'],
+            ['getRewardForDuration']
+        ];
+        if (includeIncentives) {
+            detailMethods.push(['getWhitelistedTokens']);
+        }
+        
+        let details;
+        try {
+            details = await this.retry(() => this.multicall.aggregate(
+                stakedVaults.flatMap(({ vaultAddress }) =>
+                    detailMethods.map(([method, args]) => ({ target: vaultAddress, abi, method, args }))
+                )
+            ));
+        } catch (error) {
+            throw new Error(`Could not get vault details for ${userAddress}: ${error.message}`);
+        }
+        
+        const vaults = [];
+        stakedVaults.forEach((stakedVault, index) => {
             const [
                 stakeTokenAddress,
                 rewardTokenAddress,
                 totalSupply,
                 earned,
                 rewardRate,
-                rewardForDuration
-            ] = await Promise.all([
-                this.retry(() => vault.stakeToken()),
-                this.retry(() => vault.rewardToken()),
-                this.retry(() => vault.totalSupply()),
-                this.retry(() => vault.earned(userAddress)),
-                this.retry(() => vault.rewardRate()),
-                this.retry(() => vault.getRewardForDuration())
-            ]);
-
-            // Get token info in parallel
-            const [stakeTokenInfo, rewardTokenInfo] = await Promise.all([
-                this.getTokenInfo(stakeTokenAddress),
-                this.getTokenInfo(rewardTokenAddress)
-            ]);
-
+                rewardForDuration,
+                whitelistedTokens
+            ] = details.slice(index * detailMethods.length, (index + 1) * detailMethods.length);
+            
+            const required = [stakeTokenAddress, rewardTokenAddress, totalSupply, earned, rewardRate, rewardForDuration];
+            if (required.some(result => !result.success)) {
+                console.warn(`Warning: Could not check vault ${stakedVault.vaultAddress}: one or more reads failed`);
+                return;
+            }
+            
+            if (includeIncentives && !whitelistedTokens.success) {
+                console.warn(`Warning: Could not get incentive tokens for vault ${stakedVault.vaultAddress}`);
+            }
+            
+            vaults.push({
+                ...stakedVault,
+                stakeTokenAddress: stakeTokenAddress.value,
+                rewardTokenAddress: rewardTokenAddress.value,
+                totalSupply: totalSupply.value,
+                earned: earned.value,
+                rewardRate: rewardRate.value,
+                rewardForDuration: rewardForDuration.value,
+                whitelistedTokens: whitelistedTokens && whitelistedTokens.success ? whitelistedTokens.value : []
+            });
+        });
+        
+        // Round 3: incentive data for every whitelisted token
+        const incentiveCalls = vaults.flatMap(vault =>
+            vault.whitelistedTokens.map(tokenAddress => ({
+                target: vault.vaultAddress,
+                abi,
+                method: 'incentives',
+                args: [tokenAddress]
+            }))
+        );
+        
+        let incentives = [];
+        if (incentiveCalls.length > 0) {
+            try {
+                incentives = await this.retry(() => this.multicall.aggregate(incentiveCalls));
+            } catch (error) {
+                console.warn(`Warning: Could not get incentive info for ${userAddress}:`, error.message);
+                incentives = incentiveCalls.map(() => ({ success: false, value: null }));
+            }
+        }
+        
+        // Token info for every stake, reward and incentive token
+        const tokenInfos = await this.getTokenInfos(vaults.flatMap(vault => [
+            vault.stakeTokenAddress,
+            vault.rewardTokenAddress,
+            ...vault.whitelistedTokens
+        ]));
+        
+        let incentiveIndex = 0;
+        return vaults.map(vault => {
+            const { vaultAddress } = vault;
+            const stakeTokenInfo = tokenInfos.get(vault.stakeTokenAddress);
+            const rewardTokenInfo = tokenInfos.get(vault.rewardTokenAddress);
+            
             // Format values
-            const userStake = ethers.utils.formatUnits(userBalance, stakeTokenInfo.decimals);
-            const totalStake = ethers.utils.formatUnits(totalSupply, stakeTokenInfo.decimals);
-            const earnedFormatted = ethers.utils.formatUnits(earned, rewardTokenInfo.decimals);
+            const userStake = ethers.utils.formatUnits(vault.userBalance, stakeTokenInfo.decimals);
+            const totalStake = ethers.utils.formatUnits(vault.totalSupply, stakeTokenInfo.decimals);
+            const earnedFormatted = ethers.utils.formatUnits(vault.earned, rewardTokenInfo.decimals);
             const share = (parseFloat(userStake) / parseFloat(totalStake)) * 100;
-
-            // Process incentive tokens if needed
-            let incentiveTokens = [];
-            if (includeIncentives) {
-                try {
-                    const whitelistedTokens = await this.retry(() => vault.getWhitelistedTokens());
-
-                    if (whitelistedTokens.length > 0) {
-                        const incentivePromises = whitelistedTokens.map(async tokenAddress => {
-                            try {
-                                const incentive = await this.retry(() => vault.incentives(tokenAddress));
-                                const tokenInfo = await this.getTokenInfo(tokenAddress);
-                                const amountRemaining = ethers.utils.formatUnits(incentive[2], tokenInfo.decimals);
-                                const incentiveRate = ethers.utils.formatUnits(incentive[1], tokenInfo.decimals);
-                                const secondsPerDay = 86400;
-                                const dailyEmission = parseFloat(incentiveRate) * secondsPerDay;
-
-                                return {
-                                    symbol: tokenInfo.symbol,
-                                    address: tokenAddress,
-                                    amountRemaining: parseFloat(amountRemaining),
-                                    incentiveRate: parseFloat(incentiveRate),
-                                    dailyEmission,
-                                    userDailyAmount: dailyEmission * (share / 100)
-                                };
-                            } catch (error) {
-                                console.warn(`Warning: Could not get incentive info for token ${tokenAddress}:`, error.message);
-                                return null;
-                            }
-                        });
-
-                        incentiveTokens = (await Promise.all(incentivePromises)).filter(Boolean);
-                    }
-                } catch (error) {
-                    console.warn(`Warning: Could not get incentive tokens for vault ${vaultAddress}:`, error.message);
+            
+            // Process incentive tokens
+            const incentiveTokens = [];
+            vault.whitelistedTokens.forEach(tokenAddress => {
+                const incentive = incentives[incentiveIndex++];
+                if (!incentive.success) {
+                    console.warn(`Warning: Could not get incentive info for token ${tokenAddress}`);
+                    return;
                 }
-            }
-
-            // Update cache time
-            vaultInfo.lastCheck = Date.now();
-            this.vaultCache.set(vaultAddress, vaultInfo);
-
-            // Get vault info from cache if available (for protocol, name, etc.)
+                
+                const tokenInfo = tokenInfos.get(tokenAddress);
+                const amountRemaining = ethers.utils.formatUnits(incentive.value[2], tokenInfo.decimals);
+                const incentiveRate = ethers.utils.formatUnits(incentive.value[1], tokenInfo.decimals);
+                const secondsPerDay = 86400;
+                const dailyEmission = parseFloat(incentiveRate) * secondsPerDay;
+                
+                incentiveTokens.push({
+                    symbol: tokenInfo.symbol,
+                    address: tokenAddress,
+                    amountRemaining: parseFloat(amountRemaining),
+                    incentiveRate: parseFloat(incentiveRate),
+                    dailyEmission,
+                    userDailyAmount: dailyEmission * (share / 100)
+                });
+            });
+            
+            // Update cache time, keeping vault metadata (protocol, name, etc.)
             const vaultMetadata = this.vaultCache.get(vaultAddress) || {};
+            vaultMetadata.lastCheck = Date.now();
+            this.vaultCache.set(vaultAddress, vaultMetadata);
             
             return {
                 vaultAddress, // This is the actual contract address used for on-chain calls
@@ -372,38 +489,46 @@ class RewardChecker {
                 protocol: vaultMetadata.protocol || "", // Include protocol info if available
                 stakeToken: {
                     symbol: stakeTokenInfo.symbol,
-                    address: stakeTokenAddress,
+                    address: vault.stakeTokenAddress,
                     decimals: stakeTokenInfo.decimals
                 },
                 rewardToken: {
                     symbol: rewardTokenInfo.symbol,
-                    address: rewardTokenAddress,
+                    address: vault.rewardTokenAddress,
                     decimals: rewardTokenInfo.decimals
                 },
                 userStake,
                 totalStake,
                 share,
                 earned: earnedFormatted,
-                rawEarned: earned,
+                rawEarned: vault.earned,
                 incentiveTokens,
-                rewardRate: ethers.utils.formatUnits(rewardRate, rewardTokenInfo.decimals),
-                rewardForDuration: ethers.utils.formatUnits(rewardForDuration, rewardTokenInfo.decimals)
+                rewardRate: ethers.utils.formatUnits(vault.rewardRate, rewardTokenInfo.decimals),
+                rewardForDuration: ethers.utils.formatUnits(vault.rewardForDuration, rewardTokenInfo.decimals)
             };
-        } catch (error) {
-            console.warn(`Warning: Could not check vault ${vaultAddress}:`, error.message);
-            return null;
-        }
+        });
     }
 
     /**
      * Check BGT Staker for rewards
      * @param {string} userAddress - User wallet address
-     * @returns {Promise<Object|null>} BGT Staker reward information
+     * @returns {Promise<Object|null>} BGT Staker reward information, or null if nothing is earned
+     * @throws {Error} If the earned amount can't be read
      */
     async checkBGTStakerDetailed(userAddress) {
         try {
-            const earned = await this.retry(() => this.bgtStaker.earned(userAddress));
+            const [result] = await this.retry(() => this.multicall.aggregate([{
+                target: config.networks.berachain.bgtStakerAddress,
+                abi: config.abis.bgtStaker,
+                method: 'earned',
+                args: [userAddress]
+            }]));
+            
+            if (!result.success) {
+                throw new Error('earned() call failed');
+            }
             
+            const earned = result.value;
             if (earned.eq(0)) {
                 return null;
             }
@@ -424,8 +549,7 @@ class RewardChecker {
                 rawEarned: earned
             };
         } catch (error) {
-            console.warn(`Warning: Could not check BGT Staker rewards for ${userAddress}:`, error.message);
-            return null;
+            throw new Error(`Could not check BGT Staker rewards for ${userAddress}: ${error.message}`);
         }
     }
     
@@ -437,7 +561,8 @@ class RewardChecker {
      * @param {boolean} rawData - Whether to return raw data
      * @param {Function} progressCallback - Optional callback for progress updates
      * @param {boolean} includeValidatorBoosts - Whether to include validator boosts
-     * @returns {Promise<Array|string>} Reward information
+     * @returns {Promise<Object|string>} Reward information
+     * @throws {Error} With rawData, if the check fails (without it an error message is returned)
      */
     async checkAllRewards(userAddress, includeIncentives = false, rawData = false, progressCallback = null, includeValidatorBoosts = true) {
         try {
@@ -451,9 +576,6 @@ class RewardChecker {
                 progressCallback(0, vaults.length, "Finding active stakes...");
             }
 
-            // Process vaults in batches
-            const vaultsWithStakes = [];
-            
             // Filter out any invalid vault addresses before processing
             const validVaults = vaults.filter(address => 
                 address && typeof address === 'string' && address.startsWith('0x')
@@ -463,61 +585,21 @@ class RewardChecker {
                 console.warn(`Filtered out ${vaults.length - validVaults.length} invalid vault addresses`);
             }
             
-            const batches = this.chunkArray(validVaults, this.batchSize);
-            console.log(`Processing ${validVaults.length} valid vaults in ${batches.length} batches...`);
+            console.log(`Processing ${validVaults.length} valid vaults in batches of ${this.multicall.batchSize} calls...`);
 
-            for (let i = 0; i < batches.length; i++) {
-                const batch = batches[i];
-                const batchPromises = batch.map(vaultAddress =>
-                this.checkVault(vaultAddress, userAddress, includeIncentives)
-                );
-
-                const batchResults = await Promise.all(batchPromises);
-                const validResults = batchResults.filter(vault => vault !== null);
-                
-                // Track new stakes found in this batch
-                const newStakesCount = validResults.length;
+            const vaultsWithStakes = await this.checkVaults(validVaults, userAddress, includeIncentives, (processed, total) => {
+                const percent = Math.round((processed / total) * 100);
+                console.log(`Processed ${processed}/${total} vaults (${percent}%)`);
                 
-                // Add to total stakes
-                vaultsWithStakes.push(...validResults);
-
-                // Log progress at regular intervals or when something interesting happens
-                const shouldLog = 
-                    i % 5 === 0 || // Every 5 batches
-                    i === batches.length - 1 || // Last batch
-                    newStakesCount > 0; // When new stakes are found
-                    
-                if (shouldLog) {
-                    const processed = Math.min((i + 1) * this.batchSize, validVaults.length);
-                    const percent = Math.round((processed / validVaults.length) * 100);
-                    
-                    // More detailed log with percentage
-                    console.log(`Processed ${processed}/${validVaults.length} vaults (${percent}%), found ${vaultsWithStakes.length} active stakes` + 
-                        (newStakesCount > 0 ? ` (+${newStakesCount} new)` : ''));
-                    
-                    // If we found new stakes, log some info about them
-                    if (newStakesCount > 0) {
-                        validResults.forEach(stake => {
-                            console.log(`  - Found stake in ${stake.stakeToken.symbol}: ${parseFloat(stake.userStake).toFixed(2)}, earned: ${parseFloat(stake.earned).toFixed(4)} ${stake.rewardToken.symbol}`);
-                        });
-                    }
-                }
-
-                // Update progress
                 if (progressCallback) {
-                    const processed = (i + 1) * this.batchSize;
-                    progressCallback(
-                        Math.min(processed, vaults.length),
-                        vaults.length,
-                        `Checking vaults: ${vaultsWithStakes.length} active stakes found`
-                    );
+                    progressCallback(processed, vaults.length, "Checking vaults for active stakes...");
                 }
-
-                // Add delay between batches
-                if (i < batches.length - 1) {
-                    await this.delay(this.delayBetweenBatches);
-                }
-            }
+            });
+            
+            // Log some info about the stakes we found
+            vaultsWithStakes.forEach(stake => {
+                console.log(`  - Found stake in ${stake.stakeToken.symbol}: ${parseFloat(stake.userStake).toFixed(2)}, earned: ${parseFloat(stake.earned).toFixed(4)} ${stake.rewardToken.symbol}`);
+            });
 
             // Stop the progress bar before checking BGT Staker
             if (progressCallback) {
@@ -640,7 +722,10 @@ class RewardChecker {
             return output;
         } catch (error) {
             ErrorHandler.handle(error, 'RewardChecker.checkAllRewards');
-            return rawData ? [] : "Error checking rewards. Please try again.";
+            if (rawData) {
+                throw error;
+            }
+            return "Error checking rewards. Please try again.";
         }
     }
 
@@ -1387,16 +1472,13 @@ class RewardChecker {
      * @param {string} userAddress - User wallet address
      * @param {boolean} forceRefresh - Force refresh the cache
      * @returns {Promise<Array<Object>>} Array of validator boost information
+     * @throws {Error} If any boost read fails, so a partial read is never taken for the user's boosts
      */
     async getUserActiveBoosts(userAddress, forceRefresh = false) {
         try {
             // Get metadata for all validators, potentially fetch from GitHub if needed
             const validatorMetadata = await this.loadValidatorMetadata(forceRefresh);
             
-            // We need to check each validator to see if the user has boosted it
-            // This is inefficient but necessary since the contract doesn't provide a getUserBoosts function
-            const results = [];
-            
             // Get the total user boosts amount
             const totalBoosts = await this.retry(() => this.validatorBoost.boosts(userAddress));
             
@@ -1405,50 +1487,67 @@ class RewardChecker {
                 return [];
             }
             
-            // Otherwise, check each validator in our metadata
-            for (const validator of validatorMetadata) {
-                try {
-                    // Check if user has boosted this validator
-                    // Use validator.pubkey if available, otherwise fall back to validator.id
-                    const validatorKey = validator.pubkey || validator.id;
-                    
-                    // Skip if no valid key is found
-                    if (!validatorKey) {
-                        console.warn(`Warning: Validator missing both pubkey and id fields: ${validator.name || 'Unknown'}`);
-                        continue;
-                    }
-                    
-                    const boostAmount = await this.retry(() => 
-                        this.validatorBoost.boosted(userAddress, validatorKey)
-                    );
-                    
-                    // If boost amount is greater than 0, add to results
-                    if (!boostAmount.eq(0)) {
-                        const totalValidatorBoost = await this.retry(() => 
-                            this.validatorBoost.boostees(validatorKey)
-                        );
-                        
-                        results.push({
-                            pubkey: validatorKey,
-                            name: validator.name,
-                            userBoostAmount: ethers.utils.formatEther(boostAmount),
-                            totalBoost: ethers.utils.formatEther(totalValidatorBoost),
-                            share: totalValidatorBoost.gt(0) 
-                                ? (parseFloat(ethers.utils.formatEther(boostAmount)) / 
-                                   parseFloat(ethers.utils.formatEther(totalValidatorBoost)) * 100).toFixed(2) 
-                                : "0",
-                            status: "active"
-                        });
-                    }
-                } catch (error) {
-                    console.warn(`Warning: Could not check boost amount for validator ${validator.name || validatorKey || 'unknown'}: ${error.message}`);
+            // The contract doesn't provide a getUserBoosts function, so check the
+            // validators the user sent boost events for in one batch of boosted() reads
+            const validators = await this.getBoostCandidates(userAddress, validatorMetadata);
+            const boostAmounts = await this.retry(() => this.multicall.aggregate(
+                validators.map(({ validatorKey }) => ({
+                    target: config.networks.berachain.validatorBoostAddress,
+                    abi: config.abis.validatorBoost,
+                    method: 'boosted',
+                    args: [userAddress, validatorKey]
+                }))
+            ));
+            
+            const boostedValidators = [];
+            validators.forEach((validator, index) => {
+                const boostAmount = boostAmounts[index];
+                if (!boostAmount.success) {
+                    throw new Error(`Could not check boost amount for validator ${validator.name || validator.validatorKey}`);
+                }
+                if (!boostAmount.value.eq(0)) {
+                    boostedValidators.push({ ...validator, boostAmount: boostAmount.value });
                 }
+            });
+            
+            if (boostedValidators.length === 0) {
+                return [];
             }
             
+            // Total boost for each validator the user has boosted
+            const totals = await this.retry(() => this.multicall.aggregate(
+                boostedValidators.map(({ validatorKey }) => ({
+                    target: config.networks.berachain.validatorBoostAddress,
+                    abi: config.abis.validatorBoost,
+                    method: 'boostees',
+                    args: [validatorKey]
+                }))
+            ));
+            
+            const results = [];
+            boostedValidators.forEach(({ validatorKey, name, boostAmount }, index) => {
+                if (!totals[index].success) {
+                    throw new Error(`Could not check total boost for validator ${name || validatorKey}`);
+                }
+                
+                const totalValidatorBoost = totals[index].value;
+                results.push({
+                    pubkey: validatorKey,
+                    name,
+                    userBoostAmount: ethers.utils.formatEther(boostAmount),
+                    totalBoost: ethers.utils.formatEther(totalValidatorBoost),
+                    share: totalValidatorBoost.gt(0) 
+                        ? (parseFloat(ethers.utils.formatEther(boostAmount)) / 
+                           parseFloat(ethers.utils.formatEther(totalValidatorBoost)) * 100).toFixed(2) 
+                        : "0",
+                    status: "active"
+                });
+            });
+            
             return results;
         } catch (error) {
             ErrorHandler.handle(error, 'RewardChecker.getUserActiveBoosts');
-            return [];
+            throw new Error(`Could not check active boosts for ${userAddress}: ${error.message}`);
         }
     }
     
@@ -1457,15 +1556,13 @@ class RewardChecker {
      * @param {string} userAddress - User wallet address
      * @param {boolean} forceRefresh - Force refresh the cache
      * @returns {Promise<Array<Object>>} Array of queued validator boost information
+     * @throws {Error} If any queued boost read fails
      */
     async getUserQueuedBoosts(userAddress, forceRefresh = false) {
         try {
             // Get metadata for all validators, potentially fetch from GitHub if needed
             const validatorMetadata = await this.loadValidatorMetadata(forceRefresh);
             
-            // We need to check each validator to see if the user has queued boosts for it
-            const results = [];
-            
             // Get the total queued boosts amount
             const totalQueuedBoost = await this.retry(() => this.validatorBoost.queuedBoost(userAddress));
             
@@ -1474,41 +1571,201 @@ class RewardChecker {
                 return [];
             }
             
-            // Otherwise, check each validator in our metadata
-            for (const validator of validatorMetadata) {
-                try {
-                    // Check if user has queued boost for this validator
-                    // Use validator.pubkey if available, otherwise fall back to validator.id
-                    const validatorKey = validator.pubkey || validator.id;
-                    
-                    // Skip if no valid key is found
-                    if (!validatorKey) {
-                        console.warn(`Warning: Validator missing both pubkey and id fields: ${validator.name || 'Unknown'}`);
-                        continue;
-                    }
-                    
-                    const queuedAmount = await this.retry(() => 
-                        this.validatorBoost.boostedQueue(userAddress, validatorKey)
-                    );
-                    
-                    // If queued amount is greater than 0, add to results
-                    if (!queuedAmount.eq(0)) {
-                        results.push({
-                            pubkey: validatorKey,
-                            name: validator.name,
-                            queuedBoostAmount: ethers.utils.formatEther(queuedAmount),
-                            status: "queued"
-                        });
-                    }
-                } catch (error) {
-                    console.warn(`Warning: Could not check queued boost for validator ${validator.name || validatorKey || 'unknown'}: ${error.message}`);
+            // Check queued boost for the user's validators in one batch of boostedQueue() reads
+            const validators = await this.getBoostCandidates(userAddress, validatorMetadata);
+            const queuedAmounts = await this.retry(() => this.multicall.aggregate(
+                validators.map(({ validatorKey }) => ({
+                    target: config.networks.berachain.validatorBoostAddress,
+                    abi: config.abis.validatorBoost,
+                    method: 'boostedQueue',
+                    args: [userAddress, validatorKey]
+                }))
+            ));
+            
+            const results = [];
+            validators.forEach(({ validatorKey, name }, index) => {
+                const queuedAmount = queuedAmounts[index];
+                if (!queuedAmount.success) {
+                    throw new Error(`Could not check queued boost for validator ${name || validatorKey}`);
                 }
-            }
+                if (!queuedAmount.value.balance.eq(0)) {
+                    results.push({
+                        pubkey: validatorKey,
+                        name,
+                        queuedBoostAmount: ethers.utils.formatEther(queuedAmount.value.balance),
+                        // Block of the last queueBoost; the boost activates once activateBoostDelay blocks have passed
+                        queuedAtBlock: queuedAmount.value.blockNumberLast,
+                        status: "queued"
+                    });
+                }
+            });
             
             return results;
         } catch (error) {
             ErrorHandler.handle(error, 'RewardChecker.getUserQueuedBoosts');
-            return [];
+            throw new Error(`Could not check queued boosts for ${userAddress}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve the on-chain key for each validator in the metadata
+     * Uses validator.pubkey if available, otherwise falls back to validator.id.
+     * @param {Array<Object>} validatorMetadata - Validator metadata
+     * @returns {Array<Object>} Validators with a usable key {validatorKey, name}
+     */
+    getBoostableValidators(validatorMetadata) {
+        const validators = [];
+        
+        for (const validator of validatorMetadata) {
+            const validatorKey = validator.pubkey || validator.id;
+            
+            // Skip if no valid key is found
+            if (!validatorKey) {
+                console.warn(`Warning: Validator missing both pubkey and id fields: ${validator.name || 'Unknown'}`);
+                continue;
+            }
+            
+            validators.push({ validatorKey, name: validator.name });
+        }
+        
+        return validators;
+    }
+
+    /**
+     * Sum the delegation rewards a wallet claimed in a block range
+     * Claims are the ERC20 transfers from the delegation rewards contract to the
+     * wallet; the range is scanned in chunks of config.boosts.logBlockRange blocks.
+     * @param {string} userAddress - User wallet address
+     * @param {number} fromBlock - First block
+     * @param {number} toBlock - Last block
+     * @returns {Promise<Map<string, ethers.BigNumber>>} Raw claimed amounts by token address
+     */
+    async getDelegationRewardClaims(userAddress, fromBlock, toBlock) {
+        const transfer = ethers.utils.id('Transfer(address,address,uint256)');
+        const topics = [
+            transfer,
+            ethers.utils.hexZeroPad(config.networks.berachain.delegationRewardsAddress, 32),
+            ethers.utils.hexZeroPad(userAddress, 32)
+        ];
+
+        const claims = new Map();
+        for (let start = fromBlock; start <= toBlock; start += config.boosts.logBlockRange) {
+            const end = Math.min(start + config.boosts.logBlockRange - 1, toBlock);
+            const logs = await this.retry(() => this.provider.getLogs({ fromBlock: start, toBlock: end, topics }));
+
+            logs.forEach(log => {
+                const token = ethers.utils.getAddress(log.address);
+                const amount = ethers.BigNumber.from(log.data);
+                claims.set(token, (claims.get(token) || ethers.BigNumber.from(0)).add(amount));
+            });
+        }
+
+        return claims;
+    }
+
+    /**
+     * Record a snapshot of a wallet's boost positions in the boost history
+     * Wallets that never boosted get no history. Delegation rewards are counted from
+     * the wallet's first snapshot on. Snapshots never throw, so they can't break a check.
+     * @param {string} userAddress - User wallet address
+     * @param {Array<Object>} activeBoosts - Active boosts from getUserActiveBoosts
+     * @param {Array<Object>} queuedBoosts - Queued boosts from getUserQueuedBoosts
+     * @returns {Promise<Object|null>} Recorded snapshot or null
+     */
+    async snapshotBoosts(userAddress, activeBoosts, queuedBoosts) {
+        try {
+            const history = await this.boostHistory.getWalletHistory(userAddress);
+            if (activeBoosts.length === 0 && queuedBoosts.length === 0 && history.snapshots.length === 0) {
+                return null;
+            }
+
+            const block = await this.retry(() => this.provider.getBlockNumber());
+
+            const validators = new Map();
+            const position = (pubkey, name) => {
+                if (!validators.has(pubkey)) {
+                    validators.set(pubkey, {
+                        pubkey,
+                        name,
+                        boosted: "0.0",
+                        queued: "0.0",
+                        totalBoost: null,
+                        share: "0",
+                        normalizedBoost: null
+                    });
+                }
+                return validators.get(pubkey);
+            };
+            activeBoosts.forEach(boost => {
+                Object.assign(position(boost.pubkey, boost.name), {
+                    boosted: boost.userBoostAmount,
+                    totalBoost: boost.totalBoost,
+                    share: boost.share
+                });
+            });
+            queuedBoosts.forEach(boost => {
+                position(boost.pubkey, boost.name).queued = boost.queuedBoostAmount;
+            });
+
+            // The validator's share of all boosts, as a percentage
+            const list = [...validators.values()];
+            if (list.length > 0) {
+                const normalized = await this.retry(() => this.multicall.aggregate(list.map(({ pubkey }) => ({
+                    target: config.networks.berachain.validatorBoostAddress,
+                    abi: config.abis.validatorBoost,
+                    method: 'normalizedBoost',
+                    args: [pubkey]
+                }))));
+                normalized.forEach((result, index) => {
+                    if (result.success) {
+                        list[index].normalizedBoost = (parseFloat(ethers.utils.formatEther(result.value)) * 100).toFixed(4);
+                    }
+                });
+            }
+
+            const delegationRewards = {};
+            if (history.lastClaimBlock !== null && block > history.lastClaimBlock) {
+                const claims = await this.getDelegationRewardClaims(userAddress, history.lastClaimBlock + 1, block);
+                const infos = await this.getTokenInfos([...claims.keys()]);
+                claims.forEach((amount, token) => {
+                    const info = infos.get(token);
+                    delegationRewards[token] = {
+                        symbol: info.symbol,
+                        amount: ethers.utils.formatUnits(amount, info.decimals)
+                    };
+                });
+            }
+
+            const total = field => list.reduce((sum, entry) => sum + parseFloat(entry[field]), 0).toString();
+            return await this.boostHistory.recordSnapshot(userAddress, {
+                at: new Date().toISOString(),
+                block,
+                totalBoosted: total('boosted'),
+                totalQueued: total('queued'),
+                validators: list,
+                delegationRewards
+            }, history.lastClaimBlock);
+        } catch (error) {
+            console.warn(`Warning: Could not record boost snapshot: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Get the validators a user can have boosts or queued boosts on
+     * Uses the boost event index; if the node can't serve the logs, every
+     * validator in the metadata is checked through Multicall3 instead.
+     * @param {string} userAddress - User wallet address
+     * @param {Array<Object>} validatorMetadata - Validator metadata
+     * @returns {Promise<Array<Object>>} Validators {validatorKey, name}
+     */
+    async getBoostCandidates(userAddress, validatorMetadata) {
+        const validators = this.getBoostableValidators(validatorMetadata);
+        try {
+            return await this.boostIndexer.findBoostedValidators(userAddress, validators);
+        } catch (error) {
+            console.warn(`Warning: Could not index boost events (${error.message}), checking every validator instead`);
+            return validators;
         }
     }
 
@@ -1519,6 +1776,7 @@ class RewardChecker {
      * @param {Function} progressCallback - Optional callback for progress updates
      * @param {boolean} refreshValidators - Whether to refresh validator metadata from GitHub
      * @returns {Promise<Array|string>} Boosted validators information
+     * @throws {Error} In rawData mode, if the boosts could not be read
      */
     async checkValidatorBoosts(userAddress, rawData = false, progressCallback = null, refreshValidators = false) {
         try {
@@ -1551,6 +1809,9 @@ class RewardChecker {
             const queuedBoosts = await this.getUserQueuedBoosts(userAddress, refreshValidators);
             console.log(`Found ${queuedBoosts.length} queued validator boosts`);
             
+            // Only reached when both reads succeeded, so a failed read is never recorded as no boosts
+            await this.snapshotBoosts(userAddress, activeBoosts, queuedBoosts);
+            
             console.log("Processing boost data...");
             if (progressCallback) {
                 progressCallback(refreshValidators ? 85 : 75, 100, "Processing boost data...");
@@ -1613,7 +1874,10 @@ class RewardChecker {
             return output;
         } catch (error) {
             ErrorHandler.handle(error, 'RewardChecker.checkValidatorBoosts');
-            return rawData ? { activeBoosts: [], queuedBoosts: [] } : "Error checking validator boosts. Please try again.";
+            if (rawData) {
+                throw error;
+            }
+            return "Error checking validator boosts. Please try again.";
         }
     }
 }
@@ -0,0 +1,112 @@
+/**
+ * rewardRouter.js - Routing rules for claimed rewards
+ *
+ * A wallet's routing rules say where the rewards of a reward source (vaults,
+ * the BGT Staker, delegation rewards) or of a reward token should go, e.g.
+ * vault BGT to a Safe and BGT Staker HONEY to a treasury. Rules are stored per
+ * wallet in the preferences; the most specific matching rule wins.
+ */
+
+const { ethers } = require('ethers');
+const { ErrorHandler } = require('../../utils/errorHandler');
+
+/**
+ * Reward sources a rule can match
+ */
+const RewardSource = {
+    VAULT: 'vault',                         // Reward vault BGT (sent straight to the recipient)
+    BGT_STAKER: 'bgtStaker',                // BGT Staker HONEY (claimed to the wallet, then forwarded)
+    DELEGATION: 'delegationRewards'         // Validator incentive tokens (claimed to the wallet, then forwarded)
+};
+
+/**
+ * Matches claimed rewards against a wallet's routing rules
+ */
+class RewardRouter {
+    /**
+     * Build a validated routing rule
+     * @param {Object} rule - Rule fields
+     * @param {string|null} rule.source - Reward source from RewardSource (null for any)
+     * @param {string|null} rule.token - Reward token symbol or address (null for any)
+     * @param {string} rule.recipient - Address the matching rewards go to
+     * @returns {Object} Rule {source, token, recipient}
+     * @throws {Error} If the rule is invalid
+     */
+    static createRule({ source = null, token = null, recipient }) {
+        if (source !== null && !Object.values(RewardSource).includes(source)) {
+            throw ErrorHandler.createValidationError(`Unknown reward source "${source}" (expected ${Object.values(RewardSource).join(', ')})`);
+        }
+        if (!ethers.utils.isAddress(recipient || '')) {
+            throw ErrorHandler.createValidationError(`Invalid recipient address: ${recipient}`);
+        }
+        if (source === null && token === null) {
+            throw ErrorHandler.createValidationError("A routing rule needs a source, a token or both");
+        }
+
+        return {
+            source,
+            token: token === null ? null : (ethers.utils.isAddress(token) ? ethers.utils.getAddress(token) : token.toUpperCase()),
+            recipient: ethers.utils.getAddress(recipient)
+        };
+    }
+
+    /**
+     * Add a rule to a rule list, replacing the rule for the same source and token
+     * @param {Array<Object>} rules - Existing rules
+     * @param {Object} rule - Rule from createRule
+     * @returns {Array<Object>} New rule list
+     */
+    static upsertRule(rules, rule) {
+        return [...rules.filter(existing => existing.source !== rule.source || existing.token !== rule.token), rule];
+    }
+
+    /**
+     * Check whether a rule's token matches a reward token
+     * @param {Object} rule - Routing rule
+     * @param {Object} rewardToken - Reward token {symbol, address}
+     * @returns {boolean} True if the rule has no token or names this one
+     */
+    static matchesToken(rule, rewardToken) {
+        if (rule.token === null) {
+            return true;
+        }
+        if (!rewardToken) {
+            return false;
+        }
+        return ethers.utils.isAddress(rule.token)
+            ? !!rewardToken.address && rewardToken.address.toLowerCase() === rule.token.toLowerCase()
+            : !!rewardToken.symbol && rewardToken.symbol.toUpperCase() === rule.token;
+    }
+
+    /**
+     * Find the rule that routes a reward
+     * A rule naming both source and token beats one naming the token, which beats
+     * one naming only the source.
+     * @param {Array<Object>} rules - Wallet's routing rules
+     * @param {string} source - Reward source from RewardSource
+     * @param {Object} rewardToken - Reward token {symbol, address}
+     * @returns {Object|null} Matching rule or null
+     */
+    static findRule(rules, source, rewardToken) {
+        const specificity = rule => (rule.source !== null ? 1 : 0) + (rule.token !== null ? 2 : 0);
+
+        return (rules || [])
+            .filter(rule => (rule.source === null || rule.source === source) && RewardRouter.matchesToken(rule, rewardToken))
+            .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+    }
+
+    /**
+     * Describe a rule for display
+     * @param {Object} rule - Routing rule
+     * @returns {string} Description
+     */
+    static describe(rule) {
+        const what = [rule.source || 'any source', rule.token ? `token ${rule.token}` : null].filter(Boolean).join(', ');
+        return `${what} → ${rule.recipient}`;
+    }
+}
+
+module.exports = {
+    RewardRouter,
+    RewardSource
+};
@@ -0,0 +1,412 @@
+/**
+ * disperseBundler.js - Pay many recipients from one wallet or Safe
+ *
+ * Recipients come from a CSV of `address,amount` lines. An amount ending in
+ * `%` is a percentage of the sender's current balance of the token, so a
+ * share of freshly claimed rewards can be paid out without computing amounts.
+ *
+ * EOA and Safe bundles hold one transfer per recipient (a Safe runs them as
+ * one MultiSend). There is no contract-call format: the contract's disperse
+ * pulls tokens with transferFrom, which needs an allowance that anyone could
+ * spend through its generic calls. BERA disperses can still be sent through
+ * the contract with `send --contract`.
+ *
+ * A wallet pays the gas of a BERA disperse from the BERA it disperses, so the
+ * estimated gas cost is reserved before amounts are checked against the balance.
+ */
+
+const fs = require('fs').promises;
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const { OutputFormat } = require('../claims/claimBundler');
+const GasCostEstimator = require('../../execution/adapters/gasCostEstimator');
+const { FeeOracle } = require('../../execution/adapters/feeOracle');
+
+/**
+ * Decimals accepted in percentages (e.g. 12.5%)
+ */
+const PERCENT_DECIMALS = 4;
+
+/**
+ * Builds disperse bundles
+ */
+class DisperseBundler {
+    /**
+     * Create a new DisperseBundler
+     * @param {ethers.providers.Provider} provider - Ethers provider
+     */
+    constructor(provider) {
+        this.provider = provider;
+        this.erc20Interface = new ethers.utils.Interface(config.abis.erc20);
+
+        // Created on first use, since it needs the token price API
+        this.gasCostEstimator = null;
+    }
+
+    /**
+     * Get the gas cost estimator used to reserve gas for BERA disperses
+     * @returns {GasCostEstimator} Gas cost estimator
+     */
+    getGasCostEstimator() {
+        if (!this.gasCostEstimator) {
+            this.gasCostEstimator = new GasCostEstimator(this.provider);
+        }
+        return this.gasCostEstimator;
+    }
+
+    /**
+     * Parse a recipients CSV
+     * Blank lines, `#` comments and a header line are ignored. Columns may be
+     * separated by commas, semicolons or tabs.
+     * @param {string} content - CSV content
+     * @returns {Array<Object>} Rows {line, address, amount, percent}; percent is true for `%` amounts
+     * @throws {Error} Listing every invalid line
+     */
+    static parseCsv(content) {
+        const rows = [];
+        const errors = [];
+        const seen = new Map();
+
+        content.split(/\r?\n/).forEach((text, i) => {
+            const line = i + 1;
+            const trimmed = text.trim();
+            if (!trimmed || trimmed.startsWith('#')) {
+                return;
+            }
+
+            const [rawAddress = '', rawAmount = ''] = trimmed.split(/[,;\t]/).map(field => field.trim());
+            if (rows.length === 0 && errors.length === 0 && /address/i.test(rawAddress)) {
+                return; // Header
+            }
+
+            let address = null;
+            try {
+                address = ethers.utils.getAddress(rawAddress);
+            } catch (error) {
+                errors.push(`Line ${line}: invalid address "${rawAddress}"`);
+            }
+            if (address === ethers.constants.AddressZero) {
+                errors.push(`Line ${line}: the zero address can't receive tokens`);
+                address = null;
+            }
+            if (address && seen.has(address)) {
+                errors.push(`Line ${line}: ${address} is already paid on line ${seen.get(address)}`);
+                address = null;
+            }
+
+            const percent = rawAmount.endsWith('%');
+            const amount = percent ? rawAmount.slice(0, -1).trim() : rawAmount;
+            if (!/^\d+(\.\d+)?$/.test(amount) || parseFloat(amount) <= 0) {
+                errors.push(`Line ${line}: invalid amount "${rawAmount}"`);
+                return;
+            }
+
+            if (address) {
+                seen.set(address, line);
+                rows.push({ line, address, amount, percent });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw ErrorHandler.createValidationError(`Invalid recipients CSV:\n${errors.join('\n')}`);
+        }
+        if (rows.length === 0) {
+            throw ErrorHandler.createValidationError("Recipients CSV has no recipients");
+        }
+
+        return rows;
+    }
+
+    /**
+     * Read and parse a recipients CSV file
+     * @param {string} filepath - CSV file path
+     * @returns {Promise<Array<Object>>} Rows from parseCsv
+     */
+    static async readCsv(filepath) {
+        let content;
+        try {
+            content = await fs.readFile(filepath, 'utf8');
+        } catch (error) {
+            throw ErrorHandler.createValidationError(`Can't read recipients CSV ${filepath}: ${error.message}`);
+        }
+        return DisperseBundler.parseCsv(content);
+    }
+
+    /**
+     * Resolve a token by symbol or address
+     * Symbols are looked up in the token metadata file; decimals are read on-chain.
+     * @param {string} token - BERA, a token symbol or a token address
+     * @returns {Promise<Object>} Token {symbol, address, decimals} (BERA has the zero address)
+     * @throws {Error} If the token is unknown
+     */
+    async resolveToken(token) {
+        if (!token) {
+            throw ErrorHandler.createValidationError("A token (symbol or address) is required");
+        }
+        if (token.toUpperCase() === 'BERA') {
+            return { symbol: 'BERA', address: ethers.constants.AddressZero, decimals: 18 };
+        }
+
+        let address = ethers.utils.isAddress(token) ? ethers.utils.getAddress(token) : null;
+        if (!address) {
+            let tokens = {};
+            try {
+                tokens = JSON.parse(await fs.readFile(config.paths.tokensFile, 'utf8'));
+            } catch (error) {
+                // No metadata yet - only addresses can be resolved
+            }
+            const match = Object.values(tokens).find(entry => entry.symbol && entry.symbol.toLowerCase() === token.toLowerCase());
+            if (!match) {
+                throw ErrorHandler.createValidationError(`Unknown token "${token}" (use its address or run metadata update)`);
+            }
+            address = ethers.utils.getAddress(match.address);
+        }
+
+        const contract = new ethers.Contract(address, config.abis.erc20, this.provider);
+        const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+        return { symbol, address, decimals };
+    }
+
+    /**
+     * Get the sender's balance of a token
+     * @param {Object} token - Token from resolveToken
+     * @param {string} address - Sender address
+     * @returns {Promise<ethers.BigNumber>} Raw balance
+     */
+    async getBalance(token, address) {
+        if (token.address === ethers.constants.AddressZero) {
+            return this.provider.getBalance(address);
+        }
+        return new ethers.Contract(token.address, config.abis.erc20, this.provider).balanceOf(address);
+    }
+
+    /**
+     * Estimate the most an EOA pays in gas to send one BERA transfer per row
+     * Transfers that can't be estimated count with the default gas limit, and gas is
+     * priced at the preferred fee strategy's max fee.
+     * @param {Array<Object>} rows - Rows from parseCsv
+     * @param {string} fromAddress - Sending wallet
+     * @returns {Promise<ethers.BigNumber>} Gas cost in wei
+     */
+    async estimateGasReserve(rows, fromAddress) {
+        const estimator = this.getGasCostEstimator();
+        const transfers = rows.map(row => ({ to: row.address, data: '0x', value: '0x1' }));
+
+        const gas = (await estimator.estimateGasPerCall(transfers, fromAddress))
+            .map(value => value || ethers.BigNumber.from(config.gas.defaultGasLimit))
+            .reduce((sum, value) => sum.add(value), ethers.BigNumber.from(0));
+        const fees = await estimator.feeOracle.getFees(await FeeOracle.loadPreferredStrategy());
+
+        return gas.mul(fees.maxFeePerGas);
+    }
+
+    /**
+     * Turn CSV rows into raw amounts and check them against the balance
+     * Percentages are shares of the balance left after the reserve.
+     * @param {Array<Object>} rows - Rows from parseCsv
+     * @param {Object} token - Token from resolveToken
+     * @param {ethers.BigNumber} balance - Sender's raw balance
+     * @param {ethers.BigNumber} reserve - Part of the balance that can't be paid out, e.g. gas (default: none)
+     * @returns {Array<Object>} Recipients {address, amount (raw BigNumber), formattedAmount, percent}
+     * @throws {Error} If an amount is invalid or the total exceeds the balance less the reserve
+     */
+    static resolveAmounts(rows, token, balance, reserve = ethers.constants.Zero) {
+        const errors = [];
+        const hundred = ethers.utils.parseUnits('100', PERCENT_DECIMALS);
+        let totalPercent = ethers.BigNumber.from(0);
+
+        const available = balance.gt(reserve) ? balance.sub(reserve) : ethers.constants.Zero;
+
+        const recipients = rows.map(row => {
+            let amount = ethers.BigNumber.from(0);
+            let parsed = false;
+            try {
+                if (row.percent) {
+                    const percent = ethers.utils.parseUnits(row.amount, PERCENT_DECIMALS);
+                    totalPercent = totalPercent.add(percent);
+                    amount = available.mul(percent).div(hundred);
+                } else {
+                    amount = ethers.utils.parseUnits(row.amount, token.decimals);
+                }
+                parsed = true;
+            } catch (error) {
+                errors.push(`Line ${row.line}: ${row.amount}${row.percent ? '%' : ''} has too many decimals`);
+            }
+            if (parsed && amount.isZero()) {
+                errors.push(`Line ${row.line}: ${row.amount}% of the balance is 0 ${token.symbol}`);
+            }
+
+            return {
+                address: row.address,
+                amount,
+                formattedAmount: ethers.utils.formatUnits(amount, token.decimals),
+                percent: row.percent ? parseFloat(row.amount) : null
+            };
+        });
+
+        if (totalPercent.gt(hundred)) {
+            errors.push(`Percentages add up to ${ethers.utils.formatUnits(totalPercent, PERCENT_DECIMALS)}%, more than the whole balance`);
+        }
+
+        const total = recipients.reduce((sum, recipient) => sum.add(recipient.amount), ethers.BigNumber.from(0));
+        if (total.gt(available)) {
+            const format = value => `${ethers.utils.formatUnits(value, token.decimals)} ${token.symbol}`;
+            errors.push(reserve.isZero()
+                ? `Total of ${format(total)} exceeds the balance of ${format(balance)}`
+                : `Total of ${format(total)} exceeds the balance of ${format(balance)} less ${format(reserve)} reserved for gas`);
+        }
+
+        if (errors.length > 0) {
+            throw ErrorHandler.createValidationError(errors.join('\n'));
+        }
+
+        return recipients;
+    }
+
+    /**
+     * Create one transfer payload per recipient
+     * @param {Array<Object>} recipients - Recipients from resolveAmounts
+     * @param {Object} token - Token from resolveToken
+     * @returns {Array<Object>} Payloads {to, data, value, metadata}
+     */
+    createTransferPayloads(recipients, token) {
+        return recipients.map(recipient => {
+            const metadata = { type: 'disperse', token: token.symbol, recipient: recipient.address, amount: recipient.formattedAmount };
+
+            if (token.address === ethers.constants.AddressZero) {
+                return { to: recipient.address, data: '0x', value: recipient.amount.toHexString(), metadata };
+            }
+            return {
+                to: token.address,
+                data: this.erc20Interface.encodeFunctionData('transfer', [recipient.address, recipient.amount]),
+                value: '0x0',
+                metadata
+            };
+        });
+    }
+
+    /**
+     * Format payloads as an EOA or Safe bundle
+     * @param {Array<Object>} payloads - Payloads
+     * @param {string} format - Output format
+     * @param {string} fromAddress - Sender address
+     * @param {string} title - Bundle title for the Safe UI
+     * @returns {Promise<Object|Array>} Formatted bundle data
+     */
+    async formatPayloads(payloads, format, fromAddress, title) {
+        const network = await this.provider.getNetwork();
+
+        if (format === OutputFormat.EOA) {
+            const transactions = [];
+            for (const payload of payloads) {
+                let gasLimit = config.gas.defaultGasLimit;
+                try {
+                    const estimate = await this.provider.estimateGas({ from: fromAddress, to: payload.to, data: payload.data, value: payload.value });
+                    gasLimit = estimate.mul(12).div(10).toHexString();
+                } catch (error) {
+                    // Keep the default when the node can't estimate the call
+                }
+                transactions.push({
+                    to: payload.to,
+                    from: fromAddress,
+                    data: payload.data,
+                    value: payload.value,
+                    gasLimit,
+                    type: "0x2", // EIP-1559 transaction, fees are set when it is sent
+                    chainId: '0x' + network.chainId.toString(16)
+                });
+            }
+            return transactions;
+        }
+
+        const transactions = payloads.map(payload => ({
+            to: payload.to,
+            value: payload.value,
+            data: payload.data,
+            operation: 0,
+            safeTxGas: "0x0"
+        }));
+
+        if (format === OutputFormat.SAFE_UI) {
+            return {
+                version: "1.0",
+                chainId: config.networks.berachain.chainId,
+                createdAt: Date.now(),
+                meta: {
+                    name: title,
+                    description: `Berabundle: ${title}`
+                },
+                transactions
+            };
+        }
+
+        return {
+            transactions,
+            meta: {
+                name: title,
+                description: `Berabundle: ${title}`,
+                fromAddress,
+                chainId: network.chainId,
+                totalTransactions: transactions.length,
+                createdAt: Date.now()
+            }
+        };
+    }
+
+    /**
+     * Build a disperse bundle
+     * @param {Array<Object>} rows - Rows from parseCsv
+     * @param {string} tokenName - BERA, a token symbol or a token address
+     * @param {string} fromAddress - Sender (EOA or Safe) address
+     * @param {string} format - Output format
+     * @param {string} name - Name identifier for the bundle
+     * @returns {Promise<Object>} Result {success, bundleData, summary} or {success: false, message}
+     */
+    async generateDisperseBundle(rows, tokenName, fromAddress, format, name) {
+        try {
+            if (!Object.values(OutputFormat).includes(format)) {
+                throw ErrorHandler.createValidationError(`Unsupported format for disperse bundle: ${format}`);
+            }
+
+            const token = await this.resolveToken(tokenName);
+            const balance = await this.getBalance(token, fromAddress);
+
+            // A Safe's transaction gas is paid by the owner who executes it
+            const gasReserve = token.address === ethers.constants.AddressZero && format === OutputFormat.EOA
+                ? await this.estimateGasReserve(rows, fromAddress)
+                : ethers.constants.Zero;
+            const recipients = DisperseBundler.resolveAmounts(rows, token, balance, gasReserve);
+            const total = recipients.reduce((sum, recipient) => sum.add(recipient.amount), ethers.BigNumber.from(0));
+            const formattedTotal = ethers.utils.formatUnits(total, token.decimals);
+
+            const payloads = this.createTransferPayloads(recipients, token);
+
+            const title = `Disperse ${formattedTotal} ${token.symbol} to ${recipients.length} recipients from ${name}`;
+            const bundleData = await this.formatPayloads(payloads, format, fromAddress, title);
+
+            return {
+                success: true,
+                bundleData,
+                summary: {
+                    token: token.symbol,
+                    tokenAddress: token.address,
+                    recipients: recipients.map(({ address, formattedAmount, percent }) => ({ address, amount: formattedAmount, percent })),
+                    recipientCount: recipients.length,
+                    totalAmount: formattedTotal,
+                    balance: ethers.utils.formatUnits(balance, token.decimals),
+                    gasReserve: ethers.utils.formatUnits(gasReserve, token.decimals),
+                    totalTransactions: payloads.length,
+                    format
+                }
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'DisperseBundler.generateDisperseBundle');
+            return { success: false, message: error.message };
+        }
+    }
+}
+
+module.exports = {
+    DisperseBundler
+};
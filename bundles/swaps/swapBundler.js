@@ -78,6 +78,77 @@ class SwapBundler {
         return this.tokenSwapper[method](...args);
     }
     
+    /**
+     * Creates and saves a swap bundle without any user interaction
+     * 
+     * Runs the same steps as the interactive swap flow: swap quotes, token
+     * approvals, formatting for the selected wallet type and saving to disk.
+     * 
+     * @param {string} walletAddress - Wallet address initiating the swap
+     * @param {Array<Object>} tokens - Token objects (address, symbol, decimals) with an amount to swap
+     * @param {string} format - Output format from OutputFormat enum
+     * @param {string} walletName - Human-readable wallet name
+     * @returns {Promise<Object>} Result with success flag, filepath and formatted bundle
+     */
+    async createSwapBundle(walletAddress, tokens, format, walletName = 'wallet') {
+        try {
+            const swapBundle = await this.tokenService.createSwapBundle(walletAddress, tokens);
+            
+            if (swapBundle.error) {
+                return { success: false, message: swapBundle.error };
+            }
+            
+            if (swapBundle.transactions.length === 0) {
+                return { success: false, message: "No swap transactions could be created" };
+            }
+            
+            const approvalTxs = await this.tokenService.getTokenApprovals(walletAddress, tokens);
+            const allTransactions = [...approvalTxs, ...swapBundle.transactions];
+            
+            const formattedBundle = await this.tokenService.formatSwapBundle(
+                allTransactions,
+                format,
+                walletAddress,
+                walletName
+            );
+            
+            formattedBundle.totalExpectedBera = swapBundle.totalExpectedBera;
+            formattedBundle.formattedTotalExpectedBera = swapBundle.formattedTotalExpectedBera;
+            formattedBundle.tokenSwaps = tokens.map(token => ({
+                symbol: token.symbol,
+                address: token.address,
+                amount: token.amount,
+                valueUsd: token.priceUsd ? token.amount * token.priceUsd : null
+            }));
+            
+            const saveResult = await this.tokenService.saveSwapBundle(
+                formattedBundle,
+                walletName,
+                format,
+                walletAddress
+            );
+            
+            if (!saveResult.success) {
+                return { success: false, message: saveResult.error };
+            }
+            
+            formattedBundle.filepath = saveResult.filepath;
+            
+            return {
+                ...formattedBundle,
+                success: true,
+                filepath: saveResult.filepath,
+                safeInstructions: saveResult.safeInstructions
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'SwapBundler.createSwapBundle');
+            return {
+                success: false,
+                message: `Failed to create swap bundle: ${error.message}`
+            };
+        }
+    }
+    
     /**
      * Displays token balances and swap UI
      * 
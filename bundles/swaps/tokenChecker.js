@@ -15,6 +15,8 @@ const config = require('../../config');
 const { ErrorHandler } = require('../../utils/errorHandler');
 const fs = require('fs').promises;
 const path = require('path');
+const { BundleSchema } = require('../../storage/schemas/bundleSchema');
+const { FeeOracle } = require('../../execution/adapters/feeOracle');
 require('dotenv').config();
 
 // Constants for gas estimation based on transaction type
@@ -353,7 +355,7 @@ class TokenService {
                 formattedTotalValueBera: totalValueBera.toLocaleString(undefined, {
                     minimumFractionDigits: 2,
                     maximumFractionDigits: 6
-                }) + ' BERA'
+                }) + ` ${tokenOut.symbol}`
             };
         } catch (error) {
             ErrorHandler.handle(error, 'TokenService.getTokenBalances');
@@ -432,6 +434,7 @@ class TokenService {
      * 
      * @param {string} fromAddress - Wallet address initiating the swaps
      * @param {Array<Object>} tokensToSwap - Array of token objects with amount to swap
+     * @param {Object} tokenOut - Token to swap into {symbol, address} (default: native BERA)
      * @returns {Promise<Object>} Bundle containing:
      *   - fromAddress: Sending wallet address
      *   - transactions: Array of swap transaction objects
@@ -439,7 +442,7 @@ class TokenService {
      *   - formattedTotalExpectedBera: Formatted BERA amount string
      *   - error: Error message (if any)
      */
-    async createSwapBundle(fromAddress, tokensToSwap) {
+    async createSwapBundle(fromAddress, tokensToSwap, tokenOut = { symbol: 'BERA', address: ethers.constants.AddressZero }) {
         try {
             const swapTransactions = [];
             
@@ -455,7 +458,7 @@ class TokenService {
                 );
 
                 // Get swap quote from API using the v1/swap endpoint
-                const endpoint = `/v1/swap?tokenIn=${token.address}&tokenOut=0x0000000000000000000000000000000000000000&amount=${amountIn.toString()}&slippage=0.01&to=${fromAddress}`;
+                const endpoint = `/v1/swap?tokenIn=${token.address}&tokenOut=${tokenOut.address}&amount=${amountIn.toString()}&slippage=0.01&to=${fromAddress}`;
                 const quoteResponse = await this.apiCallWithAuth(endpoint);
                 
                 if (!quoteResponse.data || !quoteResponse.data.tx) {
@@ -638,9 +641,7 @@ class TokenService {
                     data: tx.data,
                     value: tx.value || "0x0",
                     gasLimit: tx.gasLimit || "0x55555",
-                    maxFeePerGas: config.gas.maxFeePerGas,
-                    maxPriorityFeePerGas: config.gas.maxPriorityFeePerGas,
-                    type: "0x2" // EIP-1559 transaction
+                    type: "0x2" // EIP-1559 transaction, fees are set when it is sent
                     // No chainId - ethers will add it automatically at send time
                 }));
             } else {
@@ -822,8 +823,9 @@ class TokenService {
             const bundleFileName = `swap_bundle_${walletName}_${timestamp}_${format}.json`;
             const bundlePath = `${config.paths.outputDir}/${bundleFileName}`;
             
-            // Write bundle to file
-            await fs.writeFile(bundlePath, JSON.stringify(bundle, null, 2));
+            // Write bundle to file at the current bundle schema version
+            const meta = format === OutputFormat.EOA ? { feeStrategy: await FeeOracle.loadPreferredStrategy() } : {};
+            await fs.writeFile(bundlePath, JSON.stringify(BundleSchema.createFile(bundle, format, meta), null, 2));
             
             // Generate result object
             const result = {
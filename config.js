@@ -13,7 +13,10 @@ const networks = {
         honeyTokenAddress: '0x7EeCA4205fF31f947EdBd49195a7A88E6A91161B', // Added HONEY token address
         validatorBoostAddress: '0x656b95E550C07a9ffe548bd4085c72418Ceb1dba', // BGT token contract (for validator boosts)
         delegationRewardsAddress: '0xBDDba144482049382eC79CadfA02f0fa0F462dE3', // Delegation rewards contract address
+        beraChefAddress: '0xdf960E8F3F19C481dDE769edEDD439ea1a63426a', // BeraChef (validator commissions and reward allocations)
+        blockRewardControllerAddress: '0x1AE7dD7AE06F6C58B4524d9c1f816094B1bcCD8e', // BlockRewardController (BGT emission per block)
         swapBundlerAddress: '0x759CD19632352dA4798D9e96562bEe571cf7C191', // BeraBundle_SwapBundler contract address
+        beraBundleAddress: process.env.BERABUNDLE_ADDRESS || '', // BeraBundle contract (contracts/berabundler.sol), once deployed
         
         // Safe configuration
         safe: {
@@ -48,6 +51,38 @@ const performance = {
     delayBetweenBatches: 50, // ms
     maxRetries: 3,
     backoffMultiplier: 2,
+    multicallBatchSize: 250, // calls per Multicall3 aggregate3 request
+};
+
+// Compound daemon settings
+const daemon = {
+    intervalMinutes: 60, // time between reward checks
+    thresholds: {
+        BGT: 1,     // compound once this much BGT is claimable
+        HONEY: 10   // ...or this much HONEY
+    }
+};
+
+// Validator boost settings
+const boosts = {
+    rebalanceMinChange: '0.01', // BGT; smaller differences from the target allocation are left alone
+    topValidators: 3, // validators picked by the top_bgt_return allocation strategy
+    snapshotIntervalMinutes: 60, // scans closer together than this update the latest boost snapshot instead of adding one
+    logBlockRange: 10000, // blocks per eth_getLogs request when scanning for claimed delegation rewards
+    // Boost discovery from BGT boost events (see bundles/boosts/boostIndexer.js)
+    // first block scanned for a wallet's boost events (null: the BGT contract's deployment block)
+    indexStartBlock: process.env.BOOST_INDEX_START_BLOCK ? Number(process.env.BOOST_INDEX_START_BLOCK) : null,
+    indexBlockRange: 100000 // blocks per eth_getLogs request (halved while the node rejects the range)
+};
+
+// Bundle simulation settings
+const simulation = {
+    enabled: true // dry-run bundles with eth_call before sending or proposing them
+};
+
+// External signer settings
+const signers = {
+    requestTimeoutMs: 120000 // time an external process or signing endpoint gets to answer (allows manual approval)
 };
 
 // File paths
@@ -56,7 +91,10 @@ const paths = {
     outputDir: path.join(__dirname, 'output'),
     metadataDir: path.join(__dirname, 'metadata'),
     userprefsDir: path.join(__dirname, 'userprefs'),
-    
+    portfolioDir: path.join(__dirname, 'output', 'portfolio'),
+    daemonLogDir: path.join(__dirname, 'output', 'daemon'),
+    safeTxDir: path.join(__dirname, 'output', 'safe_txs'),
+
     // Metadata files (downloaded from GitHub)
     validatorsFile: path.join(__dirname, 'metadata', 'validators.json'),
     vaultsFile: path.join(__dirname, 'metadata', 'vaults.json'),
@@ -67,14 +105,33 @@ const paths = {
     boostAllocationFile: path.join(__dirname, 'userprefs', 'boost_allocation.json'),
     encryptedKeysFile: path.join(__dirname, 'userprefs', 'encrypted_keys.json'),
     apiKeysFile: path.join(__dirname, 'userprefs', 'api_keys.json'),
+    signersFile: path.join(__dirname, 'userprefs', 'signers.json'),
+    feeStrategyFile: path.join(__dirname, 'userprefs', 'fee_strategy.json'),
+
+    // Bundle lifecycle records (status, tx hashes, receipts) keyed by bundle file
+    bundleHistoryFile: path.join(__dirname, 'output', 'history', 'bundle_history.json'),
+    // EOA transactions sent by BeraBundle that are not mined yet (for speed-up and cancel)
+    pendingTransactionsFile: path.join(__dirname, 'output', 'history', 'pending_transactions.json'),
+    // Boost snapshots (per-validator boosts and claimed delegation rewards) by wallet
+    boostHistoryFile: path.join(__dirname, 'output', 'history', 'boost_history.json'),
+    // Validators each wallet sent boost events for, with the last indexed block
+    boostIndexFile: path.join(__dirname, 'output', 'history', 'boost_index.json'),
 };
 
 // Gas settings
 const gas = {
+    // Fee strategy used when neither the bundle nor the user picked one (slow, normal or fast)
+    feeStrategy: 'normal',
+    maxFeeCap: null, // Cap on maxFeePerGas in gwei (null for no cap)
+    feeHistoryBlocks: 20, // Blocks sampled with eth_feeHistory
+    // Fixed fees, only used when the node can't estimate fees
     maxFeePerGas: '0x3b9aca00', // 1 Gwei
     maxPriorityFeePerGas: '0x3b9aca00', // 1 Gwei
     estimateGasLimit: true,
     defaultGasLimit: '0x500000',
+    replacementBumpPercent: 20, // Fee increase of speed-up and cancel transactions (nodes require at least 10%)
+    // Claims whose gas would cost more than this percentage of their reward value are left out (null to claim everything)
+    maxClaimCostPercent: 10,
 };
 
 // ABIs
@@ -92,6 +149,8 @@ const abis = {
         "function periodFinish() view returns (uint256)",
         "function getRewardForDuration() view returns (uint256)",
         "function getReward(address account, address recipient) external returns (uint256)",
+        "function operator(address account) view returns (address)",
+        "function setOperator(address _operator) external",
         "function stakeToken() view returns (address)",
         "function rewardToken() view returns (address)",
         "function getWhitelistedTokens() view returns (address[])",
@@ -112,18 +171,55 @@ const abis = {
     validatorBoost: [
         "function boosted(address account, bytes pubkey) external view returns (uint256)",
         "function boosts(address account) external view returns (uint256)",
-        "function boostedQueue(address account, bytes pubkey) external view returns (uint256)",
+        "function boostedQueue(address account, bytes pubkey) external view returns (uint32 blockNumberLast, uint128 balance)",
         "function queuedBoost(address account) external view returns (uint256)",
+        "function dropBoostQueue(address account, bytes pubkey) external view returns (uint32 blockNumberLast, uint128 balance)",
+        "function unboostedBalanceOf(address account) external view returns (uint256)",
         "function boostees(bytes pubkey) external view returns (uint256)",
+        "function activateBoostDelay() external view returns (uint32)",
+        "function dropBoostDelay() external view returns (uint32)",
         "function queueBoost(bytes pubkey, uint128 amount) external",
         "function cancelBoost(bytes pubkey, uint128 amount) external",
         "function activateBoost(address user, bytes pubkey) external returns (bool)",
-        "function normalizedBoost(bytes pubkey) external view returns (uint256)"
+        "function queueDropBoost(bytes pubkey, uint128 amount) external",
+        "function dropBoost(address user, bytes pubkey) external returns (bool)",
+        "function normalizedBoost(bytes pubkey) external view returns (uint256)",
+        "event QueueBoost(address indexed sender, bytes indexed pubkey, uint128 amount)",
+        "event CancelBoost(address indexed sender, bytes indexed pubkey, uint128 amount)",
+        "event ActivateBoost(address indexed sender, address indexed user, bytes indexed pubkey, uint128 amount)",
+        "event DropBoost(address indexed sender, address indexed user, bytes indexed pubkey, uint128 amount)"
+    ],
+
+    beraChef: [
+        "function getValCommissionOnIncentiveTokens(bytes valPubkey) external view returns (uint96)",
+        "function getActiveRewardAllocation(bytes valPubkey) external view returns (tuple(uint64 startBlock, tuple(address receiver, uint96 percentageNumerator)[] weights))"
+    ],
+
+    blockRewardController: [
+        "function rewardRate() external view returns (uint256)",
+        "function boostMultiplier() external view returns (uint256)",
+        "function rewardConvexity() external view returns (int256)",
+        "function computeReward(uint256 boostPower, uint256 _rewardRate, uint256 _boostMultiplier, int256 _rewardConvexity) external pure returns (uint256)"
     ],
 
     erc20: [
         "function symbol() view returns (string)",
-        "function decimals() view returns (uint8)"
+        "function decimals() view returns (uint8)",
+        "function balanceOf(address account) view returns (uint256)",
+        "function approve(address spender, uint256 amount) returns (bool)",
+        "function allowance(address owner, address spender) view returns (uint256)",
+        "function transfer(address to, uint256 amount) returns (bool)",
+        "function transferFrom(address from, address to, uint256 amount) returns (bool)"
+    ],
+
+    // OogaBooga OBRouter swap entry point (targets of swap bundles)
+    obRouter: [
+        "function swap(tuple(address inputToken, uint256 inputAmount, address outputToken, uint256 outputQuote, uint256 outputMin, address outputReceiver) tokenInfo, bytes pathDefinition, address executor, uint32 referralCode) payable returns (uint256 amountOut)"
+    ],
+    
+    // BeraBundle contract (contracts/berabundler.sol) entry point
+    beraBundle: [
+        "function executeBundle(tuple(uint8 operationType, address target, bytes data, uint256 value, address tokenAddress, uint256 tokenAmount, address[] recipients, uint256[] amounts)[] operations) payable"
     ],
     
     // Multicall3 ABI - standard ABI supported on most EVM chains
@@ -134,12 +230,25 @@ const abis = {
     // Safe MultiSend contract ABI
     multiSend: [
         "function multiSend(bytes memory transactions) public"
+    ],
+
+    // Safe (GnosisSafe >= 1.3) owner checks and execution
+    safe: [
+        "function getThreshold() view returns (uint256)",
+        "function getOwners() view returns (address[])",
+        "function nonce() view returns (uint256)",
+        "function getTransactionHash(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, uint256 _nonce) view returns (bytes32)",
+        "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)"
     ]
 };
 
 module.exports = {
     networks,
     performance,
+    daemon,
+    boosts,
+    simulation,
+    signers,
     paths,
     gas,
     abis,
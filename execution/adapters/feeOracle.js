@@ -0,0 +1,243 @@
+/**
+ * feeOracle.js - EIP-1559 fee estimation from recent blocks
+ *
+ * Fees are derived from eth_feeHistory: the priority fee is the median of a
+ * reward percentile over the last blocks, and the max fee leaves room for the
+ * base fee to rise. A fee strategy combines one of the presets below with an
+ * optional cap on maxFeePerGas; EOA bundles store the strategy and fees are
+ * computed from it when the bundle is sent.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+
+/**
+ * Fee presets
+ */
+const FeeStrategy = {
+    SLOW: 'slow',
+    NORMAL: 'normal',
+    FAST: 'fast'
+};
+
+/**
+ * Reward percentile and base fee headroom (percent of the next base fee) of each preset
+ */
+const PRESETS = {
+    [FeeStrategy.SLOW]: { percentile: 10, baseFeePercent: 125 },
+    [FeeStrategy.NORMAL]: { percentile: 50, baseFeePercent: 200 },
+    [FeeStrategy.FAST]: { percentile: 90, baseFeePercent: 200 }
+};
+
+/**
+ * Estimates EIP-1559 fees for the fee strategy presets
+ */
+class FeeOracle {
+    /**
+     * Create a new FeeOracle
+     * @param {ethers.providers.Provider} provider - Ethers provider
+     * @param {Object} options - Options
+     * @param {number} options.blockCount - Blocks of fee history to sample (default: config.gas.feeHistoryBlocks)
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.blockCount = options.blockCount || config.gas.feeHistoryBlocks;
+    }
+
+    /**
+     * Build a validated fee strategy
+     * @param {string} preset - Preset name (see FeeStrategy)
+     * @param {string|number|null} maxFeeCap - Cap on maxFeePerGas in gwei (null for no cap)
+     * @returns {Object} Fee strategy {preset, maxFeeCap}
+     * @throws {Error} If the preset or cap is invalid
+     */
+    static createStrategy(preset = config.gas.feeStrategy, maxFeeCap = config.gas.maxFeeCap) {
+        if (!Object.values(FeeStrategy).includes(preset)) {
+            throw ErrorHandler.createValidationError(`Unknown fee strategy "${preset}" (expected ${Object.values(FeeStrategy).join(', ')})`);
+        }
+
+        if (maxFeeCap === null || maxFeeCap === undefined || maxFeeCap === '') {
+            return { preset, maxFeeCap: null };
+        }
+
+        const cap = String(maxFeeCap);
+        let wei;
+        try {
+            wei = ethers.utils.parseUnits(cap, 'gwei');
+        } catch (error) {
+            wei = null;
+        }
+        if (!wei || wei.lte(0)) {
+            throw ErrorHandler.createValidationError(`Max fee cap must be a positive amount of gwei, got "${cap}"`);
+        }
+
+        return { preset, maxFeeCap: cap };
+    }
+
+    /**
+     * Load the user's preferred fee strategy
+     * @param {string} file - Preference file (default: config.paths.feeStrategyFile)
+     * @returns {Promise<Object>} Fee strategy {preset, maxFeeCap} (config defaults if none was set)
+     */
+    static async loadPreferredStrategy(file = config.paths.feeStrategyFile) {
+        try {
+            const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+            return FeeOracle.createStrategy(saved.preset, saved.maxFeeCap);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                ErrorHandler.handle(error, 'FeeOracle.loadPreferredStrategy');
+            }
+            return FeeOracle.createStrategy();
+        }
+    }
+
+    /**
+     * Save the user's preferred fee strategy
+     * @param {Object} strategy - Fee strategy {preset, maxFeeCap}
+     * @param {string} file - Preference file (default: config.paths.feeStrategyFile)
+     * @returns {Promise<Object>} Result {success, message}
+     */
+    static async savePreferredStrategy(strategy, file = config.paths.feeStrategyFile) {
+        try {
+            const validated = FeeOracle.createStrategy(strategy.preset, strategy.maxFeeCap);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, JSON.stringify(validated, null, 2));
+            return { success: true, message: `Fee strategy set to ${FeeOracle.describe(validated)}` };
+        } catch (error) {
+            ErrorHandler.handle(error, 'FeeOracle.savePreferredStrategy');
+            return { success: false, message: `Failed to save fee strategy: ${error.message}` };
+        }
+    }
+
+    /**
+     * Describe a fee strategy for display
+     * @param {Object} strategy - Fee strategy {preset, maxFeeCap}
+     * @returns {string} Description
+     */
+    static describe(strategy) {
+        return strategy.maxFeeCap ? `${strategy.preset} (max fee ${strategy.maxFeeCap} gwei)` : strategy.preset;
+    }
+
+    /**
+     * Median of a list of BigNumbers
+     * @param {Array<ethers.BigNumber>} values - Values
+     * @returns {ethers.BigNumber} Median (lower middle value for even counts, zero for none)
+     */
+    static median(values) {
+        if (values.length === 0) {
+            return ethers.BigNumber.from(0);
+        }
+        const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+        return sorted[Math.floor((sorted.length - 1) / 2)];
+    }
+
+    /**
+     * Estimate the fees of every preset
+     * Falls back to the provider's fee data, then to the fixed config fees, if the
+     * node doesn't support eth_feeHistory.
+     * @returns {Promise<Object>} Fees keyed by preset, each {maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas, source}
+     */
+    async estimatePresets() {
+        const presets = Object.values(FeeStrategy);
+
+        try {
+            const percentiles = presets.map(preset => PRESETS[preset].percentile);
+            const history = await this.provider.send('eth_feeHistory', [
+                ethers.utils.hexValue(this.blockCount),
+                'latest',
+                percentiles
+            ]);
+
+            // The last base fee is the one of the next block
+            const baseFeePerGas = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            const rewards = (history.reward || []).filter(reward => Array.isArray(reward) && reward.length === percentiles.length);
+
+            const fees = {};
+            presets.forEach((preset, index) => {
+                const maxPriorityFeePerGas = FeeOracle.median(rewards.map(reward => ethers.BigNumber.from(reward[index])));
+                fees[preset] = {
+                    maxFeePerGas: baseFeePerGas.mul(PRESETS[preset].baseFeePercent).div(100).add(maxPriorityFeePerGas),
+                    maxPriorityFeePerGas,
+                    baseFeePerGas,
+                    source: 'eth_feeHistory'
+                };
+            });
+            return fees;
+        } catch (error) {
+            console.warn(`Warning: eth_feeHistory failed (${error.message}), using fallback fees`);
+        }
+
+        let fallback;
+        try {
+            const feeData = await this.provider.getFeeData();
+            if (!feeData.maxFeePerGas || !feeData.maxPriorityFeePerGas) {
+                throw new Error("Provider returned no EIP-1559 fee data");
+            }
+            fallback = {
+                maxFeePerGas: feeData.maxFeePerGas,
+                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+                baseFeePerGas: null,
+                source: 'provider'
+            };
+        } catch (error) {
+            fallback = {
+                maxFeePerGas: ethers.BigNumber.from(config.gas.maxFeePerGas),
+                maxPriorityFeePerGas: ethers.BigNumber.from(config.gas.maxPriorityFeePerGas),
+                baseFeePerGas: null,
+                source: 'config'
+            };
+        }
+
+        const fees = {};
+        presets.forEach(preset => {
+            fees[preset] = { ...fallback };
+        });
+        return fees;
+    }
+
+    /**
+     * Get the fees to send a transaction with
+     * @param {Object} strategy - Fee strategy {preset, maxFeeCap} (default: config.gas defaults)
+     * @returns {Promise<Object>} Fees {preset, maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas, capped, source}
+     */
+    async getFees(strategy = {}) {
+        const { preset, maxFeeCap } = FeeOracle.createStrategy(strategy.preset, strategy.maxFeeCap);
+        const fees = (await this.estimatePresets())[preset];
+        let { maxFeePerGas, maxPriorityFeePerGas } = fees;
+        let capped = false;
+
+        if (maxFeeCap) {
+            const cap = ethers.utils.parseUnits(maxFeeCap, 'gwei');
+            if (maxFeePerGas.gt(cap)) {
+                maxFeePerGas = cap;
+                capped = true;
+            }
+            if (maxPriorityFeePerGas.gt(maxFeePerGas)) {
+                maxPriorityFeePerGas = maxFeePerGas;
+            }
+            if (fees.baseFeePerGas && cap.lt(fees.baseFeePerGas)) {
+                console.warn(`Warning: Max fee cap ${maxFeeCap} gwei is below the current base fee of ${ethers.utils.formatUnits(fees.baseFeePerGas, 'gwei')} gwei; the transaction waits until the base fee drops`);
+            }
+        }
+
+        return { preset, maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas: fees.baseFeePerGas, capped, source: fees.source };
+    }
+
+    /**
+     * Format fees for display
+     * @param {Object} fees - Fees from getFees or estimatePresets
+     * @returns {string} Description in gwei
+     */
+    static formatFees(fees) {
+        const gwei = value => ethers.utils.formatUnits(value, 'gwei');
+        return `max fee ${gwei(fees.maxFeePerGas)} gwei, tip ${gwei(fees.maxPriorityFeePerGas)} gwei${fees.capped ? ' (capped)' : ''}`;
+    }
+}
+
+module.exports = {
+    FeeOracle,
+    FeeStrategy
+};
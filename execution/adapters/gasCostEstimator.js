@@ -0,0 +1,240 @@
+/**
+ * gasCostEstimator.js - Gas cost of bundles in BERA and USD
+ *
+ * Gas is estimated per call (or taken from a simulation), priced with the
+ * fee oracle's current fees and converted to USD with the BERA price from
+ * TokenService. The same numbers back the cost preview shown before a bundle
+ * is sent and the claim guard that leaves out rewards worth less than the gas
+ * needed to claim them.
+ */
+
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const { FeeOracle } = require('./feeOracle');
+const TokenService = require('../../bundles/swaps/tokenChecker');
+
+/**
+ * Estimates what sending a bundle costs
+ */
+class GasCostEstimator {
+    /**
+     * Create a new GasCostEstimator
+     * @param {ethers.providers.Provider} provider - Ethers provider
+     * @param {Object} options - Options
+     * @param {FeeOracle} options.feeOracle - Fee oracle (default: a new one on the provider)
+     * @param {TokenService} options.tokenService - Price source (default: a new one on the provider)
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.feeOracle = options.feeOracle || new FeeOracle(provider);
+        this.tokenService = options.tokenService || new TokenService(provider, global.app || null);
+    }
+
+    /**
+     * Estimate the gas of every call
+     * @param {Array<Object>} transactions - Calls {to, data, value}
+     * @param {string} from - Sender (EOA or Safe) address
+     * @param {Array<string|null>} gasEstimates - Known estimates by index, e.g. from a simulation
+     * @returns {Promise<Array<ethers.BigNumber|null>>} Gas per call, null where it can't be estimated
+     */
+    async estimateGasPerCall(transactions, from, gasEstimates = []) {
+        const gas = [];
+
+        for (let i = 0; i < transactions.length; i++) {
+            if (gasEstimates[i]) {
+                gas.push(ethers.BigNumber.from(gasEstimates[i]));
+                continue;
+            }
+
+            const tx = transactions[i];
+            try {
+                gas.push(await this.provider.estimateGas({
+                    from,
+                    to: tx.to,
+                    data: tx.data || '0x',
+                    value: tx.value || '0x0'
+                }));
+            } catch (error) {
+                gas.push(null);
+            }
+        }
+
+        return gas;
+    }
+
+    /**
+     * Get the gas price a transaction is expected to pay
+     * @param {Object} fees - Fees from FeeOracle.getFees
+     * @returns {ethers.BigNumber} Next base fee plus tip, or the max fee if the base fee is unknown
+     */
+    static getExpectedGasPrice(fees) {
+        if (!fees.baseFeePerGas) {
+            return fees.maxFeePerGas;
+        }
+        const expected = fees.baseFeePerGas.add(fees.maxPriorityFeePerGas);
+        return expected.lt(fees.maxFeePerGas) ? expected : fees.maxFeePerGas;
+    }
+
+    /**
+     * Get the USD price of BERA
+     * @returns {Promise<number|null>} Price or null if unavailable
+     */
+    async getBeraPrice() {
+        return this.tokenService.getTokenPrice('BERA');
+    }
+
+    /**
+     * Get the USD value of a reward
+     * BGT can't be traded; it is valued at the BERA it can be burned for (1:1).
+     * @param {Object} rewardToken - Reward token {symbol, address}
+     * @param {string|number} amount - Reward amount in whole tokens
+     * @returns {Promise<number|null>} Value or null if the token has no price
+     */
+    async getRewardValueUsd(rewardToken, amount) {
+        if (!rewardToken || !(parseFloat(amount) > 0)) {
+            return null;
+        }
+
+        const price = rewardToken.symbol === 'BGT'
+            ? await this.getBeraPrice()
+            : await this.tokenService.getTokenPrice(rewardToken.address);
+
+        return price === null || price === undefined ? null : parseFloat(amount) * price;
+    }
+
+    /**
+     * Estimate the cost of sending a bundle
+     * @param {Array<Object>} transactions - Calls {to, data, value}
+     * @param {string} from - Sender (EOA or Safe) address
+     * @param {Object} options - Options
+     * @param {Object} options.feeStrategy - Fee strategy {preset, maxFeeCap} (default: the preferred one)
+     * @param {Array<string|null>} options.gasEstimates - Known gas estimates by call index
+     * @returns {Promise<Object>} Cost {gas, unknownCalls, gasPrice, maxFeePerGas, costBera, maxCostBera, beraPrice, costUsd}
+     */
+    async estimateCost(transactions, from, options = {}) {
+        const feeStrategy = options.feeStrategy || await FeeOracle.loadPreferredStrategy();
+        const perCall = await this.estimateGasPerCall(transactions, from, options.gasEstimates);
+        const gas = perCall.filter(Boolean).reduce((sum, value) => sum.add(value), ethers.BigNumber.from(0));
+
+        const fees = await this.feeOracle.getFees(feeStrategy);
+        const gasPrice = GasCostEstimator.getExpectedGasPrice(fees);
+        const costBera = ethers.utils.formatEther(gas.mul(gasPrice));
+        const beraPrice = await this.getBeraPrice();
+
+        return {
+            gas: gas.toString(),
+            unknownCalls: perCall.filter(value => !value).length,
+            gasPrice,
+            maxFeePerGas: fees.maxFeePerGas,
+            costBera,
+            maxCostBera: ethers.utils.formatEther(gas.mul(fees.maxFeePerGas)),
+            beraPrice,
+            costUsd: beraPrice === null ? null : parseFloat(costBera) * beraPrice
+        };
+    }
+
+    /**
+     * Format an estimated cost for the console
+     * @param {Object} cost - Result from estimateCost
+     * @returns {string} Cost description
+     */
+    static formatCost(cost) {
+        const usd = cost.costUsd === null ? 'USD price unavailable' : `$${cost.costUsd.toFixed(4)}`;
+        const lines = [
+            `⛽ Estimated cost: ${parseFloat(cost.costBera).toFixed(6)} BERA (${usd}) for ${cost.gas} gas at ${ethers.utils.formatUnits(cost.gasPrice, 'gwei')} gwei`,
+            `   At most ${parseFloat(cost.maxCostBera).toFixed(6)} BERA if the base fee rises to the max fee`
+        ];
+        if (cost.unknownCalls > 0) {
+            lines.push(`⚠️ Gas of ${cost.unknownCalls} call(s) could not be estimated and is not included`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Estimate and print the cost of a bundle before it is sent
+     * Never throws: a failed estimate only prints a warning.
+     * @param {Array<Object>} transactions - Calls {to, data, value}
+     * @param {string} from - Sender (EOA or Safe) address
+     * @param {Object} options - Options passed to estimateCost
+     * @returns {Promise<Object|null>} Cost or null if it couldn't be estimated
+     */
+    async previewCost(transactions, from, options = {}) {
+        try {
+            const cost = await this.estimateCost(transactions, from, options);
+            console.log(`\n${GasCostEstimator.formatCost(cost)}`);
+            return cost;
+        } catch (error) {
+            ErrorHandler.handle(error, 'GasCostEstimator.previewCost');
+            console.log(`⚠️ Could not estimate the gas cost: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Leave out claims whose gas costs more than a percentage of the reward they claim
+     * Claims without a reward price or gas estimate are kept, since their cost can't be judged.
+     * @param {Array<Object>} payloads - Claim payloads from ClaimBundler.createClaimPayloads
+     * @param {string} from - Address that sends the claims
+     * @param {number} maxPercent - Highest gas cost allowed, in percent of the reward value
+     * @param {Object} options - Options (feeStrategy)
+     * @returns {Promise<Object>} Result {payloads, skipped: [{payload, name, valueUsd, costUsd, percent}]}
+     */
+    async filterUneconomicClaims(payloads, from, maxPercent, options = {}) {
+        const beraPrice = await this.getBeraPrice();
+        if (beraPrice === null) {
+            console.log("⚠️ BERA price unavailable, claims are not checked against their gas cost");
+            return { payloads, skipped: [] };
+        }
+
+        const feeStrategy = options.feeStrategy || await FeeOracle.loadPreferredStrategy();
+        const gasPrice = GasCostEstimator.getExpectedGasPrice(await this.feeOracle.getFees(feeStrategy));
+        const perCall = await this.estimateGasPerCall(payloads, from);
+
+        const kept = [];
+        const skipped = [];
+
+        for (let i = 0; i < payloads.length; i++) {
+            const payload = payloads[i];
+            const { rewardToken, rewardAmount } = payload.metadata || {};
+            const valueUsd = await this.getRewardValueUsd(rewardToken, rewardAmount);
+
+            if (!perCall[i] || valueUsd === null) {
+                kept.push(payload);
+                continue;
+            }
+
+            const costUsd = parseFloat(ethers.utils.formatEther(perCall[i].mul(gasPrice))) * beraPrice;
+            const percent = valueUsd > 0 ? (costUsd / valueUsd) * 100 : Infinity;
+
+            if (percent > maxPercent) {
+                const name = payload.metadata.name || payload.metadata.vaultAddress || payload.to;
+                console.log(`⚠️ Skipping ${name}: gas $${costUsd.toFixed(4)} is ${percent.toFixed(1)}% of the $${valueUsd.toFixed(4)} reward (limit ${maxPercent}%)`);
+                skipped.push({ payload, name, valueUsd, costUsd, percent });
+            } else {
+                kept.push(payload);
+            }
+        }
+
+        return { payloads: kept, skipped };
+    }
+
+    /**
+     * Parse a gas guard percentage
+     * @param {string|number|null} value - Percentage, or 'none' to turn the guard off
+     * @returns {number|null} Percentage, or null if the guard is off
+     * @throws {Error} If the value isn't a positive number
+     */
+    static parseMaxPercent(value = config.gas.maxClaimCostPercent) {
+        if (value === null || value === undefined || value === 'none') {
+            return null;
+        }
+        const percent = Number(value);
+        if (!Number.isFinite(percent) || percent <= 0) {
+            throw ErrorHandler.createValidationError(`Gas guard must be a positive percentage or "none", got "${value}"`);
+        }
+        return percent;
+    }
+}
+
+module.exports = GasCostEstimator;
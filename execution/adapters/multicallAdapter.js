@@ -0,0 +1,123 @@
+/**
+ * multicallAdapter.js - Adapter for batched contract reads through Multicall3
+ *
+ * Packs many view calls into `aggregate3` requests with `allowFailure` set, so a
+ * single reverting call (e.g. a vault that doesn't implement a function) never
+ * fails the whole batch. Large call lists are split into chunks of
+ * config.performance.multicallBatchSize calls per RPC request.
+ */
+
+const { ethers } = require('ethers');
+const config = require('../../config');
+
+/**
+ * Adapter for Multicall3 batched reads
+ */
+class MulticallAdapter {
+    /**
+     * Create a new MulticallAdapter
+     * @param {ethers.providers.Provider} provider - Ethereum provider
+     * @param {Object} options - Adapter options
+     * @param {string} options.address - Multicall3 address (default: network config)
+     * @param {number} options.batchSize - Maximum calls per aggregate3 request
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.batchSize = options.batchSize || config.performance.multicallBatchSize;
+        this.multicall = new ethers.Contract(
+            options.address || config.networks.berachain.multicall.address,
+            config.abis.multicall3,
+            provider
+        );
+
+        // Interfaces are cached per ABI so repeated calls don't re-parse fragments
+        this.interfaceCache = new Map();
+    }
+
+    /**
+     * Get a (cached) ethers Interface for an ABI
+     * @param {Array|ethers.utils.Interface} abi - Contract ABI or Interface
+     * @returns {ethers.utils.Interface} Interface instance
+     */
+    getInterface(abi) {
+        if (abi instanceof ethers.utils.Interface) {
+            return abi;
+        }
+        if (!this.interfaceCache.has(abi)) {
+            this.interfaceCache.set(abi, new ethers.utils.Interface(abi));
+        }
+        return this.interfaceCache.get(abi);
+    }
+
+    /**
+     * Execute view calls in as few aggregate3 requests as possible
+     *
+     * Each call is described as {target, abi, method, args}. Results keep the
+     * order of the input and are {success, value}, where value is the decoded
+     * return value (unwrapped when the function has a single output) or null
+     * when the call reverted or returned data that could not be decoded.
+     *
+     * @param {Array<Object>} calls - Calls to execute
+     * @param {Function} progressCallback - Optional callback(current, total) after each chunk
+     * @returns {Promise<Array<Object>>} Decoded results
+     */
+    async aggregate(calls, progressCallback = null) {
+        const results = [];
+
+        for (let i = 0; i < calls.length; i += this.batchSize) {
+            const chunk = calls.slice(i, i + this.batchSize);
+
+            // Calls that can't be encoded (e.g. malformed arguments) fail on their own
+            const encodedCalls = chunk.map(call => {
+                try {
+                    return {
+                        target: call.target,
+                        allowFailure: true,
+                        callData: this.getInterface(call.abi).encodeFunctionData(call.method, call.args || [])
+                    };
+                } catch (error) {
+                    return null;
+                }
+            });
+
+            const responses = await this.multicall.callStatic.aggregate3(encodedCalls.filter(Boolean));
+
+            let responseIndex = 0;
+            encodedCalls.forEach((encoded, index) => {
+                results.push(encoded
+                    ? this.decodeResult(chunk[index], responses[responseIndex++])
+                    : { success: false, value: null });
+            });
+
+            if (progressCallback) {
+                progressCallback(Math.min(i + this.batchSize, calls.length), calls.length);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Decode a single aggregate3 result
+     * @param {Object} call - Original call description
+     * @param {Object} response - aggregate3 result {success, returnData}
+     * @returns {Object} Result {success, value}
+     */
+    decodeResult(call, response) {
+        if (!response.success || response.returnData === '0x') {
+            return { success: false, value: null };
+        }
+
+        try {
+            const decoded = this.getInterface(call.abi).decodeFunctionResult(call.method, response.returnData);
+            return {
+                success: true,
+                value: decoded.length === 1 ? decoded[0] : decoded
+            };
+        } catch (error) {
+            return { success: false, value: null };
+        }
+    }
+}
+
+module.exports = MulticallAdapter;
@@ -0,0 +1,399 @@
+/**
+ * nonceManager.js - Nonce assignment and pending transaction tracking for EOA sends
+ *
+ * Every transaction BeraBundle sends from a wallet gets an explicit nonce from
+ * the nonce manager and is recorded in the pending transactions file until it
+ * is mined. A recorded transaction can be sped up (resent at the same nonce
+ * with higher EIP-1559 fees) or cancelled (replaced by a zero-value send to
+ * the wallet itself at the same nonce), also from a later run of the CLI.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+
+/**
+ * Smallest fee bump nodes accept for a replacement transaction (percent)
+ */
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+/**
+ * Gas limit of a cancellation (plain value transfer)
+ */
+const CANCEL_GAS_LIMIT = 21000;
+
+/**
+ * Assigns nonces and tracks the pending transactions sent by the tool
+ */
+class NonceManager {
+    /**
+     * Create a new NonceManager
+     * @param {Object} providerAdapter - ProviderAdapter used for network nonces and fees
+     * @param {Object} options - Options
+     * @param {string} options.pendingFile - Pending transactions file (default: config.paths.pendingTransactionsFile)
+     */
+    constructor(providerAdapter, options = {}) {
+        this.providerAdapter = providerAdapter;
+        this.pendingFile = options.pendingFile || config.paths.pendingTransactionsFile;
+        // Next nonce handed out per address in this process, so back-to-back
+        // sends don't reuse a nonce the node hasn't seen yet
+        this.nextNonces = {};
+    }
+
+    /**
+     * Get the provider of the adapter
+     * @returns {ethers.providers.Provider} The provider
+     */
+    getProvider() {
+        return this.providerAdapter.getProvider();
+    }
+
+    /**
+     * Reserve the next nonce for an address
+     * The node's pending nonce is used unless this process already handed out a higher one.
+     * @param {string} address - Sender address
+     * @returns {Promise<number>} Reserved nonce
+     */
+    async getNextNonce(address) {
+        const key = address.toLowerCase();
+        const networkNonce = await this.providerAdapter.getNextNonce(address);
+        const nonce = Math.max(networkNonce, this.nextNonces[key] || 0);
+        this.nextNonces[key] = nonce + 1;
+        return nonce;
+    }
+
+    /**
+     * Give back a reserved nonce whose transaction was never broadcast
+     * @param {string} address - Sender address
+     * @param {number} nonce - Reserved nonce
+     */
+    releaseNonce(address, nonce) {
+        const key = address.toLowerCase();
+        if (this.nextNonces[key] === nonce + 1) {
+            this.nextNonces[key] = nonce;
+        }
+    }
+
+    /**
+     * Load the tracked pending transactions
+     * @returns {Promise<Array>} Pending transaction records
+     */
+    async loadPending() {
+        try {
+            const content = await fs.readFile(this.pendingFile, 'utf8');
+            const records = JSON.parse(content);
+            return Array.isArray(records) ? records : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                ErrorHandler.handle(error, 'NonceManager.loadPending');
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Save the tracked pending transactions
+     * @param {Array} records - Pending transaction records
+     * @returns {Promise<void>}
+     */
+    async savePending(records) {
+        await fs.mkdir(path.dirname(this.pendingFile), { recursive: true });
+        await fs.writeFile(this.pendingFile, JSON.stringify(records, null, 2));
+    }
+
+    /**
+     * Sign and send a transaction with the next nonce of the signer and track it
+     * @param {ethers.Signer} signer - Signer connected to a provider
+     * @param {Object} txData - Transaction request (a nonce in it is kept)
+     * @param {Object} meta - Context recorded with the transaction (bundleFile, index)
+     * @returns {Promise<ethers.providers.TransactionResponse>} Sent transaction
+     */
+    async sendTransaction(signer, txData, meta = {}) {
+        const from = await signer.getAddress();
+        const reserved = txData.nonce === undefined || txData.nonce === null;
+        const nonce = reserved ? await this.getNextNonce(from) : ethers.BigNumber.from(txData.nonce).toNumber();
+
+        let response;
+        try {
+            response = await signer.sendTransaction({ ...txData, nonce });
+        } catch (error) {
+            if (reserved) {
+                this.releaseNonce(from, nonce);
+            }
+            throw error;
+        }
+
+        await this.track(response, meta);
+        return response;
+    }
+
+    /**
+     * Record a sent transaction as pending
+     * A tracked transaction with the same sender and nonce is superseded by it.
+     * Tracking never throws, so a failed write can't interrupt sending.
+     * @param {ethers.providers.TransactionResponse} response - Sent transaction
+     * @param {Object} meta - Context recorded with the transaction (bundleFile, index, replaces, cancel)
+     * @returns {Promise<Object|null>} Pending record or null if nothing was recorded
+     */
+    async track(response, meta = {}) {
+        try {
+            const toString = value => (value === undefined || value === null ? null : ethers.BigNumber.from(value).toString());
+            const record = {
+                hash: response.hash,
+                from: ethers.utils.getAddress(response.from),
+                nonce: response.nonce,
+                to: response.to ? ethers.utils.getAddress(response.to) : null,
+                value: toString(response.value) || '0',
+                data: response.data || '0x',
+                gasLimit: toString(response.gasLimit),
+                type: response.type,
+                maxFeePerGas: toString(response.maxFeePerGas),
+                maxPriorityFeePerGas: toString(response.maxPriorityFeePerGas),
+                gasPrice: response.type === 2 ? null : toString(response.gasPrice),
+                chainId: response.chainId,
+                sentAt: new Date().toISOString(),
+                ...meta
+            };
+
+            const records = (await this.loadPending()).filter(entry =>
+                !(entry.from.toLowerCase() === record.from.toLowerCase() && entry.nonce === record.nonce)
+            );
+            records.push(record);
+            await this.savePending(records);
+
+            return record;
+        } catch (error) {
+            ErrorHandler.handle(error, 'NonceManager.track');
+            return null;
+        }
+    }
+
+    /**
+     * Stop tracking the transactions of a sender up to a nonce
+     * @param {string} from - Sender address
+     * @param {number} nonce - Highest mined nonce
+     * @returns {Promise<void>}
+     */
+    async untrack(from, nonce) {
+        try {
+            const records = await this.loadPending();
+            const remaining = records.filter(entry =>
+                !(entry.from.toLowerCase() === from.toLowerCase() && entry.nonce <= nonce)
+            );
+            if (remaining.length !== records.length) {
+                await this.savePending(remaining);
+            }
+        } catch (error) {
+            ErrorHandler.handle(error, 'NonceManager.untrack');
+        }
+    }
+
+    /**
+     * Wait for a tracked transaction, following a speed-up or cancellation of it
+     * A reverted transaction resolves with its receipt (status 0) instead of throwing.
+     * @param {ethers.providers.TransactionResponse} response - Sent transaction
+     * @param {number} confirmations - Confirmations to wait for (default: 1)
+     * @returns {Promise<Object>} Result {receipt, hash, replaced, cancelled}
+     */
+    async waitForTransaction(response, confirmations = 1) {
+        let result;
+
+        try {
+            const receipt = await response.wait(confirmations);
+            result = { receipt, hash: response.hash, replaced: false, cancelled: false };
+        } catch (error) {
+            if (error.code === ethers.errors.TRANSACTION_REPLACED) {
+                result = {
+                    receipt: error.receipt,
+                    hash: error.replacement.hash,
+                    replaced: true,
+                    cancelled: error.cancelled
+                };
+            } else if (error.code === ethers.errors.CALL_EXCEPTION && error.receipt) {
+                result = { receipt: error.receipt, hash: response.hash, replaced: false, cancelled: false };
+            } else {
+                throw error;
+            }
+        }
+
+        await this.untrack(response.from, response.nonce);
+        return result;
+    }
+
+    /**
+     * List the tracked transactions that are still pending
+     * Transactions that were mined, or whose nonce was used by another mined
+     * transaction, are dropped from the pending file.
+     * @param {string} address - Only list transactions sent from this address (optional)
+     * @returns {Promise<Array>} Pending records, each with a `known` flag telling whether the node still has it
+     */
+    async getPendingTransactions(address = null) {
+        const provider = this.getProvider();
+        const records = await this.loadPending();
+        const minedNonces = {};
+        const remaining = [];
+        const pending = [];
+
+        for (const record of records) {
+            if (address && record.from.toLowerCase() !== address.toLowerCase()) {
+                remaining.push(record);
+                continue;
+            }
+
+            const key = record.from.toLowerCase();
+            if (minedNonces[key] === undefined) {
+                minedNonces[key] = await provider.getTransactionCount(record.from, 'latest');
+            }
+
+            if (record.nonce < minedNonces[key]) {
+                continue;
+            }
+
+            const transaction = await provider.getTransaction(record.hash);
+            remaining.push(record);
+            pending.push({ ...record, known: !!transaction });
+        }
+
+        if (remaining.length !== records.length) {
+            await this.savePending(remaining);
+        }
+
+        return pending.sort((a, b) => a.from.localeCompare(b.from) || a.nonce - b.nonce);
+    }
+
+    /**
+     * Find a tracked transaction by hash
+     * @param {string} hash - Transaction hash
+     * @returns {Promise<Object|null>} Pending record or null if not tracked
+     */
+    async findPendingTransaction(hash) {
+        const records = await this.loadPending();
+        return records.find(entry => entry.hash.toLowerCase() === hash.toLowerCase()) || null;
+    }
+
+    /**
+     * Bump a fee by a percentage, never going below the network's suggestion
+     * @param {string|null} current - Fee of the pending transaction (wei)
+     * @param {ethers.BigNumber|null} suggested - Fee suggested by the network
+     * @param {number} bumpPercent - Percentage to add
+     * @returns {ethers.BigNumber} Bumped fee
+     */
+    static bumpFee(current, suggested, bumpPercent) {
+        // Round up so the replacement always clears the node's minimum bump
+        const bumped = ethers.BigNumber.from(current || 0).mul(100 + bumpPercent).add(99).div(100);
+        return suggested && suggested.gt(bumped) ? suggested : bumped;
+    }
+
+    /**
+     * Build the fee fields of a replacement transaction
+     * @param {Object} record - Pending record being replaced
+     * @param {number} bumpPercent - Percentage to add to the fees
+     * @returns {Promise<Object>} Fee fields (EIP-1559 or legacy, like the replaced transaction)
+     */
+    async getReplacementFees(record, bumpPercent) {
+        const feeData = await this.getProvider().getFeeData();
+
+        if (record.type === 2) {
+            const maxPriorityFeePerGas = NonceManager.bumpFee(record.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas, bumpPercent);
+            let maxFeePerGas = NonceManager.bumpFee(record.maxFeePerGas, feeData.maxFeePerGas, bumpPercent);
+            if (maxFeePerGas.lt(maxPriorityFeePerGas)) {
+                maxFeePerGas = maxPriorityFeePerGas;
+            }
+            return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+        }
+
+        return { type: 0, gasPrice: NonceManager.bumpFee(record.gasPrice, feeData.gasPrice, bumpPercent) };
+    }
+
+    /**
+     * Replace a pending transaction at the same nonce
+     * @param {string} hash - Hash of the pending transaction
+     * @param {ethers.Signer} signer - Signer of the sender, connected to a provider
+     * @param {Object} options - Replacement options
+     * @param {boolean} options.cancel - Send a zero-value self-send instead of the original call
+     * @param {number} options.bumpPercent - Fee increase in percent (default: config.gas.replacementBumpPercent)
+     * @returns {Promise<Object>} Result {success, message, hash, replaced, record}
+     */
+    async replaceTransaction(hash, signer, options = {}) {
+        const { cancel = false, bumpPercent = config.gas.replacementBumpPercent } = options;
+        const action = cancel ? 'cancel' : 'speed up';
+
+        try {
+            if (!Number.isFinite(bumpPercent) || bumpPercent < MIN_REPLACEMENT_BUMP_PERCENT) {
+                throw ErrorHandler.createValidationError(`Fee bump must be at least ${MIN_REPLACEMENT_BUMP_PERCENT}% for nodes to accept a replacement`);
+            }
+
+            const record = await this.findPendingTransaction(hash);
+            if (!record) {
+                throw ErrorHandler.createValidationError(`Transaction ${hash} is not a pending transaction sent by BeraBundle`);
+            }
+
+            const signerAddress = await signer.getAddress();
+            if (signerAddress.toLowerCase() !== record.from.toLowerCase()) {
+                throw ErrorHandler.createValidationError(`Transaction was sent from ${record.from}, not from ${signerAddress}`);
+            }
+
+            const minedNonce = await this.getProvider().getTransactionCount(record.from, 'latest');
+            if (record.nonce < minedNonce) {
+                await this.untrack(record.from, minedNonce - 1);
+                return { success: false, message: `Nonce ${record.nonce} of ${record.from} is already mined; nothing to ${action}` };
+            }
+
+            const fees = await this.getReplacementFees(record, bumpPercent);
+            const txData = cancel
+                ? { to: record.from, value: 0, data: '0x', gasLimit: CANCEL_GAS_LIMIT }
+                : { to: record.to, value: record.value, data: record.data, gasLimit: record.gasLimit };
+
+            const response = await signer.sendTransaction({
+                ...txData,
+                ...fees,
+                nonce: record.nonce,
+                chainId: record.chainId
+            });
+
+            const replacement = await this.track(response, {
+                bundleFile: record.bundleFile,
+                index: record.index,
+                replaces: record.hash,
+                cancel
+            });
+
+            return {
+                success: true,
+                message: `Sent ${cancel ? 'cancellation' : 'replacement'} ${response.hash} for nonce ${record.nonce}`,
+                hash: response.hash,
+                replaced: record,
+                record: replacement
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'NonceManager.replaceTransaction');
+            return { success: false, message: `Failed to ${action} transaction: ${error.message}` };
+        }
+    }
+
+    /**
+     * Resend a pending transaction with bumped EIP-1559 fees
+     * @param {string} hash - Hash of the pending transaction
+     * @param {ethers.Signer} signer - Signer of the sender
+     * @param {Object} options - Options (bumpPercent)
+     * @returns {Promise<Object>} Result {success, message, hash}
+     */
+    async speedUp(hash, signer, options = {}) {
+        return this.replaceTransaction(hash, signer, { ...options, cancel: false });
+    }
+
+    /**
+     * Cancel a pending transaction with a zero-value self-send at its nonce
+     * @param {string} hash - Hash of the pending transaction
+     * @param {ethers.Signer} signer - Signer of the sender
+     * @param {Object} options - Options (bumpPercent)
+     * @returns {Promise<Object>} Result {success, message, hash}
+     */
+    async cancel(hash, signer, options = {}) {
+        return this.replaceTransaction(hash, signer, { ...options, cancel: true });
+    }
+}
+
+module.exports = NonceManager;
@@ -9,7 +9,8 @@
 const { ethers } = require('ethers');
 const axios = require('axios');
 const config = require('../../config');
-const SecureStorage = require('../../storage/engines/secureStorage');
+const { SignerAdapter } = require('./signerAdapter');
+const { FeeOracle } = require('./feeOracle');
 
 /**
  * Safe adapter for transaction service interactions
@@ -27,6 +28,10 @@ class SafeAdapter {
         this.serviceUrl = config.networks.berachain.safe.serviceUrl;
         this.appUrl = config.networks.berachain.safe.appUrl;
         
+        // Owners sign with their wallet's configured backend
+        this.signerAdapter = new SignerAdapter(this.provider);
+        this.feeOracle = new FeeOracle(this.provider);
+        
         console.log(`Safe Adapter initialized with chain ID: ${this.chainId}`);
         console.log(`Safe Transaction Service URL: ${this.serviceUrl}`);
     }
@@ -266,8 +271,10 @@ class SafeAdapter {
     }
 
     /**
-     * Sign a transaction hash using the signer's private key
-     * @param {Object} signer - Ethers Wallet
+     * Sign a transaction hash as a Safe owner
+     * Local keys sign the hash directly. Other signers can only sign messages, so they
+     * produce an eth_sign signature, which Safe accepts with v increased by 4.
+     * @param {ethers.Signer} signer - Owner signer
      * @param {string} hash - Transaction hash
      * @returns {Promise<string>} Signature in Safe format
      */
@@ -275,13 +282,16 @@ class SafeAdapter {
         try {
             console.log(`Signing hash: ${hash}`);
             
-            // For Safe Transaction Service, we need to use a regular signature without the EIP-712 prefix
-            const signature = await signer._signingKey().signDigest(ethers.utils.arrayify(hash));
-            
-            // Format the signature as a hex string
-            const formattedSignature = ethers.utils.joinSignature(signature);
+            if (typeof signer._signingKey === 'function') {
+                // For Safe Transaction Service, we need to use a regular signature without the EIP-712 prefix
+                const signature = await signer._signingKey().signDigest(ethers.utils.arrayify(hash));
+                
+                // Format the signature as a hex string
+                return ethers.utils.joinSignature(signature);
+            }
             
-            return formattedSignature;
+            const signature = ethers.utils.splitSignature(await signer.signMessage(ethers.utils.arrayify(hash)));
+            return ethers.utils.hexConcat([signature.r, signature.s, ethers.utils.hexlify(signature.v + 4)]);
         } catch (error) {
             console.error(`Error signing transaction: ${error.message}`);
             throw error;
@@ -289,29 +299,13 @@ class SafeAdapter {
     }
 
     /**
-     * Decrypt the private key using the secure storage
-     * @param {string} address - Wallet address 
-     * @param {string} password - Password for decryption
-     * @returns {Promise<string>} Decrypted private key
+     * Create the signer of a Safe owner from its wallet's signer backend
+     * @param {string} address - Owner address
+     * @param {string} password - Password for the private key or keystore
+     * @returns {Promise<ethers.Signer>} Signer connected to the provider
      */
-    async getDecryptedPrivateKey(address, password) {
-        console.log(`Decrypting private key for ${address}...`);
-        const secureStorage = new SecureStorage();
-        
-        // Check if we have a key for this address
-        const hasKey = await secureStorage.hasPrivateKey(address);
-        if (!hasKey) {
-            throw new Error(`No private key found for address ${address}`);
-        }
-        
-        // Decrypt the key
-        const privateKey = await secureStorage.getPrivateKey(address, password);
-        if (!privateKey) {
-            throw new Error('Failed to decrypt private key. Incorrect password or corrupted data.');
-        }
-        
-        console.log('Private key decrypted successfully');
-        return privateKey;
+    async getSigner(address, password) {
+        return this.signerAdapter.createSigner(address, password, this.provider);
     }
     
     /**
@@ -383,22 +377,21 @@ class SafeAdapter {
      * Confirm a transaction with a signature
      * @param {string} safeTxHash - Safe transaction hash
      * @param {string} signature - Transaction signature
-     * @returns {Promise<Object>} API response
+     * @returns {Promise<Object|null>} API response, or null if the service rejected the confirmation
      */
     async confirmTransaction(safeTxHash, signature) {
         try {
             console.log('Confirming transaction...');
             
             const response = await axios.post(
-                `${this.serviceUrl}/v1/signatures/`,
+                `${this.serviceUrl}/v1/multisig-transactions/${safeTxHash}/confirmations/`,
                 {
-                    signature: signature,
-                    safeTxHash: safeTxHash
+                    signature: signature
                 }
             );
             
             console.log('✅ Transaction confirmed successfully!');
-            return response.data;
+            return response.data || { signature };
         } catch (error) {
             console.log('Note: Confirmation may have already been included in the proposal.');
             console.log(`Confirmation error: ${error.message}`);
@@ -406,6 +399,116 @@ class SafeAdapter {
         }
     }
     
+    /**
+     * Build the Safe transaction for a list of calls
+     * A single call is made directly; several calls go through MultiSendCallsOnly.
+     * @param {Array<Object>} transactions - Calls from formatTransactionsForSafe
+     * @param {number} nonce - Safe nonce
+     * @returns {Object} Safe transaction (to, value, data, operation, gas fields, nonce)
+     */
+    buildSafeTransaction(transactions, nonce) {
+        let tx;
+        
+        if (transactions.length === 1) {
+            // Single transaction - use it directly
+            const transaction = transactions[0];
+            console.log(`Using single transaction: To=${transaction.to}, Value=${transaction.value}, Data=${transaction.data.substring(0, 50)}...`);
+            
+            // Create transaction data for the Safe Transaction Service
+            tx = {
+                to: transaction.to,
+                value: transaction.value === '0x0' ? '0' : transaction.value,
+                data: transaction.data,
+                operation: 0, // Call
+                safeTxGas: 0,
+                baseGas: 0,
+                gasPrice: 0,
+                gasToken: '0x0000000000000000000000000000000000000000',
+                refundReceiver: '0x0000000000000000000000000000000000000000',
+                nonce: nonce
+            };
+        } else {
+            // Multiple transactions - use MultiSend contract
+            console.log(`Bundling ${transactions.length} transactions using MultiSend contract`);
+            
+            // Get MultiSendCallOnly contract address from config (uses regular CALL operation)
+            const multiSendAddress = config.networks.berachain.safe.multiSendCallsOnlyAddress;
+            console.log(`Using MultiSendCallsOnly contract: ${multiSendAddress}`);
+            
+            // Encode transactions for MultiSend
+            const encodedTransactions = this.encodeMultiSendTransactions(transactions);
+            
+            // Create transaction for MultiSend - using CALL operation (0) instead of DELEGATE_CALL (1)
+            tx = {
+                to: multiSendAddress,
+                value: '0', // MultiSend doesn't accept ETH directly
+                data: encodedTransactions,
+                operation: 0, // Regular CALL operation (not DELEGATE_CALL)
+                safeTxGas: 0,
+                baseGas: 0,
+                gasPrice: 0,
+                gasToken: '0x0000000000000000000000000000000000000000',
+                refundReceiver: '0x0000000000000000000000000000000000000000',
+                nonce: nonce
+            };
+        }
+        
+        return tx;
+    }
+    
+    /**
+     * Sign a Safe transaction and propose it to the Safe Transaction Service
+     * @param {string} safeAddress - Safe address
+     * @param {Object} tx - Safe transaction (to, value, data, operation, gas fields, nonce)
+     * @param {ethers.Signer} signer - Owner or delegate signer
+     * @param {string} signerAddress - Address of the signer
+     * @returns {Promise<string>} Safe transaction hash accepted by the service
+     */
+    async signAndProposeTransaction(safeAddress, tx, signer, signerAddress) {
+        // Calculate the Safe transaction hash
+        console.log('Calculating transaction hash...');
+        const safeTxHash = this.calculateSafeTxHash(safeAddress, tx);
+        console.log(`Calculated transaction hash: ${safeTxHash}`);
+        
+        // Sign the transaction hash
+        console.log('Signing transaction hash...');
+        const signature = await this.signTransactionHash(signer, safeTxHash);
+        console.log(`Signature: ${signature}`);
+        
+        // Propose the transaction to the Safe Transaction Service
+        let finalHash = safeTxHash;
+        
+        try {
+            // First try with our calculated hash
+            await this.proposeTransactionToService(safeAddress, tx, safeTxHash, signature, signerAddress);
+        } catch (error) {
+            // If there's a hash mismatch error
+            if (error.message && error.message.includes('Hash mismatch - correct hash:')) {
+                // Extract the correct hash from the error message
+                const correctHash = error.message.split('Hash mismatch - correct hash: ')[1];
+                console.log(`Using correct hash from API error: ${correctHash}`);
+                
+                // Sign with the correct hash
+                const correctSignature = await this.signTransactionHash(signer, correctHash);
+                await this.proposeTransactionToService(safeAddress, tx, correctHash, correctSignature, signerAddress);
+                finalHash = correctHash;
+            } else {
+                throw error;
+            }
+        }
+        
+        // Confirm the transaction with the same signature
+        console.log('\nConfirming transaction...');
+        try {
+            await this.confirmTransaction(finalHash, signature);
+        } catch (confirmError) {
+            console.log('Note: Confirmation may have already been included in the proposal.');
+            console.log(`Confirmation error: ${confirmError.message}`);
+        }
+        
+        return finalHash;
+    }
+    
     /**
      * Propose a Safe transaction via Safe Transaction Service API
      * Using the implementation that works from test-safe-proposal.js
@@ -420,11 +523,8 @@ class SafeAdapter {
             console.log(`Proposing Safe transaction for ${safeAddress}...`);
             console.log(`Using signer: ${signerAddress}`);
             
-            // Step 1: Decrypt the private key
-            const privateKey = await this.getDecryptedPrivateKey(signerAddress, password);
-            
-            // Step 2: Create the signer
-            const signer = new ethers.Wallet(privateKey, this.provider);
+            // Steps 1-2: Create the owner's signer from its wallet's signer backend
+            const signer = await this.getSigner(signerAddress, password);
             
             // Step 3: Format transactions from the bundle
             const transactions = this.formatTransactionsForSafe(bundle);
@@ -444,95 +544,10 @@ class SafeAdapter {
             }
             
             // Step 5: Handle transactions - use MultiSend contract if multiple transactions
-            let tx;
-            
-            if (transactions.length === 1) {
-                // Single transaction - use it directly
-                const transaction = transactions[0];
-                console.log(`Using single transaction: To=${transaction.to}, Value=${transaction.value}, Data=${transaction.data.substring(0, 50)}...`);
-                
-                // Create transaction data for the Safe Transaction Service
-                tx = {
-                    to: transaction.to,
-                    value: transaction.value === '0x0' ? '0' : transaction.value,
-                    data: transaction.data,
-                    operation: 0, // Call
-                    safeTxGas: 0,
-                    baseGas: 0,
-                    gasPrice: 0,
-                    gasToken: '0x0000000000000000000000000000000000000000',
-                    refundReceiver: '0x0000000000000000000000000000000000000000',
-                    nonce: nonce
-                };
-            } else {
-                // Multiple transactions - use MultiSend contract
-                console.log(`Bundling ${transactions.length} transactions using MultiSend contract`);
-                
-                // Get MultiSendCallOnly contract address from config (uses regular CALL operation)
-                const multiSendAddress = config.networks.berachain.safe.multiSendCallsOnlyAddress;
-                console.log(`Using MultiSendCallsOnly contract: ${multiSendAddress}`);
-                
-                // Encode transactions for MultiSend
-                const encodedTransactions = this.encodeMultiSendTransactions(transactions);
-                
-                // Create transaction for MultiSend - using CALL operation (0) instead of DELEGATE_CALL (1)
-                tx = {
-                    to: multiSendAddress,
-                    value: '0', // MultiSend doesn't accept ETH directly
-                    data: encodedTransactions,
-                    operation: 0, // Regular CALL operation (not DELEGATE_CALL)
-                    safeTxGas: 0,
-                    baseGas: 0,
-                    gasPrice: 0,
-                    gasToken: '0x0000000000000000000000000000000000000000',
-                    refundReceiver: '0x0000000000000000000000000000000000000000',
-                    nonce: nonce
-                };
-            }
+            const tx = this.buildSafeTransaction(transactions, nonce);
             
             console.log('Prepared transaction data for Safe Transaction Service');
-            
-            // Step 7: Calculate the Safe transaction hash
-            console.log('Calculating transaction hash...');
-            const safeTxHash = this.calculateSafeTxHash(safeAddress, tx);
-            console.log(`Calculated transaction hash: ${safeTxHash}`);
-            
-            // Step 8: Sign the transaction hash
-            console.log('Signing transaction hash...');
-            const signature = await this.signTransactionHash(signer, safeTxHash);
-            console.log(`Signature: ${signature}`);
-            
-            // Step 9: Propose the transaction to the Safe Transaction Service
-            let proposalResult;
-            let finalHash = safeTxHash;
-            
-            try {
-                // First try with our calculated hash
-                proposalResult = await this.proposeTransactionToService(safeAddress, tx, safeTxHash, signature, signerAddress);
-            } catch (error) {
-                // If there's a hash mismatch error
-                if (error.message && error.message.includes('Hash mismatch - correct hash:')) {
-                    // Extract the correct hash from the error message
-                    const correctHash = error.message.split('Hash mismatch - correct hash: ')[1];
-                    console.log(`Using correct hash from API error: ${correctHash}`);
-                    
-                    // Sign with the correct hash
-                    const correctSignature = await this.signTransactionHash(signer, correctHash);
-                    proposalResult = await this.proposeTransactionToService(safeAddress, tx, correctHash, correctSignature, signerAddress);
-                    finalHash = correctHash;
-                } else {
-                    throw error;
-                }
-            }
-            
-            // Step 10: Confirm the transaction with the same signature
-            console.log('\nConfirming transaction...');
-            try {
-                await this.confirmTransaction(finalHash, signature);
-            } catch (confirmError) {
-                console.log('Note: Confirmation may have already been included in the proposal.');
-                console.log(`Confirmation error: ${confirmError.message}`);
-            }
+            const finalHash = await this.signAndProposeTransaction(safeAddress, tx, signer, signerAddress);
             
             // Get the transaction URL and return success
             const transactionUrl = this.getSafeTransactionUrl(safeAddress);
@@ -556,6 +571,328 @@ class SafeAdapter {
         }
     }
     
+    /**
+     * Read the owners, threshold and nonce of a Safe on-chain
+     * @param {string} safeAddress - Safe address
+     * @returns {Promise<Object>} Safe state {owners, threshold, nonce}
+     */
+    async getSafeState(safeAddress) {
+        const safe = new ethers.Contract(safeAddress, config.abis.safe, this.provider);
+        
+        const [owners, threshold, nonce] = await Promise.all([
+            safe.getOwners(),
+            safe.getThreshold(),
+            safe.nonce()
+        ]);
+        
+        return {
+            owners,
+            threshold: threshold.toNumber(),
+            nonce: nonce.toNumber()
+        };
+    }
+    
+    /**
+     * Get the multisig transactions waiting in a Safe's queue (not executed, nonce not used yet)
+     * @param {string} safeAddress - Safe address
+     * @param {number} fromNonce - Current Safe nonce
+     * @returns {Promise<Array<Object>>} Multisig transactions ordered by nonce
+     */
+    async getQueuedTransactions(safeAddress, fromNonce) {
+        const response = await axios.get(
+            `${this.serviceUrl}/v1/safes/${ethers.utils.getAddress(safeAddress)}/multisig-transactions/`,
+            { params: { executed: false, nonce__gte: fromNonce, ordering: 'nonce', limit: 100 } }
+        );
+        
+        return response.data.results || [];
+    }
+    
+    /**
+     * Propose a rejection for a queued transaction
+     * The rejection is an empty call from the Safe to itself with the same nonce; executing it
+     * uses up the nonce so the original transaction can never run.
+     * @param {string} safeAddress - Safe address
+     * @param {number} nonce - Nonce of the transaction to reject
+     * @param {string} signerAddress - Owner address proposing the rejection
+     * @param {string} password - Password to decrypt the private key
+     * @returns {Promise<Object>} Proposal result {success, message, safeTxHash, transactionUrl}
+     */
+    async proposeRejection(safeAddress, nonce, signerAddress, password) {
+        try {
+            const signer = await this.getSigner(signerAddress, password);
+            
+            const tx = {
+                to: ethers.utils.getAddress(safeAddress),
+                value: '0',
+                data: '0x',
+                operation: 0,
+                safeTxGas: 0,
+                baseGas: 0,
+                gasPrice: 0,
+                gasToken: ethers.constants.AddressZero,
+                refundReceiver: ethers.constants.AddressZero,
+                nonce
+            };
+            
+            console.log(`Proposing rejection for nonce ${nonce}...`);
+            const safeTxHash = await this.signAndProposeTransaction(safeAddress, tx, signer, signerAddress);
+            
+            return {
+                success: true,
+                message: `Rejection for nonce ${nonce} proposed`,
+                safeTxHash,
+                transactionUrl: this.getSafeTransactionUrl(safeAddress)
+            };
+        } catch (error) {
+            console.error(`Error proposing rejection: ${error.message}`);
+            
+            return {
+                success: false,
+                message: `Failed to propose rejection: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Get a proposed transaction and its confirmations from the Safe Transaction Service
+     * @param {string} safeTxHash - Safe transaction hash
+     * @returns {Promise<Object>} Multisig transaction (safe, to, value, data, nonce, confirmations, isExecuted, ...)
+     */
+    async getSafeTransaction(safeTxHash) {
+        const response = await axios.get(`${this.serviceUrl}/v1/multisig-transactions/${safeTxHash}/`);
+        return response.data;
+    }
+    
+    /**
+     * Recover the owner that produced a Safe signature
+     * @param {string} safeTxHash - Safe transaction hash the signature is for
+     * @param {string} signature - 65-byte signature (r, s, v)
+     * @returns {string|null} Owner address, or null for contract signatures (v = 0), which need extra data
+     */
+    recoverSignatureOwner(safeTxHash, signature) {
+        const { r, s, v } = ethers.utils.splitSignature(ethers.utils.hexDataSlice(signature, 0, 65));
+        const rawV = ethers.utils.arrayify(signature)[64];
+        
+        if (rawV === 0) {
+            return null;
+        }
+        
+        // Approved hash: r holds the owner, who called approveHash or is the executor
+        if (rawV === 1) {
+            return ethers.utils.getAddress(ethers.utils.hexDataSlice(r, 12));
+        }
+        
+        // eth_sign signatures have v + 4 and sign the prefixed message
+        if (rawV > 30) {
+            return ethers.utils.recoverAddress(
+                ethers.utils.hashMessage(ethers.utils.arrayify(safeTxHash)),
+                { r, s, v: rawV - 4 }
+            );
+        }
+        
+        return ethers.utils.recoverAddress(safeTxHash, { r, s, v });
+    }
+    
+    /**
+     * Assemble the packed signatures execTransaction expects from Transaction Service confirmations
+     * Confirmations are checked against the owners; signatures are sorted by owner address, as the
+     * Safe requires. If the executor is an owner without a confirmation and more signatures are
+     * needed, it is counted with a pre-validated signature (v = 1, valid because it sends the transaction).
+     * @param {string} safeTxHash - Safe transaction hash
+     * @param {Array<Object>} confirmations - Confirmations {owner, signature} from the Transaction Service
+     * @param {Array<string>} owners - Current Safe owners
+     * @param {number} threshold - Current Safe threshold
+     * @param {string} executorAddress - Address that will send execTransaction
+     * @returns {Object} Result {signatures, signers, skipped: [{owner, reason}]}
+     */
+    assembleSignatures(safeTxHash, confirmations, owners, threshold, executorAddress) {
+        const ownerSet = new Set(owners.map(owner => owner.toLowerCase()));
+        const valid = new Map();
+        const skipped = [];
+        
+        for (const confirmation of confirmations || []) {
+            const owner = confirmation.owner ? confirmation.owner.toLowerCase() : '';
+            
+            if (!ownerSet.has(owner)) {
+                skipped.push({ owner: confirmation.owner, reason: 'not an owner of the Safe' });
+                continue;
+            }
+            
+            let recovered;
+            try {
+                recovered = this.recoverSignatureOwner(safeTxHash, confirmation.signature);
+            } catch (error) {
+                skipped.push({ owner: confirmation.owner, reason: `invalid signature: ${error.message}` });
+                continue;
+            }
+            
+            if (!recovered) {
+                skipped.push({ owner: confirmation.owner, reason: 'contract signatures are not supported' });
+            } else if (recovered.toLowerCase() !== owner) {
+                skipped.push({ owner: confirmation.owner, reason: `signature was made by ${recovered}` });
+            } else {
+                valid.set(owner, ethers.utils.hexDataSlice(confirmation.signature, 0, 65));
+            }
+        }
+        
+        const executor = executorAddress.toLowerCase();
+        if (valid.size < threshold && ownerSet.has(executor) && !valid.has(executor)) {
+            valid.set(executor, ethers.utils.hexConcat([
+                ethers.utils.hexZeroPad(executor, 32),
+                ethers.constants.HashZero,
+                '0x01'
+            ]));
+        }
+        
+        // Safe checks signatures in strictly increasing owner order
+        const signers = [...valid.keys()]
+            .sort((a, b) => (ethers.BigNumber.from(a).lt(ethers.BigNumber.from(b)) ? -1 : 1))
+            .slice(0, threshold);
+        
+        return {
+            signatures: ethers.utils.hexConcat(signers.map(owner => valid.get(owner))),
+            signers: signers.map(owner => ethers.utils.getAddress(owner)),
+            skipped
+        };
+    }
+    
+    /**
+     * Execute a proposed Safe transaction on-chain once enough owners confirmed it
+     * The confirmations are fetched from the Transaction Service and checked against the
+     * Safe's current owners, threshold and nonce before execTransaction is sent from the owner EOA.
+     * @param {string} safeTxHash - Safe transaction hash
+     * @param {string} signerAddress - Owner address that sends the transaction
+     * @param {string} password - Password to decrypt the private key
+     * @param {string} safeAddress - Expected Safe address (optional, checked against the proposal)
+     * @returns {Promise<Object>} Execution result {success, message, safeAddress, transactionHash, blockNumber, gasUsed, signers}
+     */
+    async executeSafeTransaction(safeTxHash, signerAddress, password, safeAddress = null) {
+        try {
+            console.log(`Fetching Safe transaction ${safeTxHash}...`);
+            const tx = await this.getSafeTransaction(safeTxHash);
+            
+            if (safeAddress && tx.safe.toLowerCase() !== safeAddress.toLowerCase()) {
+                throw new Error(`Safe transaction belongs to ${tx.safe}, not ${safeAddress}`);
+            }
+            
+            if (tx.isExecuted) {
+                throw new Error(`Safe transaction was already executed in ${tx.transactionHash}`);
+            }
+            
+            return await this.executeWithConfirmations(tx.safe, safeTxHash, tx, tx.confirmations, signerAddress, password);
+        } catch (error) {
+            console.error(`Error executing Safe transaction: ${error.message}`);
+            
+            return {
+                success: false,
+                message: `Failed to execute Safe transaction: ${error.message}`,
+                safeTxHash
+            };
+        }
+    }
+    
+    /**
+     * Send execTransaction for a Safe transaction with the given owner confirmations
+     * The Safe's current owners, threshold and nonce are read on-chain and the Safe must compute the
+     * same transaction hash the owners signed. No Transaction Service is involved.
+     * @param {string} safeAddress - Safe address
+     * @param {string} safeTxHash - Safe transaction hash the confirmations are for
+     * @param {Object} tx - Safe transaction (to, value, data, operation, gas fields, nonce)
+     * @param {Array<Object>} confirmations - Owner confirmations {owner, signature}
+     * @param {string} signerAddress - Owner address that sends the transaction
+     * @param {string} password - Password to decrypt the private key
+     * @returns {Promise<Object>} Execution result {success, message, safeAddress, transactionHash, blockNumber, gasUsed, signers}
+     */
+    async executeWithConfirmations(safeAddress, safeTxHash, tx, confirmations, signerAddress, password) {
+        try {
+            const signer = await this.getSigner(signerAddress, password);
+            const safe = new ethers.Contract(safeAddress, config.abis.safe, signer);
+            const { threshold, owners, nonce } = await this.getSafeState(safeAddress);
+            
+            if (nonce !== Number(tx.nonce)) {
+                throw new Error(nonce > tx.nonce
+                    ? `Safe transaction nonce ${tx.nonce} was already used (Safe nonce is ${nonce})`
+                    : `Safe transactions with nonce ${nonce} to ${tx.nonce - 1} must be executed first`);
+            }
+            
+            const params = [
+                tx.to,
+                tx.value,
+                tx.data || '0x',
+                tx.operation,
+                tx.safeTxGas,
+                tx.baseGas,
+                tx.gasPrice,
+                tx.gasToken || ethers.constants.AddressZero,
+                tx.refundReceiver || ethers.constants.AddressZero
+            ];
+            
+            // The owners signed this hash; make sure the Safe computes the same one
+            const onChainHash = await safe.getTransactionHash(...params, tx.nonce);
+            if (onChainHash.toLowerCase() !== safeTxHash.toLowerCase()) {
+                throw new Error(`Safe computes hash ${onChainHash} for this transaction, not ${safeTxHash}`);
+            }
+            
+            const { signatures, signers, skipped } = this.assembleSignatures(
+                safeTxHash, confirmations, owners, threshold, signerAddress
+            );
+            
+            skipped.forEach(({ owner, reason }) => {
+                console.log(`⚠️ Ignoring confirmation from ${owner}: ${reason}`);
+            });
+            
+            if (signers.length < threshold) {
+                throw new Error(`${signers.length} of ${threshold} required confirmations`);
+            }
+            
+            console.log(`Executing with confirmations from ${signers.join(', ')}`);
+            
+            const estimatedGas = await safe.estimateGas.execTransaction(...params, signatures);
+            const fees = await this.feeOracle.getFees(await FeeOracle.loadPreferredStrategy());
+            console.log(`Fees (${fees.preset}): ${FeeOracle.formatFees(fees)}`);
+            const response = await safe.execTransaction(...params, signatures, {
+                gasLimit: estimatedGas.mul(13).div(10),
+                maxFeePerGas: fees.maxFeePerGas,
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+                type: 2
+            });
+            console.log(`Transaction sent! Hash: ${response.hash}`);
+            
+            console.log("Waiting for confirmation...");
+            let receipt;
+            try {
+                receipt = await response.wait(1);
+            } catch (error) {
+                // ethers rejects reverted transactions but still returns their receipt
+                if (!error.receipt) {
+                    throw error;
+                }
+                receipt = error.receipt;
+            }
+            
+            return {
+                success: receipt.status === 1,
+                message: receipt.status === 1
+                    ? `Safe transaction executed in block ${receipt.blockNumber}`
+                    : 'execTransaction reverted',
+                safeAddress: ethers.utils.getAddress(safeAddress),
+                safeTxHash,
+                transactionHash: response.hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString(),
+                signers
+            };
+        } catch (error) {
+            console.error(`Error executing Safe transaction: ${error.message}`);
+            
+            return {
+                success: false,
+                message: `Failed to execute Safe transaction: ${error.message}`,
+                safeTxHash
+            };
+        }
+    }
+    
     /**
      * Convert a bundle from EOA format to Safe format
      * @param {Object} bundle - Bundle in EOA format
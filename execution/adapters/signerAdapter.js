@@ -0,0 +1,501 @@
+/**
+ * signerAdapter.js - Pluggable signing backends for wallets
+ *
+ * By default a wallet signs with the private key BeraBundle keeps encrypted in
+ * SecureStorage. A wallet can instead be bound to another backend in
+ * userprefs/signers.json (keyed by address), so its key never has to live in
+ * BeraBundle's own key file:
+ *
+ *   keystore  - Web3 Secret Storage (V3) keystore file, decrypted with the wallet password
+ *   json_rpc  - JSON-RPC endpoint answering EIP-1193 signing methods, e.g. a local Clef-like signer
+ *   external  - Command started for every request; reads one JSON-RPC request from stdin
+ *               and writes the JSON-RPC response to stdout
+ *
+ * The json_rpc and external backends receive the same requests:
+ *
+ *   personal_sign       [messageHex, address]       → signature
+ *   eth_signTransaction [transaction (hex values)]  → raw signed transaction, or {raw}
+ *
+ * Every answer is checked: signatures must recover to the wallet address and
+ * signed transactions must match the transaction that was requested.
+ */
+
+const { ethers } = require('ethers');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const SecureStorage = require('../../storage/engines/secureStorage');
+
+/**
+ * Signing backends a wallet can use
+ */
+const SignerType = {
+    PRIVATE_KEY: 'private_key', // Key encrypted in BeraBundle's SecureStorage (default)
+    KEYSTORE: 'keystore',
+    JSON_RPC: 'json_rpc',
+    EXTERNAL: 'external'
+};
+
+/**
+ * Transaction fields compared between the request and the signed transaction
+ */
+const SIGNED_TRANSACTION_FIELDS = ['to', 'data', 'value', 'nonce', 'gasLimit', 'chainId'];
+
+/**
+ * Signer that delegates signing to a JSON-RPC request function
+ * Backends implement request(method, params).
+ */
+class RequestSigner extends ethers.Signer {
+    /**
+     * Create a new RequestSigner
+     * @param {string} address - Address the backend signs for
+     * @param {ethers.providers.Provider} provider - Provider for gas, nonce and sending (optional)
+     */
+    constructor(address, provider) {
+        super();
+        ethers.utils.defineReadOnly(this, 'address', ethers.utils.getAddress(address));
+        ethers.utils.defineReadOnly(this, 'provider', provider || null);
+    }
+
+    /**
+     * Send a JSON-RPC request to the signing backend
+     * @param {string} method - JSON-RPC method
+     * @param {Array} params - Method parameters
+     * @returns {Promise<any>} Result of the request
+     */
+    async request(method, params) {
+        throw new Error(`${this.constructor.name} does not implement request()`);
+    }
+
+    /**
+     * Get the result of a JSON-RPC response
+     * @param {string} method - JSON-RPC method of the request
+     * @param {Object} response - Parsed JSON-RPC response
+     * @returns {any} Result
+     * @throws {Error} If the response is an error or has no result
+     */
+    static parseResponse(method, response) {
+        if (!response || typeof response !== 'object') {
+            throw new Error(`Signer returned an invalid response to ${method}`);
+        }
+
+        if (response.error) {
+            const message = typeof response.error === 'string' ? response.error : response.error.message;
+            throw new Error(`Signer rejected ${method}: ${message}`);
+        }
+
+        if (response.result === undefined || response.result === null) {
+            throw new Error(`Signer returned no result for ${method}`);
+        }
+
+        return response.result;
+    }
+
+    /**
+     * Normalize a transaction field for comparison
+     * @param {string} field - Field name
+     * @param {any} value - Field value
+     * @returns {string} Comparable value
+     */
+    static normalizeField(field, value) {
+        if (field === 'to') {
+            return value ? value.toLowerCase() : '';
+        }
+        if (field === 'data') {
+            return value ? ethers.utils.hexlify(value).toLowerCase() : '0x';
+        }
+        return ethers.BigNumber.from(value || 0).toString();
+    }
+
+    /**
+     * Get the signer's address
+     * @returns {Promise<string>} Address
+     */
+    async getAddress() {
+        return this.address;
+    }
+
+    /**
+     * Sign a message with personal_sign
+     * @param {string|Uint8Array} message - Message to sign
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+        const signature = await this.request('personal_sign', [ethers.utils.hexlify(data), this.address.toLowerCase()]);
+
+        const recovered = ethers.utils.verifyMessage(data, signature);
+        if (recovered.toLowerCase() !== this.address.toLowerCase()) {
+            throw new Error(`Signer returned a signature by ${recovered}, expected ${this.address}`);
+        }
+
+        return signature;
+    }
+
+    /**
+     * Sign a populated transaction with eth_signTransaction
+     * @param {Object} transaction - Transaction request
+     * @returns {Promise<string>} Raw signed transaction
+     */
+    async signTransaction(transaction) {
+        const tx = await ethers.utils.resolveProperties(transaction);
+        if (tx.from && tx.from.toLowerCase() !== this.address.toLowerCase()) {
+            throw new Error(`Transaction from ${tx.from} can't be signed by ${this.address}`);
+        }
+
+        const request = ethers.providers.JsonRpcProvider.hexlifyTransaction({ ...tx, from: this.address }, { from: true });
+        const result = await this.request('eth_signTransaction', [request]);
+        const raw = typeof result === 'string' ? result : result.raw;
+        if (!raw) {
+            throw new Error('Signer returned no signed transaction');
+        }
+
+        const signed = ethers.utils.parseTransaction(raw);
+        if (!signed.from || signed.from.toLowerCase() !== this.address.toLowerCase()) {
+            throw new Error(`Signer returned a transaction from ${signed.from}, expected ${this.address}`);
+        }
+
+        // The backend must sign what was asked, not a modified transaction
+        SIGNED_TRANSACTION_FIELDS.forEach(field => {
+            const expected = RequestSigner.normalizeField(field, tx[field]);
+            const actual = RequestSigner.normalizeField(field, signed[field]);
+            if (expected !== actual) {
+                throw new Error(`Signed transaction has ${field} ${actual || '(none)'}, expected ${expected || '(none)'}`);
+            }
+        });
+
+        return raw;
+    }
+}
+
+/**
+ * Signer backed by a JSON-RPC signing endpoint
+ */
+class Eip1193Signer extends RequestSigner {
+    /**
+     * Create a new Eip1193Signer
+     * @param {string} address - Address the endpoint signs for
+     * @param {string} url - Endpoint URL
+     * @param {ethers.providers.Provider} provider - Provider (optional)
+     */
+    constructor(address, url, provider) {
+        super(address, provider);
+        this.url = url;
+        this.nextId = 1;
+    }
+
+    /**
+     * Send a JSON-RPC request to the endpoint
+     * @param {string} method - JSON-RPC method
+     * @param {Array} params - Method parameters
+     * @returns {Promise<any>} Result of the request
+     */
+    async request(method, params) {
+        const response = await axios.post(
+            this.url,
+            { jsonrpc: '2.0', id: this.nextId++, method, params },
+            { timeout: config.signers.requestTimeoutMs }
+        );
+        return RequestSigner.parseResponse(method, response.data);
+    }
+
+    /**
+     * Connect to a provider
+     * @param {ethers.providers.Provider} provider - Provider
+     * @returns {Eip1193Signer} Signer connected to the provider
+     */
+    connect(provider) {
+        return new Eip1193Signer(this.address, this.url, provider);
+    }
+}
+
+/**
+ * Signer backed by an external signing command
+ */
+class ExternalProcessSigner extends RequestSigner {
+    /**
+     * Create a new ExternalProcessSigner
+     * @param {string} address - Address the command signs for
+     * @param {string} command - Command line, run through the shell for every request
+     * @param {ethers.providers.Provider} provider - Provider (optional)
+     */
+    constructor(address, command, provider) {
+        super(address, provider);
+        this.command = command;
+    }
+
+    /**
+     * Run the command with a JSON-RPC request on stdin and read the response from stdout
+     * The command's stderr stays attached to the terminal, so it can ask for approval.
+     * @param {string} method - JSON-RPC method
+     * @param {Array} params - Method parameters
+     * @returns {Promise<any>} Result of the request
+     */
+    request(method, params) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, { shell: true, stdio: ['pipe', 'pipe', 'inherit'] });
+            let stdout = '';
+
+            const timer = setTimeout(() => {
+                child.kill();
+                reject(new Error(`External signer did not answer ${method} within ${config.signers.requestTimeoutMs} ms`));
+            }, config.signers.requestTimeoutMs);
+
+            child.stdout.on('data', chunk => {
+                stdout += chunk;
+            });
+
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(new Error(`Can't start external signer: ${error.message}`));
+            });
+
+            child.on('close', code => {
+                clearTimeout(timer);
+
+                // The response is the last line, anything before it is ignored
+                const line = stdout.trim().split('\n').pop();
+                try {
+                    resolve(RequestSigner.parseResponse(method, JSON.parse(line)));
+                } catch (error) {
+                    reject(line
+                        ? error
+                        : new Error(`External signer exited with code ${code} without answering ${method}`));
+                }
+            });
+
+            // The command may exit without reading its input
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }) + '\n');
+        });
+    }
+
+    /**
+     * Connect to a provider
+     * @param {ethers.providers.Provider} provider - Provider
+     * @returns {ExternalProcessSigner} Signer connected to the provider
+     */
+    connect(provider) {
+        return new ExternalProcessSigner(this.address, this.command, provider);
+    }
+}
+
+/**
+ * Creates signers for wallets from their configured backend
+ */
+class SignerAdapter {
+    /**
+     * Create a new SignerAdapter
+     * @param {ethers.providers.Provider} provider - Provider signers are connected to (optional)
+     * @param {Object} options - Adapter options
+     * @param {string} options.signersFile - Signer configuration file (default: config.paths.signersFile)
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider || null;
+        this.signersFile = options.signersFile || config.paths.signersFile;
+        this.secureStorage = new SecureStorage();
+    }
+
+    /**
+     * Load the signer configurations of all wallets
+     * @returns {Promise<Object>} Signer configurations keyed by lowercase address
+     */
+    async loadSignerConfigs() {
+        try {
+            return JSON.parse(await fs.readFile(this.signersFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw ErrorHandler.createValidationError(`Failed to load signer configuration: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the signer configuration of a wallet
+     * @param {string} address - Wallet address
+     * @returns {Promise<Object>} Signer configuration ({type: private_key} when none is set)
+     */
+    async getSignerConfig(address) {
+        const configs = await this.loadSignerConfigs();
+        return configs[address.toLowerCase()] || { type: SignerType.PRIVATE_KEY };
+    }
+
+    /**
+     * Validate and normalize a signer configuration
+     * @param {Object} signerConfig - Signer configuration {type, path | url | command}
+     * @returns {Object} Normalized configuration
+     * @throws {Error} If the configuration is invalid
+     */
+    static validateSignerConfig(signerConfig) {
+        const { type } = signerConfig || {};
+
+        switch (type) {
+            case SignerType.PRIVATE_KEY:
+                return { type };
+            case SignerType.KEYSTORE:
+                if (!signerConfig.path || typeof signerConfig.path !== 'string') {
+                    throw ErrorHandler.createValidationError("A keystore signer needs the path of the keystore file");
+                }
+                return { type, path: path.resolve(signerConfig.path) };
+            case SignerType.JSON_RPC:
+                if (!/^https?:\/\//.test(signerConfig.url || '')) {
+                    throw ErrorHandler.createValidationError("A json_rpc signer needs an http(s) endpoint URL");
+                }
+                return { type, url: signerConfig.url };
+            case SignerType.EXTERNAL:
+                if (!signerConfig.command || typeof signerConfig.command !== 'string') {
+                    throw ErrorHandler.createValidationError("An external signer needs a command");
+                }
+                return { type, command: signerConfig.command };
+            default:
+                throw ErrorHandler.createValidationError(
+                    `Unknown signer type "${type}" (expected ${Object.values(SignerType).join(', ')})`
+                );
+        }
+    }
+
+    /**
+     * Set the signer configuration of a wallet
+     * @param {string} address - Wallet address
+     * @param {Object} signerConfig - Signer configuration
+     * @returns {Promise<Object>} Saved configuration
+     */
+    async setSignerConfig(address, signerConfig) {
+        const normalized = SignerAdapter.validateSignerConfig(signerConfig);
+
+        if (normalized.type === SignerType.KEYSTORE) {
+            const keystoreAddress = ethers.utils.getJsonWalletAddress(await fs.readFile(normalized.path, 'utf8'));
+            if (!keystoreAddress || keystoreAddress.toLowerCase() !== address.toLowerCase()) {
+                throw ErrorHandler.createValidationError(
+                    `${normalized.path} is ${keystoreAddress ? `the keystore of ${keystoreAddress}` : 'not a keystore file'}, not of ${address}`
+                );
+            }
+        }
+
+        const configs = await this.loadSignerConfigs();
+
+        if (normalized.type === SignerType.PRIVATE_KEY) {
+            delete configs[address.toLowerCase()];
+        } else {
+            configs[address.toLowerCase()] = normalized;
+        }
+
+        await fs.mkdir(path.dirname(this.signersFile), { recursive: true });
+        await fs.writeFile(this.signersFile, JSON.stringify(configs, null, 2));
+
+        return normalized;
+    }
+
+    /**
+     * Check whether a signer backend needs the wallet password
+     * @param {Object} signerConfig - Signer configuration
+     * @returns {boolean} True for the private key and keystore backends
+     */
+    static requiresPassword(signerConfig) {
+        return signerConfig.type === SignerType.PRIVATE_KEY || signerConfig.type === SignerType.KEYSTORE;
+    }
+
+    /**
+     * Describe a signer configuration for display
+     * @param {Object} signerConfig - Signer configuration
+     * @returns {string} Description
+     */
+    static describe(signerConfig) {
+        switch (signerConfig.type) {
+            case SignerType.KEYSTORE:
+                return `keystore ${signerConfig.path}`;
+            case SignerType.JSON_RPC:
+                return `json_rpc ${signerConfig.url}`;
+            case SignerType.EXTERNAL:
+                return `external "${signerConfig.command}"`;
+            default:
+                return 'private key (encrypted in BeraBundle)';
+        }
+    }
+
+    /**
+     * Check whether a wallet can sign
+     * Remote backends are assumed to be available; they are only contacted when signing.
+     * @param {string} address - Wallet address
+     * @returns {Promise<boolean>} True if the wallet has a usable signer
+     */
+    async hasSigner(address) {
+        const signerConfig = await this.getSignerConfig(address);
+
+        switch (signerConfig.type) {
+            case SignerType.PRIVATE_KEY:
+                return this.secureStorage.hasPrivateKey(address);
+            case SignerType.KEYSTORE:
+                try {
+                    await fs.access(signerConfig.path);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Create a signer for a wallet from its configured backend
+     * @param {string} address - Wallet address
+     * @param {string} password - Password for the private key and keystore backends
+     * @param {ethers.providers.Provider} provider - Provider to connect to (default: the adapter's)
+     * @returns {Promise<ethers.Signer>} Signer for the address
+     * @throws {Error} If the signer can't be created or signs for another address
+     */
+    async createSigner(address, password, provider = this.provider) {
+        const signerConfig = await this.getSignerConfig(address);
+
+        if (SignerAdapter.requiresPassword(signerConfig) && !password) {
+            throw ErrorHandler.createValidationError(`A password is required to sign for ${address}`);
+        }
+
+        let signer;
+        switch (signerConfig.type) {
+            case SignerType.KEYSTORE: {
+                console.log(`Decrypting keystore ${signerConfig.path}...`);
+                const json = await fs.readFile(signerConfig.path, 'utf8');
+                signer = await ethers.Wallet.fromEncryptedJson(json, password);
+                break;
+            }
+            case SignerType.JSON_RPC:
+                signer = new Eip1193Signer(address, signerConfig.url);
+                break;
+            case SignerType.EXTERNAL:
+                signer = new ExternalProcessSigner(address, signerConfig.command);
+                break;
+            default: {
+                console.log(`Decrypting private key for ${address}...`);
+                if (!(await this.secureStorage.hasPrivateKey(address))) {
+                    throw new Error(`No private key found for address ${address}`);
+                }
+
+                const privateKey = await this.secureStorage.getPrivateKey(address, password);
+                if (!privateKey) {
+                    throw new Error('Failed to decrypt private key. Incorrect password or corrupted data.');
+                }
+                signer = new ethers.Wallet(privateKey);
+            }
+        }
+
+        if (signer.address.toLowerCase() !== address.toLowerCase()) {
+            throw new Error(`The ${signerConfig.type} signer is for ${signer.address}, not ${address}`);
+        }
+
+        return provider ? signer.connect(provider) : signer;
+    }
+}
+
+module.exports = {
+    SignerAdapter,
+    SignerType,
+    RequestSigner,
+    Eip1193Signer,
+    ExternalProcessSigner
+};
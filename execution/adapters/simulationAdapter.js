@@ -0,0 +1,389 @@
+/**
+ * simulationAdapter.js - Dry-run bundles with eth_call before sending
+ *
+ * The whole bundle is simulated in one eth_call by temporarily replacing the
+ * sender's code with Safe's MultiSendCallsOnly through a state override. Every
+ * call then runs with the sender (EOA or Safe) as msg.sender and sees the state
+ * changes of the calls before it, exactly as when the bundle is sent. If the
+ * bundle reverts, the first failing call is located by simulating prefixes.
+ *
+ * Nodes without state override support fall back to simulating each call on
+ * its own against the current state.
+ */
+
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+
+/**
+ * Selectors of the standard Solidity revert payloads
+ */
+const ERROR_SELECTOR = '0x08c379a0';   // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';   // Panic(uint256)
+
+/**
+ * Status of a single simulated call
+ */
+const CallStatus = {
+    SUCCESS: 'success',
+    REVERTED: 'reverted',
+    NOT_REACHED: 'not_reached' // Comes after the failing call in a cumulative simulation
+};
+
+/**
+ * Adapter for simulating transaction bundles
+ */
+class SimulationAdapter {
+    /**
+     * Create a new SimulationAdapter
+     * @param {ethers.providers.JsonRpcProvider} provider - JSON-RPC provider
+     */
+    constructor(provider) {
+        this.provider = provider;
+        this.multiSendInterface = new ethers.utils.Interface(config.abis.multiSend);
+        this.multiSendCode = null;
+    }
+
+    /**
+     * Decode the revert reason from revert data
+     * @param {string} data - Revert data
+     * @returns {string} Human-readable revert reason
+     */
+    static decodeRevertReason(data) {
+        if (!data || data === '0x') {
+            return 'reverted without a reason';
+        }
+
+        try {
+            if (data.startsWith(ERROR_SELECTOR)) {
+                return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+            }
+            if (data.startsWith(PANIC_SELECTOR)) {
+                const code = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))[0];
+                return `panic 0x${code.toNumber().toString(16)}`;
+            }
+        } catch (error) {
+            // Fall through to the raw selector
+        }
+
+        return `custom error ${data.slice(0, 10)}`;
+    }
+
+    /**
+     * Find the revert data in a JSON-RPC error
+     * Providers nest it differently (error.data, error.error.data or a JSON body).
+     * @param {Error} error - Error thrown by provider.send
+     * @returns {string|null} Revert data, or null if the error is not a revert
+     */
+    static extractRevertData(error) {
+        const candidates = [error.data, error.error && error.error.data, error.data && error.data.data];
+
+        if (error.body) {
+            try {
+                const body = JSON.parse(error.body);
+                candidates.push(body.error && body.error.data);
+            } catch (parseError) {
+                // Ignore unparsable bodies
+            }
+        }
+
+        const data = candidates.find(candidate => typeof candidate === 'string' && candidate.startsWith('0x'));
+        if (data) {
+            return data;
+        }
+
+        return /revert/i.test(error.message || '') ? '0x' : null;
+    }
+
+    /**
+     * Get the transactions of a bundle in any of the saved formats
+     * @param {Object} bundle - Bundle with bundleData (EOA array, Safe UI or Safe CLI) or transactions
+     * @returns {Array<Object>} Transactions {to, data, value}
+     * @throws {Error} If the bundle has no transactions
+     */
+    static extractTransactions(bundle) {
+        let transactions = null;
+
+        if (bundle.bundleData && Array.isArray(bundle.bundleData.transactions)) {
+            transactions = bundle.bundleData.transactions;
+        } else if (bundle.bundleData && Array.isArray(bundle.bundleData)) {
+            transactions = bundle.bundleData;
+        } else if (Array.isArray(bundle.transactions)) {
+            transactions = bundle.transactions;
+        }
+
+        if (!transactions || transactions.length === 0) {
+            throw new Error("No transactions in bundle");
+        }
+
+        return transactions.map(tx => ({ to: tx.to, data: tx.data || '0x', value: tx.value || '0' }));
+    }
+
+    /**
+     * Normalize a bundle transaction into an eth_call request
+     * @param {Object} tx - Transaction {to, data, value}
+     * @param {string} from - Sender address
+     * @returns {Object} JSON-RPC call object
+     */
+    toCallRequest(tx, from) {
+        return {
+            from,
+            to: ethers.utils.getAddress(tx.to),
+            data: tx.data || '0x',
+            value: ethers.utils.hexValue(ethers.BigNumber.from(tx.value || 0))
+        };
+    }
+
+    /**
+     * Encode transactions as a MultiSend payload
+     * @param {Array<Object>} transactions - Transactions {to, data, value}
+     * @returns {string} multiSend(bytes) call data
+     */
+    encodeMultiSend(transactions) {
+        const packed = ethers.utils.hexConcat(transactions.map(tx => {
+            const data = tx.data || '0x';
+            return ethers.utils.solidityPack(
+                ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+                [0, tx.to, ethers.BigNumber.from(tx.value || 0), ethers.utils.hexDataLength(data), data]
+            );
+        }));
+
+        return this.multiSendInterface.encodeFunctionData('multiSend', [packed]);
+    }
+
+    /**
+     * Run an eth_call and report success or the revert reason
+     * @param {Object} request - JSON-RPC call object
+     * @param {Object} stateOverride - Optional state override set
+     * @returns {Promise<Object>} Result {success, revertReason, revertData}
+     * @throws {Error} If the call failed for a reason other than a revert
+     */
+    async call(request, stateOverride = null) {
+        const params = stateOverride ? [request, 'latest', stateOverride] : [request, 'latest'];
+
+        try {
+            await this.provider.send('eth_call', params);
+            return { success: true };
+        } catch (error) {
+            const revertData = SimulationAdapter.extractRevertData(error);
+            if (revertData === null) {
+                throw error;
+            }
+            return {
+                success: false,
+                revertData,
+                revertReason: SimulationAdapter.decodeRevertReason(revertData)
+            };
+        }
+    }
+
+    /**
+     * Estimate gas for a single call against the current state
+     * @param {Object} request - JSON-RPC call object
+     * @returns {Promise<string|null>} Gas estimate as a decimal string, or null if it can't be estimated
+     */
+    async estimateGas(request) {
+        try {
+            const gas = await this.provider.send('eth_estimateGas', [request]);
+            return ethers.BigNumber.from(gas).toString();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Simulate a prefix of the bundle as one MultiSend call from the sender
+     * @param {Array<Object>} transactions - Bundle transactions
+     * @param {number} count - Number of leading transactions to include
+     * @param {string} from - Sender address
+     * @returns {Promise<Object>} Result {success, revertReason, revertData}
+     */
+    async simulatePrefix(transactions, count, from) {
+        if (!this.multiSendCode) {
+            this.multiSendCode = await this.provider.getCode(config.currentNetwork.safe.multiSendCallsOnlyAddress);
+            if (!this.multiSendCode || this.multiSendCode === '0x') {
+                throw new Error('MultiSendCallsOnly is not deployed on this network');
+            }
+        }
+
+        const slice = transactions.slice(0, count);
+        const value = slice.reduce((sum, tx) => sum.add(tx.value || 0), ethers.BigNumber.from(0));
+
+        return this.call(
+            {
+                from,
+                to: from,
+                data: this.encodeMultiSend(slice),
+                value: ethers.utils.hexValue(value)
+            },
+            { [from]: { code: this.multiSendCode } }
+        );
+    }
+
+    /**
+     * Simulate every call of a bundle from the sender address
+     *
+     * The result has one entry per transaction with its status, decoded revert
+     * reason and gas estimate. `success` is false when any call would revert.
+     *
+     * @param {Array<Object>} transactions - Bundle transactions {to, data, value}
+     * @param {string} from - Sender (EOA or Safe) address
+     * @returns {Promise<Object>} Simulation result {success, mode, calls, totalGas}
+     */
+    async simulateBundle(transactions, from) {
+        const sender = ethers.utils.getAddress(from);
+        const requests = transactions.map(tx => this.toCallRequest(tx, sender));
+
+        let calls;
+        let mode = 'cumulative';
+
+        try {
+            calls = await this.simulateCumulative(requests, sender);
+        } catch (error) {
+            // State overrides are not supported everywhere - simulate each call on its own
+            console.warn(`Warning: Bundle simulation with state override failed (${error.message}), simulating calls individually`);
+            mode = 'independent';
+            calls = [];
+            for (const request of requests) {
+                const result = await this.call(request);
+                calls.push({
+                    status: result.success ? CallStatus.SUCCESS : CallStatus.REVERTED,
+                    revertReason: result.revertReason
+                });
+            }
+        }
+
+        // Gas estimates are per call against the current state
+        for (let i = 0; i < calls.length; i++) {
+            calls[i] = {
+                index: i,
+                to: requests[i].to,
+                selector: requests[i].data.slice(0, 10),
+                ...calls[i],
+                gasUsed: calls[i].status === CallStatus.SUCCESS ? await this.estimateGas(requests[i]) : null
+            };
+        }
+
+        const totalGas = calls
+            .filter(call => call.gasUsed)
+            .reduce((sum, call) => sum.add(call.gasUsed), ethers.BigNumber.from(0));
+
+        return {
+            success: calls.every(call => call.status === CallStatus.SUCCESS),
+            mode,
+            from: sender,
+            calls,
+            totalGas: totalGas.toString()
+        };
+    }
+
+    /**
+     * Simulate the bundle cumulatively and locate the first failing call
+     * @param {Array<Object>} requests - JSON-RPC call objects
+     * @param {string} from - Sender address
+     * @returns {Promise<Array<Object>>} Per-call status and revert reason
+     */
+    async simulateCumulative(requests, from) {
+        const full = await this.simulatePrefix(requests, requests.length, from);
+
+        if (full.success) {
+            return requests.map(() => ({ status: CallStatus.SUCCESS }));
+        }
+
+        // Binary search for the shortest failing prefix; its last call is the first failure
+        let low = 1;
+        let high = requests.length;
+        let failure = full;
+
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const result = await this.simulatePrefix(requests, middle, from);
+
+            if (result.success) {
+                low = middle + 1;
+            } else {
+                high = middle;
+                failure = result;
+            }
+        }
+
+        // MultiSendCallsOnly may drop the inner revert data - ask the failing call directly
+        if (failure.revertData === '0x') {
+            const direct = await this.call(requests[low - 1]);
+            if (!direct.success) {
+                failure = direct;
+            }
+        }
+
+        return requests.map((request, index) => {
+            if (index < low - 1) {
+                return { status: CallStatus.SUCCESS };
+            }
+            if (index === low - 1) {
+                return { status: CallStatus.REVERTED, revertReason: failure.revertReason };
+            }
+            return { status: CallStatus.NOT_REACHED };
+        });
+    }
+
+    /**
+     * Simulate a bundle before sending it and print the report
+     * Used by the executors as a gate: sending must stop unless success is true.
+     * @param {Array<Object>} transactions - Bundle transactions {to, data, value}
+     * @param {string} from - Sender (EOA or Safe) address
+     * @returns {Promise<Object>} Result {success, simulation, message}
+     */
+    async simulateAndReport(transactions, from) {
+        console.log(`\nSimulating ${transactions.length} transactions...`);
+
+        try {
+            const simulation = await this.simulateBundle(transactions, from);
+            console.log(SimulationAdapter.formatReport(simulation));
+
+            return {
+                success: simulation.success,
+                simulation,
+                message: simulation.success
+                    ? "Simulation succeeded"
+                    : "Simulation failed - the bundle would revert"
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'SimulationAdapter.simulateAndReport');
+            return {
+                success: false,
+                message: `Could not simulate bundle: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Format a simulation result for the console
+     * @param {Object} simulation - Result from simulateBundle
+     * @returns {string} Report text
+     */
+    static formatReport(simulation) {
+        const lines = [`Simulation from ${simulation.from} (${simulation.mode}):`];
+
+        simulation.calls.forEach(call => {
+            const label = `  ${call.index + 1}. ${call.to} ${call.selector}`;
+            if (call.status === CallStatus.SUCCESS) {
+                lines.push(`${label} ✅${call.gasUsed ? ` gas ${call.gasUsed}` : ''}`);
+            } else if (call.status === CallStatus.REVERTED) {
+                lines.push(`${label} ❌ ${call.revertReason}`);
+            } else {
+                lines.push(`${label} ⏭️  not reached`);
+            }
+        });
+
+        lines.push(simulation.success
+            ? `✅ All ${simulation.calls.length} calls succeed (estimated gas ${simulation.totalGas})`
+            : `❌ ${simulation.calls.filter(call => call.status === CallStatus.REVERTED).length} call(s) would revert`);
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = {
+    SimulationAdapter,
+    CallStatus
+};
@@ -0,0 +1,326 @@
+/**
+ * compoundDaemon.js - Scheduled claim-and-compound runs
+ *
+ * Re-checks rewards on a fixed interval and, once claimable BGT or HONEY
+ * crosses its threshold, builds a compound bundle (claim, optionally swap the
+ * claimed tokens, boost claimed BGT) and executes it with the EOA executor or proposes it to a Safe. Every run
+ * writes a JSON log to config.paths.daemonLogDir.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const { BundleType, OutputFormat } = require('../../bundles/bundleCreator');
+const PortfolioScanner = require('../../bundles/claims/portfolioScanner');
+const { BundleStatus } = require('../../storage/repositories/bundleRepository');
+
+/**
+ * Outcome of a single daemon run
+ */
+const RunStatus = {
+    SKIPPED: 'skipped',     // Below all thresholds, or an earlier proposal is still queued
+    BUNDLED: 'bundled',     // Bundle created but not sent (execute disabled)
+    EXECUTED: 'executed',   // Sent from the EOA
+    PROPOSED: 'proposed',   // Proposed to the Safe
+    FAILED: 'failed'
+};
+
+/**
+ * Long-running claim-and-compound scheduler
+ */
+class CompoundDaemon {
+    /**
+     * Create a new CompoundDaemon
+     * @param {Object} app - Initialized BeraBundle application
+     * @param {Object} options - Daemon options
+     * @param {string} options.walletName - Wallet whose key signs (and whose rewards are claimed for EOA bundles)
+     * @param {string} options.password - Password for the wallet's private key or keystore
+     * @param {string} options.format - Output format: eoa or safe_ui (default: eoa)
+     * @param {string} options.safeAddress - Safe whose rewards are compounded for Safe bundles (defaults to config)
+     * @param {number} options.intervalMinutes - Minutes between runs (default: config.daemon.intervalMinutes)
+     * @param {Object} options.thresholds - Minimum claimable amount by token symbol (default: config.daemon.thresholds)
+     * @param {string} options.swapTo - Optional swap target for claimed tokens (BERA or HONEY)
+     * @param {boolean} options.execute - Whether to send/propose bundles (default: true)
+     * @param {boolean} options.simulate - Whether to simulate bundles before sending (default: config.simulation.enabled)
+     */
+    constructor(app, options = {}) {
+        this.app = app;
+        this.bundleCreator = app.bundleCreator;
+        this.rewardChecker = app.rewardChecker;
+        this.transactionService = app.transactionService;
+
+        this.walletName = options.walletName;
+        this.password = options.password;
+        this.format = options.format || OutputFormat.EOA;
+        this.safeAddress = options.safeAddress || config.currentNetwork.safe.defaultSafeAddress;
+        this.intervalMinutes = options.intervalMinutes || config.daemon.intervalMinutes;
+        this.thresholds = { ...config.daemon.thresholds, ...options.thresholds };
+        this.swapTo = options.swapTo || null;
+        this.execute = options.execute !== false;
+        this.simulate = options.simulate !== undefined ? options.simulate : config.simulation.enabled;
+
+        this.timer = null;
+        this.running = false;
+        this.stopResolver = null;
+        this.currentRun = null;
+    }
+
+    /**
+     * Validate options and resolve the address whose rewards are compounded
+     * @returns {Promise<string>} Address that owns the stakes
+     * @throws {Error} If the options are invalid
+     */
+    async resolveTargetAddress() {
+        if (![OutputFormat.EOA, OutputFormat.SAFE_UI].includes(this.format)) {
+            throw ErrorHandler.createValidationError(`Unsupported format for compound bundles: ${this.format}`);
+        }
+
+        const walletAddress = this.app.walletRepository.getWalletByName(this.walletName);
+        if (!walletAddress) {
+            throw ErrorHandler.createValidationError(`Wallet "${this.walletName}" not found`);
+        }
+
+        if (this.execute && !this.password && await this.app.walletRepository.requiresPassword(this.walletName)) {
+            throw ErrorHandler.createValidationError("A password is required to sign compound bundles");
+        }
+
+        if (this.format === OutputFormat.EOA) {
+            return walletAddress;
+        }
+
+        if (!this.safeAddress || !this.app.walletRepository.constructor.isValidAddress(this.safeAddress)) {
+            throw ErrorHandler.createValidationError("A valid Safe address is required for Safe compound bundles");
+        }
+
+        return this.safeAddress;
+    }
+
+    /**
+     * Start the daemon and keep running until stop() is called or the process is interrupted
+     * @returns {Promise<void>} Resolves once the daemon has stopped
+     */
+    async start() {
+        const targetAddress = await this.resolveTargetAddress();
+        this.running = true;
+
+        console.log(`Compound daemon started for ${targetAddress} (${this.format})`);
+        console.log(`Checking every ${this.intervalMinutes} minutes, thresholds: ${Object.entries(this.thresholds)
+            .map(([symbol, amount]) => `${amount} ${symbol}`)
+            .join(', ')}`);
+
+        const stopOnSignal = () => this.stop();
+        process.once('SIGINT', stopOnSignal);
+        process.once('SIGTERM', stopOnSignal);
+
+        const stopped = new Promise(resolve => {
+            this.stopResolver = resolve;
+        });
+
+        const tick = async () => {
+            this.currentRun = this.runOnce();
+            await this.currentRun;
+            this.currentRun = null;
+
+            if (this.running) {
+                this.timer = setTimeout(tick, this.intervalMinutes * 60 * 1000);
+            }
+        };
+
+        await tick();
+        await stopped;
+
+        // A run started by the timer may still be sending transactions
+        if (this.currentRun) {
+            await this.currentRun;
+        }
+
+        process.removeListener('SIGINT', stopOnSignal);
+        process.removeListener('SIGTERM', stopOnSignal);
+    }
+
+    /**
+     * Stop the daemon after the current run
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        console.log(this.currentRun
+            ? "\nStopping compound daemon after the current run..."
+            : "\nStopping compound daemon...");
+        this.running = false;
+        clearTimeout(this.timer);
+
+        if (this.stopResolver) {
+            this.stopResolver();
+        }
+    }
+
+    /**
+     * Get the thresholds that claimable rewards have crossed
+     * @param {Object} totals - Claimable amount by token symbol
+     * @returns {Array<string>} Token symbols at or above their threshold
+     */
+    getTriggeredThresholds(totals) {
+        return Object.entries(this.thresholds)
+            .filter(([symbol, minimum]) => (totals[symbol] || 0) >= minimum)
+            .map(([symbol]) => symbol);
+    }
+
+    /**
+     * Find a compound proposal for the Safe that is still waiting in its queue
+     * Proposals are recorded in the bundle history; one whose Safe tx hash is still
+     * queued has not been executed or replaced yet.
+     * @param {string} safeAddress - Safe address
+     * @returns {Promise<Object|null>} Bundle record of the pending proposal, or null if there is none
+     * @throws {Error} If the Safe queue can't be loaded
+     */
+    async findPendingProposal(safeAddress) {
+        const proposals = await this.transactionService.bundleRepository.getBundleHistory({
+            status: BundleStatus.PROPOSED,
+            type: BundleType.COMPOUND,
+            walletAddress: safeAddress
+        });
+
+        const queue = await this.transactionService.safeService.getQueue(safeAddress);
+        if (!queue.success) {
+            throw new Error(queue.message);
+        }
+
+        const queued = new Set(queue.transactions.map(tx => tx.safeTxHash.toLowerCase()));
+        return proposals.find(record => record.safeTxHash && queued.has(record.safeTxHash.toLowerCase())) || null;
+    }
+
+    /**
+     * Run a single check and compound if a threshold is crossed
+     * A reward check that fails is logged as FAILED, never as SKIPPED.
+     * @returns {Promise<Object>} Run log entry
+     */
+    async runOnce() {
+        const run = {
+            startedAt: new Date().toISOString(),
+            wallet: this.walletName,
+            format: this.format,
+            thresholds: this.thresholds,
+            status: null
+        };
+
+        try {
+            run.address = await this.resolveTargetAddress();
+            console.log(`\n[${run.startedAt}] Checking rewards for ${run.address}...`);
+
+            const rewardInfo = await this.rewardChecker.checkAllRewards(run.address, true, true, null, false);
+            const rewards = rewardInfo && (rewardInfo.rewards || rewardInfo);
+            if (!Array.isArray(rewards)) {
+                throw new Error(`Reward check failed for ${run.address}`);
+            }
+            const claimableRewards = rewards.filter(item => item.earned && parseFloat(item.earned) > 0);
+
+            run.claimable = PortfolioScanner.totalByToken(claimableRewards);
+            run.triggeredBy = this.getTriggeredThresholds(run.claimable);
+
+            if (run.triggeredBy.length === 0) {
+                run.status = RunStatus.SKIPPED;
+                console.log("Claimable rewards are below all thresholds, nothing to do.");
+                return await this.writeRunLog(run);
+            }
+
+            // Proposing again before the owners execute the last proposal would claim the same rewards twice
+            if (this.execute && this.format === OutputFormat.SAFE_UI) {
+                const pending = await this.findPendingProposal(run.address);
+                if (pending) {
+                    run.status = RunStatus.SKIPPED;
+                    run.pendingProposal = { filepath: pending.filepath, safeTxHash: pending.safeTxHash };
+                    console.log(`Compound proposal ${pending.safeTxHash} is still queued in the Safe, not proposing another one.`);
+                    return await this.writeRunLog(run);
+                }
+            }
+
+            console.log(`Threshold reached for ${run.triggeredBy.join(', ')}, building compound bundle...`);
+
+            const bundle = await this.bundleCreator.createBundle(BundleType.COMPOUND, {
+                rewardInfo: claimableRewards,
+                userAddress: run.address,
+                format: this.format,
+                name: this.walletName,
+                bgtAmount: run.claimable.BGT || 0,
+                swapTo: this.swapTo
+            });
+
+            if (!bundle.success) {
+                throw new Error(bundle.message);
+            }
+
+            run.bundle = {
+                filepath: bundle.filepath,
+                rewardSummary: bundle.summary.rewardSummary,
+                totalTransactions: bundle.summary.totalTransactions,
+                swapCount: bundle.summary.swapCount,
+                expectedSwapOutput: bundle.summary.expectedSwapOutput,
+                redelegationCount: bundle.summary.redelegationCount
+            };
+
+            if (!this.execute) {
+                run.status = RunStatus.BUNDLED;
+                console.log(`Compound bundle saved to ${bundle.filepath}`);
+                return await this.writeRunLog(run);
+            }
+
+            const result = await this.transactionService.executeBundle(bundle, {
+                walletName: this.walletName,
+                password: this.password,
+                safeAddress: this.safeAddress,
+                simulate: this.simulate
+            });
+
+            run.result = {
+                success: result.success,
+                message: result.message,
+                safeTxHash: result.safeTxHash,
+                transactionUrl: result.transactionUrl
+            };
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            run.status = result.type === 'safe' ? RunStatus.PROPOSED : RunStatus.EXECUTED;
+            console.log(`✅ Compound bundle ${run.status}: ${bundle.summary.rewardSummary}`);
+        } catch (error) {
+            ErrorHandler.handle(error, 'CompoundDaemon.runOnce');
+            run.status = RunStatus.FAILED;
+            run.error = error.message;
+        }
+
+        return await this.writeRunLog(run);
+    }
+
+    /**
+     * Write a run log entry to disk
+     * @param {Object} run - Run log entry
+     * @returns {Promise<Object>} The run log entry with finishedAt and logFile set
+     */
+    async writeRunLog(run) {
+        run.finishedAt = new Date().toISOString();
+
+        try {
+            const dateStr = run.startedAt.replace(/[:.]/g, '-').replace('T', '_').slice(0, 19); // Format: YYYY-MM-DD_HH-MM-SS
+            const logFile = path.join(config.paths.daemonLogDir, `compound_${dateStr}_${this.walletName.toLowerCase()}.json`);
+
+            await fs.mkdir(config.paths.daemonLogDir, { recursive: true });
+            await fs.writeFile(logFile, JSON.stringify(run, null, 2));
+            run.logFile = logFile;
+        } catch (error) {
+            console.warn(`Warning: Could not write daemon run log: ${error.message}`);
+        }
+
+        return run;
+    }
+}
+
+module.exports = {
+    CompoundDaemon,
+    RunStatus
+};
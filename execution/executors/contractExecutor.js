@@ -0,0 +1,560 @@
+/**
+ * contractExecutor.js - EOA execution through the BeraBundle contract
+ *
+ * MultiSendCallsOnly can't run an EOA bundle in one transaction, because every
+ * call would see MultiSend as msg.sender. The BeraBundle contract
+ * (contracts/berabundler.sol) runs a list of operations in one transaction, so
+ * the calls that still act for the wallet when the contract makes them are
+ * merged into executeBundle calls:
+ *
+ * - Swaps paid in BERA run as swap operations that pay the output to the wallet.
+ * - BERA transfers become disperse operations.
+ * - Boost activation and finishing a boost drop may be called for any user and
+ *   run as generic calls.
+ *
+ * executeBundle makes generic calls for anyone, so the contract must never be a
+ * vault operator or hold a token allowance of the wallet: anyone could claim the
+ * rewards or pull the tokens through it. Vault claims, token transfers and token
+ * swaps (with their router approvals) are therefore not moved into the contract.
+ * A vault operator or allowance the contract still has is revoked before
+ * anything else is sent.
+ *
+ * The contract's own claim and boost operation types act for the contract
+ * itself and are not used. All other calls stay direct transactions, sent in
+ * bundle order between the contract calls, so a bundle with claims, token swaps
+ * or token transfers is not atomic: it only runs in one transaction once the
+ * contract can act for msg.sender without an operator role or allowance.
+ */
+
+const { ethers } = require('ethers');
+const path = require('path');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const { SimulationAdapter } = require('../adapters/simulationAdapter');
+const NonceManager = require('../adapters/nonceManager');
+const { FeeOracle } = require('../adapters/feeOracle');
+const GasCostEstimator = require('../adapters/gasCostEstimator');
+const BundleRepository = require('../../storage/repositories/bundleRepository');
+const { BundleInspector } = require('../../bundles/bundleInspector');
+const { BundleStatus } = BundleRepository;
+
+/**
+ * Operation types of BeraBundle.executeBundle
+ */
+const OperationType = {
+    APPROVE: 1,
+    REVOKE_APPROVAL: 2,
+    SWAP: 3,
+    CLAIM_REWARDS: 4,
+    BOOST: 5,
+    DISPERSE: 6,
+    GENERIC_CALL: 7
+};
+
+/**
+ * Kind of a transaction in an execution plan
+ */
+const StepKind = {
+    REVOKE: 'revoke',     // Removes a vault operator or allowance the contract still has
+    CONTRACT: 'contract', // BeraBundle.executeBundle with one or more operations
+    DIRECT: 'direct'      // Bundle call sent from the wallet as it is
+};
+
+/**
+ * Sends EOA bundles through the BeraBundle contract
+ */
+class ContractExecutor {
+    /**
+     * Create a new ContractExecutor
+     * @param {ethers.providers.Provider} provider - Ethers provider
+     * @param {Object} services - Shared services (default: new ones on the provider)
+     * @param {NonceManager} services.nonceManager - Nonce manager for sends
+     * @param {ProviderAdapter} services.providerAdapter - Provider adapter for a new nonce manager
+     * @param {FeeOracle} services.feeOracle - Fee oracle
+     * @param {GasCostEstimator} services.gasCostEstimator - Cost preview
+     * @param {SimulationAdapter} services.simulator - Bundle simulator
+     * @param {BundleRepository} services.bundleRepository - Bundle history
+     */
+    constructor(provider, services = {}) {
+        this.provider = provider;
+        this.nonceManager = services.nonceManager || new NonceManager(services.providerAdapter);
+        this.feeOracle = services.feeOracle || new FeeOracle(provider);
+        this.gasCostEstimator = services.gasCostEstimator || new GasCostEstimator(provider, { feeOracle: this.feeOracle });
+        this.simulator = services.simulator || new SimulationAdapter(provider);
+        this.bundleRepository = services.bundleRepository || new BundleRepository();
+        this.inspector = new BundleInspector();
+        this.beraBundleInterface = new ethers.utils.Interface(config.abis.beraBundle);
+        this.rewardVaultInterface = new ethers.utils.Interface(config.abis.rewardVault);
+        this.erc20Interface = new ethers.utils.Interface(config.abis.erc20);
+    }
+
+    /**
+     * Build an operation with every struct field set
+     * @param {number} operationType - Operation type (see OperationType)
+     * @param {Object} fields - Fields to set {target, data, value, tokenAddress, tokenAmount, recipients, amounts}
+     * @returns {Object} Operation for executeBundle
+     */
+    static createOperation(operationType, fields = {}) {
+        return {
+            operationType,
+            target: fields.target || ethers.constants.AddressZero,
+            data: fields.data || '0x',
+            value: ethers.BigNumber.from(fields.value || 0),
+            tokenAddress: fields.tokenAddress || ethers.constants.AddressZero,
+            tokenAmount: ethers.BigNumber.from(fields.tokenAmount || 0),
+            recipients: fields.recipients || [],
+            amounts: fields.amounts || []
+        };
+    }
+
+    /**
+     * Get the contract address to execute through
+     * @param {string} contractAddress - Address given by the caller (default: config)
+     * @returns {string} Checksummed contract address
+     * @throws {Error} If no valid address is configured
+     */
+    static resolveContractAddress(contractAddress = config.currentNetwork.beraBundleAddress) {
+        if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+            throw ErrorHandler.createValidationError(
+                "No BeraBundle contract address: pass --contract-address <address> or set BERABUNDLE_ADDRESS"
+            );
+        }
+        return ethers.utils.getAddress(contractAddress);
+    }
+
+    /**
+     * Decide how one bundle call runs through the contract
+     * @param {Object} tx - Bundle call {to, data, value}
+     * @param {number} index - Position in the bundle
+     * @param {string} from - Wallet address
+     * @returns {Object} Step {kind, index, operations, transfer, exposure} or {kind: DIRECT, reason, exposure};
+     *   exposure names the vault or token whose operator or allowance the contract must not keep
+     */
+    classifyTransaction(tx, index, from) {
+        const to = ethers.utils.getAddress(tx.to);
+        const data = tx.data || '0x';
+        const value = ethers.BigNumber.from(tx.value || 0);
+        const direct = (reason, exposure) => ({ kind: StepKind.DIRECT, index, reason, exposure });
+
+        if (data === '0x') {
+            return value.isZero()
+                ? direct("empty call")
+                : { kind: StepKind.CONTRACT, index, transfer: { token: ethers.constants.AddressZero, recipient: to, amount: value } };
+        }
+
+        const parsed = this.inspector.parseCallData(data);
+        if (!parsed) {
+            return direct("unknown call, msg.sender may matter");
+        }
+
+        switch (parsed.signature) {
+            case 'getReward(address,address)':
+                return parsed.args.account.toLowerCase() === from.toLowerCase()
+                    ? direct("the contract would have to be the vault operator", { vault: to })
+                    : direct("claims for another account");
+
+            case 'activateBoost(address,bytes)':
+            case 'dropBoost(address,bytes)':
+                return {
+                    kind: StepKind.CONTRACT,
+                    index,
+                    operations: [ContractExecutor.createOperation(OperationType.GENERIC_CALL, { target: to, data })]
+                };
+
+            case 'transfer(address,uint256)':
+                return direct("the contract would need an allowance", { token: to });
+
+            case 'swap((address,uint256,address,uint256,uint256,address),bytes,address,uint32)':
+                return this.classifySwap(to, data, value, parsed.args.tokenInfo, index, from);
+
+            default:
+                return direct(`${parsed.name} acts for msg.sender`);
+        }
+    }
+
+    /**
+     * Decide how a router swap runs
+     * Only swaps paid in BERA move into the contract; token swaps keep their router approval.
+     * @param {string} router - Router address
+     * @param {string} data - Swap call data
+     * @param {ethers.BigNumber} value - BERA sent with the swap
+     * @param {Object} tokenInfo - Decoded swap token info
+     * @param {number} index - Position in the bundle
+     * @param {string} from - Wallet address
+     * @returns {Object} Step
+     */
+    classifySwap(router, data, value, tokenInfo, index, from) {
+        if (tokenInfo.outputReceiver.toLowerCase() !== from.toLowerCase()) {
+            return { kind: StepKind.DIRECT, index, reason: "swap output goes to another address" };
+        }
+
+        if (tokenInfo.inputToken !== ethers.constants.AddressZero) {
+            return {
+                kind: StepKind.DIRECT,
+                index,
+                reason: "the contract would need an allowance",
+                exposure: { token: ethers.utils.getAddress(tokenInfo.inputToken) }
+            };
+        }
+
+        return {
+            kind: StepKind.CONTRACT,
+            index,
+            operations: [ContractExecutor.createOperation(OperationType.SWAP, { target: router, data, value })]
+        };
+    }
+
+    /**
+     * Build the operations of consecutive contract steps
+     * Adjacent transfers of the same token are merged into one disperse.
+     * @param {Array<Object>} steps - Contract steps
+     * @returns {Array<Object>} Operations
+     */
+    static buildOperations(steps) {
+        const operations = [];
+        let disperse = null;
+
+        for (const step of steps) {
+            if (!step.transfer) {
+                disperse = null;
+                operations.push(...step.operations);
+                continue;
+            }
+
+            const { token, recipient, amount } = step.transfer;
+            if (!disperse || disperse.tokenAddress !== token) {
+                disperse = ContractExecutor.createOperation(OperationType.DISPERSE, { tokenAddress: token });
+                operations.push(disperse);
+            }
+            disperse.recipients.push(recipient);
+            disperse.amounts.push(ethers.BigNumber.from(amount));
+
+            // Native disperses are paid from the value sent with the bundle
+            if (token === ethers.constants.AddressZero) {
+                disperse.value = disperse.amounts.reduce((sum, value) => sum.add(value), ethers.BigNumber.from(0));
+            }
+        }
+
+        return operations;
+    }
+
+    /**
+     * Encode an executeBundle call
+     * @param {string} contractAddress - BeraBundle contract address
+     * @param {Array<Object>} operations - Operations
+     * @returns {Object} Transaction {to, data, value}
+     */
+    encodeExecuteBundle(contractAddress, operations) {
+        const value = operations.reduce((sum, op) => sum.add(op.value), ethers.BigNumber.from(0));
+        return {
+            to: contractAddress,
+            data: this.beraBundleInterface.encodeFunctionData('executeBundle', [operations]),
+            value: value.toHexString()
+        };
+    }
+
+    /**
+     * Build the revocations of vault operators and allowances the contract still has
+     * Only the vaults and tokens the bundle touches are checked.
+     * @param {Array<Object>} exposures - Step exposures ({vault} or {token})
+     * @param {string} from - Wallet address
+     * @param {string} contractAddress - BeraBundle contract address
+     * @returns {Promise<Object>} Result {steps: [{kind, description, to, data, value}], warnings}
+     */
+    async buildRevocations(exposures, from, contractAddress) {
+        const steps = [];
+        const warnings = [];
+
+        const vaults = [...new Set(exposures.filter(exposure => exposure.vault).map(exposure => exposure.vault))];
+        for (const vault of vaults) {
+            const rewardVault = new ethers.Contract(vault, config.abis.rewardVault, this.provider);
+            const operator = await rewardVault.operator(from);
+            if (operator.toLowerCase() !== contractAddress.toLowerCase()) {
+                continue;
+            }
+
+            const label = this.inspector.labelAddress(vault);
+            warnings.push(`The BeraBundle contract is your operator on ${label}: anyone can claim your rewards through it until it is revoked`);
+            steps.push({
+                kind: StepKind.REVOKE,
+                description: `setOperator(0x0) on ${label}`,
+                to: vault,
+                data: this.rewardVaultInterface.encodeFunctionData('setOperator', [ethers.constants.AddressZero]),
+                value: '0x0'
+            });
+        }
+
+        const tokens = [...new Set(exposures.filter(exposure => exposure.token).map(exposure => exposure.token))];
+        for (const token of tokens) {
+            const erc20 = new ethers.Contract(token, config.abis.erc20, this.provider);
+            const allowance = await erc20.allowance(from, contractAddress);
+            if (allowance.isZero()) {
+                continue;
+            }
+
+            const amount = this.inspector.formatAmount(allowance, token);
+            warnings.push(`The BeraBundle contract may still spend ${amount}: anyone can take it through the contract until it is revoked`);
+            steps.push({
+                kind: StepKind.REVOKE,
+                description: `approve(contract, 0) on ${this.inspector.labelAddress(token)}`,
+                to: token,
+                data: this.erc20Interface.encodeFunctionData('approve', [contractAddress, 0]),
+                value: '0x0'
+            });
+        }
+
+        return { steps, warnings };
+    }
+
+    /**
+     * Plan how a bundle runs through the contract
+     * @param {Array<Object>} transactions - Bundle calls {to, data, value}
+     * @param {string} from - Wallet address
+     * @param {string} contractAddress - BeraBundle contract address
+     * @returns {Promise<Object>} Plan {from, contractAddress, steps, warnings}
+     */
+    async planBundle(transactions, from, contractAddress) {
+        await this.inspector.loadMetadata();
+
+        const classified = transactions.map((tx, index) => this.classifyTransaction(tx, index, from));
+
+        // Consecutive contract steps share one executeBundle call; direct calls keep their place
+        const groups = [];
+        for (const step of classified) {
+            const last = groups[groups.length - 1];
+            if (step.kind === StepKind.CONTRACT && last && last.kind === StepKind.CONTRACT) {
+                last.steps.push(step);
+            } else {
+                groups.push({ kind: step.kind, steps: [step] });
+            }
+        }
+
+        const steps = groups.map(group => {
+            const describe = step => BundleInspector.formatCall(this.inspector.decodeTransaction(transactions[step.index], step.index));
+
+            if (group.kind === StepKind.DIRECT) {
+                const [step] = group.steps;
+                const tx = transactions[step.index];
+                return {
+                    kind: StepKind.DIRECT,
+                    to: ethers.utils.getAddress(tx.to),
+                    data: tx.data || '0x',
+                    value: ethers.BigNumber.from(tx.value || 0).toHexString(),
+                    calls: [describe(step)],
+                    reason: step.reason
+                };
+            }
+
+            const operations = ContractExecutor.buildOperations(group.steps);
+            return {
+                kind: StepKind.CONTRACT,
+                ...this.encodeExecuteBundle(contractAddress, operations),
+                calls: group.steps.map(describe),
+                operationCount: operations.length
+            };
+        });
+
+        const revocations = await this.buildRevocations(
+            classified.filter(step => step.exposure).map(step => step.exposure),
+            from,
+            contractAddress
+        );
+
+        return {
+            from,
+            contractAddress,
+            steps: [...revocations.steps, ...steps],
+            warnings: revocations.warnings
+        };
+    }
+
+    /**
+     * Format a plan for the console
+     * @param {Object} plan - Result from planBundle
+     * @returns {string} Plan text
+     */
+    static formatPlan(plan) {
+        const lines = [`Execution through BeraBundle ${plan.contractAddress} (${plan.steps.length} transactions):`];
+        if (plan.steps.length > 1) {
+            lines.push("  Not atomic: the transactions are sent one at a time and earlier ones stay if a later one fails");
+        }
+
+        plan.steps.forEach((step, i) => {
+            if (step.kind === StepKind.REVOKE) {
+                lines.push(`  ${i + 1}. [revoke] ${step.description}`);
+            } else if (step.kind === StepKind.CONTRACT) {
+                lines.push(`  ${i + 1}. [contract] executeBundle with ${step.operationCount} operation(s):`);
+                step.calls.forEach(call => lines.push(`       ${call}`));
+            } else {
+                lines.push(`  ${i + 1}. [direct] ${step.calls[0]} (${step.reason})`);
+            }
+        });
+
+        plan.warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Plan, simulate and send an EOA bundle through the contract
+     * Transactions are sent one at a time and sending stops at the first one that fails.
+     * @param {Object} bundle - Bundle with bundleData or transactions (filepath keys the history)
+     * @param {ethers.Signer} signer - Signer connected to a provider
+     * @param {Object} options - Options
+     * @param {string} options.contractAddress - BeraBundle contract (default: config)
+     * @param {boolean} options.simulate - Whether to simulate before sending (default: config.simulation.enabled)
+     * @param {Object} options.feeStrategy - Fee strategy {preset, maxFeeCap} (default: the bundle's, then the preferred one)
+     * @returns {Promise<Object>} Result {success, message, transactions}
+     */
+    async execute(bundle, signer, options = {}) {
+        const { simulate = config.simulation.enabled } = options;
+        const bundlePath = bundle.filepath || null;
+        const bundleMeta = bundle.bundleData && bundle.bundleData.meta;
+
+        try {
+            const contractAddress = ContractExecutor.resolveContractAddress(options.contractAddress);
+            if (await this.provider.getCode(contractAddress) === '0x') {
+                throw ErrorHandler.createValidationError(`No contract is deployed at ${contractAddress}`);
+            }
+
+            const from = await signer.getAddress();
+            const feeStrategy = options.feeStrategy
+                || (bundleMeta && bundleMeta.feeStrategy)
+                || await FeeOracle.loadPreferredStrategy();
+
+            const plan = await this.planBundle(SimulationAdapter.extractTransactions(bundle), from, contractAddress);
+            console.log(`\n${ContractExecutor.formatPlan(plan)}`);
+
+            if (plan.steps.length === 0) {
+                return { success: false, message: "Nothing to send" };
+            }
+
+            let gasEstimates = [];
+            if (simulate) {
+                const simulationResult = await this.simulator.simulateAndReport(plan.steps, from);
+                gasEstimates = simulationResult.simulation ? simulationResult.simulation.calls.map(call => call.gasUsed) : [];
+                if (!simulationResult.success) {
+                    await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.FAILED, {
+                        from,
+                        error: simulationResult.message
+                    });
+                    return { success: false, message: `${simulationResult.message}. No transactions were sent.` };
+                }
+            }
+
+            await this.gasCostEstimator.previewCost(plan.steps, from, { feeStrategy, gasEstimates });
+
+            const sentTransactions = [];
+            await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.SENT, {
+                from,
+                contractAddress,
+                transactions: sentTransactions
+            });
+
+            for (let i = 0; i < plan.steps.length; i++) {
+                const sent = await this.sendStep(plan.steps[i], i, signer, feeStrategy, bundlePath);
+                sentTransactions.push(sent);
+                await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.SENT, {
+                    transactions: sentTransactions
+                });
+
+                if (sent.status !== 'success') {
+                    const message = `Transaction ${i + 1}/${plan.steps.length} ${sent.status}${sent.error ? `: ${sent.error}` : ''}; the rest was not sent`;
+                    await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.FAILED, {
+                        transactions: sentTransactions,
+                        error: message
+                    });
+                    return { success: false, message, transactions: sentTransactions };
+                }
+            }
+
+            await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.CONFIRMED, {
+                transactions: sentTransactions
+            });
+            return {
+                success: true,
+                message: `Bundle executed through BeraBundle in ${plan.steps.length} transaction(s)`,
+                transactions: sentTransactions,
+                type: 'contract'
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'ContractExecutor.execute');
+            await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.FAILED, {
+                error: error.message
+            });
+            return { success: false, message: `Failed to execute bundle through the contract: ${error.message}` };
+        }
+    }
+
+    /**
+     * Send one planned transaction and wait for it
+     * @param {Object} step - Planned transaction {kind, to, data, value}
+     * @param {number} index - Position in the plan
+     * @param {ethers.Signer} signer - Signer connected to a provider
+     * @param {Object} feeStrategy - Fee strategy {preset, maxFeeCap}
+     * @param {string|null} bundlePath - Bundle file path recorded with the send
+     * @returns {Promise<Object>} History entry {index, kind, to, status, hash, nonce, blockNumber, gasUsed, error}
+     */
+    async sendStep(step, index, signer, feeStrategy, bundlePath) {
+        const sent = { index, kind: step.kind, to: step.to, status: 'pending' };
+        console.log(`\nSending transaction ${index + 1} (${step.kind}) to ${step.to}...`);
+
+        try {
+            const fees = await this.feeOracle.getFees(feeStrategy);
+            const txData = {
+                to: step.to,
+                data: step.data,
+                value: ethers.BigNumber.from(step.value),
+                maxFeePerGas: fees.maxFeePerGas,
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+                type: 2
+            };
+
+            // Estimated now, since earlier transactions change what this one does
+            try {
+                txData.gasLimit = (await signer.estimateGas(txData)).mul(13).div(10);
+            } catch (gasError) {
+                console.log(`Gas estimation failed (${gasError.message}), using the default gas limit`);
+                txData.gasLimit = ethers.BigNumber.from(config.gas.defaultGasLimit);
+            }
+
+            const response = await this.nonceManager.sendTransaction(signer, txData, {
+                bundleFile: bundlePath ? path.resolve(bundlePath) : null,
+                index
+            });
+            sent.hash = response.hash;
+            sent.nonce = response.nonce;
+            console.log(`Transaction sent! Hash: ${response.hash} (nonce ${response.nonce})`);
+
+            const { receipt, hash, replaced, cancelled } = await this.nonceManager.waitForTransaction(response);
+            if (replaced) {
+                sent.replacedHash = sent.hash;
+                sent.hash = hash;
+            }
+            sent.blockNumber = receipt.blockNumber;
+            sent.gasUsed = receipt.gasUsed.toString();
+
+            if (cancelled) {
+                sent.status = 'cancelled';
+            } else if (receipt.status === 1) {
+                sent.status = 'success';
+                console.log(`✅ Transaction ${index + 1} succeeded in block ${receipt.blockNumber}`);
+            } else {
+                sent.status = 'reverted';
+                console.log(`❌ Transaction ${index + 1} reverted`);
+            }
+        } catch (error) {
+            sent.status = 'failed';
+            sent.error = error.message;
+            console.log(`❌ Error sending transaction ${index + 1}: ${error.message}`);
+        }
+
+        return sent;
+    }
+}
+
+module.exports = {
+    ContractExecutor,
+    OperationType,
+    StepKind
+};
@@ -6,6 +6,21 @@ const fs = require('fs').promises;
 const path = require('path');
 const { ErrorHandler } = require('../../utils/errorHandler');
 const SafeService = require('./safeExecutor'); // Direct Safe Transaction Service API integration
+const { SimulationAdapter } = require('../adapters/simulationAdapter');
+const BundleRepository = require('../../storage/repositories/bundleRepository');
+const NonceManager = require('../adapters/nonceManager');
+const { FeeOracle } = require('../adapters/feeOracle');
+const GasCostEstimator = require('../adapters/gasCostEstimator');
+const { ContractExecutor } = require('./contractExecutor');
+const { BundleStatus } = BundleRepository;
+
+/**
+ * Result of an EOA send that stopped before any transaction was sent
+ * @returns {Object} Result {success, sent, failed}
+ */
+function notSent() {
+    return { success: false, sent: 0, failed: 0 };
+}
 
 /**
  * Service for managing transaction creation, signing and sending
@@ -23,6 +38,21 @@ class TransactionService {
         } else {
             this.safeService = new SafeService(app.provider);
         }
+        this.simulator = new SimulationAdapter(app.provider);
+        // Sent bundles are recorded in the app's bundle history
+        this.bundleRepository = app.bundleRepository || new BundleRepository();
+        // Sends get explicit nonces and stay tracked until mined, for speed-up and cancel
+        this.nonceManager = app.nonceManager || new NonceManager(app.providerAdapter);
+        this.feeOracle = app.feeOracle || new FeeOracle(app.provider);
+        this.gasCostEstimator = app.gasCostEstimator || new GasCostEstimator(app.provider, { feeOracle: this.feeOracle });
+        // EOA execution through the BeraBundle contract (send --contract)
+        this.contractExecutor = new ContractExecutor(app.provider, {
+            nonceManager: this.nonceManager,
+            feeOracle: this.feeOracle,
+            gasCostEstimator: this.gasCostEstimator,
+            simulator: this.simulator,
+            bundleRepository: this.bundleRepository
+        });
     }
 
     /**
@@ -37,10 +67,10 @@ class TransactionService {
         const wallets = this.walletService.getWallets();
         const walletEntries = Object.entries(wallets);
         
-        // Filter wallets that have private keys
+        // Filter wallets that can sign (stored private key or another signer backend)
         const walletsWithKeys = [];
         for (const [name, address] of walletEntries) {
-            const hasKey = await this.walletService.hasPrivateKey(name);
+            const hasKey = await this.walletService.hasSigner(name);
             if (hasKey) {
                 walletsWithKeys.push([name, address]);
             }
@@ -71,14 +101,17 @@ class TransactionService {
         const index = parseInt(walletNumber) - 1;
         const [name, address] = walletsWithKeys[index];
 
-        // Get password
-        const password = await this.uiHandler.getUserInput(
-            "\nEnter password to decrypt the private key:",
-            input => input.trim() !== '',
-            "Password cannot be empty"
-        );
+        // Get password (external signers don't need one)
+        let password = null;
+        if (await this.walletService.requiresPassword(name)) {
+            password = await this.uiHandler.getUserInput(
+                "\nEnter password to decrypt the private key:",
+                input => input.trim() !== '',
+                "Password cannot be empty"
+            );
+        }
 
-        console.log("\nDecrypting private key and creating signer...");
+        console.log("\nCreating signer...");
         const signerResult = await this.walletService.createSigner(name, password);
 
         if (!signerResult.success) {
@@ -254,7 +287,7 @@ class TransactionService {
                 }
             } else {
                 // Handle as standard EOA transactions
-                success = await this.sendAsSingleOwnerEOA(bundle, signer);
+                success = (await this.sendAsSingleOwnerEOA(bundle, signer)).success;
             }
             
             if (!success) {
@@ -267,13 +300,98 @@ class TransactionService {
         await this.uiHandler.pause();
     }
 
+    /**
+     * Sign and send a bundle without any prompts (used by the command line interface)
+     * @param {Object} bundle - The bundle to sign and send
+     * @param {Object} options - Execution options
+     * @param {string} options.walletName - Name of the wallet that signs the bundle
+     * @param {string} options.password - Password for the wallet's private key or keystore
+     * @param {string} options.safeAddress - Safe address for Safe bundles (defaults to config)
+     * @param {boolean} options.simulate - Whether to simulate before sending (default: config.simulation.enabled)
+     * @param {Object} options.feeStrategy - Fee strategy {preset, maxFeeCap} overriding the bundle's (EOA bundles)
+     * @param {boolean|string} options.contract - Send an EOA bundle through the BeraBundle contract (true for the configured address)
+     * @returns {Promise<Object>} Result {success, message}; EOA sends also report sent and failed counts
+     */
+    async executeBundle(bundle, options = {}) {
+        try {
+            const { walletName, password, simulate = config.simulation.enabled, feeStrategy } = options;
+            
+            if (!walletName) {
+                throw ErrorHandler.createValidationError("A wallet name is required to sign a bundle");
+            }
+            
+            if (!password && await this.walletService.requiresPassword(walletName)) {
+                throw ErrorHandler.createValidationError("A password is required to sign a bundle");
+            }
+            
+            const signerResult = await this.walletService.createSigner(walletName, password);
+            if (!signerResult.success) {
+                return { success: false, message: signerResult.message };
+            }
+            
+            const signer = this.provider ? signerResult.signer.connect(this.provider) : signerResult.signer;
+            const signerAddress = await signer.getAddress();
+            const format = bundle.summary ? bundle.summary.format : bundle.format;
+            
+            if (options.contract) {
+                if (format !== 'eoa') {
+                    throw ErrorHandler.createValidationError("Only EOA bundles can be sent through the BeraBundle contract");
+                }
+                
+                return await this.contractExecutor.execute(bundle, signer, {
+                    contractAddress: typeof options.contract === 'string' ? options.contract : undefined,
+                    simulate,
+                    feeStrategy
+                });
+            }
+            
+            if (format === 'safe_ui' || format === 'safe_cli') {
+                const safeAddress = options.safeAddress || config.currentNetwork.safe.defaultSafeAddress;
+                
+                if (!safeAddress || !this.walletService.constructor.isValidAddress(safeAddress)) {
+                    throw ErrorHandler.createValidationError("A valid Safe address is required to propose a Safe bundle");
+                }
+                
+                return await this.safeService.execute({
+                    safeAddress,
+                    bundle,
+                    signerAddress,
+                    password,
+                    simulate
+                });
+            }
+            
+            const { success, sent, failed } = await this.sendAsSingleOwnerEOA(bundle, signer, { confirm: false, simulate, feeStrategy });
+            return {
+                success,
+                sent,
+                failed,
+                message: success
+                    ? "Transactions sent successfully"
+                    : failed > 0
+                        ? `Transaction ${sent + 1} of ${sent + failed} failed; the rest was not sent`
+                        : "Transaction sending was not completed successfully",
+                type: 'eoa'
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'TransactionService.executeBundle');
+            return {
+                success: false,
+                message: `Failed to execute bundle: ${error.message}`
+            };
+        }
+    }
+
     /**
      * Send as EOA transactions (used for both EOA bundles and Safe fallback)
      * @param {Object} bundle - The bundle to convert and send
      * @param {Object} signer - The ethers.js signer
-     * @returns {Promise<boolean>} Success status
+     * @param {Object} options - Sending options
+     * @param {boolean} options.confirm - Whether to ask before sending individually (default: true)
+     * @param {boolean} options.simulate - Whether to simulate before sending (default: config.simulation.enabled)
+     * @returns {Promise<Object>} Result {success, sent, failed}; success only when every transaction succeeded
      */
-    async sendAsSingleOwnerEOA(bundle, signer) {
+    async sendAsSingleOwnerEOA(bundle, signer, options = {}) {
         try {
             console.log("\nProcessing transactions for EOA sending...");
             
@@ -286,7 +404,7 @@ class TransactionService {
             // This handles both EOA and Safe bundles consistently
             if (bundle.bundleData && bundle.bundleData.transactions) {
                 console.log("Detected standardized bundle format with bundleData structure");
-                return await this.sendWithMulticall(bundle, signer);
+                return await this.sendWithMulticall(bundle, signer, options);
             }
             // Support legacy bundles with transactions at the top level as a fallback
             else if (bundle.format === 'eoa' && bundle.transactions && Array.isArray(bundle.transactions)) {
@@ -304,7 +422,7 @@ class TransactionService {
                         format: 'eoa'
                     }
                 };
-                return await this.sendWithMulticall(standardizedBundle, signer);
+                return await this.sendWithMulticall(standardizedBundle, signer, options);
             }
             // Handle another legacy case where transactions is directly at top level
             else if (bundle.transactions && Array.isArray(bundle.transactions)) {
@@ -327,7 +445,7 @@ class TransactionService {
                     } else {
                         console.log("\n❌ Error: Unknown format cannot be converted.");
                         console.log("Try generating a new bundle using the 'Claim Rewards' option.");
-                        return false;
+                        return notSent();
                     }
                     
                     // Use claimBundler to convert to EOA format
@@ -352,9 +470,7 @@ class TransactionService {
                         data: payload.data,
                         value: payload.value || "0x0",
                         gasLimit: payload.gasLimit,
-                        maxFeePerGas: config.gas.maxFeePerGas,
-                        maxPriorityFeePerGas: config.gas.maxPriorityFeePerGas,
-                        type: "0x2", // EIP-1559 transaction
+                        type: "0x2", // EIP-1559 transaction, fees are set when it is sent
                         chainId
                     }));
                     
@@ -362,164 +478,37 @@ class TransactionService {
                 }
             } else {
                 console.log("\n❌ Error: Unsupported bundle format");
-                return false;
+                return notSent();
             }
             
             // Send the EOA transactions using multicall
-            return await this.sendWithMulticall(txData, signer);
+            return await this.sendWithMulticall(txData, signer, options);
         } catch (error) {
             console.log(`\n❌ Error processing EOA transactions: ${error.message}`);
-            return false;
+            return notSent();
         }
     }
 
-    /**
-     * Send EOA transactions using multicall
-     * @param {Array|Object} transactions - The transactions to send or a bundle object
-     * @param {Object} signer - The ethers.js signer
-     * @returns {Promise<boolean>} Success status
-     */
-    async sendEOATransactions(transactions, signer) {
-        try {
-            console.log("\nPreparing transactions...");
-            
-            // Validate transactions is available
-            if (!transactions) {
-                console.log(`\n❌ Error: Transactions object is null or undefined`);
-                return false;
-            }
-            
-            // Extract information from the bundle
-            console.log("Analyzing bundle format...");
-            console.log(`Bundle type: ${typeof transactions}`);
-            
-            if (typeof transactions === 'object') {
-                if (transactions.format === 'eoa' && Array.isArray(transactions.transactions)) {
-                    console.log(`Detected EOA swap bundle format with ${transactions.transactions.length} transactions`);
-                    
-                    // Print a summary of what we're about to do
-                    if (transactions.approvalCount || transactions.swapCount) {
-                        console.log(`Bundle contains: ${transactions.approvalCount || 0} approvals, ${transactions.swapCount || 0} swaps`);
-                    }
-                    
-                    if (transactions.tokenSwaps && Array.isArray(transactions.tokenSwaps)) {
-                        console.log("Tokens being swapped:");
-                        transactions.tokenSwaps.forEach(token => {
-                            console.log(`- ${token.amount} ${token.symbol} (${token.address.substring(0,10)}...)`);
-                        });
-                    }
-                    
-                    if (transactions.totalExpectedBera) {
-                        console.log(`Expected output: ${transactions.formattedTotalExpectedBera || transactions.totalExpectedBera}`);
-                    }
-                    
-                    // Use the transactions array from the bundle
-                    transactions = transactions.transactions;
-                } else if (Array.isArray(transactions.transactions)) {
-                    console.log(`Detected bundle with a transactions array property`);
-                    transactions = transactions.transactions;
-                } else if (Array.isArray(transactions)) {
-                    console.log(`Bundle is already an array of ${transactions.length} transactions`);
-                    // No transformation needed
-                } else {
-                    console.log(`Unknown bundle format: ${Object.keys(transactions).join(', ')}`);
-                    
-                    // Try to extract transactions from any property that's an array
-                    for (const key in transactions) {
-                        if (Array.isArray(transactions[key]) && transactions[key].length > 0 && transactions[key][0].to) {
-                            console.log(`Found transactions array in property: ${key}`);
-                            transactions = transactions[key];
-                            break;
-                        }
-                    }
-                }
-            }
-            
-            // Final check to ensure we have an array
-            if (!Array.isArray(transactions)) {
-                console.log(`\n❌ Error: Could not extract a transactions array from the bundle`);
-                console.log(`Bundle keys: ${Object.keys(transactions).join(', ')}`);
-                return false;
-            }
-            
-            console.log(`Successfully extracted ${transactions.length} transactions from bundle`);
-            
-            // Additional check to ensure signer has a provider
-            if (!signer.provider && this.provider) {
-                console.log("Connecting signer to provider for transaction sending...");
-                signer = signer.connect(this.provider);
-            }
-            
-            // Check if we should use multicall for bundling
-            const txCount = transactions.length;
-            
-            if (txCount <= 1) {
-                // If only one transaction, send it directly without multicall
-                console.log("\nOnly one transaction - sending directly without multicall");
-                
-                const tx = transactions[0];
-                
-                // Validate transaction fields
-                if (!tx.to || !tx.data) {
-                    console.log(`❌ Transaction is missing required fields (to: ${!!tx.to}, data: ${!!tx.data})`);
-                    return false;
-                }
-                
-                // Properly format transaction for ethers.js
-                const formattedTx = {
-                    to: tx.to,
-                    from: tx.from, 
-                    data: tx.data,
-                    // Convert value to BigNumber
-                    value: ethers.BigNumber.from(tx.value || "0x0"),
-                    // Convert gasLimit to BigNumber with a more generous default
-                    gasLimit: ethers.BigNumber.from(tx.gasLimit || "0x100000") // Increased default gas limit
-                };
-                
-                // Handle EIP-1559 transaction type specifically
-                if (tx.type === "0x2") {
-                    // Convert maxFeePerGas and maxPriorityFeePerGas to BigNumber
-                    formattedTx.maxFeePerGas = ethers.BigNumber.from(tx.maxFeePerGas);
-                    formattedTx.maxPriorityFeePerGas = ethers.BigNumber.from(tx.maxPriorityFeePerGas);
-                    // Type should be a number for EIP-1559
-                    formattedTx.type = 2; // numeric 2 instead of "0x2" string
-                    console.log("Sending as EIP-1559 transaction");
-                } else {
-                    formattedTx.gasPrice = ethers.BigNumber.from(tx.gasPrice || tx.maxFeePerGas);
-                    console.log("Sending as legacy transaction");
-                }
-                
-                console.log(`Transaction details: to=${formattedTx.to.substring(0, 10)}...`);
-                
-                // Send the transaction with properly formatted fields
-                const txResponse = await signer.sendTransaction(formattedTx);
-                console.log(`✅ Transaction sent! Hash: ${txResponse.hash}`);
-                
-                // Wait for confirmation
-                console.log("Waiting for confirmation...");
-                await txResponse.wait(1);
-                console.log("✅ Transaction confirmed!");
-                
-                return true;
-            } else {
-                // Multiple transactions - always use MultiSendCallsOnly for better efficiency
-                console.log(`\nFound ${txCount} transactions in bundle.`);
-                console.log(`\n🔄 Bundling ${txCount} transactions using Safe's MultiSendCallsOnly...`);
-                return await this.sendWithMulticall(transactions, signer);
-            }
-        } catch (error) {
-            console.log(`\n❌ Error sending transactions: ${error.message}`);
-            return false;
-        }
-    }
-    
     /**
      * Send transactions using Safe's MultiSend contract
+     * Transactions are sent one at a time and sending stops at the first one that fails;
+     * failed counts the failed transaction and the ones that were not sent.
      * @param {Array|Object} transactions - Array of transactions to send or a bundle object containing transactions
      * @param {Object} signer - The ethers.js signer
-     * @returns {Promise<boolean>} Success status
+     * @param {Object} options - Sending options
+     * @param {boolean} options.confirm - Whether to ask before sending individually (default: true)
+     * @param {boolean} options.simulate - Whether to simulate before sending (default: config.simulation.enabled)
+     * @param {Object} options.feeStrategy - Fee strategy {preset, maxFeeCap} (default: the bundle's, then the preferred one)
+     * @returns {Promise<Object>} Result {success, sent, failed}; success only when every transaction succeeded
      */
-    async sendWithMulticall(inputTransactions, signer) {
+    async sendWithMulticall(inputTransactions, signer, options = {}) {
+        const { confirm = true, simulate = config.simulation.enabled } = options;
+        // Bundle objects loaded from a file carry its path, which keys the bundle history
+        const bundlePath = Array.isArray(inputTransactions) ? null : inputTransactions.filepath;
+        const bundleMeta = !Array.isArray(inputTransactions) && inputTransactions.bundleData && inputTransactions.bundleData.meta;
+        const feeStrategy = options.feeStrategy
+            || (bundleMeta && bundleMeta.feeStrategy)
+            || await FeeOracle.loadPreferredStrategy();
         let txArray;
         // Handle the case where we received a bundle object instead of transactions array
         if (!Array.isArray(inputTransactions)) {
@@ -538,14 +527,14 @@ class TransactionService {
             else {
                 console.log("Could not find transactions array in bundle");
                 console.log("Bundle keys:", Object.keys(inputTransactions).join(", "));
-                return false;
+                return notSent();
             }
         } else if (Array.isArray(inputTransactions)) {
             txArray = inputTransactions;
             console.log(`Using direct array of ${txArray.length} transactions`);
         } else {
             console.log("Invalid transaction input - cannot process");
-            return false;
+            return notSent();
         }
 
         try {
@@ -588,7 +577,7 @@ class TransactionService {
             
             if (validTransactions.length === 0) {
                 console.log("\n❌ No valid transactions to send.");
-                return false;
+                return notSent();
             }
             
             // Format transactions for Safe MultiSend
@@ -636,45 +625,77 @@ class TransactionService {
                 console.log(`  Data length: ${tx.data.length} chars`);
             });
             
+            // Dry-run the whole bundle from the signer and stop if any call would revert
+            let gasEstimates = [];
+            if (simulate) {
+                const simulationResult = await this.simulator.simulateAndReport(simpleTxs, fromAddress);
+                gasEstimates = simulationResult.simulation ? simulationResult.simulation.calls.map(call => call.gasUsed) : [];
+                if (!simulationResult.success) {
+                    console.log(`\n❌ ${simulationResult.message}. No transactions were sent.`);
+                    await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.FAILED, {
+                        from: fromAddress,
+                        error: simulationResult.message
+                    });
+                    return notSent();
+                }
+            }
+            
+            // Show what the bundle will cost before anything is sent
+            await this.gasCostEstimator.previewCost(simpleTxs, fromAddress, { feeStrategy, gasEstimates });
+            
             // Since we need to preserve msg.sender, we have to send transactions individually
             // This is the only way to ensure the correct msg.sender context
             console.log("\nMulticall and MultiSend both change msg.sender context.");
             console.log("To preserve your wallet as msg.sender, we need to send transactions individually.");
             
-            // Get confirmation from user
-            const confirmIndividual = await inquirer.prompt([
-                {
-                    type: 'input',
-                    name: 'confirmIndividual',
-                    message: 'Send transactions individually to preserve your wallet as msg.sender? (y/n)',
-                    default: 'y'
+            // Get confirmation from user (skipped for non-interactive sends)
+            if (confirm) {
+                const confirmIndividual = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'confirmIndividual',
+                        message: 'Send transactions individually to preserve your wallet as msg.sender? (y/n)',
+                        default: 'y'
+                    }
+                ]);
+                
+                if (confirmIndividual.confirmIndividual.toLowerCase() !== 'y') {
+                    console.log("Operation cancelled.");
+                    return notSent();
                 }
-            ]);
-            
-            if (confirmIndividual.confirmIndividual.toLowerCase() !== 'y') {
-                console.log("Operation cancelled.");
-                return false;
             }
             
             // Send transactions individually to preserve msg.sender
             console.log("\nSending transactions individually to preserve msg.sender context...");
             let successCount = 0;
+            const sentTransactions = [];
+            
+            await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.SENT, {
+                from: fromAddress,
+                transactions: sentTransactions
+            });
             
             for (let i = 0; i < simpleTxs.length; i++) {
                 const tx = simpleTxs[i];
+                const sent = { index: i, to: tx.to, status: 'pending' };
+                sentTransactions.push(sent);
                 console.log(`\nSending transaction ${i+1}/${simpleTxs.length}...`);
                 console.log(`To: ${tx.to}`);
                 console.log(`Data prefix: ${tx.data.substring(0, 10)}...`);
                 
                 try {
+                    // Fees are recomputed for every transaction, as earlier ones may take a while
+                    const fees = await this.feeOracle.getFees(feeStrategy);
+                    console.log(`Fees (${FeeOracle.describe(feeStrategy)}): ${FeeOracle.formatFees(fees)}`);
+                    
                     // Format as individual transaction
                     const txData = {
                         to: tx.to,
                         data: tx.data,
                         value: ethers.BigNumber.from(tx.value),
                         gasLimit: ethers.BigNumber.from("5000000"), // Very high gas limit by default
-                        maxFeePerGas: ethers.BigNumber.from(config.gas.maxFeePerGas),
-                        maxPriorityFeePerGas: ethers.BigNumber.from(config.gas.maxPriorityFeePerGas),
+                        maxFeePerGas: fees.maxFeePerGas,
+                        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
                         type: 2 // EIP-1559
                     };
                     
@@ -690,23 +711,57 @@ class TransactionService {
                     }
                     
                     // Send the transaction
-                    const txResponse = await signer.sendTransaction(txData);
-                    console.log(`Transaction sent! Hash: ${txResponse.hash}`);
+                    const txResponse = await this.nonceManager.sendTransaction(signer, txData, {
+                        bundleFile: bundlePath ? path.resolve(bundlePath) : null,
+                        index: i
+                    });
+                    console.log(`Transaction sent! Hash: ${txResponse.hash} (nonce ${txResponse.nonce})`);
+                    sent.hash = txResponse.hash;
+                    sent.nonce = txResponse.nonce;
+                    await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.SENT, {
+                        transactions: sentTransactions
+                    });
                     
-                    // Wait for confirmation
+                    // Wait for confirmation (follows a speed-up or cancel sent from another terminal)
                     console.log("Waiting for confirmation...");
-                    const receipt = await txResponse.wait(1);
+                    const { receipt, hash, replaced, cancelled } = await this.nonceManager.waitForTransaction(txResponse);
+                    if (replaced) {
+                        console.log(`Transaction ${i+1} was ${cancelled ? 'cancelled' : 'sped up'} by ${hash}`);
+                        sent.replacedHash = sent.hash;
+                        sent.hash = hash;
+                    }
                     
-                    if (receipt.status === 1) {
+                    sent.blockNumber = receipt.blockNumber;
+                    sent.gasUsed = receipt.gasUsed.toString();
+                    sent.effectiveGasPrice = receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null;
+                    
+                    if (cancelled) {
+                        sent.status = 'cancelled';
+                    } else if (receipt.status === 1) {
                         console.log(`✅ Transaction ${i+1} succeeded! Block: ${receipt.blockNumber}`);
                         console.log(`Gas used: ${receipt.gasUsed.toString()}`);
                         console.log(`Explorer link: https://berascan.com/tx/${receipt.transactionHash}`);
+                        sent.status = 'success';
                         successCount++;
                     } else {
                         console.log(`❌ Transaction ${i+1} failed!`);
+                        sent.status = 'reverted';
                     }
                 } catch (txError) {
                     console.log(`❌ Error sending transaction ${i+1}: ${txError.message}`);
+                    sent.status = 'failed';
+                    sent.error = txError.message;
+                }
+                
+                await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.SENT, {
+                    transactions: sentTransactions
+                });
+                
+                // Later transactions depend on earlier ones (a forward or swap of claimed tokens
+                // would move tokens that were never claimed), so nothing is sent after a failure
+                if (sent.status !== 'success') {
+                    console.log(`\n❌ Stopping: the remaining ${simpleTxs.length - i - 1} transactions were not sent`);
+                    break;
                 }
                 
                 // Small delay between transactions
@@ -717,9 +772,24 @@ class TransactionService {
             }
             
             console.log(`\nTransaction summary: ${successCount}/${simpleTxs.length} succeeded`);
-            return successCount > 0; // Return true if at least one transaction succeeded
+            
+            if (successCount === simpleTxs.length) {
+                await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.CONFIRMED, {
+                    transactions: sentTransactions
+                });
+            } else {
+                await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.FAILED, {
+                    transactions: sentTransactions,
+                    error: `Transaction ${sentTransactions.length}/${simpleTxs.length} ${sentTransactions[sentTransactions.length - 1].status}; the rest was not sent`
+                });
+            }
+            
+            return { success: successCount === simpleTxs.length, sent: successCount, failed: simpleTxs.length - successCount };
         } catch (error) {
             console.log(`\n❌ Error during transaction execution: ${error.message}`);
+            await this.bundleRepository.updateBundleStatus(bundlePath, BundleStatus.FAILED, {
+                error: error.message
+            });
             
             // Provide specific error messages for common Multicall3 issues
             if (error.message.includes("execution reverted")) {
@@ -738,7 +808,11 @@ class TransactionService {
                     console.log(`[Tx ${index+1}] Data prefix: ${tx.data.substring(0, 10)}...`);
                 });
                 
-                // Offer fallback to send transactions individually
+                // Offer fallback to send transactions individually (never without a prompt)
+                if (!confirm) {
+                    return notSent();
+                }
+                
                 console.log("\nWould you like to attempt sending these transactions individually? (y/n)");
                 const answer = await inquirer.prompt([
                     {
@@ -759,13 +833,14 @@ class TransactionService {
                         
                         try {
                             // Format as individual transaction
+                            const fees = await this.feeOracle.getFees(feeStrategy);
                             const txData = {
                                 to: tx.to,
                                 data: tx.data,
                                 value: ethers.BigNumber.from(tx.value),
                                 gasLimit: ethers.BigNumber.from("3000000"), // Higher default gas limit
-                                maxFeePerGas: ethers.BigNumber.from(config.gas.maxFeePerGas),
-                                maxPriorityFeePerGas: ethers.BigNumber.from(config.gas.maxPriorityFeePerGas),
+                                maxFeePerGas: fees.maxFeePerGas,
+                                maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
                                 type: 2 // EIP-1559
                             };
                             
@@ -781,33 +856,73 @@ class TransactionService {
                             }
                             
                             // Send the transaction
-                            const txResponse = await signer.sendTransaction(txData);
-                            console.log(`Transaction sent! Hash: ${txResponse.hash}`);
+                            const txResponse = await this.nonceManager.sendTransaction(signer, txData);
+                            console.log(`Transaction sent! Hash: ${txResponse.hash} (nonce ${txResponse.nonce})`);
                             
                             // Wait for confirmation
                             console.log("Waiting for confirmation...");
-                            const receipt = await txResponse.wait(1);
+                            const { receipt, cancelled } = await this.nonceManager.waitForTransaction(txResponse);
                             
-                            if (receipt.status === 1) {
+                            if (cancelled) {
+                                console.log(`⚠️ Transaction ${i+1} was cancelled`);
+                            } else if (receipt.status === 1) {
                                 console.log(`✅ Transaction ${i+1} succeeded! Block: ${receipt.blockNumber}`);
                                 successCount++;
+                                continue;
                             } else {
                                 console.log(`❌ Transaction ${i+1} failed!`);
                             }
                         } catch (txError) {
                             console.log(`❌ Error sending transaction ${i+1}: ${txError.message}`);
                         }
+                        
+                        // As above, nothing is sent after a failed transaction
+                        console.log(`❌ Stopping: the remaining ${simpleTxs.length - i - 1} transactions were not sent`);
+                        break;
                     }
                     
                     console.log(`\nTransaction summary: ${successCount}/${simpleTxs.length} succeeded`);
-                    return successCount > 0; // Return true if at least one transaction succeeded
+                    return { success: successCount === simpleTxs.length, sent: successCount, failed: simpleTxs.length - successCount };
                 }
             }
             
             console.log("Error details:", error);
-            return false;
+            return notSent();
         }
     }
+    
+    /**
+     * Speed up or cancel a pending transaction sent by BeraBundle
+     * The bundle history entry of the transaction is pointed at the replacement.
+     * @param {string} hash - Hash of the pending transaction
+     * @param {Object} signer - The ethers.js signer of the sender
+     * @param {Object} options - Replacement options
+     * @param {boolean} options.cancel - Cancel instead of speeding up
+     * @param {number} options.bumpPercent - Fee increase in percent
+     * @returns {Promise<Object>} Result {success, message, hash}
+     */
+    async replacePendingTransaction(hash, signer, options = {}) {
+        if (!signer.provider && this.provider) {
+            signer = signer.connect(this.provider);
+        }
+        
+        const result = await this.nonceManager.replaceTransaction(hash, signer, options);
+        if (!result.success || !result.replaced.bundleFile) {
+            return result;
+        }
+        
+        const bundleRecord = await this.bundleRepository.getBundleRecord(result.replaced.bundleFile);
+        if (bundleRecord && Array.isArray(bundleRecord.transactions)) {
+            const transactions = bundleRecord.transactions.map(entry =>
+                entry.hash && entry.hash.toLowerCase() === result.replaced.hash.toLowerCase()
+                    ? { ...entry, hash: result.hash, replacedHash: entry.hash }
+                    : entry
+            );
+            await this.bundleRepository.updateBundleStatus(result.replaced.bundleFile, bundleRecord.status, { transactions });
+        }
+        
+        return result;
+    }
 }
 
 module.exports = TransactionService;
\ No newline at end of file
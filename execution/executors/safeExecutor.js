@@ -9,6 +9,12 @@ const { ethers } = require('ethers');
 const config = require('../../config');
 const { ErrorHandler } = require('../../utils/errorHandler');
 const SafeAdapter = require('../adapters/safeAdapter');
+const { SimulationAdapter } = require('../adapters/simulationAdapter');
+const GasCostEstimator = require('../adapters/gasCostEstimator');
+const BundleRepository = require('../../storage/repositories/bundleRepository');
+const { BundleInspector } = require('../../bundles/bundleInspector');
+const { SafeTxSchema } = require('../../storage/schemas/safeTxSchema');
+const { BundleStatus } = BundleRepository;
 
 /**
  * Safe executor for multisig wallet transactions
@@ -17,12 +23,16 @@ class SafeExecutor {
     /**
      * Create a new SafeExecutor
      * @param {ethers.providers.Provider} provider - Ethers provider
+     * @param {BundleRepository} bundleRepository - Repository proposals are recorded in (optional)
      */
-    constructor(provider) {
+    constructor(provider, bundleRepository = null) {
         this.provider = provider || new ethers.providers.JsonRpcProvider(config.networks.berachain.rpcUrl);
         
         // Initialize the SafeAdapter
         this.adapter = null;
+        this.simulator = new SimulationAdapter(this.provider);
+        this.gasCostEstimator = new GasCostEstimator(this.provider);
+        this.bundleRepository = bundleRepository || new BundleRepository();
         
         console.log(`Safe Executor initialized with Berachain provider`);
     }
@@ -67,12 +77,13 @@ class SafeExecutor {
      * @param {string} options.safeAddress - Safe address
      * @param {Object} options.bundle - Bundle containing transaction data
      * @param {string} options.signerAddress - Address of the signer
-     * @param {string} options.password - Password to decrypt the private key
+     * @param {string} options.password - Password for the signer's private key or keystore
+     * @param {boolean} options.simulate - Whether to simulate from the Safe before proposing (default: config.simulation.enabled)
      * @returns {Promise<Object>} Execution result
      */
     async execute(options) {
         try {
-            const { safeAddress, bundle, signerAddress, password } = options;
+            const { safeAddress, bundle, signerAddress, password, simulate = config.simulation.enabled } = options;
             
             if (!safeAddress) {
                 throw new Error("Safe address is required");
@@ -86,20 +97,51 @@ class SafeExecutor {
                 throw new Error("Signer address is required");
             }
             
-            if (!password) {
-                throw new Error("Password is required to decrypt the private key");
-            }
-            
             console.log(`Executing Safe transaction for ${safeAddress} with signer ${signerAddress}`);
             
             // Get adapter and propose the transaction using the direct API approach from test-safe-proposal.js
             const adapter = this._ensureAdapter();
+            
+            // Dry-run the bundle as the Safe so owners are never asked to sign a reverting transaction
+            const safeTransactions = adapter.formatTransactionsForSafe(bundle);
+            let gasEstimates = [];
+            if (simulate) {
+                const simulationResult = await this.simulator.simulateAndReport(safeTransactions, safeAddress);
+                gasEstimates = simulationResult.simulation ? simulationResult.simulation.calls.map(call => call.gasUsed) : [];
+                
+                if (!simulationResult.success) {
+                    await this.bundleRepository.updateBundleStatus(bundle.filepath, BundleStatus.FAILED, {
+                        safeAddress,
+                        signerAddress,
+                        error: simulationResult.message
+                    });
+                    
+                    return {
+                        success: false,
+                        message: `${simulationResult.message}. The transaction was not proposed.`,
+                        simulation: simulationResult.simulation,
+                        type: 'safe',
+                        status: 'failed'
+                    };
+                }
+            }
+            
+            // Executing the proposal costs the calls' gas plus the Safe's own overhead
+            await this.gasCostEstimator.previewCost(safeTransactions, safeAddress, { gasEstimates });
+            
             const result = await adapter.proposeSafeTransaction(safeAddress, bundle, signerAddress, password);
             
             if (!result.success) {
                 throw new Error(`Failed to execute Safe transaction: ${result.message}`);
             }
             
+            await this.bundleRepository.updateBundleStatus(bundle.filepath, BundleStatus.PROPOSED, {
+                safeAddress,
+                signerAddress,
+                safeTxHash: result.safeTxHash,
+                transactionUrl: result.transactionUrl
+            });
+            
             return {
                 success: true,
                 message: result.message,
@@ -115,6 +157,14 @@ class SafeExecutor {
                 console.error(error.stack);
             }
             
+            if (options && options.bundle) {
+                await this.bundleRepository.updateBundleStatus(options.bundle.filepath, BundleStatus.FAILED, {
+                    safeAddress: options.safeAddress,
+                    signerAddress: options.signerAddress,
+                    error: error.message
+                });
+            }
+            
             return {
                 success: false,
                 message: `Safe execution failed: ${error.message}`,
@@ -147,17 +197,17 @@ class SafeExecutor {
         try {
             const adapter = this._ensureAdapter();
             
-            // First decrypt the private key
-            const privateKey = await adapter.getDecryptedPrivateKey(signerAddress, password);
-            
-            // Create the signer
-            const signer = new ethers.Wallet(privateKey, this.provider);
+            // Create the owner's signer
+            const signer = await adapter.getSigner(signerAddress, password);
             
             // Sign the transaction hash
             const signature = await adapter.signTransactionHash(signer, safeTxHash);
             
             // Confirm the transaction
-            await adapter.confirmTransaction(safeTxHash, signature);
+            const response = await adapter.confirmTransaction(safeTxHash, signature);
+            if (!response) {
+                throw new Error("The Safe Transaction Service did not accept the confirmation");
+            }
             
             return {
                 success: true,
@@ -172,6 +222,370 @@ class SafeExecutor {
             };
         }
     }
+    
+    /**
+     * Load the transactions waiting in a Safe's queue with their confirmations and decoded calls
+     * @param {string} safeAddress - Safe address
+     * @param {string} signerAddress - Owner whose signatures are reported (optional)
+     * @returns {Promise<Object>} Queue {success, safeAddress, owners, threshold, nonce, isOwner, transactions, message}
+     */
+    async getQueue(safeAddress, signerAddress = null) {
+        try {
+            const adapter = this._ensureAdapter();
+            const state = await adapter.getSafeState(safeAddress);
+            const queued = await adapter.getQueuedTransactions(safeAddress, state.nonce);
+            
+            const inspector = new BundleInspector();
+            await inspector.loadMetadata();
+            
+            const owners = new Set(state.owners.map(owner => owner.toLowerCase()));
+            const signer = signerAddress ? signerAddress.toLowerCase() : null;
+            
+            const transactions = queued.map(tx => {
+                const confirmedBy = (tx.confirmations || [])
+                    .map(confirmation => confirmation.owner)
+                    .filter(owner => owners.has(owner.toLowerCase()));
+                const isRejection = tx.to.toLowerCase() === safeAddress.toLowerCase()
+                    && (!tx.data || tx.data === '0x')
+                    && ethers.BigNumber.from(tx.value || 0).isZero();
+                
+                return {
+                    safeTxHash: tx.safeTxHash,
+                    nonce: Number(tx.nonce),
+                    proposer: tx.proposer || null,
+                    submissionDate: tx.submissionDate || null,
+                    isRejection,
+                    confirmations: confirmedBy.length,
+                    threshold: state.threshold,
+                    confirmedBy,
+                    signedBySigner: !!signer && confirmedBy.some(owner => owner.toLowerCase() === signer),
+                    executable: Number(tx.nonce) === state.nonce && confirmedBy.length >= state.threshold,
+                    calls: isRejection ? [] : [inspector.decodeTransaction({ to: tx.to, value: tx.value, data: tx.data }, 0)]
+                };
+            });
+            
+            return {
+                success: true,
+                safeAddress: ethers.utils.getAddress(safeAddress),
+                owners: state.owners,
+                threshold: state.threshold,
+                nonce: state.nonce,
+                signerAddress,
+                isOwner: !!signer && owners.has(signer),
+                transactions,
+                message: `${transactions.length} queued transaction(s)`
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'SafeExecutor.getQueue');
+            return {
+                success: false,
+                message: `Failed to load Safe queue: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Format a Safe queue for the console
+     * @param {Object} queue - Result from getQueue
+     * @returns {string} Report text
+     */
+    static formatQueue(queue) {
+        const lines = [`Safe ${queue.safeAddress} (threshold ${queue.threshold} of ${queue.owners.length} owners, nonce ${queue.nonce})`];
+        
+        if (queue.transactions.length === 0) {
+            lines.push('  No queued transactions.');
+        }
+        
+        queue.transactions.forEach((tx, index) => {
+            const signed = queue.signerAddress ? (tx.signedBySigner ? ' ✅ signed' : ' ✍️  not signed') : '';
+            const ready = tx.executable ? ' ▶️  executable' : '';
+            lines.push(`  ${index + 1}. nonce ${tx.nonce}  ${tx.confirmations}/${tx.threshold} confirmations${signed}${ready}  ${tx.safeTxHash}`);
+            
+            if (tx.isRejection) {
+                lines.push(`      rejection of nonce ${tx.nonce}`);
+            } else {
+                lines.push(...BundleInspector.formatCalls(tx.calls, '      '));
+            }
+        });
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Reject a queued Safe transaction by proposing an empty transaction with the same nonce
+     * @param {string} safeTxHash - Safe transaction hash of the transaction to reject
+     * @param {string} signerAddress - Owner address proposing the rejection
+     * @param {string} password - Password to decrypt the private key
+     * @returns {Promise<Object>} Proposal result {success, message, safeTxHash, transactionUrl}
+     */
+    async rejectTransaction(safeTxHash, signerAddress, password) {
+        try {
+            const adapter = this._ensureAdapter();
+            const tx = await adapter.getSafeTransaction(safeTxHash);
+            
+            if (tx.isExecuted) {
+                throw new Error(`Safe transaction was already executed in ${tx.transactionHash}`);
+            }
+            
+            return await adapter.proposeRejection(tx.safe, Number(tx.nonce), signerAddress, password);
+        } catch (error) {
+            console.error("Error rejecting transaction:", error.message);
+            return {
+                success: false,
+                message: `Failed to reject transaction: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Execute a confirmed Safe transaction on-chain from an owner EOA
+     * Once execTransaction is mined, the bundle it was proposed from (if recorded) is marked confirmed or failed.
+     * @param {string} safeAddress - Safe address (optional, checked against the proposal)
+     * @param {string} safeTxHash - Safe transaction hash
+     * @param {string} signerAddress - Owner address that sends execTransaction
+     * @param {string} password - Password to decrypt the private key
+     * @returns {Promise<Object>} Execution result
+     */
+    async executeTransaction(safeAddress, safeTxHash, signerAddress, password) {
+        const adapter = this._ensureAdapter();
+        const result = await adapter.executeSafeTransaction(safeTxHash, signerAddress, password, safeAddress);
+        
+        await this.recordExecution(safeTxHash, signerAddress, result);
+        
+        return {
+            ...result,
+            type: 'safe',
+            status: result.success ? 'executed' : 'failed'
+        };
+    }
+    
+    /**
+     * Record the outcome of execTransaction for the bundle the Safe transaction was proposed from
+     * @param {string} safeTxHash - Safe transaction hash
+     * @param {string} signerAddress - Owner that sent execTransaction
+     * @param {Object} result - Result from SafeAdapter.executeWithConfirmations
+     * @returns {Promise<void>}
+     */
+    async recordExecution(safeTxHash, signerAddress, result) {
+        // Only a sent execTransaction changes the bundle; otherwise the proposal is still pending
+        const record = result.transactionHash ? await this.bundleRepository.findBySafeTxHash(safeTxHash) : null;
+        if (record) {
+            await this.bundleRepository.updateBundleStatus(
+                record.filepath,
+                result.success ? BundleStatus.CONFIRMED : BundleStatus.FAILED,
+                {
+                    executor: signerAddress,
+                    transactions: [{
+                        index: 0,
+                        to: result.safeAddress,
+                        status: result.success ? 'success' : 'reverted',
+                        hash: result.transactionHash,
+                        blockNumber: result.blockNumber,
+                        gasUsed: result.gasUsed
+                    }],
+                    ...(result.success ? {} : { error: result.message })
+                }
+            );
+        }
+    }
+    
+    /**
+     * Export a bundle as an unsigned SafeTx file for offline signing
+     * @param {string} safeAddress - Safe address
+     * @param {Object} bundle - Bundle from BundleRepository.prepareBundleForSending
+     * @param {Object} options - Export options
+     * @param {number} options.nonce - Safe nonce (read on-chain when omitted)
+     * @returns {Promise<Object>} Result {success, message, content, safeTxHash, nonce}
+     */
+    async exportTransaction(safeAddress, bundle, options = {}) {
+        try {
+            const adapter = this._ensureAdapter();
+            const nonce = options.nonce !== undefined
+                ? options.nonce
+                : (await adapter.getSafeState(safeAddress)).nonce;
+            
+            const transactions = adapter.formatTransactionsForSafe(bundle);
+            if (transactions.length === 0) {
+                throw new Error("No transactions in bundle");
+            }
+            
+            const tx = adapter.buildSafeTransaction(transactions, nonce);
+            const safeTxHash = adapter.calculateSafeTxHash(safeAddress, tx);
+            const meta = (bundle.bundleData && bundle.bundleData.meta) || {};
+            
+            const content = SafeTxSchema.createFile({
+                chainId: adapter.chainId,
+                safeAddress,
+                safeTxHash,
+                tx,
+                meta: {
+                    name: meta.name || null,
+                    description: meta.description || null,
+                    bundleFile: bundle.filepath || null
+                }
+            });
+            
+            await this.bundleRepository.updateBundleStatus(bundle.filepath, BundleStatus.PROPOSED, {
+                safeAddress,
+                safeTxHash,
+                offline: true
+            });
+            
+            return {
+                success: true,
+                message: `Exported Safe transaction ${safeTxHash} with nonce ${nonce}`,
+                content,
+                safeTxHash,
+                nonce
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'SafeExecutor.exportTransaction');
+            return {
+                success: false,
+                message: `Failed to export Safe transaction: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Check a SafeTx file and recompute its hash locally
+     * @param {Object} content - SafeTx file content
+     * @returns {string} Safe transaction hash
+     * @throws {Error} If the file is invalid, for another chain or its hash doesn't match its transaction
+     */
+    verifySafeTxFile(content) {
+        const validation = SafeTxSchema.validate(content);
+        if (!validation.valid) {
+            throw ErrorHandler.createValidationError(`Invalid SafeTx file: ${validation.errors.join('; ')}`);
+        }
+        
+        const adapter = this._ensureAdapter();
+        if (content.chainId !== adapter.chainId) {
+            throw ErrorHandler.createValidationError(`SafeTx file is for chain ${content.chainId}, not ${adapter.chainId}`);
+        }
+        
+        const safeTxHash = adapter.calculateSafeTxHash(content.safeAddress, content.tx);
+        if (safeTxHash.toLowerCase() !== content.safeTxHash.toLowerCase()) {
+            throw ErrorHandler.createValidationError(`SafeTx file hash ${content.safeTxHash} doesn't match its transaction (${safeTxHash})`);
+        }
+        
+        return safeTxHash;
+    }
+    
+    /**
+     * Sign a SafeTx file locally as an owner
+     * The hash is recomputed from the transaction fields, so a tampered file can't get a signature.
+     * @param {Object} content - SafeTx file content
+     * @param {string} signerAddress - Owner address
+     * @param {string} password - Password to decrypt the private key
+     * @returns {Promise<Object>} Result {success, message, content}
+     */
+    async signOfflineTransaction(content, signerAddress, password) {
+        try {
+            const adapter = this._ensureAdapter();
+            const safeTxHash = this.verifySafeTxFile(content);
+            
+            const signer = await adapter.getSigner(signerAddress, password);
+            const signature = await adapter.signTransactionHash(signer, safeTxHash);
+            
+            return {
+                success: true,
+                message: `Signed ${safeTxHash} as ${signerAddress}`,
+                content: SafeTxSchema.addSignature(content, signerAddress, signature)
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'SafeExecutor.signOfflineTransaction');
+            return {
+                success: false,
+                message: `Failed to sign Safe transaction: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Merge the signatures of several signed copies of the same SafeTx file
+     * Signatures that don't recover to their owner are dropped.
+     * @param {Array<Object>} contents - SafeTx file contents
+     * @returns {Object} Result {success, message, content, signers, skipped: [{owner, reason}]}
+     */
+    mergeOfflineSignatures(contents) {
+        try {
+            if (contents.length === 0) {
+                throw ErrorHandler.createValidationError("No SafeTx files to merge");
+            }
+            
+            const adapter = this._ensureAdapter();
+            const [first] = contents;
+            const safeTxHash = this.verifySafeTxFile(first);
+            const skipped = [];
+            let merged = { ...first, signatures: [] };
+            
+            for (const content of contents) {
+                this.verifySafeTxFile(content);
+                if (!SafeTxSchema.isSameTransaction(first, content)) {
+                    throw ErrorHandler.createValidationError(`SafeTx files are for different transactions (${first.safeTxHash} and ${content.safeTxHash})`);
+                }
+                
+                for (const { owner, signature } of content.signatures) {
+                    let recovered = null;
+                    try {
+                        recovered = adapter.recoverSignatureOwner(safeTxHash, signature);
+                    } catch (error) {
+                        // Reported as skipped below
+                    }
+                    
+                    if (recovered && recovered.toLowerCase() === owner.toLowerCase()) {
+                        merged = SafeTxSchema.addSignature(merged, owner, signature);
+                    } else {
+                        skipped.push({ owner, reason: recovered ? `signature was made by ${recovered}` : 'invalid signature' });
+                    }
+                }
+            }
+            
+            return {
+                success: true,
+                message: `Merged ${merged.signatures.length} signature(s) for ${safeTxHash}`,
+                content: merged,
+                signers: merged.signatures.map(entry => entry.owner),
+                skipped
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'SafeExecutor.mergeOfflineSignatures');
+            return {
+                success: false,
+                message: `Failed to merge signatures: ${error.message}`
+            };
+        }
+    }
+    
+    /**
+     * Execute a SafeTx file on-chain with the signatures it collected offline
+     * @param {Object} content - SafeTx file content with owner signatures
+     * @param {string} signerAddress - Owner address that sends execTransaction
+     * @param {string} password - Password to decrypt the private key
+     * @returns {Promise<Object>} Execution result
+     */
+    async executeOfflineTransaction(content, signerAddress, password) {
+        let safeTxHash;
+        try {
+            safeTxHash = this.verifySafeTxFile(content);
+        } catch (error) {
+            return { success: false, message: error.message, type: 'safe', status: 'failed' };
+        }
+        
+        const adapter = this._ensureAdapter();
+        const result = await adapter.executeWithConfirmations(
+            content.safeAddress, safeTxHash, content.tx, content.signatures, signerAddress, password
+        );
+        
+        await this.recordExecution(safeTxHash, signerAddress, result);
+        
+        return {
+            ...result,
+            type: 'safe',
+            status: result.success ? 'executed' : 'failed'
+        };
+    }
 }
 
 module.exports = SafeExecutor;
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * simulate-fork.js - Check bundle simulation against a fork of Berachain
+ *
+ * Replays bundles that are known to revert at a given call and checks that
+ * SimulationAdapter reports that call as the failing one:
+ *
+ * - With state overrides (anvil, hardhat), the failing call is found by the
+ *   binary search over bundle prefixes; calls after it are not reached.
+ * - Through a node that rejects state overrides, simulation falls back to
+ *   independent calls; only the failing call reverts.
+ *
+ * The bundles are HONEY approvals with one HONEY transfer from a new, empty
+ * address, which always reverts. Nothing is signed or sent.
+ *
+ * Usage:
+ *   anvil --fork-url https://rpc.berachain.com
+ *   FORK_RPC_URL=http://127.0.0.1:8545 npm run simulate:fork
+ */
+
+const { ethers } = require('ethers');
+const config = require('../config');
+const { SimulationAdapter, CallStatus } = require('../execution/adapters/simulationAdapter');
+
+/**
+ * Calls per replayed bundle
+ */
+const BUNDLE_SIZE = 6;
+
+/**
+ * Positions of the reverting call that are replayed (first, middle and last)
+ */
+const FAILING_INDEXES = [0, 2, BUNDLE_SIZE - 1];
+
+/**
+ * Provider of a node without state override support
+ * eth_call with a state override set is rejected like such nodes do.
+ */
+class NoOverrideProvider extends ethers.providers.JsonRpcProvider {
+    /**
+     * Send a JSON-RPC request
+     * @param {string} method - JSON-RPC method
+     * @param {Array} params - Parameters
+     * @returns {Promise<any>} Result
+     */
+    send(method, params) {
+        if (method === 'eth_call' && params.length > 2) {
+            return Promise.reject(new Error('state override is not supported'));
+        }
+        return super.send(method, params);
+    }
+}
+
+/**
+ * Build a bundle of HONEY approvals with one reverting HONEY transfer
+ * @param {number} failingIndex - Position of the transfer
+ * @returns {Array<Object>} Transactions {to, data, value}
+ */
+function createRevertingBundle(failingIndex) {
+    const erc20 = new ethers.utils.Interface(config.abis.erc20);
+    const honey = config.networks.berachain.honeyTokenAddress;
+    const spender = ethers.Wallet.createRandom().address;
+
+    return Array.from({ length: BUNDLE_SIZE }, (_, index) => ({
+        to: honey,
+        data: index === failingIndex
+            ? erc20.encodeFunctionData('transfer', [spender, 1])
+            : erc20.encodeFunctionData('approve', [spender, index + 1]),
+        value: '0x0'
+    }));
+}
+
+/**
+ * Check the reported status of every call
+ * @param {Object} simulation - Result from simulateBundle
+ * @param {string} mode - Expected simulation mode
+ * @param {number} failingIndex - Position of the reverting call
+ * @returns {Array<string>} Problems (empty when the report is right)
+ */
+function checkSimulation(simulation, mode, failingIndex) {
+    const problems = [];
+    if (simulation.mode !== mode) {
+        problems.push(`mode is ${simulation.mode}, expected ${mode}`);
+    }
+    if (simulation.success) {
+        problems.push('the bundle is reported to succeed');
+    }
+
+    simulation.calls.forEach(call => {
+        let expected = CallStatus.SUCCESS;
+        if (call.index === failingIndex) {
+            expected = CallStatus.REVERTED;
+        } else if (call.index > failingIndex && mode === 'cumulative') {
+            expected = CallStatus.NOT_REACHED;
+        }
+        if (call.status !== expected) {
+            problems.push(`call ${call.index + 1} is ${call.status}, expected ${expected}`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Replay the reverting bundles in one simulation mode
+ * @param {SimulationAdapter} simulator - Simulator on the fork
+ * @param {string} mode - Expected simulation mode
+ * @returns {Promise<number>} Number of failed checks
+ */
+async function replay(simulator, mode) {
+    let failed = 0;
+
+    for (const failingIndex of FAILING_INDEXES) {
+        const from = ethers.Wallet.createRandom().address;
+        const simulation = await simulator.simulateBundle(createRevertingBundle(failingIndex), from);
+        const problems = checkSimulation(simulation, mode, failingIndex);
+
+        if (problems.length === 0) {
+            console.log(`✅ ${mode}: call ${failingIndex + 1} of ${BUNDLE_SIZE} reported as failing`);
+        } else {
+            failed++;
+            console.log(`❌ ${mode}: reverting call ${failingIndex + 1} of ${BUNDLE_SIZE}: ${problems.join('; ')}`);
+            console.log(SimulationAdapter.formatReport(simulation));
+        }
+    }
+
+    return failed;
+}
+
+async function main() {
+    const url = process.env.FORK_RPC_URL || 'http://127.0.0.1:8545';
+    const provider = new ethers.providers.JsonRpcProvider(url);
+
+    const network = await provider.getNetwork();
+    if (network.chainId !== parseInt(config.networks.berachain.chainId, 16)) {
+        throw new Error(`${url} is chain ${network.chainId}, not a fork of Berachain`);
+    }
+    if (await provider.getCode(config.currentNetwork.safe.multiSendCallsOnlyAddress) === '0x') {
+        throw new Error(`MultiSendCallsOnly is not deployed on ${url}`);
+    }
+
+    console.log(`Replaying reverting bundles on ${url} (block ${await provider.getBlockNumber()})\n`);
+    const failed = await replay(new SimulationAdapter(provider), 'cumulative')
+        + await replay(new SimulationAdapter(new NoOverrideProvider(url)), 'independent');
+
+    if (failed > 0) {
+        console.log(`\n❌ ${failed} of ${FAILING_INDEXES.length * 2} checks failed`);
+        process.exit(1);
+    }
+    console.log(`\n✅ All ${FAILING_INDEXES.length * 2} checks passed`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
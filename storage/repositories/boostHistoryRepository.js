@@ -0,0 +1,179 @@
+/**
+ * boostHistoryRepository.js - Repository for boost position snapshots
+ *
+ * Every validator boost scan records a snapshot per wallet: the boosted and
+ * queued BGT on each validator, the validator's total and normalized boost, and
+ * the delegation rewards claimed since the previous snapshot. Snapshots are kept
+ * in a single history file and summarized by week for the history report.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+
+/**
+ * Pending history file writes by file, so writes never overlap
+ */
+const writeQueues = new Map();
+
+/**
+ * Repository for boost snapshots
+ */
+class BoostHistoryRepository {
+    /**
+     * Create a new BoostHistoryRepository
+     * @param {Object} options - Repository options
+     * @param {string} options.historyFile - File the snapshots are kept in
+     * @param {number} options.intervalMinutes - Snapshots closer together replace the latest one
+     */
+    constructor(options = {}) {
+        this.historyFile = options.historyFile || config.paths.boostHistoryFile;
+        this.intervalMinutes = options.intervalMinutes !== undefined
+            ? options.intervalMinutes
+            : config.boosts.snapshotIntervalMinutes;
+    }
+
+    /**
+     * Load the snapshots of all wallets
+     * @returns {Promise<Object>} Histories {lastClaimBlock, snapshots} keyed by lowercase address
+     */
+    async loadHistory() {
+        try {
+            return JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get a wallet's snapshots
+     * @param {string} address - Wallet address
+     * @returns {Promise<Object>} History {lastClaimBlock, snapshots} (lastClaimBlock is null before the first snapshot)
+     */
+    async getWalletHistory(address) {
+        const history = await this.loadHistory();
+        return history[address.toLowerCase()] || { lastClaimBlock: null, snapshots: [] };
+    }
+
+    /**
+     * Record a snapshot
+     * A snapshot taken within intervalMinutes of the latest one replaces it, keeping
+     * the delegation rewards both claimed. Writes are queued, so concurrent scans
+     * can't overwrite each other's snapshots. A snapshot whose delegation rewards were
+     * counted from an older lastClaimBlock is dropped, since another scan already
+     * counted part of them. Recording never throws, so a failed write can't interrupt
+     * a reward check.
+     * @param {string} address - Wallet address
+     * @param {Object} snapshot - Snapshot {at, block, totalBoosted, totalQueued, validators, delegationRewards}
+     * @param {number|null} sinceBlock - lastClaimBlock the delegation rewards were counted from
+     * @returns {Promise<Object|null>} Recorded snapshot or null if nothing was recorded
+     */
+    recordSnapshot(address, snapshot, sinceBlock = null) {
+        const write = (writeQueues.get(this.historyFile) || Promise.resolve())
+            .then(() => this.writeSnapshot(address, snapshot, sinceBlock));
+        writeQueues.set(this.historyFile, write);
+        return write;
+    }
+
+    /**
+     * Add a snapshot to the history file (see recordSnapshot)
+     * @param {string} address - Wallet address
+     * @param {Object} snapshot - Snapshot
+     * @param {number|null} sinceBlock - lastClaimBlock the delegation rewards were counted from
+     * @returns {Promise<Object|null>} Recorded snapshot or null if nothing was recorded
+     */
+    async writeSnapshot(address, snapshot, sinceBlock) {
+        try {
+            const key = address.toLowerCase();
+            const history = await this.loadHistory();
+            const entry = history[key] || { lastClaimBlock: null, snapshots: [] };
+
+            if (entry.lastClaimBlock !== sinceBlock) {
+                console.warn(`Warning: Boost snapshot for ${address} skipped, another scan recorded one in the meantime`);
+                return null;
+            }
+
+            const latest = entry.snapshots[entry.snapshots.length - 1];
+            const recorded = { ...snapshot, delegationRewards: { ...(snapshot.delegationRewards || {}) } };
+            if (latest && Date.parse(snapshot.at) - Date.parse(latest.at) < this.intervalMinutes * 60 * 1000) {
+                Object.entries(latest.delegationRewards || {}).forEach(([token, claimed]) => {
+                    const current = recorded.delegationRewards[token];
+                    recorded.delegationRewards[token] = current
+                        ? { ...current, amount: addAmounts(current.amount, claimed.amount) }
+                        : claimed;
+                });
+                entry.snapshots[entry.snapshots.length - 1] = recorded;
+            } else {
+                entry.snapshots.push(recorded);
+            }
+            entry.lastClaimBlock = snapshot.block;
+
+            history[key] = entry;
+            await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+            await fs.writeFile(this.historyFile, JSON.stringify(history, null, 2));
+
+            return recorded;
+        } catch (error) {
+            ErrorHandler.handle(error, 'BoostHistoryRepository.recordSnapshot');
+            return null;
+        }
+    }
+
+    /**
+     * Summarize a wallet's snapshots by week
+     * Each week is represented by its last snapshot; delegation rewards are summed
+     * over all snapshots of the week.
+     * @param {string} address - Wallet address
+     * @param {Object} options - Options
+     * @param {number} options.weeks - Number of most recent weeks (default: all)
+     * @returns {Promise<Array<Object>>} Weeks {week (Monday, YYYY-MM-DD), snapshot, delegationRewards}, oldest first
+     */
+    async getWeeklyHistory(address, options = {}) {
+        const { snapshots } = await this.getWalletHistory(address);
+        const weeks = new Map();
+
+        snapshots.forEach(snapshot => {
+            const week = weekStart(snapshot.at);
+            const summary = weeks.get(week) || { week, snapshot: null, delegationRewards: {} };
+            summary.snapshot = snapshot;
+            Object.entries(snapshot.delegationRewards || {}).forEach(([token, claimed]) => {
+                const current = summary.delegationRewards[token];
+                summary.delegationRewards[token] = current
+                    ? { ...current, amount: addAmounts(current.amount, claimed.amount) }
+                    : { ...claimed };
+            });
+            weeks.set(week, summary);
+        });
+
+        const result = [...weeks.values()].sort((a, b) => a.week.localeCompare(b.week));
+        return options.weeks > 0 ? result.slice(-options.weeks) : result;
+    }
+}
+
+/**
+ * Add two decimal token amounts
+ * @param {string} a - Amount
+ * @param {string} b - Amount
+ * @returns {string} Sum
+ */
+function addAmounts(a, b) {
+    return String(parseFloat(a) + parseFloat(b));
+}
+
+/**
+ * Get the Monday (UTC) of the week a timestamp falls in
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function weekStart(timestamp) {
+    const date = new Date(timestamp);
+    date.setUTCHours(0, 0, 0, 0);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = BoostHistoryRepository;
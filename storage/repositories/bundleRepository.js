@@ -2,12 +2,34 @@
  * bundleRepository.js - Repository for storing and retrieving bundles
  * 
  * This module handles the storage of generated transaction bundles, allowing them
- * to be saved, retrieved, and managed.
+ * to be saved, retrieved, and managed. It also keeps a lifecycle record per bundle
+ * file (status, transaction hashes, Safe tx hash, receipts) in a single history file.
  */
 
 const FileStorage = require('../engines/fileStorage');
+const fs = require('fs').promises;
 const path = require('path');
 const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const { BundleSchema } = require('../schemas/bundleSchema');
+const { FeeOracle } = require('../../execution/adapters/feeOracle');
+
+/**
+ * Pending history file writes by file, so writes never overlap
+ */
+const writeQueues = new Map();
+
+/**
+ * Lifecycle status of a bundle
+ * Bundles without a history record are CREATED.
+ */
+const BundleStatus = {
+    CREATED: 'created',
+    SENT: 'sent',
+    PROPOSED: 'proposed',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed'
+};
 
 /**
  * Repository for managing transaction bundles
@@ -16,11 +38,14 @@ class BundleRepository {
     /**
      * Create a new BundleRepository
      * @param {Object} options - Repository options
+     * @param {string} options.bundleDir - Directory bundles are saved in
+     * @param {string} options.historyFile - File the bundle lifecycle records are kept in
      */
     constructor(options = {}) {
         this.storage = new FileStorage({ 
             baseDir: options.bundleDir || config.paths.outputDir 
         });
+        this.historyFile = options.historyFile || config.paths.bundleHistoryFile;
     }
     
     /**
@@ -55,7 +80,8 @@ class BundleRepository {
     
     /**
      * Save a bundle to storage
-     * @param {Object} bundle - Bundle data
+     * The file is written at the current bundle schema version.
+     * @param {Object|Array} bundle - Bundle data
      * @param {string} name - Wallet or account name
      * @param {string} type - Bundle type (claim, boost, swap)
      * @param {string} format - Output format (eoa, safe_ui, etc.)
@@ -66,8 +92,9 @@ class BundleRepository {
             // Generate appropriate filename
             const filename = this.generateFilename(name, type, format);
             
-            // Save the bundle
-            const success = await this.storage.saveToFile(filename, bundle);
+            // Save the bundle (EOA bundles are sent with the fee strategy preferred now)
+            const meta = format === 'eoa' ? { feeStrategy: await FeeOracle.loadPreferredStrategy() } : {};
+            const success = await this.storage.saveToFile(filename, BundleSchema.createFile(bundle, format, meta));
             
             if (!success) {
                 throw new Error('Failed to save bundle');
@@ -93,10 +120,204 @@ class BundleRepository {
     /**
      * Load a bundle from storage
      * @param {string} filename - Bundle filename
-     * @returns {Promise<Object>} Bundle data
+     * @returns {Promise<Object>} Bundle file content at the current schema version
      */
     async loadBundle(filename) {
-        return this.storage.loadFromFile(filename);
+        return this.readBundleFile(this.storage.getFilePath(filename));
+    }
+    
+    /**
+     * Read a bundle file, upgrading it in memory if it uses an older schema version
+     * The file itself is left as it is; only migrateAll rewrites files.
+     * @param {string} filepath - Bundle file path
+     * @returns {Promise<Object>} Bundle file content at the current schema version
+     * @throws {Error} If the file doesn't match the bundle schema
+     */
+    async readBundleFile(filepath) {
+        const content = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        return this.upgradeBundle(content, filepath).content;
+    }
+    
+    /**
+     * Upgrade every bundle file in storage to the current schema version
+     * This is the only place bundle files are rewritten.
+     * @returns {Promise<Object>} Result {upgraded, current, failed: [{filename, message}]}
+     */
+    async migrateAll() {
+        const files = await this.storage.listFiles('', '.+\\.json$');
+        const result = { upgraded: 0, current: 0, failed: [] };
+        
+        for (const filename of files) {
+            try {
+                const filepath = this.storage.getFilePath(filename);
+                const content = JSON.parse(await fs.readFile(filepath, 'utf8'));
+                const { content: upgraded, migrated } = this.upgradeBundle(content, filepath);
+                
+                if (migrated) {
+                    await fs.writeFile(filepath, JSON.stringify(upgraded, null, 2));
+                    result.upgraded++;
+                } else {
+                    result.current++;
+                }
+            } catch (error) {
+                result.failed.push({ filename, message: error.message });
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Upgrade parsed bundle file content to the current schema version and validate it
+     * @param {Object|Array} content - Parsed bundle file content
+     * @param {string} filepath - Bundle file path (its name identifies the format of old files)
+     * @returns {Object} Result {content, fromVersion, migrated}
+     * @throws {Error} If the upgraded content doesn't match the bundle schema
+     */
+    upgradeBundle(content, filepath) {
+        const result = BundleSchema.migrate(content, { filename: path.basename(filepath) });
+        const validation = BundleSchema.validate(result.content);
+        
+        if (!validation.valid) {
+            throw ErrorHandler.createValidationError(
+                `Invalid bundle file ${path.basename(filepath)}: ${validation.errors.join('; ')}`
+            );
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Detect the output format of a saved bundle from its filename and content
+     * @param {string} filename - Bundle filename
+     * @param {Object|Array} bundleData - Parsed bundle file content
+     * @returns {string} Detected format (eoa, safe_ui, safe_cli or unknown)
+     */
+    detectFormat(filename, bundleData) {
+        return BundleSchema.detectFormat(filename, bundleData);
+    }
+    
+    /**
+     * Turn a parsed bundle file into the bundle object expected by the executors
+     * Files using an older schema version are upgraded first.
+     * @param {Object|Array} bundleData - Parsed bundle file content
+     * @param {string} filepath - Path of the bundle file
+     * @returns {Object} Result with success flag, detected format and bundle
+     */
+    prepareBundleForSending(bundleData, filepath) {
+        let content;
+        try {
+            content = this.upgradeBundle(bundleData, filepath).content;
+        } catch (error) {
+            return {
+                success: false,
+                format: this.detectFormat(path.basename(filepath), bundleData),
+                message: error.message
+            };
+        }
+        
+        const format = content.format;
+        
+        // Extract summary information from the bundle
+        let vaultCount = 0;
+        let hasBGTStaker = false;
+        let redelegationCount = 0;
+        let rewardsByType = {};
+        let rewardSummary = "Unknown";
+        
+        if (format === 'eoa') {
+            for (const tx of content.transactions) {
+                // Try to determine transaction type from the data
+                const data = tx.data || '';
+                if (data.includes('getReward')) {
+                    if (data.length > 200) {
+                        // Vault transactions are longer due to parameters
+                        vaultCount++;
+                    } else {
+                        hasBGTStaker = true;
+                    }
+                } else if (data.includes('queueBoost')) {
+                    redelegationCount++;
+                }
+            }
+        } else if (format === 'safe_ui' && content.meta.description) {
+            // For Safe UI bundles, extract from meta info
+            const desc = content.meta.description;
+            
+            const vaultMatch = desc.match(/(\d+) vault claim/);
+            vaultCount = vaultMatch ? parseInt(vaultMatch[1]) : 0;
+            
+            hasBGTStaker = desc.includes('BGT Staker');
+            
+            const redelegationMatch = desc.match(/(\d+) validator boost/);
+            redelegationCount = redelegationMatch ? parseInt(redelegationMatch[1]) : 0;
+            
+            // Extract rewards summary if present in description
+            const rewardsMatch = desc.match(/Rewards: ([^:]+(?:, [^:]+)*)/);
+            if (rewardsMatch) {
+                rewardSummary = rewardsMatch[1].trim();
+                
+                rewardSummary.split(', ').forEach(reward => {
+                    const [amount, symbol] = reward.trim().split(' ');
+                    if (symbol) {
+                        rewardsByType[symbol] = parseFloat(amount);
+                    }
+                });
+            }
+        }
+        
+        return {
+            success: true,
+            format,
+            bundle: {
+                bundleData: content,
+                filepath,
+                summary: {
+                    format,
+                    vaultCount,
+                    hasBGTStaker,
+                    rewardSummary,
+                    rewardsByType,
+                    redelegationCount,
+                    totalTransactions: content.transactions.length,
+                    includesRedelegation: redelegationCount > 0
+                }
+            }
+        };
+    }
+    
+    /**
+     * Extract bundle metadata from a bundle filename
+     * Standard: <type>_<date>_<time>_<name>_<format>.json
+     * Swaps:    swap_bundle_<name>_<date>T<time>_<format>.json
+     * @param {string} file - Bundle filename
+     * @returns {Object|null} Metadata {filename, type, name, format, timestamp, date} or null if the name doesn't match
+     */
+    parseFilename(file) {
+        let type, date, time, name, format;
+        const standardMatch = file.match(/^([a-z]+)_(\d{4}-\d{2}-\d{2})_(\d{2}-\d{2}-\d{2})_(.+)_(eoa|safe_ui|safe_cli)\.json$/);
+        const swapMatch = file.match(/^swap_bundle_(.+)_(\d{4}-\d{2}-\d{2})T(\d{2}-\d{2}-\d{2})_(eoa|safe_ui|safe_cli)\.json$/);
+        
+        if (standardMatch) {
+            [, type, date, time, name, format] = standardMatch;
+        } else if (swapMatch) {
+            type = 'swap';
+            [, name, date, time, format] = swapMatch;
+        } else {
+            return null;
+        }
+        
+        // Parse date from filename
+        const dateStr = `${date}T${time.replace(/-/g, ':')}Z`;
+        
+        return {
+            filename: file,
+            type,
+            name,
+            format,
+            timestamp: new Date(dateStr).getTime(),
+            date: dateStr
+        };
     }
     
     /**
@@ -126,26 +347,17 @@ class BundleRepository {
             // Get file metadata
             const bundles = await Promise.all(files.map(async (file) => {
                 try {
-                    // Extract metadata from filename
-                    const [type, date, time, name, format] = file
-                        .replace(/\.json$/, '')
-                        .split('_');
+                    const metadata = this.parseFilename(file);
+                    if (!metadata) {
+                        return null;
+                    }
                         
                     // Get file stats
                     const filePath = path.join(this.storage.baseDir, file);
-                    const stats = await this.storage.fs.stat(filePath);
-                    
-                    // Parse date from filename
-                    const dateStr = `${date}T${time.replace(/-/g, ':')}Z`;
-                    const timestamp = new Date(dateStr).getTime();
+                    const stats = await fs.stat(filePath);
                     
                     return {
-                        filename: file,
-                        type,
-                        name,
-                        format: format.replace(/\.json$/, ''),
-                        timestamp,
-                        date: dateStr,
+                        ...metadata,
                         size: stats.size,
                         created: stats.ctime
                     };
@@ -212,6 +424,166 @@ class BundleRepository {
     async deleteBundle(filename) {
         return this.storage.deleteFile(filename);
     }
+    
+    /**
+     * Load all bundle lifecycle records
+     * @returns {Promise<Object>} Records keyed by absolute bundle path
+     */
+    async loadHistory() {
+        try {
+            return JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Record a lifecycle change of a bundle
+     * Details are merged into the bundle's record; a status change is appended to its events.
+     * Updates are queued per history file, so concurrent sends can't overwrite each
+     * other's records. Recording never throws, so a failed write can't interrupt sending.
+     * @param {string} filepath - Bundle file path (nothing is recorded without one)
+     * @param {string} status - New status (see BundleStatus)
+     * @param {Object} details - Fields to record (from, safeAddress, safeTxHash, transactions, error, ...)
+     * @returns {Promise<Object|null>} Updated record or null if nothing was recorded
+     */
+    updateBundleStatus(filepath, status, details = {}) {
+        if (!filepath) {
+            return Promise.resolve(null);
+        }
+        
+        const write = (writeQueues.get(this.historyFile) || Promise.resolve())
+            .then(() => this.writeBundleStatus(filepath, status, details));
+        writeQueues.set(this.historyFile, write);
+        return write;
+    }
+    
+    /**
+     * Write a lifecycle change to the history file (see updateBundleStatus)
+     * @param {string} filepath - Bundle file path
+     * @param {string} status - New status
+     * @param {Object} details - Fields to record
+     * @returns {Promise<Object|null>} Updated record or null if nothing was recorded
+     */
+    async writeBundleStatus(filepath, status, details) {
+        try {
+            if (!Object.values(BundleStatus).includes(status)) {
+                throw ErrorHandler.createValidationError(`Unknown bundle status: ${status}`);
+            }
+            
+            const key = path.resolve(filepath);
+            const history = await this.loadHistory();
+            const now = new Date().toISOString();
+            const previous = history[key] || {
+                filename: path.basename(key),
+                filepath: key,
+                ...(this.parseFilename(path.basename(key)) || {}),
+                status: BundleStatus.CREATED,
+                events: []
+            };
+            
+            const record = {
+                ...previous,
+                ...details,
+                status,
+                // An error only describes the latest failure
+                error: details.error || (status === BundleStatus.FAILED ? previous.error : undefined),
+                updatedAt: now,
+                events: previous.status === status && previous.events.length > 0
+                    ? previous.events
+                    : [...previous.events, { status, at: now, ...(details.error ? { error: details.error } : {}) }]
+            };
+            
+            history[key] = record;
+            await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+            await fs.writeFile(this.historyFile, JSON.stringify(history, null, 2));
+            
+            return record;
+        } catch (error) {
+            ErrorHandler.handle(error, 'BundleRepository.updateBundleStatus');
+            return null;
+        }
+    }
+    
+    /**
+     * Get the lifecycle record of a bundle
+     * @param {string} filepath - Bundle file path
+     * @returns {Promise<Object|null>} Record or null if the bundle was never sent or proposed
+     */
+    async getBundleRecord(filepath) {
+        const history = await this.loadHistory();
+        return history[path.resolve(filepath)] || null;
+    }
+    
+    /**
+     * Find the lifecycle record of the bundle proposed as a Safe transaction
+     * @param {string} safeTxHash - Safe transaction hash
+     * @returns {Promise<Object|null>} Record or null if no recorded bundle has this Safe tx hash
+     */
+    async findBySafeTxHash(safeTxHash) {
+        const history = await this.loadHistory();
+        return Object.values(history).find(record =>
+            record.safeTxHash && record.safeTxHash.toLowerCase() === safeTxHash.toLowerCase()
+        ) || null;
+    }
+    
+    /**
+     * List bundles with their lifecycle status
+     * Saved bundles without a record are CREATED; records of bundles sent from other
+     * directories are included as well.
+     * @param {Object} options - Filter options
+     * @param {string} options.status - Only bundles with this status
+     * @param {string} options.type - Only bundles of this type
+     * @param {string} options.walletName - Only bundles saved for this wallet name...
+     * @param {string} options.walletAddress - ...or sent, proposed or signed from this address
+     * @param {number} options.limit - Maximum number of entries
+     * @returns {Promise<Array<Object>>} Bundles with their records, newest first
+     */
+    async getBundleHistory(options = {}) {
+        const { status, type, walletName, walletAddress, limit } = options;
+        const history = await this.loadHistory();
+        
+        const entries = (await this.listBundles({ type })).map(({ size, created, ...bundle }) => {
+            const filepath = path.resolve(this.storage.baseDir, bundle.filename);
+            return {
+                ...bundle,
+                filepath,
+                status: BundleStatus.CREATED,
+                ...(history[filepath] || {})
+            };
+        });
+        
+        const listed = new Set(entries.map(entry => entry.filepath));
+        Object.values(history)
+            .filter(record => !listed.has(record.filepath) && (!type || record.type === type))
+            .forEach(record => entries.push(record));
+        
+        const safeName = walletName ? walletName.toLowerCase().replace(/[^a-z0-9_]/g, '_') : null;
+        const address = walletAddress ? walletAddress.toLowerCase() : null;
+        
+        const filtered = entries.filter(entry => {
+            if (status && entry.status !== status) return false;
+            
+            if (safeName || address) {
+                const addresses = [entry.from, entry.safeAddress, entry.signerAddress]
+                    .filter(Boolean)
+                    .map(value => value.toLowerCase());
+                const matchesName = safeName && entry.name === safeName;
+                const matchesAddress = address && addresses.includes(address);
+                if (!matchesName && !matchesAddress) return false;
+            }
+            
+            return true;
+        });
+        
+        filtered.sort((a, b) => (b.updatedAt || b.date || '').localeCompare(a.updatedAt || a.date || ''));
+        
+        return limit && limit > 0 ? filtered.slice(0, limit) : filtered;
+    }
 }
 
-module.exports = BundleRepository;
\ No newline at end of file
+module.exports = BundleRepository;
+module.exports.BundleStatus = BundleStatus;
\ No newline at end of file
@@ -2,7 +2,7 @@
  * preferencesRepository.js - Repository for user preferences
  * 
  * This module handles storage and retrieval of user preferences, including
- * validator boosting allocations and other settings.
+ * validator boosting allocations, reward routing rules and other settings.
  */
 
 const FileStorage = require('../engines/fileStorage');
@@ -22,8 +22,10 @@ class PreferencesRepository {
             baseDir: options.prefsDir || config.paths.userprefsDir 
         });
         this.boostAllocationFile = 'boost_allocation.json';
+        this.rewardRoutesFile = 'reward_routing.json';
         this.preferences = {
-            boostAllocations: {} // Maps userAddress -> { validators, allocations }
+            boostAllocations: {}, // Maps userAddress -> { validators, allocations }
+            rewardRoutes: {}      // Maps lowercase userAddress -> [{ source, token, recipient }]
         };
     }
     
@@ -36,6 +38,7 @@ class PreferencesRepository {
         
         // Load existing preferences
         await this.loadBoostAllocations();
+        await this.loadRewardRoutes();
         
         return true;
     }
@@ -140,6 +143,56 @@ class PreferencesRepository {
             return false;
         }
     }
+    
+    /**
+     * Load reward routing rules from file
+     * @returns {Promise<Object>} Loaded rules by wallet address
+     */
+    async loadRewardRoutes() {
+        try {
+            const routes = await this.storage.loadFromFile(this.rewardRoutesFile);
+            
+            if (routes) {
+                this.preferences.rewardRoutes = routes;
+            }
+            
+            return this.preferences.rewardRoutes;
+        } catch (error) {
+            console.error('Error loading reward routing rules:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Get the reward routing rules of a wallet
+     * @param {string} userAddress - Wallet address
+     * @returns {Array<Object>} Rules [{source, token, recipient}]
+     */
+    getRewardRoutes(userAddress) {
+        const rules = this.preferences.rewardRoutes[userAddress.toLowerCase()] || [];
+        return rules.map(rule => ({ ...rule }));
+    }
+    
+    /**
+     * Replace the reward routing rules of a wallet
+     * @param {string} userAddress - Wallet address
+     * @param {Array<Object>} rules - Rules from RewardRouter.createRule (empty to remove them all)
+     * @returns {Promise<boolean>} Success flag
+     */
+    async setRewardRoutes(userAddress, rules) {
+        try {
+            if (rules.length > 0) {
+                this.preferences.rewardRoutes[userAddress.toLowerCase()] = rules;
+            } else {
+                delete this.preferences.rewardRoutes[userAddress.toLowerCase()];
+            }
+            
+            return await this.storage.saveToFile(this.rewardRoutesFile, this.preferences.rewardRoutes);
+        } catch (error) {
+            console.error('Error saving reward routing rules:', error);
+            return false;
+        }
+    }
 }
 
 module.exports = PreferencesRepository;
\ No newline at end of file
@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const config = require('../../config');
 const { ErrorHandler } = require('../../utils/errorHandler');
 const SecureStorage = require('../engines/secureStorage');
+const { SignerAdapter } = require('../../execution/adapters/signerAdapter');
 
 /**
  * Service for managing wallet addresses securely
@@ -17,6 +18,7 @@ class WalletService {
         this.encryptionEnabled = false; // Set to true to enable encryption
         this.encryptionKey = process.env.WALLET_ENCRYPTION_KEY;
         this.secureStorage = new SecureStorage();
+        this.signerAdapter = new SignerAdapter();
     }
 
     /**
@@ -426,24 +428,95 @@ class WalletService {
         }
     }
 
+    /**
+     * Check if a wallet can sign, with a stored private key or another signer backend
+     * @param {string} name - Wallet name
+     * @returns {Promise<boolean>} Whether the wallet has a usable signer
+     */
+    async hasSigner(name) {
+        const address = this.getWalletByName(name);
+        if (!address) {
+            return false;
+        }
+
+        return await this.signerAdapter.hasSigner(address);
+    }
+
+    /**
+     * Check if signing for a wallet needs its password
+     * @param {string} name - Wallet name
+     * @returns {Promise<boolean>} False for json_rpc and external signers
+     */
+    async requiresPassword(name) {
+        const address = this.getWalletByName(name);
+        if (!address) {
+            return true;
+        }
+
+        return SignerAdapter.requiresPassword(await this.signerAdapter.getSignerConfig(address));
+    }
+
+    /**
+     * Get the signer configuration of a wallet
+     * @param {string} name - Wallet name
+     * @returns {Promise<Object|null>} Signer configuration or null if the wallet doesn't exist
+     */
+    async getSignerConfig(name) {
+        const address = this.getWalletByName(name);
+        return address ? await this.signerAdapter.getSignerConfig(address) : null;
+    }
+
+    /**
+     * Set the signer backend of a wallet
+     * @param {string} name - Wallet name
+     * @param {Object} signerConfig - Signer configuration {type, path | url | command}
+     * @returns {Promise<Object>} Result of the operation
+     */
+    async setSignerConfig(name, signerConfig) {
+        try {
+            const address = this.getWalletByName(name);
+            if (!address) {
+                return {
+                    success: false,
+                    message: 'Wallet not found'
+                };
+            }
+
+            const saved = await this.signerAdapter.setSignerConfig(address, signerConfig);
+            return {
+                success: true,
+                message: `${name} now signs with ${SignerAdapter.describe(saved)}`
+            };
+        } catch (error) {
+            ErrorHandler.handle(error, 'WalletService.setSignerConfig');
+            return {
+                success: false,
+                message: `Failed to set signer: ${error.message}`
+            };
+        }
+    }
+
     /**
      * Create a signer from a wallet
+     * Uses the wallet's configured signer backend, or its stored private key.
      * @param {string} name - Wallet name
-     * @param {string} password - Password for decryption
+     * @param {string} password - Password for the private key or keystore
      * @returns {Promise<Object>} Ethers signer or error message
      */
     async createSigner(name, password) {
-        const result = await this.getPrivateKey(name, password);
-        
-        if (!result.success) {
-            return result;
+        const address = this.getWalletByName(name);
+        if (!address) {
+            return {
+                success: false,
+                message: 'Wallet not found'
+            };
         }
-        
+
         try {
-            const wallet = new ethers.Wallet(result.privateKey, this.provider);
+            const signer = await this.signerAdapter.createSigner(address, password, this.provider);
             return {
                 success: true,
-                signer: wallet
+                signer
             };
         } catch (error) {
             ErrorHandler.handle(error, 'WalletService.createSigner');
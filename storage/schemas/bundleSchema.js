@@ -0,0 +1,212 @@
+/**
+ * bundleSchema.js - Versioned bundle file schema, validation and migrations
+ *
+ * Every bundle file written by BeraBundle has the same outer shape:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "format": "eoa" | "safe_ui" | "safe_cli",
+ *     "meta": { "name", "description", ... },
+ *     "transactions": [ { "to", "data", "value", ... } ]
+ *   }
+ *
+ * Safe UI bundles additionally keep the Transaction Builder fields (version,
+ * chainId, createdAt) so the file can still be imported in the Safe web app.
+ * EOA bundles record the fee strategy they are sent with in meta.feeStrategy
+ * ({preset, maxFeeCap}); their transactions carry no fees.
+ *
+ * Files written before versioning (schemaVersion 0) came in several shapes: a
+ * bare EOA transaction array, `{format, transactions}`, a whole bundle object
+ * with `bundleData`, and the Safe formats without a format field. MIGRATIONS
+ * upgrades a file one version at a time until it reaches BUNDLE_SCHEMA_VERSION.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Current bundle file schema version
+ * Bump it and add a migration whenever the file shape changes.
+ */
+const BUNDLE_SCHEMA_VERSION = 1;
+
+/**
+ * Output formats a bundle file can have
+ */
+const BUNDLE_FORMATS = ['eoa', 'safe_ui', 'safe_cli'];
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each takes the file content and context {filename, format} and returns the next version's content.
+ */
+const MIGRATIONS = {
+    0: (content, context) => {
+        // Whole bundle objects were saved for swaps - the file content is their bundleData
+        if (!Array.isArray(content) && content.bundleData) {
+            return MIGRATIONS[0](content.bundleData, {
+                ...context,
+                format: context.format || content.format || (content.summary && content.summary.format)
+            });
+        }
+
+        const { transactions, meta, ...rest } = Array.isArray(content) ? { transactions: content } : content;
+
+        // Other fields (Safe Transaction Builder version/chainId/createdAt, EOA fromAddress) are kept
+        return {
+            ...rest,
+            schemaVersion: 1,
+            format: context.format || BundleSchema.detectFormat(context.filename, content),
+            meta: meta || {},
+            transactions
+        };
+    }
+};
+
+/**
+ * Bundle file schema helpers
+ */
+class BundleSchema {
+    /**
+     * Get the schema version of a bundle file
+     * @param {Object|Array} content - Parsed bundle file content
+     * @returns {number} Schema version (0 for files written before versioning)
+     */
+    static getVersion(content) {
+        return content && !Array.isArray(content) && Number.isInteger(content.schemaVersion)
+            ? content.schemaVersion
+            : 0;
+    }
+
+    /**
+     * Detect the output format of a bundle from its filename and content
+     * @param {string} filename - Bundle filename (may be empty)
+     * @param {Object|Array} content - Parsed bundle file content
+     * @returns {string} Detected format (eoa, safe_ui, safe_cli or unknown)
+     */
+    static detectFormat(filename, content) {
+        if (content && BUNDLE_FORMATS.includes(content.format)) {
+            return content.format;
+        }
+
+        const name = filename || '';
+        if (name.includes('_eoa.json')) {
+            return 'eoa';
+        } else if (name.includes('_safe_ui.json')) {
+            return 'safe_ui';
+        } else if (name.includes('_safe_cli.json')) {
+            return 'safe_cli';
+        }
+
+        // Try to determine format from the content
+        if (Array.isArray(content)) {
+            return 'eoa';
+        } else if (content && Array.isArray(content.transactions)) {
+            if (content.transactions.length > 0 && content.transactions[0].type === '0x2') {
+                return 'eoa';
+            }
+            if (content.meta) {
+                return content.chainId !== undefined ? 'safe_ui' : 'safe_cli';
+            }
+        }
+
+        return 'unknown';
+    }
+
+    /**
+     * Build the file content for a bundle about to be saved
+     * @param {Object|Array} bundleData - Formatted bundle data (EOA transaction array or Safe object)
+     * @param {string} format - Output format
+     * @param {Object} meta - Fields added to the file's meta (e.g. feeStrategy)
+     * @returns {Object} Bundle file content at the current schema version
+     */
+    static createFile(bundleData, format, meta = {}) {
+        const content = BundleSchema.migrate(bundleData, { format }).content;
+        return { ...content, meta: { ...content.meta, ...meta } };
+    }
+
+    /**
+     * Upgrade bundle file content to the current schema version
+     * @param {Object|Array} content - Parsed bundle file content
+     * @param {Object} context - Migration context
+     * @param {string} context.filename - Bundle filename, used to detect the format of old files
+     * @param {string} context.format - Known format, overriding detection
+     * @returns {Object} Result {content, fromVersion, migrated}
+     * @throws {Error} If the file is newer than this version of BeraBundle supports
+     */
+    static migrate(content, context = {}) {
+        const fromVersion = BundleSchema.getVersion(content);
+
+        if (fromVersion > BUNDLE_SCHEMA_VERSION) {
+            throw new Error(`Bundle schema version ${fromVersion} is newer than the supported version ${BUNDLE_SCHEMA_VERSION}`);
+        }
+
+        let upgraded = content;
+        for (let version = fromVersion; version < BUNDLE_SCHEMA_VERSION; version++) {
+            upgraded = MIGRATIONS[version](upgraded, { filename: context.filename || '', format: context.format });
+        }
+
+        return {
+            content: upgraded,
+            fromVersion,
+            migrated: fromVersion < BUNDLE_SCHEMA_VERSION
+        };
+    }
+
+    /**
+     * Validate bundle file content against the current schema
+     * @param {Object} content - Bundle file content
+     * @returns {Object} Result {valid, errors}
+     */
+    static validate(content) {
+        const errors = [];
+
+        if (!content || Array.isArray(content) || typeof content !== 'object') {
+            return { valid: false, errors: ["Bundle file must be an object"] };
+        }
+
+        if (content.schemaVersion !== BUNDLE_SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${BUNDLE_SCHEMA_VERSION}, got ${content.schemaVersion}`);
+        }
+
+        if (!BUNDLE_FORMATS.includes(content.format)) {
+            errors.push(`format must be one of ${BUNDLE_FORMATS.join(', ')}, got ${content.format}`);
+        }
+
+        if (!content.meta || typeof content.meta !== 'object') {
+            errors.push("meta must be an object");
+        }
+
+        if (content.format === 'safe_ui' && content.chainId === undefined) {
+            errors.push("Safe UI bundles must have a chainId");
+        }
+
+        if (!Array.isArray(content.transactions) || content.transactions.length === 0) {
+            errors.push("transactions must be a non-empty array");
+        } else {
+            content.transactions.forEach((tx, index) => {
+                const label = `transactions[${index}]`;
+
+                if (!tx || !tx.to || !ethers.utils.isAddress(tx.to)) {
+                    errors.push(`${label}.to must be an address`);
+                }
+                if (tx && tx.data !== undefined && !ethers.utils.isHexString(tx.data)) {
+                    errors.push(`${label}.data must be a hex string`);
+                }
+                if (tx && tx.value !== undefined) {
+                    try {
+                        ethers.BigNumber.from(tx.value);
+                    } catch (error) {
+                        errors.push(`${label}.value must be a number or hex string`);
+                    }
+                }
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+}
+
+module.exports = {
+    BundleSchema,
+    BUNDLE_SCHEMA_VERSION,
+    BUNDLE_FORMATS
+};
@@ -0,0 +1,169 @@
+/**
+ * safeTxSchema.js - File format for Safe transactions signed offline
+ *
+ * A SafeTx file carries everything an owner needs to check and sign a Safe
+ * transaction without the Safe Transaction Service:
+ *
+ *   {
+ *     "type": "berabundle_safe_tx",
+ *     "version": 1,
+ *     "chainId": 80094,
+ *     "safeAddress": "0x...",
+ *     "safeTxHash": "0x...",
+ *     "tx": { "to", "value", "data", "operation", "safeTxGas", "baseGas",
+ *             "gasPrice", "gasToken", "refundReceiver", "nonce" },
+ *     "meta": { "name", "description", "bundleFile", "createdAt" },
+ *     "signatures": [ { "owner": "0x...", "signature": "0x..." } ]
+ *   }
+ *
+ * Exported files have no signatures; each owner's signed copy adds one, and
+ * merged files hold the signatures of several owners.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Value of the type field of every SafeTx file
+ */
+const SAFE_TX_FILE_TYPE = 'berabundle_safe_tx';
+
+/**
+ * Current SafeTx file version
+ */
+const SAFE_TX_FILE_VERSION = 1;
+
+/**
+ * Fields of the Safe transaction, in the order of the SafeTx EIP-712 type
+ */
+const SAFE_TX_FIELDS = ['to', 'value', 'data', 'operation', 'safeTxGas', 'baseGas', 'gasPrice', 'gasToken', 'refundReceiver', 'nonce'];
+
+/**
+ * SafeTx file helpers
+ */
+class SafeTxSchema {
+    /**
+     * Build the content of an unsigned SafeTx file
+     * @param {Object} params - File parameters
+     * @param {number} params.chainId - Chain ID the transaction is for
+     * @param {string} params.safeAddress - Safe address
+     * @param {string} params.safeTxHash - Safe transaction hash
+     * @param {Object} params.tx - Safe transaction
+     * @param {Object} params.meta - Description of the transaction (name, description, bundleFile)
+     * @returns {Object} SafeTx file content
+     */
+    static createFile({ chainId, safeAddress, safeTxHash, tx, meta = {} }) {
+        const normalizedTx = {};
+        SAFE_TX_FIELDS.forEach(field => {
+            normalizedTx[field] = tx[field];
+        });
+
+        return {
+            type: SAFE_TX_FILE_TYPE,
+            version: SAFE_TX_FILE_VERSION,
+            chainId,
+            safeAddress: ethers.utils.getAddress(safeAddress),
+            safeTxHash,
+            tx: normalizedTx,
+            meta: { ...meta, createdAt: new Date().toISOString() },
+            signatures: []
+        };
+    }
+
+    /**
+     * Add (or replace) an owner's signature
+     * @param {Object} content - SafeTx file content
+     * @param {string} owner - Owner address
+     * @param {string} signature - Owner's signature of the Safe transaction hash
+     * @returns {Object} SafeTx file content with the signature
+     */
+    static addSignature(content, owner, signature) {
+        const address = ethers.utils.getAddress(owner);
+
+        return {
+            ...content,
+            signatures: [
+                ...content.signatures.filter(entry => entry.owner.toLowerCase() !== address.toLowerCase()),
+                { owner: address, signature }
+            ]
+        };
+    }
+
+    /**
+     * Check that two SafeTx files describe the same transaction
+     * @param {Object} a - SafeTx file content
+     * @param {Object} b - SafeTx file content
+     * @returns {boolean} True if chain, Safe, hash and transaction fields match
+     */
+    static isSameTransaction(a, b) {
+        return a.chainId === b.chainId
+            && a.safeAddress.toLowerCase() === b.safeAddress.toLowerCase()
+            && a.safeTxHash.toLowerCase() === b.safeTxHash.toLowerCase()
+            && SAFE_TX_FIELDS.every(field => String(a.tx[field]).toLowerCase() === String(b.tx[field]).toLowerCase());
+    }
+
+    /**
+     * Validate SafeTx file content
+     * @param {Object} content - Parsed file content
+     * @returns {Object} Result {valid, errors}
+     */
+    static validate(content) {
+        const errors = [];
+
+        if (!content || typeof content !== 'object' || content.type !== SAFE_TX_FILE_TYPE) {
+            return { valid: false, errors: [`Not a SafeTx file (type must be ${SAFE_TX_FILE_TYPE})`] };
+        }
+
+        if (content.version !== SAFE_TX_FILE_VERSION) {
+            errors.push(`version must be ${SAFE_TX_FILE_VERSION}, got ${content.version}`);
+        }
+
+        if (!Number.isInteger(content.chainId)) {
+            errors.push("chainId must be an integer");
+        }
+
+        if (!ethers.utils.isAddress(content.safeAddress || '')) {
+            errors.push("safeAddress must be an address");
+        }
+
+        if (!ethers.utils.isHexString(content.safeTxHash, 32)) {
+            errors.push("safeTxHash must be a 32-byte hex string");
+        }
+
+        if (!content.tx || typeof content.tx !== 'object') {
+            errors.push("tx must be an object");
+        } else {
+            SAFE_TX_FIELDS.forEach(field => {
+                if (content.tx[field] === undefined || content.tx[field] === null) {
+                    errors.push(`tx.${field} is required`);
+                }
+            });
+            ['to', 'gasToken', 'refundReceiver'].forEach(field => {
+                if (content.tx[field] && !ethers.utils.isAddress(content.tx[field])) {
+                    errors.push(`tx.${field} must be an address`);
+                }
+            });
+            if (content.tx.data && !ethers.utils.isHexString(content.tx.data)) {
+                errors.push("tx.data must be a hex string");
+            }
+        }
+
+        if (!Array.isArray(content.signatures)) {
+            errors.push("signatures must be an array");
+        } else {
+            content.signatures.forEach((entry, index) => {
+                if (!entry || !ethers.utils.isAddress(entry.owner || '') || !ethers.utils.isHexString(entry.signature)) {
+                    errors.push(`signatures[${index}] must have an owner address and a hex signature`);
+                }
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+}
+
+module.exports = {
+    SafeTxSchema,
+    SAFE_TX_FILE_TYPE,
+    SAFE_TX_FILE_VERSION,
+    SAFE_TX_FIELDS
+};
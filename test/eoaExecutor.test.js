@@ -0,0 +1,99 @@
+/**
+ * eoaExecutor.test.js - Sending EOA bundles one transaction at a time
+ *
+ * Runs TransactionService.sendWithMulticall against a stubbed signer and nonce
+ * manager, so nothing touches the network.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const TransactionService = require('../execution/executors/eoaExecutor');
+
+const FROM = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Compound bundle transactions: a claim, then a swap of the claimed tokens and a boost of the claimed BGT
+ */
+const COMPOUND_TRANSACTIONS = [
+    { to: '0x2222222222222222222222222222222222222222', data: '0xc00007b0', value: '0x0' }, // getReward
+    { to: '0x3333333333333333333333333333333333333333', data: '0x095ea7b3', value: '0x0' }, // approve
+    { to: '0x4444444444444444444444444444444444444444', data: '0x83bd37f9', value: '0x0' }, // swap
+    { to: '0x5555555555555555555555555555555555555555', data: '0xc3a56ee9', value: '0x0' }  // queueBoost
+];
+
+/**
+ * Create a TransactionService whose sends are recorded instead of broadcast
+ * @param {Function} receiptStatus - Receipt status (1 or 0) for the transaction at an index
+ * @returns {Object} {service, sent, history}
+ */
+function createService(receiptStatus) {
+    const sent = [];
+    const history = [];
+
+    const nonceManager = {
+        sendTransaction: async (signer, txData) => {
+            sent.push(txData.to);
+            return { hash: `0x${String(sent.length).padStart(64, '0')}`, nonce: sent.length - 1 };
+        },
+        waitForTransaction: async response => ({
+            receipt: {
+                status: receiptStatus(response.nonce),
+                transactionHash: response.hash,
+                blockNumber: 1,
+                gasUsed: ethers.BigNumber.from(21000)
+            },
+            hash: response.hash,
+            replaced: false,
+            cancelled: false
+        })
+    };
+
+    const service = new TransactionService({
+        provider: {},
+        safeExecutor: {},
+        nonceManager,
+        feeOracle: {
+            getFees: async () => ({
+                maxFeePerGas: ethers.utils.parseUnits('2', 'gwei'),
+                maxPriorityFeePerGas: ethers.utils.parseUnits('1', 'gwei')
+            })
+        },
+        gasCostEstimator: { previewCost: async () => null },
+        bundleRepository: {
+            updateBundleStatus: async (filepath, status, details) => {
+                history.push({ status, ...details });
+                return null;
+            }
+        }
+    });
+
+    return { service, sent, history };
+}
+
+// Sends go through the stubbed nonce manager, so the signer only needs an address and gas estimates
+const signer = new ethers.VoidSigner(FROM);
+signer.estimateGas = async () => ethers.BigNumber.from(100000);
+
+const options = { confirm: false, simulate: false, feeStrategy: { preset: 'normal' } };
+
+test('swaps and boost are not sent after the claim reverts', async () => {
+    const { service, sent, history } = createService(index => (index === 0 ? 0 : 1));
+
+    const result = await service.sendWithMulticall({ bundleData: { transactions: COMPOUND_TRANSACTIONS } }, signer, options);
+
+    assert.deepStrictEqual(sent, [COMPOUND_TRANSACTIONS[0].to]);
+    assert.deepStrictEqual(result, { success: false, sent: 0, failed: 4 });
+    assert.strictEqual(history[history.length - 1].status, 'failed');
+    assert.match(history[history.length - 1].error, /Transaction 1\/4 reverted; the rest was not sent/);
+});
+
+test('every transaction is sent when none fails', async () => {
+    const { service, sent } = createService(() => 1);
+    const transactions = COMPOUND_TRANSACTIONS.slice(0, 2);
+
+    const result = await service.sendWithMulticall({ bundleData: { transactions } }, signer, options);
+
+    assert.deepStrictEqual(sent, transactions.map(tx => tx.to));
+    assert.deepStrictEqual(result, { success: true, sent: 2, failed: 0 });
+});
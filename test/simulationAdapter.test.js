@@ -0,0 +1,183 @@
+/**
+ * simulationAdapter.test.js - Locating the reverting call of a bundle
+ *
+ * The provider is a stub that runs MultiSend payloads call by call: a call to
+ * one of the reverting targets reverts the whole eth_call, like a node would.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const config = require('../config');
+const { SimulationAdapter, CallStatus } = require('../execution/adapters/simulationAdapter');
+
+const FROM = '0x1111111111111111111111111111111111111111';
+const GAS_PER_CALL = 50000;
+
+const multiSendInterface = new ethers.utils.Interface(config.abis.multiSend);
+
+/**
+ * Encode Error(string) revert data
+ * @param {string} reason - Revert reason
+ * @returns {string} Revert data
+ */
+function errorData(reason) {
+    return '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2);
+}
+
+/**
+ * Split a multiSend(bytes) call into the targets of its calls
+ * @param {string} data - multiSend call data
+ * @returns {Array<string>} Lowercase call targets
+ */
+function decodeMultiSendTargets(data) {
+    const packed = ethers.utils.arrayify(multiSendInterface.decodeFunctionData('multiSend', data)[0]);
+    const targets = [];
+    let offset = 0;
+
+    while (offset < packed.length) {
+        targets.push(ethers.utils.hexlify(packed.slice(offset + 1, offset + 21)));
+        const length = ethers.BigNumber.from(packed.slice(offset + 53, offset + 85)).toNumber();
+        offset += 85 + length;
+    }
+
+    return targets;
+}
+
+/**
+ * Create a provider stub
+ * @param {Object} options - Stub behaviour
+ * @param {Set<string>} options.reverting - Lowercase targets whose calls revert
+ * @param {boolean} options.overrides - Whether eth_call accepts state overrides (default: true)
+ * @param {boolean} options.dropInnerRevertData - Whether MultiSend reverts without data (default: false)
+ * @returns {Object} Provider with send and getCode, and the eth_call requests it received
+ */
+function createProvider({ reverting, overrides = true, dropInnerRevertData = false }) {
+    const calls = [];
+
+    const revert = (data) => {
+        const error = new Error('execution reverted');
+        error.code = 3;
+        error.data = data;
+        return error;
+    };
+
+    return {
+        calls,
+        getCode: async () => '0x6080',
+        send: async (method, params) => {
+            const [request, , stateOverride] = params;
+
+            if (method === 'eth_estimateGas') {
+                return ethers.utils.hexValue(GAS_PER_CALL);
+            }
+
+            calls.push(params);
+            if (stateOverride) {
+                if (!overrides) {
+                    throw new Error('state override is not supported');
+                }
+                const failing = decodeMultiSendTargets(request.data).find(target => reverting.has(target));
+                if (failing) {
+                    throw revert(dropInnerRevertData ? '0x' : errorData(`call to ${failing} failed`));
+                }
+                return '0x';
+            }
+
+            if (reverting.has(request.to.toLowerCase())) {
+                throw revert(errorData(`call to ${request.to.toLowerCase()} failed`));
+            }
+            return '0x';
+        }
+    };
+}
+
+/**
+ * Build a bundle of calls to distinct targets
+ * @param {number} size - Number of calls
+ * @returns {Array<Object>} Transactions {to, data, value}
+ */
+function createBundle(size) {
+    return Array.from({ length: size }, (_, index) => ({
+        to: ethers.utils.hexZeroPad(ethers.utils.hexlify(index + 0x100), 20),
+        data: '0x095ea7b3',
+        value: '0'
+    }));
+}
+
+test('reports the reverting call and leaves the calls after it not reached', async () => {
+    const bundle = createBundle(6);
+    for (const failingIndex of [0, 2, 5]) {
+        const provider = createProvider({ reverting: new Set([bundle[failingIndex].to]) });
+        const simulation = await new SimulationAdapter(provider).simulateBundle(bundle, FROM);
+
+        assert.strictEqual(simulation.mode, 'cumulative');
+        assert.strictEqual(simulation.success, false);
+        assert.deepStrictEqual(simulation.calls.map(call => call.status), bundle.map((tx, index) => {
+            if (index < failingIndex) return CallStatus.SUCCESS;
+            return index === failingIndex ? CallStatus.REVERTED : CallStatus.NOT_REACHED;
+        }));
+        assert.strictEqual(simulation.calls[failingIndex].revertReason, `call to ${bundle[failingIndex].to} failed`);
+        assert.strictEqual(simulation.calls[failingIndex].gasUsed, null);
+    }
+});
+
+test('simulates the bundle from the sender with MultiSendCallsOnly as its code', async () => {
+    const bundle = createBundle(3);
+    const provider = createProvider({ reverting: new Set() });
+
+    const simulation = await new SimulationAdapter(provider).simulateBundle(bundle, FROM);
+
+    assert.strictEqual(simulation.success, true);
+    assert.strictEqual(simulation.totalGas, String(GAS_PER_CALL * bundle.length));
+    assert.strictEqual(provider.calls.length, 1);
+
+    const [request, block, stateOverride] = provider.calls[0];
+    assert.strictEqual(request.from, FROM);
+    assert.strictEqual(request.to, FROM);
+    assert.strictEqual(block, 'latest');
+    assert.deepStrictEqual(Object.keys(stateOverride), [FROM]);
+    assert.deepStrictEqual(decodeMultiSendTargets(request.data), bundle.map(tx => tx.to));
+});
+
+test('asks the failing call directly when MultiSend drops the revert reason', async () => {
+    const bundle = createBundle(4);
+    const provider = createProvider({ reverting: new Set([bundle[1].to]), dropInnerRevertData: true });
+
+    const simulation = await new SimulationAdapter(provider).simulateBundle(bundle, FROM);
+
+    assert.strictEqual(simulation.calls[1].status, CallStatus.REVERTED);
+    assert.strictEqual(simulation.calls[1].revertReason, `call to ${bundle[1].to} failed`);
+});
+
+test('falls back to independent calls when state overrides are rejected', async () => {
+    const bundle = createBundle(4);
+    const provider = createProvider({ reverting: new Set([bundle[2].to]), overrides: false });
+
+    const simulation = await new SimulationAdapter(provider).simulateBundle(bundle, FROM);
+
+    assert.strictEqual(simulation.mode, 'independent');
+    assert.deepStrictEqual(simulation.calls.map(call => call.status), [
+        CallStatus.SUCCESS, CallStatus.SUCCESS, CallStatus.REVERTED, CallStatus.SUCCESS
+    ]);
+    assert.match(SimulationAdapter.formatReport(simulation), /1 call\(s\) would revert/);
+});
+
+test('finds revert data however the provider nests it', () => {
+    const data = errorData('nested');
+
+    assert.strictEqual(SimulationAdapter.extractRevertData({ data }), data);
+    assert.strictEqual(SimulationAdapter.extractRevertData({ error: { data } }), data);
+    assert.strictEqual(SimulationAdapter.extractRevertData({ body: JSON.stringify({ error: { data } }) }), data);
+    assert.strictEqual(SimulationAdapter.extractRevertData({ message: 'execution reverted' }), '0x');
+    assert.strictEqual(SimulationAdapter.extractRevertData({ message: 'connection refused' }), null);
+});
+
+test('decodes Error, Panic and custom error revert data', () => {
+    const panic = '0x4e487b71' + ethers.utils.defaultAbiCoder.encode(['uint256'], [0x11]).slice(2);
+
+    assert.strictEqual(SimulationAdapter.decodeRevertReason(errorData('insufficient balance')), 'insufficient balance');
+    assert.strictEqual(SimulationAdapter.decodeRevertReason(panic), 'panic 0x11');
+    assert.strictEqual(SimulationAdapter.decodeRevertReason('0xdeadbeef'), 'custom error 0xdeadbeef');
+    assert.strictEqual(SimulationAdapter.decodeRevertReason('0x'), 'reverted without a reason');
+});
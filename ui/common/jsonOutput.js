@@ -0,0 +1,105 @@
+/**
+ * jsonOutput.js - Machine-readable report output
+ *
+ * Writes reward and balance reports to stdout as versioned JSON so they can be
+ * consumed by dashboards and scripts. While JSON mode is active all regular
+ * console logging is moved to stderr, keeping stdout a single JSON document.
+ *
+ * Bump JSON_SCHEMA_VERSION whenever a field is renamed, removed or changes type.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Version of the report envelope and payload structures
+ */
+const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Report types written in JSON mode
+ */
+const ReportType = {
+    REWARDS: 'rewards',
+    BALANCES: 'balances',
+    BUNDLE_INSPECTION: 'bundle_inspection',
+    BUNDLE_DIFF: 'bundle_diff',
+    BUNDLE_HISTORY: 'bundle_history',
+    SAFE_QUEUE: 'safe_queue',
+    BOOST_HISTORY: 'boost_history',
+    ERROR: 'error'
+};
+
+/**
+ * Formats and writes JSON reports
+ */
+class JsonOutput {
+    /**
+     * Send console.log/info output to stderr so stdout only carries JSON
+     */
+    static redirectConsole() {
+        console.log = (...args) => console.error(...args);
+        console.info = (...args) => console.error(...args);
+    }
+
+    /**
+     * Convert a value into plain JSON-safe data
+     * BigNumbers become decimal strings so large values keep full precision.
+     * @param {any} value - Value to convert
+     * @returns {any} JSON-safe value
+     */
+    static toSerializable(value) {
+        if (ethers.BigNumber.isBigNumber(value)) {
+            return value.toString();
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => JsonOutput.toSerializable(item));
+        }
+
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                if (item !== undefined && typeof item !== 'function') {
+                    result[key] = JsonOutput.toSerializable(item);
+                }
+            }
+            return result;
+        }
+
+        if (typeof value === 'number' && !isFinite(value)) {
+            return null;
+        }
+
+        return value;
+    }
+
+    /**
+     * Wrap report data in the versioned envelope
+     * @param {string} reportType - Report type from ReportType
+     * @param {Object} data - Report payload
+     * @returns {Object} Report envelope
+     */
+    static createReport(reportType, data) {
+        return {
+            schemaVersion: JSON_SCHEMA_VERSION,
+            report: reportType,
+            generatedAt: new Date().toISOString(),
+            ...JsonOutput.toSerializable(data)
+        };
+    }
+
+    /**
+     * Write a report to stdout
+     * @param {string} reportType - Report type from ReportType
+     * @param {Object} data - Report payload
+     */
+    static write(reportType, data) {
+        process.stdout.write(JSON.stringify(JsonOutput.createReport(reportType, data), null, 2) + '\n');
+    }
+}
+
+module.exports = {
+    JsonOutput,
+    ReportType,
+    JSON_SCHEMA_VERSION
+};
@@ -346,6 +346,47 @@ class UIHandler {
         return output;
     }
 
+    /**
+     * Format a portfolio reward summary
+     * @param {Object} scan - Portfolio scan from PortfolioScanner.scanWallets
+     * @returns {string} Formatted summary with per-wallet and total rewards by token
+     */
+    formatPortfolioSummary(scan) {
+        const formatTotals = totals => Object.entries(totals)
+            .map(([symbol, amount]) => chalk.green(`${amount.toFixed(2)} ${symbol}`))
+            .join(', ');
+
+        let output = chalk.cyan("Rewards by Wallet:\n");
+
+        scan.wallets.forEach(wallet => {
+            output += `${chalk.white(wallet.name)} ${chalk.gray(`(${wallet.address})`)}\n`;
+
+            if (wallet.error) {
+                output += `  ${chalk.red(`❌ Scan failed: ${wallet.error}`)}\n`;
+            } else if (wallet.claimableRewards.length === 0) {
+                output += `  ${chalk.yellow('No claimable rewards')}\n`;
+            } else {
+                output += `  ${formatTotals(wallet.totalsByToken)} ${chalk.gray(`from ${wallet.claimableRewards.length} sources`)}\n`;
+            }
+        });
+
+        const failedCount = (scan.failedWallets || []).length;
+
+        output += chalk.cyan("\nPortfolio Total: ");
+        if (Object.keys(scan.totalsByToken).length > 0) {
+            output += formatTotals(scan.totalsByToken);
+        } else {
+            output += failedCount > 0 ? chalk.yellow("No claimable rewards found") : chalk.yellow("No claimable rewards");
+        }
+
+        // Failed wallets have unknown rewards, so the total is a lower bound
+        if (failedCount > 0) {
+            output += `\n${chalk.red(`❌ Incomplete: ${failedCount} of ${scan.wallets.length} wallets could not be scanned and are not included`)}`;
+        }
+
+        return output;
+    }
+
     /**
      * Create standardized menu options with Back and Quit
      * @param {Array} regularOptions - Regular menu options
@@ -0,0 +1,2103 @@
+/**
+ * cliCommands.js - Non-interactive command line interface
+ *
+ * Exposes the MainMenu flows as subcommands so BeraBundle can be driven from
+ * scripts and cron jobs. Every command calls the same BundleCreator,
+ * RewardChecker and executor code paths as the menus, but never prompts.
+ *
+ * Passwords are read from --password or the BERABUNDLE_PASSWORD environment
+ * variable (preferred, since flags are visible in the process list).
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { ErrorHandler } = require('../../utils/errorHandler');
+const { BundleType, OutputFormat, SwapTarget } = require('../../bundles/bundleCreator');
+const MetadataFetcher = require('../../utils/metadataFetcher');
+const { JsonOutput, ReportType } = require('../common/jsonOutput');
+const PortfolioScanner = require('../../bundles/claims/portfolioScanner');
+const { CompoundDaemon, RunStatus } = require('../../execution/daemon/compoundDaemon');
+const { SimulationAdapter } = require('../../execution/adapters/simulationAdapter');
+const { BundleInspector } = require('../../bundles/bundleInspector');
+const { BundleStatus } = require('../../storage/repositories/bundleRepository');
+const SafeExecutor = require('../../execution/executors/safeExecutor');
+const { SignerAdapter, SignerType } = require('../../execution/adapters/signerAdapter');
+const { FeeOracle } = require('../../execution/adapters/feeOracle');
+const GasCostEstimator = require('../../execution/adapters/gasCostEstimator');
+const { DisperseBundler } = require('../../bundles/disperse/disperseBundler');
+const { RewardRouter } = require('../../bundles/claims/rewardRouter');
+const { AllocationStrategies } = require('../../bundles/boosts/allocationStrategies');
+
+/**
+ * Flags that never take a value
+ */
+const BOOLEAN_FLAGS = ['all', 'boosts', 'contract', 'redelegate', 'execute', 'help', 'json', 'once', 'dry-run', 'no-boost', 'no-routes', 'skip-simulation'];
+
+/**
+ * Usage text for all subcommands
+ */
+const USAGE = `
+Commands:
+  check-rewards [--wallet <name>] [--boosts] [--json]
+      Check claimable rewards for one wallet (default: all wallets)
+
+  balances [--wallet <name>] [--json]
+      Show token balances and USD values (default: all wallets)
+
+  claim --wallet <name> [--recipient <address>] [--format <format>]
+        [--redelegate] [--max-gas-percent <n|none>] [--no-routes]
+        [--output <path>] [--execute] [--safe <address>]
+      Create a claim bundle, optionally signing and sending it. Rewards follow
+      the wallet's routing rules (see routes); --recipient gets the vault
+      rewards no rule routes, --no-routes ignores the rules
+
+  claim --all [--recipient <address>] [--format <format>] [--redelegate]
+        [--max-gas-percent <n|none>] [--no-routes] [--output <path>] [--execute]
+      Scan every wallet in parallel and create one claim bundle per wallet,
+      plus a combined summary (--output copies the summary)
+
+  routes list [--wallet <name>]
+      Show the reward routing rules of one or all wallets
+
+  routes set --wallet <name> [--source vault|bgtStaker|delegationRewards]
+             [--token <symbol|address>] --recipient <address>
+      Send the wallet's rewards from a source and/or in a token to another
+      address. Vault rewards are claimed to it directly; BGT Staker and
+      delegation rewards are claimed to the wallet and forwarded
+
+  routes remove --wallet <name> [--source <source>] [--token <symbol|address>]
+  routes clear --wallet <name>
+      Remove one rule, or all rules of the wallet
+
+  boost --wallet <name> --amount <bgt> [--format <format>]
+        [--output <path>] [--execute] [--safe <address>]
+      Create a validator boost bundle from the wallet's delegation preferences
+
+  boosts activate --wallet <name> [--format <format>] [--safe <address>]
+                  [--output <path>] [--execute]
+      Create a bundle activating every queued boost whose activation delay has
+      passed (one activateBoost call per validator). With a Safe format the
+      Safe's queued boosts are activated
+
+  boosts rebalance --wallet <name> [--format <format>] [--safe <address>]
+                   [--output <path>] [--execute]
+      Move the existing active and queued boosts to the delegation preferences'
+      percentages: cancel queued excess, queue drops of active excess and queue
+      boosts with the BGT that is free. Run it again once the drops' delay has
+      passed to finish the drops and queue the rest
+
+  boosts allocate --wallet <name> [--strategy <strategy>] [--top <n>] [--safe <address>]
+      Recompute the delegation preferences' percentages from on-chain validator
+      data. Strategies: equal, commission (lower commission gets more),
+      reward_allocation (emissions sent to incentivized vaults), low_concentration
+      (little total boost gets more), top_bgt_return (the --top validators
+      emitting most BGT per boosted BGT, picked from all validators). Without
+      --strategy the wallet's stored strategy is applied again
+
+  boosts history [--wallet <name>] [--weeks <n>] [--json]
+      Show how each wallet's boosts, share of each validator's boost and claimed
+      delegation rewards changed, week by week, from the snapshots every boost
+      check (check-rewards --boosts) records
+
+  swap --wallet <name> (--tokens <SYMBOL[:amount],...> | --all) [--format <format>]
+       [--output <path>] [--execute] [--safe <address>]
+      Create a bundle swapping tokens to BERA (no amount = full balance)
+
+  compound --wallet <name> [--swap-to BERA|HONEY] [--no-boost] [--format <format>]
+           [--max-gas-percent <n|none>] [--output <path>] [--execute] [--safe <address>]
+      Claim all rewards, swap claimed tokens (except BGT) and boost the claimed
+      BGT in one bundle. With --format safe_ui the Safe's rewards are compounded.
+
+  disperse --wallet <name> --token <symbol|address> --csv <file>
+           [--format <format>] [--safe <address>] [--output <path>] [--execute]
+      Pay every recipient of a CSV of "address,amount" lines. An amount like
+      "12.5%" is a share of the sender's balance. Safe formats pay from the Safe.
+
+  daemon --wallet <name> [--format <format>] [--safe <address>] [--interval <minutes>]
+         [--min-bgt <amount>] [--min-honey <amount>] [--swap-to BERA|HONEY]
+         [--once] [--dry-run]
+      Re-check rewards on an interval and compound (claim + boost BGT) once
+      claimable BGT or HONEY crosses its threshold. Safe bundles are proposed.
+      Run logs are written to output/daemon/ (--dry-run only saves bundles)
+
+  send <file> --wallet <name> [--safe <address>] [--fee <preset>] [--max-fee <gwei>]
+       [--contract] [--contract-address <address>]
+      Sign and send a saved bundle (Safe bundles are proposed to the Safe).
+      With --contract the calls of an EOA bundle that the BeraBundle contract
+      can make for the wallet are merged into contract calls (not atomic)
+
+  simulate <file> [--wallet <name> | --from <address>] [--safe <address>]
+      Dry-run a saved bundle with eth_call and report per-call success,
+      revert reasons and gas (Safe bundles are simulated from the Safe)
+
+  safe queue [--safe <address>] [--wallet <name>] [--json]
+      List the Safe's queued transactions with nonce, confirmations versus
+      threshold, decoded calls and whether --wallet has signed
+
+  safe confirm <safeTxHash> --wallet <name>
+      Sign a queued Safe transaction as an owner
+
+  safe reject <safeTxHash> --wallet <name>
+      Propose a rejection (empty transaction with the same nonce)
+
+  safe execute <safeTxHash|file> --wallet <name> [--safe <address>]
+      Execute a proposed Safe transaction on-chain once enough owners confirmed
+      it. The owner wallet sends execTransaction with the collected signatures
+      (from the Safe Transaction Service, or from a merged SafeTx file)
+
+  safe export <bundle> [--safe <address>] [--nonce <n>] [--output <path>]
+      Write an unsigned SafeTx file for offline signing (output/safe_txs/).
+      With --nonce nothing is read from the network
+
+  safe sign <file> --wallet <name> [--output <path>]
+      Check and sign a SafeTx file locally as an owner (no network access)
+
+  safe merge <file> <file>... [--output <path>]
+      Combine the signatures of signed copies of one SafeTx file
+
+  bundles list [--type <type>] [--format <format>] [--limit <n>]
+      List saved bundles
+
+  bundles inspect <file> [--json]
+      Decode every transaction of a bundle (claims, boosts, approvals, swaps,
+      MultiSend payloads) with token symbols and formatted amounts
+
+  bundles diff <file> <file> [--json]
+      Show the calls added, removed and changed between two bundles
+
+  bundles history [--status <status>] [--wallet <name|address>] [--type <type>]
+                  [--limit <n>] [--json]
+      Show sent and proposed bundles with their status (created, sent,
+      proposed, confirmed, failed), tx hashes, Safe tx hash and blocks
+
+  bundles migrate
+      Upgrade every saved bundle to the current bundle schema version
+      (loading an older bundle upgrades it in memory only; the file is not changed)
+
+  fees [show]
+      Show the slow, normal and fast fee estimates and the preferred fee strategy
+
+  fees set <slow|normal|fast> [--max-fee <gwei|none>]
+      Set the fee strategy new EOA bundles are sent with, optionally capping
+      maxFeePerGas (EOA bundles store it and fees are computed when sending)
+
+  tx pending [--wallet <name>]
+      List transactions sent by BeraBundle that are not mined yet, by nonce
+
+  tx speed-up <hash> --wallet <name> [--bump <percent>]
+      Resend a pending transaction at the same nonce with higher EIP-1559 fees
+      (default bump: 20%, at least 10%)
+
+  tx cancel <hash> --wallet <name> [--bump <percent>]
+      Replace a pending transaction with a zero-value send to the wallet itself
+      at the same nonce
+
+  signer list
+      Show how each wallet signs: stored private key, keystore, json_rpc or external
+
+  signer set <wallet> --type keystore --keystore <path>
+  signer set <wallet> --type json_rpc --url <url>
+  signer set <wallet> --type external --command "<command>"
+      Sign for the wallet through another backend instead of a stored private key
+      (json_rpc and external signers need no password)
+
+  signer remove <wallet>
+      Sign with the wallet's stored private key again
+
+  metadata update
+      Update vaults, validators and tokens from GitHub and the OogaBooga API
+
+Common flags:
+  --format     eoa, safe_ui or safe_cli (default: eoa)
+  --password   Private key or keystore password (or set BERABUNDLE_PASSWORD)
+  --max-gas-percent
+               Leave out claims (claim, compound) whose gas would cost more than this
+               percentage of their reward value (default: 10, "none" claims everything)
+  --fee, --max-fee
+               Fee preset (slow, normal, fast) and maxFeePerGas cap in gwei for
+               send and --execute, overriding the bundle's fee strategy
+  --contract   Send EOA bundles (send, --execute) through the BeraBundle contract
+  --contract-address
+               BeraBundle contract address, implies --contract for send and --execute
+               (default: BERABUNDLE_ADDRESS)
+  --json       Write check-rewards/balances/bundles reports to stdout as versioned JSON
+  --skip-simulation
+               Send without dry-running the bundle first (simulation blocks
+               sending when any call would revert)
+`;
+
+/**
+ * Runs BeraBundle subcommands without user interaction
+ */
+class CliCommands {
+    /**
+     * Create a new CliCommands instance
+     * @param {Object} app - Initialized BeraBundle application
+     */
+    constructor(app) {
+        this.app = app;
+        this.walletRepository = app.walletRepository;
+        this.bundleRepository = app.bundleRepository;
+        this.bundleCreator = app.bundleCreator;
+        this.rewardChecker = app.rewardChecker;
+    }
+
+    /**
+     * Parse command line arguments into a command, positionals and flags
+     * @param {Array<string>} args - Arguments (without node and script path)
+     * @returns {Object} Parsed arguments {command, positional, flags}
+     */
+    static parseArgs(args) {
+        const positional = [];
+        const flags = {};
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (!arg.startsWith('--')) {
+                positional.push(arg);
+                continue;
+            }
+
+            const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+            if (inlineValue !== undefined) {
+                flags[key] = inlineValue;
+            } else if (BOOLEAN_FLAGS.includes(key) || i + 1 >= args.length || args[i + 1].startsWith('--')) {
+                flags[key] = true;
+            } else {
+                flags[key] = args[++i];
+            }
+        }
+
+        return {
+            command: positional.shift() || null,
+            positional,
+            flags
+        };
+    }
+
+    /**
+     * Check whether a command name is a known subcommand
+     * @param {string} command - Command name
+     * @returns {boolean} True if the command is supported
+     */
+    static isCommand(command) {
+        return ['check-rewards', 'balances', 'claim', 'boost', 'boosts', 'swap', 'compound', 'disperse', 'daemon', 'send', 'simulate', 'safe', 'bundles', 'fees', 'tx', 'signer', 'routes', 'metadata'].includes(command);
+    }
+
+    /**
+     * Check whether a command works without network access
+     * Offline Safe signing runs on air-gapped machines, so the app is started without RPC.
+     * @param {Object} parsed - Output of parseArgs
+     * @returns {boolean} True if the command needs no RPC or HTTP access of its own
+     */
+    static isOfflineCommand(parsed) {
+        const { command, positional, flags } = parsed;
+        if (command === 'signer' || (command === 'fees' && positional[0] === 'set')) {
+            return true;
+        }
+        if (command !== 'safe') {
+            return false;
+        }
+        return positional[0] === 'sign'
+            || positional[0] === 'merge'
+            || (positional[0] === 'export' && flags.nonce !== undefined);
+    }
+
+    /**
+     * Get the usage text for all subcommands
+     * @returns {string} Usage text
+     */
+    static getUsage() {
+        return USAGE;
+    }
+
+    /**
+     * Run a parsed command
+     * @param {Object} parsed - Output of parseArgs
+     * @returns {Promise<number>} Process exit code
+     */
+    async run(parsed) {
+        const { command, positional, flags } = parsed;
+        let result;
+
+        try {
+            switch (command) {
+                case 'check-rewards':
+                    result = await this.checkRewards(flags);
+                    break;
+                case 'balances':
+                    result = await this.balances(flags);
+                    break;
+                case 'claim':
+                    result = await this.claim(flags);
+                    break;
+                case 'boost':
+                    result = await this.boost(flags);
+                    break;
+                case 'swap':
+                    result = await this.swap(flags);
+                    break;
+                case 'boosts':
+                    result = await this.boosts(positional, flags);
+                    break;
+                case 'compound':
+                    result = await this.compound(flags);
+                    break;
+                case 'disperse':
+                    result = await this.disperse(flags);
+                    break;
+                case 'daemon':
+                    result = await this.daemon(flags);
+                    break;
+                case 'send':
+                    result = await this.send(positional[0], flags);
+                    break;
+                case 'simulate':
+                    result = await this.simulate(positional[0], flags);
+                    break;
+                case 'safe':
+                    result = await this.safe(positional, flags);
+                    break;
+                case 'bundles':
+                    result = await this.bundles(positional, flags);
+                    break;
+                case 'fees':
+                    result = await this.fees(positional, flags);
+                    break;
+                case 'tx':
+                    result = await this.tx(positional, flags);
+                    break;
+                case 'signer':
+                    result = await this.signer(positional, flags);
+                    break;
+                case 'routes':
+                    result = await this.routes(positional, flags);
+                    break;
+                case 'metadata':
+                    result = positional[0] === 'update'
+                        ? await this.updateMetadata()
+                        : { success: false, message: `Unknown metadata command: ${positional[0] || '(none)'}` };
+                    break;
+                default:
+                    result = { success: false, message: `Unknown command: ${command}` };
+            }
+        } catch (error) {
+            ErrorHandler.handle(error, `CliCommands.run - ${command}`);
+            result = { success: false, message: error.message };
+        }
+
+        if (!result.success) {
+            console.error(`\n❌ ${result.message}`);
+            if (flags.json) {
+                JsonOutput.write(ReportType.ERROR, { command, message: result.message });
+            }
+            return 1;
+        }
+
+        if (result.message) {
+            console.log(`\n✅ ${result.message}`);
+        }
+        return 0;
+    }
+
+    /**
+     * Resolve a wallet by name
+     * @param {string} name - Wallet name from --wallet
+     * @returns {Object} Wallet {name, address}
+     * @throws {Error} If the wallet is missing or unknown
+     */
+    resolveWallet(name) {
+        if (!name || name === true) {
+            throw ErrorHandler.createValidationError("--wallet <name> is required");
+        }
+
+        const address = this.walletRepository.getWalletByName(name);
+        if (!address) {
+            throw ErrorHandler.createValidationError(`Wallet "${name}" not found`);
+        }
+
+        return { name, address };
+    }
+
+    /**
+     * Resolve the output format from --format
+     * @param {string} format - Format flag value
+     * @param {Array<string>} allowed - Allowed formats
+     * @returns {string} Output format
+     * @throws {Error} If the format is not allowed
+     */
+    resolveFormat(format, allowed = Object.values(OutputFormat)) {
+        const value = format || OutputFormat.EOA;
+        if (!allowed.includes(value)) {
+            throw ErrorHandler.createValidationError(`Unsupported format "${value}" (expected ${allowed.join(', ')})`);
+        }
+        return value;
+    }
+
+    /**
+     * Get the private key password from flags or the environment
+     * Wallets that sign through a json_rpc or external signer need no password.
+     * @param {Object} flags - Parsed flags
+     * @param {Object} wallet - Wallet {name, address} that signs
+     * @returns {Promise<string|null>} Password, or null if the wallet's signer doesn't use one
+     * @throws {Error} If no password was supplied
+     */
+    async resolvePassword(flags, wallet) {
+        const password = typeof flags.password === 'string' ? flags.password : process.env.BERABUNDLE_PASSWORD;
+        if (!password && !(await this.walletRepository.requiresPassword(wallet.name))) {
+            return null;
+        }
+        if (!password) {
+            throw ErrorHandler.createValidationError("A password is required to sign (use --password or BERABUNDLE_PASSWORD)");
+        }
+        return password;
+    }
+
+    /**
+     * Get the fee strategy from --fee and --max-fee
+     * Missing parts come from the preferred fee strategy.
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object|null>} Fee strategy {preset, maxFeeCap}, or null to use the bundle's
+     * @throws {Error} If the preset or cap is invalid
+     */
+    async resolveFeeStrategy(flags) {
+        if (flags.fee === undefined && flags['max-fee'] === undefined) {
+            return null;
+        }
+
+        const preferred = await FeeOracle.loadPreferredStrategy();
+        const maxFeeCap = flags['max-fee'] === undefined ? preferred.maxFeeCap : flags['max-fee'];
+        return FeeOracle.createStrategy(
+            flags.fee === undefined ? preferred.preset : flags.fee,
+            maxFeeCap === 'none' ? null : maxFeeCap
+        );
+    }
+
+    /**
+     * Get the BeraBundle contract option from --contract and --contract-address
+     * @param {Object} flags - Parsed flags
+     * @returns {boolean|string|undefined} Contract address, true for the configured one, or undefined to send directly
+     */
+    resolveContract(flags) {
+        if (typeof flags['contract-address'] === 'string') {
+            return flags['contract-address'];
+        }
+        return flags.contract ? true : undefined;
+    }
+
+    /**
+     * Copy a saved bundle to the path given with --output
+     * @param {string} filepath - Saved bundle path
+     * @param {string} output - Output path from flags
+     * @returns {Promise<void>}
+     */
+    async copyToOutput(filepath, output) {
+        if (!output || output === true) {
+            return;
+        }
+
+        await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+        await fs.copyFile(filepath, output);
+        console.log(`Bundle copied to ${output}`);
+    }
+
+    /**
+     * Save, copy and optionally execute a created bundle
+     * @param {Object} bundle - Bundle with filepath and summary
+     * @param {Object} wallet - Wallet {name, address}
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async finishBundle(bundle, wallet, flags) {
+        console.log(`\nBundle saved to ${bundle.filepath}`);
+        await this.copyToOutput(bundle.filepath, flags.output);
+
+        if (!flags.execute) {
+            return { success: true, message: "Bundle created" };
+        }
+
+        console.log(`\nSigning and sending bundle with ${wallet.name}...`);
+        const result = await this.app.transactionService.executeBundle(bundle, {
+            walletName: wallet.name,
+            password: await this.resolvePassword(flags, wallet),
+            safeAddress: flags.safe,
+            simulate: !flags['skip-simulation'],
+            feeStrategy: await this.resolveFeeStrategy(flags),
+            contract: this.resolveContract(flags)
+        });
+
+        if (result.success && result.transactionUrl) {
+            console.log(`Safe transaction: ${result.transactionUrl}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Resolve --wallet to a single wallet, or all wallets when omitted
+     * @param {Object} flags - Parsed flags
+     * @returns {Array<Object>} Wallets [{name, address}]
+     */
+    resolveWallets(flags) {
+        if (flags.wallet) {
+            return [this.resolveWallet(flags.wallet)];
+        }
+        return Object.entries(this.walletRepository.getWallets()).map(([name, address]) => ({ name, address }));
+    }
+
+    /**
+     * check-rewards: print claimable rewards for one or all wallets
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async checkRewards(flags) {
+        const wallets = this.resolveWallets(flags);
+
+        if (wallets.length === 0) {
+            return { success: false, message: "No wallets found. Add a wallet first." };
+        }
+
+        const reports = [];
+
+        for (const wallet of wallets) {
+            console.log(`\nWallet: ${wallet.name} (${wallet.address})`);
+            console.log("───────────────────────────────────────");
+
+            if (!flags.json) {
+                console.log(await this.rewardChecker.checkAllRewards(wallet.address, true, false, null, !!flags.boosts));
+                continue;
+            }
+
+            // Raw checks throw when they fail, so a failure is never reported as no rewards
+            let result;
+            try {
+                result = await this.rewardChecker.checkAllRewards(wallet.address, true, true, null, !!flags.boosts);
+            } catch (error) {
+                return { success: false, message: `Failed to check rewards for ${wallet.name}: ${error.message}` };
+            }
+
+            reports.push({
+                name: wallet.name,
+                address: wallet.address,
+                rewards: result.rewards,
+                validatorBoosts: result.validatorBoosts
+            });
+        }
+
+        if (flags.json) {
+            JsonOutput.write(ReportType.REWARDS, {
+                includesValidatorBoosts: !!flags.boosts,
+                wallets: reports
+            });
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * balances: print token balances for one or all wallets
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async balances(flags) {
+        const wallets = this.resolveWallets(flags);
+
+        if (wallets.length === 0) {
+            return { success: false, message: "No wallets found. Add a wallet first." };
+        }
+
+        const reports = [];
+
+        for (const wallet of wallets) {
+            const balanceData = await this.app.tokenService.getTokenBalances(wallet.address);
+
+            if (balanceData.error) {
+                return { success: false, message: `Failed to fetch balances for ${wallet.name}: ${balanceData.error}` };
+            }
+
+            if (flags.json) {
+                reports.push({ name: wallet.name, address: wallet.address, ...balanceData });
+                continue;
+            }
+
+            console.log(`\nWallet: ${wallet.name} (${wallet.address})`);
+            console.log("───────────────────────────────────────");
+            [...balanceData.tokens]
+                .sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0))
+                .forEach(token => {
+                    console.log(`${token.symbol.padEnd(18)}${token.formattedBalance.padEnd(20)}${token.formattedValueUsd}`);
+                });
+            console.log(`Total Value: ${balanceData.formattedTotalValueUsd} (${balanceData.formattedTotalValueBera})`);
+        }
+
+        if (flags.json) {
+            JsonOutput.write(ReportType.BALANCES, { wallets: reports });
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * claim: create (and optionally send) a claim bundle
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async claim(flags) {
+        if (flags.all) {
+            return this.claimPortfolio(flags);
+        }
+
+        const wallet = this.resolveWallet(flags.wallet);
+        const format = this.resolveFormat(flags.format);
+        const recipient = flags.recipient || wallet.address;
+
+        if (!this.walletRepository.constructor.isValidAddress(recipient)) {
+            return { success: false, message: `Invalid recipient address: ${recipient}` };
+        }
+
+        console.log(`Checking rewards for ${wallet.name} (${wallet.address})...`);
+        const rewardInfo = await this.rewardChecker.checkAllRewards(wallet.address, true, true, null, false);
+        const rewards = rewardInfo.rewards || rewardInfo;
+        const claimableRewards = rewards.filter(item => item.earned && parseFloat(item.earned) > 0);
+
+        if (claimableRewards.length === 0) {
+            return { success: true, message: "No rewards to claim for this wallet" };
+        }
+
+        const bundle = await this.bundleCreator.createBundle(BundleType.CLAIM, {
+            rewardInfo: claimableRewards,
+            userAddress: wallet.address,
+            recipientAddress: recipient,
+            format,
+            name: wallet.name,
+            redelegate: !!flags.redelegate,
+            maxGasPercent: GasCostEstimator.parseMaxPercent(flags['max-gas-percent']),
+            routes: flags['no-routes'] ? [] : undefined
+        });
+
+        if (!bundle.success) {
+            return { success: false, message: bundle.message };
+        }
+
+        console.log(`Rewards: ${bundle.summary.rewardSummary}`);
+        bundle.summary.routing
+            .filter(route => route.recipient.toLowerCase() !== wallet.address.toLowerCase())
+            .forEach(route => console.log(`- ${route.name}: ${route.amount} ${route.token} → ${route.recipient}${route.routedBy ? ` (rule: ${route.routedBy})` : ''}`));
+        if (bundle.summary.skippedSources.length > 0) {
+            console.log(`Skipped (gas above reward value limit): ${bundle.summary.skippedSources.map(source => source.name).join(', ')}`);
+        }
+        console.log(`Total transactions: ${bundle.summary.totalTransactions}`);
+
+        return this.finishBundle(bundle, wallet, flags);
+    }
+
+    /**
+     * claim --all: create one claim bundle per wallet and a combined summary
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async claimPortfolio(flags) {
+        const wallets = this.resolveWallets({});
+        const format = this.resolveFormat(flags.format);
+        const recipient = typeof flags.recipient === 'string' ? flags.recipient : null;
+
+        if (wallets.length === 0) {
+            return { success: false, message: "No wallets found. Add a wallet first." };
+        }
+
+        if (recipient && !this.walletRepository.constructor.isValidAddress(recipient)) {
+            return { success: false, message: `Invalid recipient address: ${recipient}` };
+        }
+
+        const portfolioScanner = new PortfolioScanner(this.rewardChecker, this.bundleCreator.getClaimBundler());
+
+        console.log(`Scanning ${wallets.length} wallets for claimable rewards...`);
+        const scan = await portfolioScanner.scanWallets(wallets);
+        console.log(this.app.uiHandler.formatPortfolioSummary(scan));
+
+        const scanFailure = scan.failedWallets.length > 0
+            ? `${scan.failedWallets.length} wallets could not be scanned (${scan.failedWallets.map(wallet => `${wallet.name}: ${wallet.error}`).join('; ')})`
+            : null;
+
+        if (Object.keys(scan.totalsByToken).length === 0) {
+            return scanFailure
+                ? { success: false, message: scanFailure }
+                : { success: true, message: "No rewards to claim in any wallet" };
+        }
+
+        const result = await portfolioScanner.createClaimBundles(scan, format, {
+            recipient,
+            redelegate: !!flags.redelegate,
+            maxGasPercent: GasCostEstimator.parseMaxPercent(flags['max-gas-percent']),
+            routes: flags['no-routes'] ? [] : undefined
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        console.log(`\nCombined summary saved to ${result.summaryFilepath}`);
+        await this.copyToOutput(result.summaryFilepath, flags.output);
+
+        if (flags.execute) {
+            for (const bundle of result.bundles.filter(b => b.success)) {
+                const sendResult = await this.finishBundle(bundle, { name: bundle.name, address: bundle.address }, { ...flags, output: null });
+                if (!sendResult.success) {
+                    return { success: false, message: `${bundle.name}: ${sendResult.message}` };
+                }
+            }
+        }
+
+        const failed = result.bundles.find(bundle => !bundle.success);
+        if (failed) {
+            return { success: false, message: `${result.message} (${failed.name}: ${failed.message})` };
+        }
+        return scanFailure
+            ? { success: false, message: `${result.message}, but ${scanFailure}` }
+            : { success: true, message: result.message };
+    }
+
+    /**
+     * boost: create (and optionally send) a validator boost bundle
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async boost(flags) {
+        const wallet = this.resolveWallet(flags.wallet);
+        const format = this.resolveFormat(flags.format);
+
+        if (!flags.amount || isNaN(parseFloat(flags.amount))) {
+            return { success: false, message: "--amount <bgt> is required" };
+        }
+
+        // Delegation preferences are only loaded by the interactive menu otherwise
+        await this.bundleCreator.getBoostBundler().initialize();
+
+        const boostResult = await this.bundleCreator.createBundle(BundleType.BOOST, {
+            userAddress: wallet.address,
+            bgtAmount: flags.amount,
+            format
+        });
+
+        if (!boostResult.success) {
+            return { success: false, message: boostResult.message };
+        }
+
+        // Format and save with the same helpers used for claim bundles
+        const claimBundler = this.bundleCreator.getClaimBundler();
+        const bundleData = await claimBundler.formatTransactions(
+            boostResult.transactions,
+            format,
+            wallet.address,
+            wallet.name
+        );
+
+        const saveResult = await this.bundleRepository.saveBundle(bundleData, wallet.name, 'boosts', format);
+        if (!saveResult.success) {
+            return { success: false, message: `Failed to save bundle: ${saveResult.error}` };
+        }
+
+        boostResult.transactions.forEach(tx => {
+            console.log(`- ${tx.metadata.validatorName}: ${tx.metadata.amount} BGT (${tx.metadata.allocation}%)`);
+        });
+
+        const bundle = {
+            success: true,
+            filepath: saveResult.filepath,
+            bundleData,
+            summary: {
+                vaultCount: 0,
+                hasBGTStaker: false,
+                rewardSummary: `${flags.amount} BGT boost`,
+                redelegationCount: boostResult.transactions.length,
+                totalTransactions: boostResult.transactions.length,
+                format,
+                includesRedelegation: true
+            }
+        };
+
+        return this.finishBundle(bundle, wallet, flags);
+    }
+
+    /**
+     * boosts: dispatch queued boost subcommands
+     * @param {Array<string>} positional - Subcommand
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async boosts(positional, flags) {
+        const [subcommand] = positional;
+
+        switch (subcommand) {
+            case 'activate':
+                return this.activateBoosts(flags);
+            case 'rebalance':
+                return this.rebalanceBoosts(flags);
+            case 'allocate':
+                return this.allocateBoosts(flags);
+            case 'history':
+                return this.boostsHistory(flags);
+            default:
+                return { success: false, message: `Unknown boosts command: ${subcommand || '(none)'}` };
+        }
+    }
+
+    /**
+     * boosts activate: create (and optionally send) a bundle activating ready queued boosts
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async activateBoosts(flags) {
+        const wallet = this.resolveWallet(flags.wallet);
+        const format = this.resolveFormat(flags.format);
+
+        // Safe bundles activate the Safe's boosts
+        let address = wallet.address;
+        if (format === OutputFormat.SAFE_UI || format === OutputFormat.SAFE_CLI) {
+            address = typeof flags.safe === 'string' ? flags.safe : config.currentNetwork.safe.defaultSafeAddress;
+            if (!address || !this.walletRepository.constructor.isValidAddress(address)) {
+                return { success: false, message: "--safe <address> is required to activate a Safe's boosts" };
+            }
+        }
+
+        console.log(`Checking queued boosts for ${address}...`);
+        const bundle = await this.bundleCreator.createBundle(BundleType.ACTIVATION, {
+            userAddress: address,
+            format,
+            name: wallet.name
+        });
+
+        const waiting = bundle.summary ? bundle.summary.waiting : [];
+        waiting.forEach(boost => console.log(`- ${boost.name}: ${boost.amount} BGT waits ${boost.blocksLeft} more blocks`));
+
+        if (!bundle.success) {
+            return { success: false, message: bundle.message };
+        }
+
+        bundle.summary.activations.forEach(boost => console.log(`- ${boost.name}: activate ${boost.amount} BGT`));
+        console.log(`Total transactions: ${bundle.summary.totalTransactions}`);
+
+        return this.finishBundle(bundle, wallet, flags);
+    }
+
+    /**
+     * boosts rebalance: create (and optionally send) a bundle moving boosts to the preferred allocations
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async rebalanceBoosts(flags) {
+        const wallet = this.resolveWallet(flags.wallet);
+        const format = this.resolveFormat(flags.format);
+
+        // Safe bundles rebalance the Safe's boosts by the Safe's preferences
+        let address = wallet.address;
+        if (format === OutputFormat.SAFE_UI || format === OutputFormat.SAFE_CLI) {
+            address = typeof flags.safe === 'string' ? flags.safe : config.currentNetwork.safe.defaultSafeAddress;
+            if (!address || !this.walletRepository.constructor.isValidAddress(address)) {
+                return { success: false, message: "--safe <address> is required to rebalance a Safe's boosts" };
+            }
+        }
+
+        console.log(`Planning boost rebalance for ${address}...`);
+        const bundle = await this.bundleCreator.createBundle(BundleType.REBALANCE, {
+            userAddress: address,
+            format,
+            name: wallet.name
+        });
+
+        if (bundle.summary && bundle.summary.plan) {
+            console.log(`Boosted: ${bundle.summary.totalBoosted} BGT`);
+            console.log(bundle.summary.plan);
+        }
+
+        if (!bundle.success) {
+            // A plan without operations is not an error: there is just nothing to send
+            return { success: !!bundle.summary, message: bundle.message };
+        }
+
+        console.log(`Total transactions: ${bundle.summary.totalTransactions}`);
+        return this.finishBundle(bundle, wallet, flags);
+    }
+
+    /**
+     * boosts allocate: recompute the delegation preferences with an allocation strategy
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async allocateBoosts(flags) {
+        const wallet = this.resolveWallet(flags.wallet);
+
+        // --safe sets the Safe's preferences, which Safe boost bundles use
+        let address = wallet.address;
+        if (flags.safe !== undefined) {
+            address = typeof flags.safe === 'string' ? flags.safe : config.currentNetwork.safe.defaultSafeAddress;
+            if (!address || !this.walletRepository.constructor.isValidAddress(address)) {
+                return { success: false, message: "--safe <address> is not a valid address" };
+            }
+        }
+
+        const strategy = typeof flags.strategy === 'string' ? flags.strategy : undefined;
+        if (strategy) {
+            AllocationStrategies.get(strategy);
+        }
+        let topN;
+        if (flags.top !== undefined) {
+            topN = parseInt(flags.top);
+            if (!(topN > 0)) {
+                return { success: false, message: "--top must be a positive number of validators" };
+            }
+        }
+
+        const redelegationManager = this.bundleCreator.getBoostBundler();
+        await redelegationManager.initialize();
+
+        console.log(`Scoring validators for ${address}...`);
+        const userPrefs = await redelegationManager.recomputeAllocations(address, { strategy, topN });
+
+        userPrefs.validators.forEach(validator => {
+            console.log(`- ${validator.name}: ${userPrefs.allocations[validator.pubkey]}%`);
+        });
+
+        return {
+            success: true,
+            message: `Allocations set by the ${userPrefs.strategy.name} strategy. Run "boosts rebalance" to move existing boosts`
+        };
+    }
+
+    /**
+     * boosts history: report the weekly boost snapshots of one or all wallets
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async boostsHistory(flags) {
+        const wallets = this.resolveWallets(flags);
+
+        if (wallets.length === 0) {
+            return { success: false, message: "No wallets found. Add a wallet first." };
+        }
+
+        let weeks;
+        if (flags.weeks !== undefined) {
+            weeks = parseInt(flags.weeks);
+            if (!(weeks > 0)) {
+                return { success: false, message: "--weeks must be a positive number of weeks" };
+            }
+        }
+
+        const reports = [];
+        const amount = value => parseFloat(value).toFixed(2);
+
+        for (const wallet of wallets) {
+            const history = await this.rewardChecker.boostHistory.getWeeklyHistory(wallet.address, { weeks });
+            reports.push({ name: wallet.name, address: wallet.address, weeks: history });
+
+            if (flags.json) {
+                continue;
+            }
+
+            console.log(`
+📈 ${wallet.name} (${wallet.address})`);
+            console.log("───────────────────────────────────────");
+
+            if (history.length === 0) {
+                console.log("No boost snapshots yet. Run check-rewards --boosts to record one.");
+                continue;
+            }
+
+            history.forEach(({ week, snapshot, delegationRewards }) => {
+                const claimed = Object.values(delegationRewards).map(claim => `${parseFloat(claim.amount).toFixed(4)} ${claim.symbol}`);
+                console.log(`Week of ${week}: ${amount(snapshot.totalBoosted)} BGT boosted, ${amount(snapshot.totalQueued)} BGT queued` +
+                    (claimed.length > 0 ? `, claimed ${claimed.join(', ')}` : ''));
+
+                snapshot.validators.forEach(validator => {
+                    const normalized = validator.normalizedBoost !== null ? `, ${validator.normalizedBoost}% of all boosts` : '';
+                    const queued = parseFloat(validator.queued) > 0 ? ` + ${amount(validator.queued)} queued` : '';
+                    console.log(`  - ${validator.name}: ${amount(validator.boosted)} BGT${queued} (${validator.share}% of its boost${normalized})`);
+                });
+            });
+
+            if (history.length > 1) {
+                const first = history[0].snapshot;
+                const last = history[history.length - 1].snapshot;
+                console.log(`\nChange since the week of ${history[0].week}: ${amount(first.totalBoosted)} → ${amount(last.totalBoosted)} BGT boosted`);
+
+                const pubkeys = new Set([...first.validators, ...last.validators].map(validator => validator.pubkey));
+                pubkeys.forEach(pubkey => {
+                    const before = first.validators.find(validator => validator.pubkey === pubkey);
+                    const after = last.validators.find(validator => validator.pubkey === pubkey);
+                    const name = (after || before).name;
+                    console.log(`  - ${name}: ${amount(before ? before.boosted : 0)} → ${amount(after ? after.boosted : 0)} BGT, ` +
+                        `share ${before ? before.share : '0'}% → ${after ? after.share : '0'}%`);
+                });
+            }
+        }
+
+        if (flags.json) {
+            JsonOutput.write(ReportType.BOOST_HISTORY, { wallets: reports });
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * swap: create (and optionally send) a bundle swapping tokens to BERA
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async swap(flags) {
+        const wallet = this.resolveWallet(flags.wallet);
+        const format = this.resolveFormat(flags.format, [OutputFormat.EOA, OutputFormat.SAFE_UI]);
+
+        if (!flags.tokens && !flags.all) {
+            return { success: false, message: "--tokens <SYMBOL[:amount],...> or --all is required" };
+        }
+
+        console.log(`Fetching token balances for ${wallet.name} (${wallet.address})...`);
+        const balanceData = await this.app.tokenService.getTokenBalances(wallet.address);
+
+        if (balanceData.error) {
+            return { success: false, message: balanceData.error };
+        }
+
+        // Same eligibility rules as the interactive swap flow
+        const MIN_VALUE_USD = 1.00;
+        const swappable = balanceData.tokens.filter(token =>
+            parseFloat(token.balance) > 0 && token.address !== 'native' && token.symbol !== 'BERA'
+        );
+
+        let tokensToSwap;
+        if (flags.all) {
+            tokensToSwap = swappable
+                .filter(token => token.valueUsd && token.valueUsd >= MIN_VALUE_USD)
+                .map(token => ({ ...token, amount: token.balance }));
+        } else {
+            tokensToSwap = [];
+            for (const entry of String(flags.tokens).split(',')) {
+                const [symbol, amount] = entry.trim().split(':');
+                const token = swappable.find(t => t.symbol.toLowerCase() === symbol.toLowerCase());
+
+                if (!token) {
+                    return { success: false, message: `No ${symbol} balance to swap` };
+                }
+
+                if (amount !== undefined && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0 ||
+                    parseFloat(amount) > parseFloat(token.balance))) {
+                    return { success: false, message: `Invalid amount for ${symbol}: ${amount} (balance ${token.formattedBalance})` };
+                }
+
+                tokensToSwap.push({ ...token, amount: amount !== undefined ? amount : token.balance });
+            }
+        }
+
+        if (tokensToSwap.length === 0) {
+            return { success: true, message: "No tokens available for swapping" };
+        }
+
+        const bundle = await this.bundleCreator.createBundle(BundleType.SWAP, {
+            walletAddress: wallet.address,
+            tokens: tokensToSwap,
+            format,
+            name: wallet.name
+        });
+
+        if (!bundle.success) {
+            return { success: false, message: bundle.message };
+        }
+
+        tokensToSwap.forEach(token => console.log(`- ${token.amount} ${token.symbol}`));
+        console.log(`Expected output: ${bundle.formattedTotalExpectedBera}`);
+
+        return this.finishBundle(bundle, wallet, flags);
+    }
+
+    /**
+     * Resolve the swap target from --swap-to
+     * @param {string} swapTo - Swap target flag value
+     * @returns {string|null} Swap target key, or null when not swapping
+     * @throws {Error} If the target is not supported
+     */
+    resolveSwapTarget(swapTo) {
+        if (swapTo === undefined) {
+            return null;
+        }
+
+        const target = String(swapTo).toUpperCase();
+        if (!SwapTarget[target]) {
+            throw ErrorHandler.createValidationError(`Unsupported --swap-to "${swapTo}" (expected ${Object.keys(SwapTarget).join(', ')})`);
+        }
+        return target;
+    }
+
+    /**
+     * compound: claim, optionally swap and boost in one bundle
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async compound(flags) {
+        const wallet = this.resolveWallet(flags.wallet);
+        const format = this.resolveFormat(flags.format);
+        const swapTo = this.resolveSwapTarget(flags['swap-to']);
+        let address = wallet.address;
+
+        // Safe bundles compound the Safe's own stakes
+        if (format !== OutputFormat.EOA) {
+            address = typeof flags.safe === 'string' ? flags.safe : config.currentNetwork.safe.defaultSafeAddress;
+            if (!address || !this.walletRepository.constructor.isValidAddress(address)) {
+                return { success: false, message: "--safe <address> is required for Safe compound bundles" };
+            }
+        }
+
+        console.log(`Checking rewards for ${address}...`);
+        const rewardInfo = await this.rewardChecker.checkAllRewards(address, true, true, null, false);
+        const rewards = rewardInfo.rewards || rewardInfo;
+        const claimableRewards = rewards.filter(item => item.earned && parseFloat(item.earned) > 0);
+
+        if (claimableRewards.length === 0) {
+            return { success: true, message: "No rewards to claim" };
+        }
+
+        const totals = PortfolioScanner.totalByToken(claimableRewards);
+        const bundle = await this.bundleCreator.createBundle(BundleType.COMPOUND, {
+            rewardInfo: claimableRewards,
+            userAddress: address,
+            format,
+            name: wallet.name,
+            bgtAmount: flags['no-boost'] ? 0 : (totals.BGT || 0),
+            swapTo,
+            maxGasPercent: GasCostEstimator.parseMaxPercent(flags['max-gas-percent'])
+        });
+
+        if (!bundle.success) {
+            return { success: false, message: bundle.message };
+        }
+
+        console.log(`Rewards: ${bundle.summary.rewardSummary}`);
+        if (bundle.summary.skippedSources.length > 0) {
+            console.log(`Skipped (gas above reward value limit): ${bundle.summary.skippedSources.map(source => source.name).join(', ')}`);
+        }
+        if (bundle.summary.swapCount > 0) {
+            console.log(`Swaps: ${bundle.summary.swapCount} (expected ${bundle.summary.expectedSwapOutput})`);
+        }
+        console.log(`Boosts: ${bundle.summary.redelegationCount}`);
+        console.log(`Total transactions: ${bundle.summary.totalTransactions}`);
+
+        return this.finishBundle(bundle, wallet, flags);
+    }
+
+    /**
+     * disperse: pay the recipients of a CSV from the wallet or a Safe
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async disperse(flags) {
+        const wallet = this.resolveWallet(flags.wallet);
+        const format = this.resolveFormat(flags.format);
+
+        if (typeof flags.csv !== 'string' || typeof flags.token !== 'string') {
+            return { success: false, message: "--csv <file> and --token <symbol|address> are required" };
+        }
+
+        // Safe bundles pay from the Safe's balance
+        let address = wallet.address;
+        if (format === OutputFormat.SAFE_UI || format === OutputFormat.SAFE_CLI) {
+            address = typeof flags.safe === 'string' ? flags.safe : config.currentNetwork.safe.defaultSafeAddress;
+            if (!address || !this.walletRepository.constructor.isValidAddress(address)) {
+                return { success: false, message: "--safe <address> is required for Safe disperse bundles" };
+            }
+        }
+
+        const recipients = await DisperseBundler.readCsv(flags.csv);
+        const bundle = await this.bundleCreator.createBundle(BundleType.DISPERSE, {
+            recipients,
+            token: flags.token,
+            fromAddress: address,
+            format,
+            name: wallet.name
+        });
+
+        if (!bundle.success) {
+            return { success: false, message: bundle.message };
+        }
+
+        bundle.summary.recipients.forEach(recipient => console.log(
+            `- ${recipient.address}: ${recipient.amount} ${bundle.summary.token}${recipient.percent !== null ? ` (${recipient.percent}%)` : ''}`
+        ));
+        console.log(`Total: ${bundle.summary.totalAmount} ${bundle.summary.token} of ${bundle.summary.balance} to ${bundle.summary.recipientCount} recipients`);
+        if (parseFloat(bundle.summary.gasReserve) > 0) {
+            console.log(`Reserved for gas: ${bundle.summary.gasReserve} ${bundle.summary.token}`);
+        }
+        console.log(`Total transactions: ${bundle.summary.totalTransactions}`);
+
+        return this.finishBundle(bundle, wallet, flags);
+    }
+
+    /**
+     * daemon: scheduled claim-and-compound runs
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async daemon(flags) {
+        const wallet = this.resolveWallet(flags.wallet);
+        const format = this.resolveFormat(flags.format, [OutputFormat.EOA, OutputFormat.SAFE_UI]);
+        const thresholds = {};
+
+        for (const [flag, symbol] of [['min-bgt', 'BGT'], ['min-honey', 'HONEY']]) {
+            if (flags[flag] === undefined) {
+                continue;
+            }
+            if (isNaN(parseFloat(flags[flag])) || parseFloat(flags[flag]) < 0) {
+                return { success: false, message: `Invalid --${flag}: ${flags[flag]}` };
+            }
+            thresholds[symbol] = parseFloat(flags[flag]);
+        }
+
+        const swapTo = this.resolveSwapTarget(flags['swap-to']);
+
+        if (flags.interval !== undefined && !(parseFloat(flags.interval) > 0)) {
+            return { success: false, message: `Invalid --interval: ${flags.interval}` };
+        }
+
+        const daemon = new CompoundDaemon(this.app, {
+            walletName: wallet.name,
+            password: flags['dry-run'] ? null : await this.resolvePassword(flags, wallet),
+            format,
+            safeAddress: flags.safe,
+            intervalMinutes: flags.interval ? parseFloat(flags.interval) : undefined,
+            thresholds,
+            swapTo,
+            execute: !flags['dry-run'],
+            simulate: !flags['skip-simulation']
+        });
+
+        if (flags.once) {
+            const run = await daemon.runOnce();
+            return run.status === RunStatus.FAILED
+                ? { success: false, message: `Compound run failed: ${run.error}` }
+                : { success: true, message: `Compound run ${run.status} (log: ${run.logFile})` };
+        }
+
+        await daemon.start();
+        return { success: true, message: "Compound daemon stopped" };
+    }
+
+    /**
+     * Resolve a bundle argument to a file path
+     * Accepts either a path or a filename inside the output directory.
+     * @param {string} file - Bundle path or filename
+     * @returns {Promise<string>} Bundle file path
+     */
+    async resolveBundlePath(file) {
+        const filepath = path.resolve(file);
+        try {
+            await fs.access(filepath);
+            return filepath;
+        } catch (error) {
+            return path.join(config.paths.outputDir, file);
+        }
+    }
+
+    /**
+     * Load a saved bundle file and prepare it for sending
+     * @param {string} file - Bundle path or filename in the output directory
+     * @returns {Promise<Object>} Result {success, format, bundle, filepath, message}
+     */
+    async loadBundleFile(file) {
+        const filepath = await this.resolveBundlePath(file);
+        const bundleData = await this.bundleRepository.readBundleFile(filepath);
+        return { ...this.bundleRepository.prepareBundleForSending(bundleData, filepath), filepath };
+    }
+
+    /**
+     * send: sign and send a saved bundle file
+     * @param {string} file - Bundle path or filename in the output directory
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async send(file, flags) {
+        if (!file) {
+            return { success: false, message: "Usage: send <file> --wallet <name>" };
+        }
+
+        const wallet = this.resolveWallet(flags.wallet);
+        const prepared = await this.loadBundleFile(file);
+
+        if (!prepared.success) {
+            return { success: false, message: prepared.message };
+        }
+
+        console.log(`Sending ${prepared.format} bundle ${path.basename(prepared.filepath)} with ${wallet.name}...`);
+        return this.app.transactionService.executeBundle(prepared.bundle, {
+            walletName: wallet.name,
+            password: await this.resolvePassword(flags, wallet),
+            safeAddress: flags.safe,
+            simulate: !flags['skip-simulation'],
+            feeStrategy: await this.resolveFeeStrategy(flags),
+            contract: this.resolveContract(flags)
+        });
+    }
+
+    /**
+     * simulate: dry-run a saved bundle file without signing anything
+     * Safe bundles run from the Safe; EOA bundles from --from or the --wallet address.
+     * @param {string} file - Bundle path or filename in the output directory
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async simulate(file, flags) {
+        if (!file) {
+            return { success: false, message: "Usage: simulate <file> [--wallet <name> | --from <address>]" };
+        }
+
+        const prepared = await this.loadBundleFile(file);
+        if (!prepared.success) {
+            return { success: false, message: prepared.message };
+        }
+
+        let from;
+        if (prepared.format === 'safe_ui' || prepared.format === 'safe_cli') {
+            from = typeof flags.safe === 'string' ? flags.safe : config.currentNetwork.safe.defaultSafeAddress;
+        } else if (typeof flags.from === 'string') {
+            from = flags.from;
+        } else if (flags.wallet) {
+            from = this.resolveWallet(flags.wallet).address;
+        }
+
+        if (!from || !this.walletRepository.constructor.isValidAddress(from)) {
+            throw ErrorHandler.createValidationError(
+                prepared.format === 'eoa'
+                    ? "--wallet <name> or --from <address> is required to simulate an EOA bundle"
+                    : "A valid --safe <address> is required to simulate a Safe bundle"
+            );
+        }
+
+        const transactions = SimulationAdapter.extractTransactions(prepared.bundle);
+        const result = await this.app.transactionService.simulator.simulateAndReport(transactions, from);
+
+        return { success: result.success, message: result.message };
+    }
+
+    /**
+     * safe: dispatch Safe transaction subcommands
+     * @param {Array<string>} positional - Subcommand and its arguments
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async safe(positional, flags) {
+        const [subcommand, ...args] = positional;
+
+        switch (subcommand) {
+            case 'queue':
+                return this.safeQueue(flags);
+            case 'confirm':
+                return this.confirmSafeTransaction(args[0], flags);
+            case 'reject':
+                return this.rejectSafeTransaction(args[0], flags);
+            case 'execute':
+                return this.executeSafeTransaction(args[0], flags);
+            case 'export':
+                return this.exportSafeTransaction(args[0], flags);
+            case 'sign':
+                return this.signSafeTransactionFile(args[0], flags);
+            case 'merge':
+                return this.mergeSafeTransactionFiles(args, flags);
+            default:
+                return { success: false, message: `Unknown safe command: ${subcommand || '(none)'}` };
+        }
+    }
+
+    /**
+     * safe queue: list the transactions waiting in a Safe
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async safeQueue(flags) {
+        const safeAddress = typeof flags.safe === 'string' ? flags.safe : config.currentNetwork.safe.defaultSafeAddress;
+        if (!safeAddress || !this.walletRepository.constructor.isValidAddress(safeAddress)) {
+            return { success: false, message: "--safe <address> is required" };
+        }
+
+        const signerAddress = flags.wallet ? this.resolveWallet(flags.wallet).address : null;
+        const queue = await this.app.safeExecutor.getQueue(safeAddress, signerAddress);
+
+        if (!queue.success) {
+            return queue;
+        }
+
+        if (flags.json) {
+            const { success, message, ...report } = queue;
+            JsonOutput.write(ReportType.SAFE_QUEUE, report);
+        } else {
+            console.log(SafeExecutor.formatQueue(queue));
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * safe confirm: sign a queued Safe transaction
+     * @param {string} safeTxHash - Safe transaction hash
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async confirmSafeTransaction(safeTxHash, flags) {
+        if (!safeTxHash) {
+            return { success: false, message: "Usage: safe confirm <safeTxHash> --wallet <name>" };
+        }
+
+        const wallet = this.resolveWallet(flags.wallet);
+        return this.app.safeExecutor.confirmTransaction(
+            flags.safe,
+            safeTxHash,
+            wallet.address,
+            await this.resolvePassword(flags, wallet)
+        );
+    }
+
+    /**
+     * safe reject: propose a same-nonce rejection for a queued Safe transaction
+     * @param {string} safeTxHash - Safe transaction hash of the transaction to reject
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async rejectSafeTransaction(safeTxHash, flags) {
+        if (!safeTxHash) {
+            return { success: false, message: "Usage: safe reject <safeTxHash> --wallet <name>" };
+        }
+
+        const wallet = this.resolveWallet(flags.wallet);
+        const result = await this.app.safeExecutor.rejectTransaction(safeTxHash, wallet.address, await this.resolvePassword(flags, wallet));
+
+        if (result.success) {
+            console.log(`Rejection ${result.safeTxHash} needs the same confirmations, then: safe execute ${result.safeTxHash}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * safe execute: send execTransaction for a confirmed Safe transaction
+     * A Safe transaction hash is executed with the Transaction Service confirmations,
+     * anything else is read as a SafeTx file with signatures collected offline.
+     * @param {string} target - Safe transaction hash or SafeTx file path
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async executeSafeTransaction(target, flags) {
+        if (!target) {
+            return { success: false, message: "Usage: safe execute <safeTxHash|file> --wallet <name>" };
+        }
+
+        const wallet = this.resolveWallet(flags.wallet);
+        const password = await this.resolvePassword(flags, wallet);
+        let result;
+
+        if (/^0x[0-9a-fA-F]{64}$/.test(target)) {
+            const safeAddress = typeof flags.safe === 'string' ? flags.safe : null;
+
+            console.log(`Executing Safe transaction ${target} with ${wallet.name}...`);
+            result = await this.app.safeExecutor.executeTransaction(safeAddress, target, wallet.address, password);
+        } else {
+            const content = await this.readSafeTxFile(target);
+
+            console.log(`Executing Safe transaction ${content.safeTxHash} from ${target} with ${wallet.name}...`);
+            result = await this.app.safeExecutor.executeOfflineTransaction(content, wallet.address, password);
+        }
+
+        if (result.transactionHash) {
+            console.log(`Transaction: https://berascan.com/tx/${result.transactionHash}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Read a SafeTx file
+     * @param {string} file - SafeTx file path
+     * @returns {Promise<Object>} Parsed file content
+     */
+    async readSafeTxFile(file) {
+        try {
+            return JSON.parse(await fs.readFile(path.resolve(file), 'utf8'));
+        } catch (error) {
+            throw ErrorHandler.createValidationError(`Can't read SafeTx file ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write a SafeTx file to --output or a default path
+     * @param {Object} content - SafeTx file content
+     * @param {string} output - Output path from flags
+     * @param {string} defaultPath - Path used without --output
+     * @returns {Promise<string>} Written file path
+     */
+    async writeSafeTxFile(content, output, defaultPath) {
+        const filepath = output && output !== true ? path.resolve(output) : defaultPath;
+
+        await fs.mkdir(path.dirname(filepath), { recursive: true });
+        await fs.writeFile(filepath, JSON.stringify(content, null, 2));
+        console.log(`SafeTx file written to ${filepath}`);
+
+        return filepath;
+    }
+
+    /**
+     * Get the path of a SafeTx file derived from another one
+     * Signed and merged copies are written next to the file they came from.
+     * @param {string} file - Source SafeTx file path
+     * @param {string} suffix - Suffix for the new file
+     * @returns {string} Derived file path
+     */
+    getDerivedSafeTxPath(file, suffix) {
+        const base = path.basename(file, '.json').replace(/_(signed_[0-9a-fA-F]+|merged)$/, '');
+        return path.join(path.dirname(path.resolve(file)), `${base}_${suffix}.json`);
+    }
+
+    /**
+     * safe export: write a bundle as an unsigned SafeTx file for offline signing
+     * @param {string} file - Bundle path or filename in the output directory
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async exportSafeTransaction(file, flags) {
+        if (!file) {
+            return { success: false, message: "Usage: safe export <bundle> [--safe <address>] [--nonce <n>]" };
+        }
+
+        const safeAddress = typeof flags.safe === 'string' ? flags.safe : config.currentNetwork.safe.defaultSafeAddress;
+        if (!safeAddress || !this.walletRepository.constructor.isValidAddress(safeAddress)) {
+            return { success: false, message: "--safe <address> is required" };
+        }
+
+        let nonce;
+        if (flags.nonce !== undefined) {
+            nonce = Number(flags.nonce);
+            if (!Number.isInteger(nonce) || nonce < 0) {
+                throw ErrorHandler.createValidationError(`Invalid --nonce "${flags.nonce}"`);
+            }
+        }
+
+        const prepared = await this.loadBundleFile(file);
+        if (!prepared.success) {
+            return { success: false, message: prepared.message };
+        }
+
+        const result = await this.app.safeExecutor.exportTransaction(safeAddress, prepared.bundle, { nonce });
+        if (!result.success) {
+            return result;
+        }
+
+        const filename = `safetx_${path.basename(prepared.filepath, '.json')}_nonce${result.nonce}.json`;
+        const filepath = await this.writeSafeTxFile(result.content, flags.output, path.join(config.paths.safeTxDir, filename));
+        console.log(`Each owner signs with: safe sign ${filepath} --wallet <name>`);
+
+        return { success: true, message: result.message };
+    }
+
+    /**
+     * safe sign: sign a SafeTx file locally as an owner
+     * @param {string} file - SafeTx file path
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async signSafeTransactionFile(file, flags) {
+        if (!file) {
+            return { success: false, message: "Usage: safe sign <file> --wallet <name>" };
+        }
+
+        const wallet = this.resolveWallet(flags.wallet);
+        const content = await this.readSafeTxFile(file);
+
+        // Show what is being signed; decoding only reads the local metadata files
+        const inspection = await new BundleInspector().inspect({
+            transactions: [{ to: content.tx && content.tx.to, value: content.tx && content.tx.value, data: content.tx && content.tx.data }]
+        });
+        console.log(`Safe ${content.safeAddress} nonce ${content.tx && content.tx.nonce} (chain ${content.chainId})`);
+        console.log(`Safe tx ${content.safeTxHash}`);
+        console.log(BundleInspector.formatCalls(inspection.transactions, '  ').join('\n'));
+
+        const result = await this.app.safeExecutor.signOfflineTransaction(content, wallet.address, await this.resolvePassword(flags, wallet));
+        if (!result.success) {
+            return result;
+        }
+
+        const suffix = `signed_${wallet.address.slice(2, 10).toLowerCase()}`;
+        await this.writeSafeTxFile(result.content, flags.output, this.getDerivedSafeTxPath(file, suffix));
+
+        return { success: true, message: result.message };
+    }
+
+    /**
+     * safe merge: combine the signatures of signed copies of a SafeTx file
+     * @param {Array<string>} files - SafeTx file paths
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async mergeSafeTransactionFiles(files, flags) {
+        if (files.length === 0) {
+            return { success: false, message: "Usage: safe merge <file> <file>... [--output <path>]" };
+        }
+
+        const contents = await Promise.all(files.map(file => this.readSafeTxFile(file)));
+        const result = this.app.safeExecutor.mergeOfflineSignatures(contents);
+        if (!result.success) {
+            return result;
+        }
+
+        result.skipped.forEach(({ owner, reason }) => {
+            console.log(`⚠️ Dropping signature of ${owner}: ${reason}`);
+        });
+
+        const filepath = await this.writeSafeTxFile(result.content, flags.output, this.getDerivedSafeTxPath(files[0], 'merged'));
+        console.log(`Signed by ${result.signers.join(', ') || 'nobody'}`);
+        console.log(`Once the Safe's threshold is met: safe execute ${filepath} --wallet <name>`);
+
+        return { success: true, message: result.message };
+    }
+
+    /**
+     * bundles: dispatch bundles subcommands
+     * @param {Array<string>} positional - Subcommand and its arguments
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async bundles(positional, flags) {
+        const [subcommand, ...files] = positional;
+
+        switch (subcommand) {
+            case 'list':
+                return this.listBundles(flags);
+            case 'inspect':
+                return this.inspectBundle(files[0], flags);
+            case 'diff':
+                return this.diffBundles(files[0], files[1], flags);
+            case 'history':
+                return this.bundleHistory(flags);
+            case 'migrate':
+                return this.migrateBundles();
+            default:
+                return { success: false, message: `Unknown bundles command: ${subcommand || '(none)'}` };
+        }
+    }
+
+    /**
+     * Read a bundle file at the current schema version
+     * @param {string} file - Bundle path or filename in the output directory
+     * @returns {Promise<Object>} Bundle file content
+     */
+    async readBundleFile(file) {
+        return this.bundleRepository.readBundleFile(await this.resolveBundlePath(file));
+    }
+
+    /**
+     * bundles inspect: decode every transaction of a bundle file
+     * @param {string} file - Bundle path or filename in the output directory
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async inspectBundle(file, flags) {
+        if (!file) {
+            return { success: false, message: "Usage: bundles inspect <file>" };
+        }
+
+        const inspection = await new BundleInspector().inspect(await this.readBundleFile(file));
+
+        if (flags.json) {
+            JsonOutput.write(ReportType.BUNDLE_INSPECTION, { file, ...inspection });
+        } else {
+            console.log(BundleInspector.formatInspection(inspection));
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * bundles diff: compare the calls of two bundle files
+     * @param {string} before - First bundle path or filename
+     * @param {string} after - Second bundle path or filename
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async diffBundles(before, after, flags) {
+        if (!before || !after) {
+            return { success: false, message: "Usage: bundles diff <file> <file>" };
+        }
+
+        const diff = await new BundleInspector().diff(await this.readBundleFile(before), await this.readBundleFile(after));
+
+        if (flags.json) {
+            JsonOutput.write(ReportType.BUNDLE_DIFF, { before, after, ...diff });
+        } else {
+            console.log(`--- ${before}\n+++ ${after}\n`);
+            console.log(BundleInspector.formatDiff(diff));
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * bundles migrate: upgrade all saved bundles to the current schema version
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async migrateBundles() {
+        const result = await this.bundleRepository.migrateAll();
+
+        result.failed.forEach(({ filename, message }) => {
+            console.log(`⚠️ ${filename}: ${message}`);
+        });
+
+        return {
+            success: true,
+            message: `Upgraded ${result.upgraded} bundles, ${result.current} already current, ${result.failed.length} skipped`
+        };
+    }
+
+    /**
+     * bundles history: print bundles with their lifecycle status
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async bundleHistory(flags) {
+        const status = typeof flags.status === 'string' ? flags.status : undefined;
+        if (status && !Object.values(BundleStatus).includes(status)) {
+            return { success: false, message: `--status must be one of ${Object.values(BundleStatus).join(', ')}` };
+        }
+
+        // --wallet matches bundles saved for a stored wallet or sent from an address
+        let walletName, walletAddress;
+        if (typeof flags.wallet === 'string') {
+            if (this.walletRepository.constructor.isValidAddress(flags.wallet)) {
+                walletAddress = flags.wallet;
+            } else {
+                ({ name: walletName, address: walletAddress } = this.resolveWallet(flags.wallet));
+            }
+        }
+
+        const entries = await this.bundleRepository.getBundleHistory({
+            status,
+            type: typeof flags.type === 'string' ? flags.type : undefined,
+            walletName,
+            walletAddress,
+            limit: flags.limit ? parseInt(flags.limit) : undefined
+        });
+
+        if (flags.json) {
+            JsonOutput.write(ReportType.BUNDLE_HISTORY, { bundles: entries });
+            return { success: true };
+        }
+
+        if (entries.length === 0) {
+            console.log("No bundles found.");
+            return { success: true };
+        }
+
+        entries.forEach(entry => {
+            const date = (entry.updatedAt || entry.date || '').replace('T', ' ').slice(0, 19);
+            console.log(`${date}  ${(entry.type || '?').padEnd(8)} ${(entry.format || '?').padEnd(8)} ${(entry.name || '?').padEnd(16)} ${entry.status.padEnd(10)} ${entry.filename}`);
+
+            if (entry.safeTxHash) {
+                console.log(`    Safe ${entry.safeAddress} tx ${entry.safeTxHash}`);
+            }
+            (entry.transactions || []).forEach(tx => {
+                const block = tx.blockNumber ? ` block ${tx.blockNumber}` : '';
+                console.log(`    ${tx.index + 1}. ${tx.hash || '(not sent)'} ${tx.status}${block}`);
+            });
+            if (entry.error) {
+                console.log(`    ⚠️ ${entry.error}`);
+            }
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * bundles list: print saved bundles
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async listBundles(flags) {
+        const bundles = await this.bundleRepository.listBundles({
+            type: typeof flags.type === 'string' ? flags.type : undefined,
+            format: typeof flags.format === 'string' ? flags.format : undefined,
+            limit: flags.limit ? parseInt(flags.limit) : undefined
+        });
+
+        if (bundles.length === 0) {
+            console.log("No bundles found.");
+            return { success: true };
+        }
+
+        bundles.forEach(bundle => {
+            console.log(`${bundle.date.replace('T', ' ').replace('Z', '')}  ${bundle.type.padEnd(8)} ${bundle.format.padEnd(8)} ${bundle.name.padEnd(16)} ${bundle.filename}`);
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * fees: show fee estimates or set the preferred fee strategy
+     * @param {Array<string>} positional - Subcommand and its arguments
+     * @param {Object} flags - Parsed flags (max-fee)
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async fees(positional, flags) {
+        const [subcommand = 'show', preset] = positional;
+
+        switch (subcommand) {
+            case 'show':
+                return this.showFees();
+            case 'set': {
+                if (!preset) {
+                    return { success: false, message: "Usage: fees set <slow|normal|fast> [--max-fee <gwei|none>]" };
+                }
+                const current = await FeeOracle.loadPreferredStrategy();
+                const maxFeeCap = flags['max-fee'] === undefined ? current.maxFeeCap : flags['max-fee'];
+                return FeeOracle.savePreferredStrategy(FeeOracle.createStrategy(preset, maxFeeCap === 'none' ? null : maxFeeCap));
+            }
+            default:
+                return { success: false, message: `Unknown fees command: ${subcommand}` };
+        }
+    }
+
+    /**
+     * fees show: print the current estimate of every preset
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async showFees() {
+        const preferred = await FeeOracle.loadPreferredStrategy();
+        const presets = await this.app.feeOracle.estimatePresets();
+
+        for (const [preset, fees] of Object.entries(presets)) {
+            const marker = preset === preferred.preset ? '*' : ' ';
+            console.log(`${marker} ${preset.padEnd(8)} ${FeeOracle.formatFees(fees)}`);
+        }
+
+        const { baseFeePerGas, source } = Object.values(presets)[0];
+        if (baseFeePerGas) {
+            console.log(`\nNext base fee: ${ethers.utils.formatUnits(baseFeePerGas, 'gwei')} gwei (from ${source})`);
+        } else {
+            console.log(`\nFees from ${source} (eth_feeHistory is unavailable)`);
+        }
+        console.log(`Preferred strategy: ${FeeOracle.describe(preferred)}`);
+
+        return { success: true };
+    }
+
+    /**
+     * tx: dispatch pending transaction subcommands
+     * @param {Array<string>} positional - Subcommand and its arguments
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async tx(positional, flags) {
+        const [subcommand, hash] = positional;
+
+        switch (subcommand) {
+            case 'pending':
+                return this.listPendingTransactions(flags);
+            case 'speed-up':
+            case 'cancel':
+                return this.replacePendingTransaction(subcommand === 'cancel', hash, flags);
+            default:
+                return { success: false, message: `Unknown tx command: ${subcommand || '(none)'}` };
+        }
+    }
+
+    /**
+     * tx pending: print the tracked transactions that are not mined yet
+     * @param {Object} flags - Parsed flags (wallet)
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async listPendingTransactions(flags) {
+        const wallet = flags.wallet ? this.resolveWallet(flags.wallet) : null;
+        const pending = await this.app.nonceManager.getPendingTransactions(wallet ? wallet.address : null);
+
+        if (pending.length === 0) {
+            console.log("No pending transactions.");
+            return { success: true };
+        }
+
+        for (const tx of pending) {
+            const fees = tx.type === 2
+                ? `max fee ${ethers.utils.formatUnits(tx.maxFeePerGas, 'gwei')} gwei, tip ${ethers.utils.formatUnits(tx.maxPriorityFeePerGas, 'gwei')} gwei`
+                : `gas price ${ethers.utils.formatUnits(tx.gasPrice || 0, 'gwei')} gwei`;
+            const label = tx.cancel ? 'cancellation' : (tx.replaces ? 'speed-up' : 'sent');
+
+            console.log(`\n${tx.from} nonce ${tx.nonce} (${label} ${tx.sentAt})`);
+            console.log(`  ${tx.hash}${tx.known ? '' : ' ⚠️ not known to the node (dropped?)'}`);
+            console.log(`  to ${tx.to}, ${fees}`);
+            if (tx.bundleFile) {
+                console.log(`  bundle ${path.basename(tx.bundleFile)} transaction ${tx.index + 1}`);
+            }
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * tx speed-up / tx cancel: replace a pending transaction at its nonce
+     * @param {boolean} cancel - Cancel instead of speeding up
+     * @param {string} hash - Hash of the pending transaction
+     * @param {Object} flags - Parsed flags (wallet, bump, password)
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async replacePendingTransaction(cancel, hash, flags) {
+        if (!hash) {
+            return { success: false, message: `Usage: tx ${cancel ? 'cancel' : 'speed-up'} <hash> --wallet <name> [--bump <percent>]` };
+        }
+
+        const wallet = this.resolveWallet(flags.wallet);
+        const bumpPercent = flags.bump !== undefined ? Number(flags.bump) : undefined;
+        const signerResult = await this.walletRepository.createSigner(wallet.name, await this.resolvePassword(flags, wallet));
+        if (!signerResult.success) {
+            return { success: false, message: signerResult.message };
+        }
+
+        return this.app.transactionService.replacePendingTransaction(hash, signerResult.signer, { cancel, bumpPercent });
+    }
+
+    /**
+     * signer: dispatch signer backend subcommands
+     * @param {Array<string>} positional - Subcommand and its arguments
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async signer(positional, flags) {
+        const [subcommand, name] = positional;
+
+        switch (subcommand) {
+            case 'list':
+                return this.listSigners();
+            case 'set':
+                if (!name) {
+                    return { success: false, message: "Usage: signer set <wallet> --type <keystore|json_rpc|external>" };
+                }
+                return this.walletRepository.setSignerConfig(this.resolveWallet(name).name, {
+                    type: flags.type,
+                    path: flags.keystore,
+                    url: flags.url,
+                    command: flags.command
+                });
+            case 'remove':
+                if (!name) {
+                    return { success: false, message: "Usage: signer remove <wallet>" };
+                }
+                return this.walletRepository.setSignerConfig(this.resolveWallet(name).name, { type: SignerType.PRIVATE_KEY });
+            default:
+                return { success: false, message: `Unknown signer command: ${subcommand || '(none)'}` };
+        }
+    }
+
+    /**
+     * signer list: print the signer backend of every wallet
+     * @returns {Promise<Object>} Result with success flag
+     */
+    async listSigners() {
+        const wallets = Object.entries(this.walletRepository.getWallets());
+
+        if (wallets.length === 0) {
+            console.log("No wallets found.");
+            return { success: true };
+        }
+
+        for (const [name, address] of wallets) {
+            const signerConfig = await this.walletRepository.getSignerConfig(name);
+            const ready = await this.walletRepository.hasSigner(name);
+            console.log(`${name.padEnd(16)} ${address} ${ready ? '✅' : '❌'} ${SignerAdapter.describe(signerConfig)}`);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * routes: dispatch reward routing rule subcommands
+     * @param {Array<string>} positional - Subcommand
+     * @param {Object} flags - Parsed flags
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async routes(positional, flags) {
+        const [subcommand] = positional;
+        const preferences = this.app.preferencesRepository;
+
+        if (subcommand === 'list') {
+            for (const wallet of this.resolveWallets(flags)) {
+                const rules = preferences.getRewardRoutes(wallet.address);
+                console.log(`${wallet.name} (${wallet.address}):`);
+                console.log(rules.length > 0
+                    ? rules.map(rule => `  ${RewardRouter.describe(rule)}`).join('\n')
+                    : '  No routing rules (vault rewards go to --recipient or the wallet)');
+            }
+            return { success: true };
+        }
+
+        if (!['set', 'remove', 'clear'].includes(subcommand)) {
+            return { success: false, message: `Unknown routes command: ${subcommand || '(none)'}` };
+        }
+
+        const wallet = this.resolveWallet(flags.wallet);
+        const rules = preferences.getRewardRoutes(wallet.address);
+        const source = typeof flags.source === 'string' ? flags.source : null;
+        const token = typeof flags.token === 'string' ? flags.token : null;
+        let updated;
+
+        if (subcommand === 'set') {
+            const rule = RewardRouter.createRule({ source, token, recipient: flags.recipient });
+            updated = RewardRouter.upsertRule(rules, rule);
+            console.log(`${wallet.name}: ${RewardRouter.describe(rule)}`);
+        } else if (subcommand === 'remove') {
+            // Normalized the same way as the stored rule
+            const { source: ruleSource, token: ruleToken } = RewardRouter.createRule({ source, token, recipient: wallet.address });
+            updated = rules.filter(rule => rule.source !== ruleSource || rule.token !== ruleToken);
+            if (updated.length === rules.length) {
+                return { success: false, message: `${wallet.name} has no rule for that source and token` };
+            }
+        } else {
+            updated = [];
+        }
+
+        if (!(await preferences.setRewardRoutes(wallet.address, updated))) {
+            return { success: false, message: "Failed to save the routing rules" };
+        }
+        return { success: true, message: `${wallet.name} has ${updated.length} routing rule(s)` };
+    }
+
+    /**
+     * metadata update: refresh GitHub metadata and the OogaBooga token list
+     * @returns {Promise<Object>} Result with success flag and message
+     */
+    async updateMetadata() {
+        const metadataFetcher = new MetadataFetcher();
+
+        console.log("Updating metadata from GitHub...");
+        const githubResult = await metadataFetcher.fetchAllGithubMetadata(true);
+
+        if (!githubResult.success) {
+            return { success: false, message: `GitHub metadata update failed: ${githubResult.message}` };
+        }
+
+        console.log(`- Validators: ${githubResult.validators.count} records`);
+        console.log(`- Vaults: ${githubResult.vaults.count} records`);
+        console.log(`- Token definitions: ${githubResult.tokens.count} records`);
+
+        const apiKey = this.app.apiKeyRepository.getApiKey('oogabooga') || metadataFetcher.getOrSetApiKey();
+        if (!apiKey) {
+            console.log("⚠️ OogaBooga API key is not configured, skipping token list update.");
+            return { success: true, message: "Metadata updated" };
+        }
+
+        console.log("Updating token list from OogaBooga API...");
+        const tokenResult = await metadataFetcher.fetchOogaboogaTokens(apiKey);
+
+        if (!tokenResult.success) {
+            return { success: false, message: `Token list update failed: ${tokenResult.message}` };
+        }
+
+        console.log(`- Tokens: ${tokenResult.count} records`);
+        return { success: true, message: "Metadata updated" };
+    }
+}
+
+module.exports = CliCommands;
@@ -5,7 +5,12 @@ const fs = require('fs').promises;
 const path = require('path');
 const inquirer = require('inquirer');
 const { OutputFormat } = require('../../bundles/claims/claimBundler');
+const { BundleType } = require('../../bundles/bundleCreator');
+const { AllocationStrategies } = require('../../bundles/boosts/allocationStrategies');
 const MetadataFetcher = require('../../utils/metadataFetcher');
+const PortfolioScanner = require('../../bundles/claims/portfolioScanner');
+const SafeExecutor = require('../../execution/executors/safeExecutor');
+const { SignerAdapter, SignerType } = require('../../execution/adapters/signerAdapter');
 
 /**
  * Manages all menu flows and user interactions
@@ -183,15 +188,16 @@ class MainMenu {
                 { key: '1', label: 'Claim Rewards', value: 'claim' },
                 { key: '2', label: 'Token Balances & Swap', value: 'tokens' },
                 { key: '3', label: 'Send Bundle', value: 'send' },
+                { key: '4', label: 'Safe Queue', value: 'safe_queue' },
                 
                 // Spacer
                 { key: '', label: '', value: 'spacer' },
                 
                 // Setup options (without the header that confuses users)
-                { key: '4', label: 'Update Metadata', value: 'update_metadata' },
-                { key: '5', label: 'Setup Wallets', value: 'wallets' },
-                { key: '6', label: 'Setup Validator Boosting', value: 'validators' },
-                { key: '7', label: 'Configure API Keys', value: 'api_keys' }
+                { key: '5', label: 'Update Metadata', value: 'update_metadata' },
+                { key: '6', label: 'Setup Wallets', value: 'wallets' },
+                { key: '7', label: 'Setup Validator Boosting', value: 'validators' },
+                { key: '8', label: 'Configure API Keys', value: 'api_keys' }
             ], false, true, '', 'Exit');
 
             this.uiHandler.displayMenu(options);
@@ -215,6 +221,9 @@ class MainMenu {
                 case 'send':
                     await this.sendBundleMenu();
                     break;
+                case 'safe_queue':
+                    await this.safeQueueMenu();
+                    break;
                 case 'updateTokens':
                     await this.updateTokenListMenu();
                     break;
@@ -561,8 +570,11 @@ class MainMenu {
         console.log("══════════════════════════════════════════════════════════");
         
         for (const [name, address] of walletEntries) {
-            const hasKey = await this.walletService.hasPrivateKey(name);
-            const status = hasKey ? "✅ Has private key" : "❌ No private key";
+            const signerConfig = await this.walletService.getSignerConfig(name);
+            const hasKey = await this.walletService.hasSigner(name);
+            const status = signerConfig.type !== SignerType.PRIVATE_KEY
+                ? `${hasKey ? "✅" : "❌"} Signs with ${SignerAdapter.describe(signerConfig)}`
+                : (hasKey ? "✅ Has private key" : "❌ No private key");
             console.log(`${name} (${address})`);
             console.log(`Status: ${status}`);
             console.log("──────────────────────────────────────────────────────────");
@@ -627,11 +639,11 @@ class MainMenu {
             
             // Load the selected bundle file
             const bundleFile = path.join(config.paths.outputDir, choice);
-            const bundleContent = await fs.readFile(bundleFile, 'utf8');
             let bundleData;
             
             try {
-                bundleData = JSON.parse(bundleContent);
+                // Older bundle files are upgraded to the current schema version on load
+                bundleData = await this.bundleRepository.readBundleFile(bundleFile);
                 console.log(`Successfully parsed bundle file: ${choice}`);
                 
                 // Log some basic information about the bundle
@@ -648,43 +660,17 @@ class MainMenu {
                 }
             } catch (parseError) {
                 console.log(`\n❌ Error parsing bundle file: ${parseError.message}`);
-                console.log("The file might be corrupted or not in valid JSON format.");
+                console.log("The file might be corrupted, not in valid JSON format or not a bundle.");
                 await this.uiHandler.pause();
                 return;
             }
             
-            // Determine format based on filename and content
-            let format;
-            if (choice.includes('_eoa.json')) {
-                format = 'eoa';
-            } else if (choice.includes('_safe_ui.json')) {
-                format = 'safe_ui';
-            } else if (choice.includes('_safe_cli.json')) {
-                format = 'safe_cli';
-            } else {
-                // Try to determine format from the content
-                if (bundleData.format === 'eoa') {
-                    format = 'eoa';
-                } else if (Array.isArray(bundleData)) {
-                    format = 'eoa';
-                } else if (bundleData.transactions && bundleData.meta) {
-                    format = 'safe_ui';
-                } else {
-                    // Check if it has a transactions array and other EOA-like properties
-                    if (bundleData.transactions && Array.isArray(bundleData.transactions)) {
-                        if (bundleData.transactions.length > 0 && bundleData.transactions[0].type === '0x2') {
-                            format = 'eoa';
-                        }
-                    } else {
-                        format = 'unknown';
-                    }
-                }
-            }
-            
-            console.log(`\nDetected bundle format: ${format}`);
+            // Determine format based on filename and content and wrap the bundle for sending
+            const prepared = this.bundleRepository.prepareBundleForSending(bundleData, bundleFile);
+            console.log(`\nDetected bundle format: ${prepared.format}`);
             
             // Validate the format
-            if (format === 'unknown') {
+            if (!prepared.success) {
                 console.log("\n❌ Error: Could not determine the bundle format.");
                 console.log("This could happen if the bundle file was created with a different version of the tool.");
                 console.log("Try generating a new bundle using the 'Claim Rewards' option.");
@@ -692,111 +678,146 @@ class MainMenu {
                 return;
             }
             
-            // Extract summary information from the bundle
-            let vaultCount = 0;
-            let hasBGTStaker = false;
-            let redelegationCount = 0;
-            let rewardsByType = {};
-            let rewardSummary = "Unknown";
-            
-            if (format === 'eoa') {
-                // For EOA bundles
-                for (const tx of bundleData) {
-                    // Try to determine transaction type from the data
-                    if (tx.data.includes('getReward')) {
-                        if (tx.data.length > 200) {
-                            // Vault transactions are longer due to parameters
-                            vaultCount++;
-                        } else {
-                            hasBGTStaker = true;
-                        }
-                    } else if (tx.data.includes('queueBoost')) {
-                        redelegationCount++;
-                    }
-                }
-            } else if (format === 'safe_ui' && bundleData.meta) {
-                // For Safe UI bundles, extract from meta info
-                const desc = bundleData.meta.description;
-                
-                // Extract vault count
-                const vaultMatch = desc.match(/(\d+) vault claim/);
-                vaultCount = vaultMatch ? parseInt(vaultMatch[1]) : 0;
-                
-                // Check for BGT Staker
-                hasBGTStaker = desc.includes('BGT Staker');
-                
-                // Extract redelegation count
-                const redelegationMatch = desc.match(/(\d+) validator boost/);
-                redelegationCount = redelegationMatch ? parseInt(redelegationMatch[1]) : 0;
-                
-                // Extract rewards summary if present in description
-                const rewardsMatch = desc.match(/Rewards: ([^:]+(?:, [^:]+)*)/);
-                if (rewardsMatch) {
-                    rewardSummary = rewardsMatch[1].trim();
-                    
-                    // Parse rewards into rewardsByType
-                    const rewards = rewardSummary.split(', ');
-                    rewards.forEach(reward => {
-                        const [amount, symbol] = reward.trim().split(' ');
-                        if (symbol) {
-                            rewardsByType[symbol] = parseFloat(amount);
-                        }
-                    });
-                }
+            const bundle = prepared.bundle;
+            
+            // Pass the bundle to the transaction service for sending
+            await this.app.transactionService.signAndSendBundleFlow(bundle);
+        } catch (error) {
+            console.log(`\n❌ Error: ${error.message}`);
+            await this.uiHandler.pause();
+        }
+    }
+
+    /**
+     * Safe queue menu - browse queued Safe transactions and confirm, execute or reject them
+     */
+    async safeQueueMenu() {
+        this.uiHandler.clearScreen();
+        this.uiHandler.displayHeader("SAFE QUEUE");
+        
+        const walletEntries = Object.entries(this.walletRepository.getWallets());
+        if (walletEntries.length === 0) {
+            console.log("\nNo wallets found. Please add a wallet first.");
+            await this.uiHandler.pause();
+            return;
+        }
+        
+        // The selected owner's signatures are shown in the queue and sign the actions
+        console.log("\nSelect the owner wallet:");
+        const walletOptions = this.uiHandler.createMenuOptions(walletEntries.map(([name, address], index) => ({
+            key: (index + 1).toString(),
+            label: `${name} (${address})`,
+            value: { name, address }
+        })));
+        this.uiHandler.displayMenu(walletOptions);
+        
+        const wallet = await this.uiHandler.getSelection(walletOptions);
+        if (wallet === 'back') return;
+        if (wallet === 'quit') process.exit(0);
+        
+        // Offer the Safes this wallet owns, the configured default Safe, or a custom address
+        const safesResult = await this.safeExecutor.getSafesByOwner(wallet.address);
+        const safes = safesResult.success ? [...safesResult.safes] : [];
+        const defaultSafe = config.currentNetwork.safe.defaultSafeAddress;
+        if (defaultSafe && !safes.some(safe => safe.toLowerCase() === defaultSafe.toLowerCase())) {
+            safes.push(defaultSafe);
+        }
+        
+        console.log("\nSelect the Safe:");
+        const safeOptions = this.uiHandler.createMenuOptions([
+            ...safes.map((safe, index) => ({ key: (index + 1).toString(), label: safe, value: safe })),
+            { key: (safes.length + 1).toString(), label: 'Enter a different Safe address', value: 'custom' }
+        ]);
+        this.uiHandler.displayMenu(safeOptions);
+        
+        let safeAddress = await this.uiHandler.getSelection(safeOptions);
+        if (safeAddress === 'back') return;
+        if (safeAddress === 'quit') process.exit(0);
+        if (safeAddress === 'custom') {
+            safeAddress = await this.uiHandler.getUserInput(
+                "\nEnter the Safe address:",
+                input => this.walletRepository.constructor.isValidAddress(input),
+                "Invalid Ethereum address format"
+            );
+        }
+        
+        while (true) {
+            this.uiHandler.clearScreen();
+            this.uiHandler.displayHeader("SAFE QUEUE");
+            console.log("\nLoading queued transactions...");
+            
+            const queue = await this.safeExecutor.getQueue(safeAddress, wallet.address);
+            if (!queue.success) {
+                console.log(`\n❌ ${queue.message}`);
+                await this.uiHandler.pause();
+                return;
             }
             
-            // Create a simplified bundle object
-            let bundle;
+            console.log(`\n${SafeExecutor.formatQueue(queue)}\n`);
+            if (!queue.isOwner) {
+                console.log(`⚠️ ${wallet.name} is not an owner of this Safe and can only view the queue.\n`);
+            }
             
-            // Special case for EOA swap bundles
-            if (format === 'eoa' && bundleData.format === 'eoa' && bundleData.transactions) {
-                console.log("Detected EOA swap bundle");
-                
-                // Just pass the bundle directly without wrapping it in bundleData
-                bundle = bundleData;
-                
-                // Add filepath for reference
-                bundle.filepath = bundleFile;
-                
-                // Make sure the transactions array is properly formatted
-                console.log(`Bundle contains ${bundle.transactions.length} transactions`);
-                console.log(`First transaction to: ${bundle.transactions[0].to.substring(0, 10)}...`);
-                
-                // Make sure format is set
-                bundle.format = 'eoa';
-            } else if (format === 'eoa' && Array.isArray(bundleData.transactions)) {
-                // Any other EOA format with transactions array
-                console.log("Detected standard EOA bundle");
-                
-                // Pass through directly without wrapping
-                bundle = bundleData;
-                bundle.filepath = bundleFile;
-                bundle.format = 'eoa';
-                
-                console.log(`Bundle contains ${bundle.transactions.length} transactions`);
+            if (queue.transactions.length === 0 || !queue.isOwner) {
+                await this.uiHandler.pause();
+                return;
+            }
+            
+            const txOptions = this.uiHandler.createMenuOptions([
+                ...queue.transactions.map((tx, index) => ({
+                    key: (index + 1).toString(),
+                    label: `Nonce ${tx.nonce} ${tx.isRejection ? '(rejection) ' : ''}${tx.safeTxHash.substring(0, 10)}...`,
+                    value: index.toString()
+                })),
+                { key: 'r', label: 'Refresh', value: 'refresh' }
+            ]);
+            this.uiHandler.displayMenu(txOptions);
+            
+            const txChoice = await this.uiHandler.getSelection(txOptions, 'Select a transaction:');
+            if (txChoice === 'back') return;
+            if (txChoice === 'quit') process.exit(0);
+            if (txChoice === 'refresh') continue;
+            
+            const tx = queue.transactions[parseInt(txChoice)];
+            const actions = [];
+            if (!tx.signedBySigner) {
+                actions.push({ key: (actions.length + 1).toString(), label: 'Confirm (sign)', value: 'confirm' });
+            }
+            if (tx.executable) {
+                actions.push({ key: (actions.length + 1).toString(), label: 'Execute on-chain', value: 'execute' });
+            }
+            if (!tx.isRejection) {
+                actions.push({ key: (actions.length + 1).toString(), label: 'Reject (propose same-nonce rejection)', value: 'reject' });
+            }
+            
+            const actionOptions = this.uiHandler.createMenuOptions(actions, true, false, 'Back to queue');
+            this.uiHandler.displayMenu(actionOptions);
+            
+            const action = await this.uiHandler.getSelection(actionOptions, `Nonce ${tx.nonce}:`);
+            if (action === 'back') continue;
+            
+            let password = null;
+            if (await this.walletService.requiresPassword(wallet.name)) {
+                password = await this.uiHandler.getUserInput(
+                    `\nEnter password to decrypt the private key for ${wallet.name}:`,
+                    input => input.trim() !== '',
+                    "Password cannot be empty"
+                );
+            }
+            
+            let result;
+            if (action === 'confirm') {
+                result = await this.safeExecutor.confirmTransaction(safeAddress, tx.safeTxHash, wallet.address, password);
+            } else if (action === 'execute') {
+                result = await this.safeExecutor.executeTransaction(safeAddress, tx.safeTxHash, wallet.address, password);
             } else {
-                // Handle Safe or other format
-                console.log("Detected Safe or other bundle format - using bundleData wrapper");
-                bundle = {
-                    bundleData: bundleData,
-                    summary: {
-                        format: format,
-                        vaultCount: vaultCount,
-                        hasBGTStaker: hasBGTStaker,
-                        rewardSummary: rewardSummary,
-                        rewardsByType: rewardsByType,
-                        redelegationCount: redelegationCount,
-                        totalTransactions: Array.isArray(bundleData) ? bundleData.length : 
-                                          (bundleData.transactions ? bundleData.transactions.length : 0),
-                        includesRedelegation: redelegationCount > 0
-                    }
-                };
+                result = await this.safeExecutor.rejectTransaction(tx.safeTxHash, wallet.address, password);
             }
             
-            // Pass the bundle to the transaction service for sending
-            await this.app.transactionService.signAndSendBundleFlow(bundle);
-        } catch (error) {
-            console.log(`\n❌ Error: ${error.message}`);
+            console.log(result.success ? `\n✅ ${result.message}` : `\n❌ ${result.message}`);
+            if (result.transactionHash) {
+                console.log(`Explorer link: https://berascan.com/tx/${result.transactionHash}`);
+            }
             await this.uiHandler.pause();
         }
     }
@@ -882,7 +903,11 @@ class MainMenu {
             process.exit(0);
         }
 
-        if (choice === 'all') {
+        if (choice === 'all' && checkType === 'rewards') {
+            // Scan all wallets in parallel and show portfolio totals
+            this.uiHandler.clearScreen();
+            await this.scanPortfolio(walletEntries);
+        } else if (choice === 'all') {
             // Check all wallets
             this.uiHandler.clearScreen();
             console.log(`Checking ${checkType === 'rewards' ? 'rewards' : checkType === 'validators' ? 'validator boosts' : 'all information'} for all wallets...\n`);
@@ -1042,7 +1067,10 @@ class MainMenu {
             value: { name, address }
         }));
 
-        const options = this.uiHandler.createMenuOptions(walletOptions);
+        const options = this.uiHandler.createMenuOptions([
+            ...walletOptions,
+            { key: 'a', label: 'All Wallets (Portfolio)', value: 'all' }
+        ]);
 
         this.uiHandler.displayMenu(options);
         this.uiHandler.displayFooter();
@@ -1057,10 +1085,125 @@ class MainMenu {
             process.exit(0);
         }
 
+        if (choice === 'all') {
+            await this.processPortfolioClaim(walletEntries);
+            return;
+        }
+
         // Process specific wallet
         const { name, address } = choice;
         await this.processClaimForWallet(name, address);
     }
+
+    /**
+     * Create a PortfolioScanner backed by the app's reward checker and claim bundler
+     * @returns {PortfolioScanner} Portfolio scanner
+     */
+    getPortfolioScanner() {
+        return new PortfolioScanner(this.rewardChecker, this.bundleCreator.getClaimBundler());
+    }
+
+    /**
+     * Scan all wallets in parallel and display per-wallet and total rewards
+     * @param {Array} walletEntries - Wallet entries [name, address]
+     * @returns {Promise<Object|null>} Portfolio scan, or null if the scan failed
+     */
+    async scanPortfolio(walletEntries) {
+        console.log(`Scanning ${walletEntries.length} wallets for claimable rewards...\n`);
+
+        const portfolioScanner = this.getPortfolioScanner();
+        this.uiHandler.startProgress(walletEntries.length, "Scanning wallets...");
+
+        try {
+            const scan = await portfolioScanner.scanWallets(
+                walletEntries.map(([name, address]) => ({ name, address })),
+                (current, total, status) => this.uiHandler.updateProgress(current, status)
+            );
+            this.uiHandler.stopProgress();
+
+            console.log("═════════════════════════════════════════");
+            console.log(this.uiHandler.formatPortfolioSummary(scan));
+            console.log("═════════════════════════════════════════");
+
+            return scan;
+        } catch (error) {
+            this.uiHandler.stopProgress();
+            console.log(`\n❌ Error scanning wallets: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Scan all wallets and generate one claim bundle per wallet
+     * @param {Array} walletEntries - Wallet entries [name, address]
+     */
+    async processPortfolioClaim(walletEntries) {
+        this.uiHandler.clearScreen();
+
+        // Check if rewardChecker is available
+        if (!this.rewardChecker) {
+            console.log("❌ Error: Reward checker is not available.");
+            await this.uiHandler.pause();
+            return;
+        }
+
+        const scan = await this.scanPortfolio(walletEntries);
+
+        if (!scan || Object.keys(scan.totalsByToken).length === 0) {
+            console.log(scan && scan.failedWallets.length > 0
+                ? "\nNo rewards to claim in the wallets that could be scanned."
+                : "\nNo rewards to claim in any wallet.");
+            await this.uiHandler.pause();
+            return;
+        }
+
+        const proceedWithClaim = await this.uiHandler.confirm(
+            "Do you want to generate claim bundles for all wallets with rewards?"
+        );
+
+        if (!proceedWithClaim) {
+            return;
+        }
+
+        // Bundles are only generated here; each one is sent later with 'Send Bundle'
+        console.log("\nSelect transaction format:");
+        const formatOptions = this.uiHandler.createMenuOptions([
+            { key: '1', label: 'EOA Wallet (JSON only)', value: OutputFormat.EOA },
+            { key: '2', label: 'Safe Multisig (JSON only)', value: OutputFormat.SAFE_UI }
+        ], true, false);
+
+        this.uiHandler.displayMenu(formatOptions);
+        const format = await this.uiHandler.getSelection(formatOptions);
+
+        if (format === 'back') {
+            return;
+        }
+
+        let redelegate = false;
+        if (this.redelegationManager && scan.totalsByToken.BGT > 0) {
+            redelegate = await this.uiHandler.confirm(
+                "Redelegate claimed BGT using each wallet's delegation preferences?"
+            );
+        }
+
+        console.log("\nGenerating claim bundles...");
+        const result = await this.getPortfolioScanner().createClaimBundles(scan, format, { redelegate });
+
+        if (!result.success) {
+            console.log(`\n❌ Error: ${result.message}`);
+            await this.uiHandler.pause();
+            return;
+        }
+
+        console.log(`\n${result.message}`);
+        result.bundles
+            .filter(bundle => bundle.success)
+            .forEach(bundle => console.log(`- ${bundle.name}: ${bundle.filepath}`));
+        console.log(`\nCombined summary saved to ${result.summaryFilepath}`);
+        console.log("Use 'Send Bundle' from the main menu to sign and send each wallet's bundle.");
+
+        await this.uiHandler.pause();
+    }
     
     /**
      * Process claim for a specific wallet
@@ -1684,9 +1827,10 @@ class MainMenu {
         console.log("\nYou have selected " + validators.length + " validators to delegate to.");
         console.log("\nChoose an allocation strategy:");
         
+        const strategies = AllocationStrategies.list();
         const strategyOptions = this.uiHandler.createMenuOptions([
-            { key: '1', label: 'Equal allocation to all validators', value: 'equal' },
-            { key: '2', label: 'Manual allocation (set percentages yourself)', value: 'manual' }
+            ...strategies.map((entry, index) => ({ key: String(index + 1), label: entry.label, value: entry.name })),
+            { key: String(strategies.length + 1), label: 'Manual allocation (set percentages yourself)', value: 'manual' }
         ], true, false);
         
         this.uiHandler.displayMenu(strategyOptions);
@@ -1697,25 +1841,31 @@ class MainMenu {
         }
         
         // Apply the chosen allocation strategy
-        if (strategy === 'equal') {
-            // Equal allocation (with rounding adjustments)
-            const equalAllocation = Math.floor(100 / validators.length);
-            const remainder = 100 - (equalAllocation * validators.length);
+        if (strategy !== 'manual') {
+            const definition = AllocationStrategies.get(strategy);
+            let topN;
+            if (definition.picksValidators) {
+                const answer = await inquirer.prompt([{
+                    type: 'number',
+                    name: 'topN',
+                    message: 'How many validators should be picked?',
+                    default: config.boosts.topValidators,
+                    validate: input => (Number.isInteger(input) && input > 0) || 'Please enter a positive whole number'
+                }]);
+                topN = answer.topN;
+            }
             
-            validators.forEach((validator, index) => {
-                // Add the remainder to the first validator
-                if (validator.pubkey) {
-                    allocations[validator.pubkey] = index === 0 
-                        ? equalAllocation + remainder 
-                        : equalAllocation;
-                } else {
-                    console.log(`Warning: Validator "${validator.name}" has no pubkey and will be skipped.`);
-                }
-            });
+            // Strategies that pick validators choose among all known validators
+            const candidates = definition.picksValidators ? this.redelegationManager.getValidators() : validators;
+            if (definition.usesScores) {
+                console.log("\nReading validator data...");
+            }
+            await this.redelegationManager.setUserPreferences(walletAddress, candidates, null, { strategy, topN });
             
-            await showAllocationSummary(validators, allocations);
+            const saved = this.redelegationManager.getUserPreferences(walletAddress);
+            await showAllocationSummary(saved.validators, saved.allocations);
         }
-        else if (strategy === 'manual') {
+        else {
             this.uiHandler.clearScreen();
             this.uiHandler.displayHeader("MANUAL ALLOCATION");
             
@@ -1789,11 +1939,17 @@ class MainMenu {
             }
             
             await showAllocationSummary(validators, allocations);
+            
+            // Save preferences
+            await this.redelegationManager.setUserPreferences(walletAddress, validators, allocations);
         }
         
-        // Save preferences
-        await this.redelegationManager.setUserPreferences(walletAddress, validators, allocations);
         console.log(`\nValidator selection and allocation preferences saved successfully.`);
+        
+        // Boosts already in place keep their old distribution unless they are moved
+        if (await this.uiHandler.confirm("Create a bundle that moves your existing boosts to these allocations?")) {
+            await this.rebalanceBoostsFlow(walletAddress);
+        }
         await this.uiHandler.pause();
         
         // Helper function to show allocation summary and get confirmation
@@ -1839,6 +1995,50 @@ class MainMenu {
         }
     }
     
+    /**
+     * Flow for planning and creating a boost rebalance bundle
+     * @param {string} walletAddress - Wallet whose boosts are rebalanced
+     */
+    async rebalanceBoostsFlow(walletAddress) {
+        const walletEntry = Object.entries(this.walletRepository.getWallets())
+            .find(([, address]) => address.toLowerCase() === walletAddress.toLowerCase());
+        const name = walletEntry ? walletEntry[0] : walletAddress.substring(0, 8);
+        
+        console.log("\nPlanning boost rebalance...");
+        let bundle;
+        try {
+            bundle = await this.bundleCreator.createBundle(BundleType.REBALANCE, {
+                userAddress: walletAddress,
+                format: OutputFormat.EOA,
+                name
+            });
+        } catch (error) {
+            console.log(`\n❌ Error planning rebalance: ${error.message}`);
+            return;
+        }
+        
+        if (bundle.summary && bundle.summary.plan) {
+            console.log(`\nBoosted: ${bundle.summary.totalBoosted} BGT`);
+            console.log(bundle.summary.plan);
+        }
+        
+        if (!bundle.success) {
+            console.log(`\n${bundle.message}`);
+            return;
+        }
+        
+        console.log(`\nRebalance bundle saved to ${bundle.filepath}`);
+        if (bundle.summary.deferred.length > 0) {
+            console.log("Run the rebalance again once the queued drops have passed their delay to queue the rest.");
+        }
+        
+        if (await this.uiHandler.confirm("Sign and send the rebalance bundle now?")) {
+            await this.app.transactionService.signAndSendBundleFlow(bundle);
+        } else {
+            console.log("You can send it later with the 'Send Bundle' option from the main menu.");
+        }
+    }
+    
     /**
      * Flow for updating validators list from validator file
      */